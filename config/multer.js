@@ -1,6 +1,7 @@
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const entitlementService = require('../services/entitlementService');
 
 // Ensure uploads directory exists
 const uploadDir = path.join(__dirname, '..', 'uploads');
@@ -70,13 +71,59 @@ const fileFilter = (req, file, cb) => {
   cb(new Error('Only image, video, audio, and document files are allowed!'));
 };
 
+/**
+ * Wrap multer options so the file size limit follows the uploader's plan
+ * (increased_upload_limit). Exposes the same single/array/fields/any/none
+ * middleware factories as a multer instance; must run after authenticateToken.
+ */
+const withPlanLimits = (options) => {
+  // One multer instance per file size limit
+  const instances = new Map();
+  const getInstance = (fileSize) => {
+    if (!instances.has(fileSize)) {
+      instances.set(fileSize, multer({ ...options, limits: { ...options.limits, fileSize } }));
+    }
+    return instances.get(fileSize);
+  };
+
+  const factory = (method) => (...args) => async (req, res, next) => {
+    let fileSize = entitlementService.freeUploadLimit;
+    if (req.user) {
+      try {
+        fileSize = entitlementService.getUploadLimit(await entitlementService.getEntitlementsForRequest(req));
+      } catch (error) {
+        console.error('Upload limit check error:', error);
+      }
+    }
+
+    getInstance(fileSize)[method](...args)(req, res, (err) => {
+      if (err instanceof multer.MulterError && err.code === 'LIMIT_FILE_SIZE') {
+        const maxMb = Math.round(fileSize / (1024 * 1024));
+        return res.status(413).json({
+          success: false,
+          message: `File is too large. Your plan allows files up to ${maxMb}MB.`,
+          maxFileSize: fileSize,
+          upgradeAvailable: fileSize < entitlementService.maxUploadLimit
+        });
+      }
+      next(err);
+    });
+  };
+
+  return {
+    single: factory('single'),
+    array: factory('array'),
+    fields: factory('fields'),
+    any: factory('any'),
+    none: factory('none')
+  };
+};
+
 // Configure multer
-const upload = multer({
+const upload = withPlanLimits({
   storage: storage,
-  fileFilter: fileFilter,
-  limits: {
-    fileSize: 50 * 1024 * 1024, // 50MB max file size
-  }
+  fileFilter: fileFilter
 });
 
 module.exports = upload;
+module.exports.withPlanLimits = withPlanLimits;
@@ -0,0 +1,92 @@
+/**
+ * Premium tiers
+ *
+ * Single source for tier pricing and the premium features each tier unlocks.
+ * Recurring subscriptions use the Stripe Price configured for the tier
+ * (STRIPE_PRICE_BASIC / STRIPE_PRICE_PLUS / STRIPE_PRICE_PRO).
+ */
+
+const PREMIUM_TIERS = {
+  basic: {
+    name: 'Premium Basic',
+    amount: 499, // $4.99/month
+    description: 'Premium Basic - Monthly access',
+    rank: 1,
+    priceEnv: 'STRIPE_PRICE_BASIC',
+    features: ['profile_visitors', 'ad_free', 'custom_themes', 'increased_upload_limit'],
+    highlights: [
+      'See who viewed your profile',
+      'Ad-free experience',
+      'Custom themes',
+      '5GB increased upload limit'
+    ],
+    popular: false
+  },
+  plus: {
+    name: 'Premium Plus',
+    amount: 999, // $9.99/month
+    description: 'Premium Plus - Monthly access',
+    rank: 2,
+    priceEnv: 'STRIPE_PRICE_PLUS',
+    features: ['profile_visitors', 'ad_free', 'custom_themes', 'increased_upload_limit', 'unlimited_storage', 'advanced_analytics', 'priority_support', 'video_downloads', 'read_receipts_control'],
+    highlights: [
+      'Everything in Basic',
+      'Unlimited storage',
+      'Advanced analytics dashboard',
+      'Priority support (24h response)',
+      'Download videos',
+      'Control read receipts'
+    ],
+    popular: true
+  },
+  pro: {
+    name: 'Premium Pro',
+    amount: 1999, // $19.99/month
+    description: 'Premium Pro - Monthly access (All Features)',
+    rank: 3,
+    priceEnv: 'STRIPE_PRICE_PRO',
+    features: ['profile_visitors', 'ad_free', 'custom_themes', 'unlimited_storage', 'advanced_analytics', 'priority_support', 'early_access', 'custom_badge_color', 'increased_upload_limit', 'video_downloads', 'read_receipts_control', 'ghost_mode'],
+    highlights: [
+      'Everything in Plus',
+      'Early access to new features',
+      'Custom badge color',
+      '50GB upload limit',
+      'Ghost mode (browse invisibly)',
+      'Priority support (12h response)',
+      'Exclusive Pro badge'
+    ],
+    popular: false
+  }
+};
+
+// Free trials: one per user, on a recurring subscription that lapses unless a payment method is added
+const TRIAL_DAYS = parseInt(process.env.PREMIUM_TRIAL_DAYS, 10) || 7;
+
+// Gift subscriptions are paid upfront for a number of 30-day months
+const GIFT_MONTHS = [1, 3, 6, 12];
+
+// App Store / Google Play products and what each one unlocks
+const IAP_PRODUCTS = {
+  'com.freetalk.premium_monthly': { tier: 'plus', type: 'subscription' },
+  'com.freetalk.premium_yearly': { tier: 'plus', type: 'subscription' },
+  'com.freetalk.verified_badge': { features: ['verified_badge'], type: 'one_time' },
+  'com.freetalk.ad_free': { features: ['ad_free'], type: 'one_time' }
+};
+
+const isValidTier = (tier) => Object.prototype.hasOwnProperty.call(PREMIUM_TIERS, tier);
+
+// Stripe Price ID for a tier (null when it isn't configured)
+const priceIdForTier = (tier) => (isValidTier(tier) ? process.env[PREMIUM_TIERS[tier].priceEnv] || null : null);
+
+// Tier a Stripe Price ID belongs to
+const tierForPriceId = (priceId) => Object.keys(PREMIUM_TIERS).find(tier => priceId && priceIdForTier(tier) === priceId) || null;
+
+module.exports = {
+  PREMIUM_TIERS,
+  IAP_PRODUCTS,
+  TRIAL_DAYS,
+  GIFT_MONTHS,
+  isValidTier,
+  priceIdForTier,
+  tierForPriceId
+};
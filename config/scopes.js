@@ -0,0 +1,65 @@
+/**
+ * Scopes for delegated credentials (personal access tokens and OAuth apps)
+ *
+ * A scoped credential can only reach the routers listed in ROUTER_SCOPES. Read
+ * requests (GET/HEAD) need `<family>:read`, everything else `<family>:write`.
+ * Routes that need more than that (e.g. club moderation) add requireScope().
+ */
+
+const SCOPES = {
+  'profile:read': 'Read your profile, followers, following and saved posts',
+  'profile:write': 'Update your profile and follow, unfollow or block users',
+  'posts:read': 'Read posts and comments',
+  'posts:write': 'Create, edit and delete posts, comments and reactions',
+  'messages:read': 'Read your conversations and messages',
+  'messages:write': 'Send, react to and delete messages',
+  'stories:read': 'Read stories',
+  'stories:write': 'Post and delete stories',
+  'videos:read': 'Read videos and the music library',
+  'videos:write': 'Upload, edit and delete videos',
+  'photos:read': 'Read photos',
+  'photos:write': 'Upload and delete photos',
+  'clubs:read': 'Read clubs, discussions and members',
+  'clubs:write': 'Join clubs and post in club discussions',
+  'clubs:moderate': 'Moderate clubs you own or moderate (requests, members, settings)',
+  'events:read': 'Read events',
+  'events:write': 'Create events and RSVP',
+  'notifications:read': 'Read your notifications',
+  'notifications:write': 'Mark notifications as read and delete them'
+};
+
+// Scope family for each API router mounted in server.js
+const ROUTER_SCOPES = {
+  '/api/users': 'profile',
+  '/api/posts': 'posts',
+  '/api/messages': 'messages',
+  '/api/stories': 'stories',
+  '/api/videos': 'videos',
+  '/api/music': 'videos',
+  '/api/photos': 'photos',
+  '/api/clubs': 'clubs',
+  '/api/events': 'events',
+  '/api/notifications': 'notifications'
+};
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * The scope a request needs by default
+ * @param {Object} req - Express request
+ * @returns {String|null} - e.g. 'posts:write', or null if scoped credentials can't use this router
+ */
+const scopeForRequest = (req) => {
+  const family = ROUTER_SCOPES[req.baseUrl];
+  if (!family) return null;
+  return `${family}:${READ_METHODS.includes(req.method) ? 'read' : 'write'}`;
+};
+
+const isValidScope = (scope) => Object.prototype.hasOwnProperty.call(SCOPES, scope);
+
+module.exports = {
+  SCOPES,
+  ROUTER_SCOPES,
+  scopeForRequest,
+  isValidScope
+};
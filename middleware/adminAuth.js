@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const twoFactorService = require('../services/twoFactorService');
 
 /**
  * Middleware to verify that the authenticated user has admin privileges
@@ -15,7 +16,7 @@ const requireAdmin = async (req, res, next) => {
     }
 
     // Fetch user from database to check admin status
-    const user = await User.findById(req.user._id).select('isAdmin');
+    const user = await User.findById(req.user._id).select('isAdmin twoFactor.enabled twoFactorRequired');
     
     if (!user) {
       return res.status(404).json({ 
@@ -30,6 +31,14 @@ const requireAdmin = async (req, res, next) => {
       });
     }
 
+    // Admins forced into 2FA must enroll before using admin features
+    if (twoFactorService.isRequiredFor(user) && !user.twoFactor?.enabled) {
+      return res.status(403).json({ 
+        message: 'Two-factor authentication must be enabled to access admin features.',
+        twoFactorSetupRequired: true
+      });
+    }
+
     // User is admin, proceed to next middleware/route handler
     next();
   } catch (error) {
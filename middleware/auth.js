@@ -1,5 +1,49 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const sessionService = require('../services/sessionService');
+const apiTokenService = require('../services/apiTokenService');
+const oauthService = require('../services/oauthService');
+const { scopeForRequest } = require('../config/scopes');
+
+// Verify an access token and load the user it belongs to.
+// Shared by the HTTP middleware and the Socket.IO handshake (middleware/socketAuth.js)
+// so both transports accept exactly the same tokens.
+// Personal access tokens and OAuth access tokens are accepted too; their `decoded.scopes`
+// limits what they can do.
+const verifyAccessToken = async (token, { ip = null } = {}) => {
+  if (apiTokenService.isApiToken(token)) {
+    const apiToken = await apiTokenService.verifyToken(token, { ip });
+    const user = await User.findById(apiToken.user);
+    return {
+      decoded: { userId: apiToken.user.toString(), type: 'api_token', tokenId: apiToken._id, scopes: apiToken.scopes },
+      user
+    };
+  }
+
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  // Tokens issued to third-party apps stop working as soon as the user (or app) revokes the grant
+  if (decoded.type === 'oauth_access') {
+    if (!(await oauthService.isGrantActive(decoded.gid))) {
+      throw new jwt.JsonWebTokenError('Authorization has been revoked');
+    }
+    const user = await User.findById(decoded.userId);
+    return { decoded: { ...decoded, scopes: decoded.scope.split(' ') }, user };
+  }
+
+  // Refresh tokens are signed with the same secret but must not be usable as access tokens
+  if (decoded.type && decoded.type !== 'access') {
+    throw new jwt.JsonWebTokenError('Not an access token');
+  }
+
+  // Access tokens are bound to a device session; revoking the session ends access immediately
+  if (decoded.sid && !(await sessionService.isSessionActive(decoded.sid))) {
+    throw new jwt.JsonWebTokenError('Session has been revoked');
+  }
+
+  const user = await User.findById(decoded.userId);
+  return { decoded, user };
+};
 
 const authenticateToken = async (req, res, next) => {
   try {
@@ -13,11 +57,8 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
-    // Verify the token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    // Find the user (followers/following are included by default)
-    const user = await User.findById(decoded.userId);
+    // Verify the token and find the user (followers/following are included by default)
+    const { decoded, user } = await verifyAccessToken(token, { ip: req.ip });
     if (!user) {
       return res.status(401).json({
         success: false,
@@ -38,8 +79,25 @@ const authenticateToken = async (req, res, next) => {
     // They just can't perform certain actions (create/like/comment)
     // Those actions are blocked by the checkSuspension middleware
 
-    // Add user to request object
+    // Scoped credentials only reach the routers (and methods) their scopes cover
+    if (decoded.scopes) {
+      const requiredScope = scopeForRequest(req);
+      if (!requiredScope || !decoded.scopes.includes(requiredScope)) {
+        return res.status(403).json({
+          success: false,
+          message: requiredScope
+            ? `This token is missing the ${requiredScope} scope`
+            : 'Scoped tokens cannot be used for this endpoint',
+          requiredScope
+        });
+      }
+    }
+
+    // Add user, current device session and token scopes (null = full access) to request object
     req.user = user;
+    req.sessionId = decoded.sid || null;
+    req.tokenScopes = decoded.scopes || null;
+    req.apiTokenId = decoded.tokenId || null;
     next();
 
   } catch (error) {
@@ -73,10 +131,13 @@ const optionalAuth = async (req, res, next) => {
     const token = authHeader && authHeader.split(' ')[1];
 
     if (token) {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user = await User.findById(decoded.userId);
-      if (user) {
+      const { decoded, user } = await verifyAccessToken(token, { ip: req.ip });
+      // A scoped credential without the scope for this route is treated as no credential
+      const requiredScope = decoded.scopes ? scopeForRequest(req) : null;
+      if (user && (!decoded.scopes || (requiredScope && decoded.scopes.includes(requiredScope)))) {
         req.user = user;
+        req.tokenScopes = decoded.scopes || null;
+        req.apiTokenId = decoded.tokenId || null;
       }
     }
     next();
@@ -88,5 +149,6 @@ const optionalAuth = async (req, res, next) => {
 
 module.exports = {
   authenticateToken,
-  optionalAuth
+  optionalAuth,
+  verifyAccessToken
 };
\ No newline at end of file
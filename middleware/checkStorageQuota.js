@@ -0,0 +1,60 @@
+/**
+ * Middleware for uploads that count towards the uploader's storage quota
+ * Must be used after the multer middleware of the route. The files' bytes are reserved
+ * atomically, so parallel uploads can't go past the quota together. Rejected files are
+ * removed from disk; the route records accepted files with storageService.record once the
+ * content is saved, and the reservation of files it doesn't record is given back when the
+ * response ends.
+ */
+
+const storageService = require('../services/storageService');
+const entitlementService = require('../services/entitlementService');
+
+const MB = 1024 * 1024;
+
+const checkStorageQuota = async (req, res, next) => {
+  const files = storageService.getUploadedFiles(req);
+  if (!req.user || files.length === 0) {
+    return next();
+  }
+
+  try {
+    const requestedBytes = files.reduce((sum, file) => sum + (file.size || 0), 0);
+    const entitlements = await entitlementService.getEntitlementsForRequest(req);
+    const reserved = await storageService.reserve(req.user._id, files, entitlementService.getStorageQuota(entitlements));
+
+    if (!reserved) {
+      storageService.discardFiles(files);
+      const storage = await storageService.getStorageForRequest(req);
+      return res.status(413).json({
+        success: false,
+        message: `Storage quota exceeded. Your plan includes ${Math.round(storage.quotaBytes / MB)}MB of storage.`,
+        code: 'STORAGE_QUOTA_EXCEEDED',
+        storage: {
+          usedBytes: storage.usedBytes,
+          quotaBytes: storage.quotaBytes,
+          requestedBytes
+        },
+        // Plans with unlimited_storage have no quota
+        upgradeAvailable: true
+      });
+    }
+
+    // Runs once: released files are no longer marked reserved
+    const releaseUnrecorded = () => storageService.releaseUnrecorded(req.user._id, files)
+      .catch(error => console.error('Release storage reservation error:', error));
+    res.on('finish', releaseUnrecorded);
+    res.on('close', releaseUnrecorded);
+
+    next();
+  } catch (error) {
+    console.error('Storage quota check error:', error);
+    storageService.discardFiles(files);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check storage quota'
+    });
+  }
+};
+
+module.exports = checkStorageQuota;
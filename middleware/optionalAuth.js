@@ -1,5 +1,5 @@
-const jwt = require('jsonwebtoken');
-const User = require('../models/User');
+const { verifyAccessToken } = require('./auth');
+const { scopeForRequest } = require('../config/scopes');
 
 /**
  * Optional authentication middleware
@@ -18,11 +18,14 @@ const optionalAuth = async (req, res, next) => {
     const token = authHeader.replace('Bearer ', '');
     
     try {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user = await User.findById(decoded.userId).select('-password');
+      const { decoded, user } = await verifyAccessToken(token, { ip: req.ip });
+      // A scoped credential without the scope for this route is treated as no credential
+      const requiredScope = decoded.scopes ? scopeForRequest(req) : null;
 
-      if (user) {
+      if (user && (!decoded.scopes || (requiredScope && decoded.scopes.includes(requiredScope)))) {
         req.user = user;
+        req.tokenScopes = decoded.scopes || null;
+        req.apiTokenId = decoded.tokenId || null;
       }
     } catch (err) {
       // Invalid token - continue without user
@@ -0,0 +1,24 @@
+/**
+ * Middleware for paginated lists (see utils/pagination.js for page and cursor modes)
+ * Leaves the parsed parameters on req.pagination for the route handler.
+ * `sort` may be a function of the request for lists the client can sort.
+ */
+
+const { parsePagination } = require('../utils/pagination');
+
+const paginate = (options = {}) => (req, res, next) => {
+  const sort = typeof options.sort === 'function' ? options.sort(req) : options.sort;
+  const pagination = parsePagination(req.query, { ...options, sort });
+
+  if (!pagination) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid cursor'
+    });
+  }
+
+  req.pagination = pagination;
+  next();
+};
+
+module.exports = paginate;
@@ -137,6 +137,19 @@ const passwordResetLimiter = rateLimit({
   skip: (req) => !req.ip,
 });
 
+// Rate limiting for verification / email change emails
+const emailVerificationLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5, // 5 emails per hour
+  message: {
+    success: false,
+    message: 'Too many verification emails requested. Please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  skip: (req) => !req.ip,
+});
+
 module.exports = {
   authLimiter,
   createContentLimiter,
@@ -148,4 +161,5 @@ module.exports = {
   followLimiter,
   profileUpdateLimiter,
   passwordResetLimiter,
+  emailVerificationLimiter,
 };
@@ -0,0 +1,44 @@
+/**
+ * Middleware for premium features (see config/premiumTiers.js for what each tier includes)
+ * Must be used after authenticateToken middleware. The user's entitlements are left on
+ * req.entitlements for the route handler.
+ */
+
+const entitlementService = require('../services/entitlementService');
+const { PREMIUM_TIERS } = require('../config/premiumTiers');
+
+const requireFeature = (feature) => async (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required'
+    });
+  }
+
+  try {
+    const entitlements = await entitlementService.getEntitlementsForRequest(req);
+
+    if (!entitlementService.hasFeature(entitlements, feature)) {
+      const requiredTier = entitlementService.requiredTierFor(feature);
+      return res.status(403).json({
+        success: false,
+        message: requiredTier
+          ? `This feature requires ${PREMIUM_TIERS[requiredTier].name} or higher`
+          : 'This feature is not available on your plan',
+        feature,
+        requiredTier,
+        upgradeRequired: true
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Feature check error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check feature access'
+    });
+  }
+};
+
+module.exports = requireFeature;
@@ -0,0 +1,37 @@
+/**
+ * Middleware for routes that need more than the default scope of their router
+ * (see config/scopes.js). Must be used after authenticateToken middleware.
+ * Requests authenticated with a user session (req.tokenScopes is null) always pass.
+ */
+
+const hasScope = (req, scope) => !req.tokenScopes || req.tokenScopes.includes(scope);
+
+const requireScope = (...scopes) => (req, res, next) => {
+  const missing = scopes.find(scope => !hasScope(req, scope));
+  if (missing) {
+    return res.status(403).json({
+      success: false,
+      message: `This token is missing the ${missing} scope`,
+      requiredScope: missing
+    });
+  }
+  next();
+};
+
+// Account-level actions (deleting the account, exporting data, changing credentials)
+// are never available to API or OAuth app tokens, whatever their scopes
+const requireUserSession = (req, res, next) => {
+  if (req.tokenScopes) {
+    return res.status(403).json({
+      success: false,
+      message: 'This action requires signing in to the app and cannot be done with an API or app token'
+    });
+  }
+  next();
+};
+
+module.exports = {
+  hasScope,
+  requireScope,
+  requireUserSession
+};
@@ -0,0 +1,26 @@
+/**
+ * Middleware to require a verified email for sensitive actions (payments, creating clubs)
+ * Must be used after authenticateToken middleware
+ */
+
+const requireVerifiedEmail = (req, res, next) => {
+  // User should already be authenticated at this point
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required'
+    });
+  }
+
+  if (!req.user.emailVerified) {
+    return res.status(403).json({
+      success: false,
+      message: 'Please verify your email address to continue. Check your inbox or request a new verification link.',
+      emailVerified: false
+    });
+  }
+
+  next();
+};
+
+module.exports = requireVerifiedEmail;
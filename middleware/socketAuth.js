@@ -0,0 +1,141 @@
+const { verifyAccessToken } = require('./auth');
+
+/**
+ * Socket.IO authentication
+ *
+ * Clients must pass the same access token used for the REST API when connecting:
+ *   io(url, { auth: { token: accessToken } })
+ * (an `Authorization: Bearer <token>` header or `?token=` query param also work).
+ *
+ * Handshake failures reach the client as `connect_error` with `err.data = { code, message }`.
+ * Failures on an already-open socket are sent as an `auth_error` event with the same shape.
+ */
+
+// How long a socket may stay connected after its token expires before it is dropped.
+// Gives the client time to refresh and re-send `authenticate` with the new token.
+const EXPIRY_GRACE_MS = 30 * 1000;
+
+const AUTH_ERRORS = {
+  AUTH_REQUIRED: 'Access token is required',
+  INVALID_TOKEN: 'Invalid token',
+  TOKEN_EXPIRED: 'Token expired',
+  USER_NOT_FOUND: 'Invalid token - user not found',
+  USER_BANNED: 'Your account has been permanently banned. Please contact support.',
+  USER_MISMATCH: 'Token does not belong to this user',
+  API_TOKEN_NOT_ALLOWED: 'API and app tokens cannot be used for real-time connections',
+  AUTH_FAILED: 'Token verification failed'
+};
+
+const authError = (code) => ({ code, message: AUTH_ERRORS[code] });
+
+// Read the token from the handshake (auth payload, Authorization header or query string)
+const extractToken = (handshake) => {
+  const raw = handshake.auth?.token
+    || handshake.headers?.authorization
+    || handshake.query?.token;
+
+  if (!raw || typeof raw !== 'string') return null;
+  return raw.startsWith('Bearer ') ? raw.slice(7) : raw;
+};
+
+/**
+ * Verify a token for a socket.
+ * Resolves to { user, decoded } on success or { error: { code, message } } on failure.
+ */
+const verifySocketToken = async (token) => {
+  if (!token) return { error: authError('AUTH_REQUIRED') };
+
+  try {
+    const { decoded, user } = await verifyAccessToken(token);
+
+    // Scoped credentials (personal access tokens, OAuth app tokens) are REST-only
+    if (decoded.scopes) return { error: authError('API_TOKEN_NOT_ALLOWED') };
+    if (!user) return { error: authError('USER_NOT_FOUND') };
+    if (user.isBanned) return { error: authError('USER_BANNED') };
+
+    return { decoded, user };
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') return { error: authError('TOKEN_EXPIRED') };
+    if (error.name === 'JsonWebTokenError') return { error: authError('INVALID_TOKEN') };
+
+    console.error('Socket auth error:', error);
+    return { error: authError('AUTH_FAILED') };
+  }
+};
+
+const clearExpiryTimers = (socket) => {
+  clearTimeout(socket.data.expiryTimer);
+  clearTimeout(socket.data.graceTimer);
+  socket.data.expiryTimer = null;
+  socket.data.graceTimer = null;
+};
+
+/**
+ * Schedule the token expiry check for a socket.
+ * When the token expires the client gets `auth_error` (TOKEN_EXPIRED) and is
+ * disconnected unless it re-authenticates with a fresh token within the grace period.
+ */
+const scheduleExpiryCheck = (socket, decoded) => {
+  clearExpiryTimers(socket);
+  if (!decoded.exp) return;
+
+  const msUntilExpiry = Math.max(decoded.exp * 1000 - Date.now(), 0);
+
+  socket.data.expiryTimer = setTimeout(() => {
+    socket.emit('auth_error', authError('TOKEN_EXPIRED'));
+    socket.data.graceTimer = setTimeout(() => {
+      console.log(`🔐 Disconnecting socket ${socket.id}: token expired`);
+      socket.disconnect(true);
+    }, EXPIRY_GRACE_MS);
+  }, msUntilExpiry);
+};
+
+/**
+ * Re-verify an open socket with a new token (sent with the `authenticate` event).
+ * The token must belong to the user the socket was opened for.
+ * Returns true when the socket is still authenticated.
+ */
+const reauthenticateSocket = async (socket, token) => {
+  const { decoded, user, error } = await verifySocketToken(token);
+
+  if (error) {
+    socket.emit('auth_error', error);
+    if (error.code === 'USER_BANNED') socket.disconnect(true);
+    return false;
+  }
+
+  if (user._id.toString() !== socket.userId) {
+    socket.emit('auth_error', authError('USER_MISMATCH'));
+    return false;
+  }
+
+  socket.data.user = user;
+  scheduleExpiryCheck(socket, decoded);
+  return true;
+};
+
+// Connection middleware: io.use(socketAuth)
+const socketAuth = async (socket, next) => {
+  const { decoded, user, error } = await verifySocketToken(extractToken(socket.handshake));
+
+  if (error) {
+    console.log(`🔐 Socket ${socket.id} rejected: ${error.code}`);
+    const err = new Error(error.message);
+    err.data = error;
+    return next(err);
+  }
+
+  socket.userId = user._id.toString();
+  socket.data.user = user;
+  socket.data.sessionId = decoded.sid || null;
+  scheduleExpiryCheck(socket, decoded);
+  socket.on('disconnect', () => clearExpiryTimers(socket));
+
+  next();
+};
+
+module.exports = {
+  socketAuth,
+  reauthenticateSocket,
+  authError
+};
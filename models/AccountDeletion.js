@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+
+// Account deletion request and, once processed, the audit record of what was removed.
+// The record outlives the user, so it keeps the user ID and a hash of the email
+// rather than a reference that can be populated or any readable personal data.
+const accountDeletionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // SHA-256 of the email at request time (lets support answer "was this account deleted?")
+  emailHash: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['scheduled', 'cancelled', 'processing', 'completed', 'failed'],
+    default: 'scheduled'
+  },
+  requestedBy: {
+    type: String,
+    enum: ['user', 'admin'],
+    default: 'user'
+  },
+  // Admin who requested the deletion (when requestedBy is 'admin')
+  requestedByAdmin: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reason: {
+    type: String,
+    maxlength: 500,
+    default: null
+  },
+  requestedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // End of the grace period; the deletion can be cancelled until then
+  scheduledFor: {
+    type: Date,
+    required: true
+  },
+  cancelledAt: {
+    type: Date,
+    default: null
+  },
+  // Cleanup steps that have finished, with how many records/files each touched.
+  // A crashed run resumes from the first step not listed here.
+  completedSteps: [{
+    name: {
+      type: String,
+      required: true
+    },
+    counts: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    },
+    completedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // Set while a worker is running the deletion; a stale value means the worker died
+  processingStartedAt: {
+    type: Date,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Instance method to check if a step already ran
+accountDeletionSchema.methods.hasCompletedStep = function(name) {
+  return this.completedSteps.some(step => step.name === name);
+};
+
+// Static method to get the open (scheduled or in-progress) deletion for a user
+accountDeletionSchema.statics.findOpenForUser = function(userId) {
+  return this.findOne({ userId, status: { $in: ['scheduled', 'processing', 'failed'] } });
+};
+
+// ==================== INDEXES FOR PERFORMANCE ====================
+// Index for the worker picking up due deletions
+accountDeletionSchema.index({ status: 1, scheduledFor: 1 });
+
+// Index for looking up a user's deletion
+accountDeletionSchema.index({ userId: 1, createdAt: -1 });
+
+// Index for support lookups by email
+accountDeletionSchema.index({ emailHash: 1 });
+
+module.exports = mongoose.model('AccountDeletion', accountDeletionSchema);
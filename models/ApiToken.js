@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+// Personal access token: a named, scoped, expiring credential for bots and integrations.
+// Only a hash of the token is stored; the token itself is shown once when it is created.
+const apiTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  // SHA-256 of the full token
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // First characters of the token, so users can tell their tokens apart
+  tokenPrefix: {
+    type: String,
+    required: true
+  },
+  scopes: [{
+    type: String
+  }],
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedIp: {
+    type: String,
+    default: null
+  },
+  // Admin who created the token (for bot accounts), null when the user created it
+  createdByAdmin: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.tokenHash;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Instance method to check if the token can still be used
+apiTokenSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// ==================== INDEXES FOR PERFORMANCE ====================
+// Token lookup on every API request
+apiTokenSchema.index({ tokenHash: 1 }, { unique: true });
+
+// Remove tokens 30 days after they expire
+apiTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 2592000 });
+
+module.exports = mongoose.model('ApiToken', apiTokenSchema);
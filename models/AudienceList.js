@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// A user's own list of people to share posts with, such as "Close friends". Posts with
+// visibility 'custom' point at one of their author's lists; membership is checked when
+// the post is read, so people added to or removed from the list later see it accordingly
+// (services/audienceService.js).
+const audienceListSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 50
+  },
+  members: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }]
+}, {
+  timestamps: true
+});
+
+// ==================== INDEXES FOR PERFORMANCE ====================
+// Index for a user's lists (names are unique per owner)
+audienceListSchema.index({ owner: 1, name: 1 }, { unique: true });
+
+// Index for the lists a viewer belongs to
+audienceListSchema.index({ members: 1 });
+
+module.exports = mongoose.model('AudienceList', audienceListSchema);
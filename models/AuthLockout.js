@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+// Failed credential attempts (PIN, password, security answer) and lockout state.
+// Tracked twice per attempt: once for the account that was targeted and once for the
+// identifier that was typed (email), so attempts against non-existent accounts and
+// attacks spread over many IPs are still counted. Second-factor codes (TOTP, backup codes)
+// have their own two_factor record per account, which a correct PIN doesn't reset.
+const authLockoutSchema = new mongoose.Schema({
+  scope: {
+    type: String,
+    enum: ['account', 'identifier', 'two_factor'],
+    required: true
+  },
+  // User ID for account and two_factor scope, normalized email for identifier scope
+  key: {
+    type: String,
+    required: true
+  },
+  // Account the attempts were made against (if it exists)
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Failures since the last successful attempt or lockout
+  failedCount: {
+    type: Number,
+    default: 0
+  },
+  // Number of lockouts in the current escalation window (drives the lock duration)
+  lockCount: {
+    type: Number,
+    default: 0
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  lastLockedAt: {
+    type: Date,
+    default: null
+  },
+  lastFailedAt: {
+    type: Date,
+    default: null
+  },
+  lastEndpoint: {
+    type: String,
+    default: null
+  },
+  // Most recent distinct IPs that failed (capped), to spot distributed attempts
+  recentIps: [{
+    type: String
+  }],
+  clearedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  clearedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Instance method to check if the lockout is currently in force
+authLockoutSchema.methods.isLocked = function() {
+  return !!this.lockedUntil && this.lockedUntil > new Date();
+};
+
+// ==================== INDEXES FOR PERFORMANCE ====================
+// One record per scope/key
+authLockoutSchema.index({ scope: 1, key: 1 }, { unique: true });
+
+// Index for the admin list of active lockouts
+authLockoutSchema.index({ lockedUntil: -1 });
+
+// Index for clearing a user's lockouts
+authLockoutSchema.index({ user: 1 });
+
+// Forget attempt history 30 days after the last failure
+authLockoutSchema.index({ lastFailedAt: 1 }, { expireAfterSeconds: 2592000 });
+
+module.exports = mongoose.model('AuthLockout', authLockoutSchema);
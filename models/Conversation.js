@@ -56,6 +56,11 @@ const conversationSchema = new mongoose.Schema({
   deletedBy: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
+  }],
+  // Participants who turned read receipts off for this conversation only
+  readReceiptsOffFor: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
   }]
 }, {
   timestamps: true
@@ -195,6 +200,9 @@ conversationSchema.methods.incrementUnreadForAll = function(senderId) {
 // Primary index for finding user conversations
 conversationSchema.index({ participants: 1, lastMessageAt: -1 });
 
+// Index for cursor pagination of a user's conversations
+conversationSchema.index({ participants: 1, lastMessageAt: -1, _id: -1 });
+
 // Index for finding conversations by last message time
 conversationSchema.index({ lastMessageAt: -1 });
 
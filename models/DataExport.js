@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+// A personal data export requested by a user. The ZIP archive is built in the
+// background by DataExportService and removed from disk when the export expires.
+const dataExportSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'ready', 'failed', 'expired'],
+    default: 'pending'
+  },
+  // Location of the archive on disk (never sent to clients)
+  filePath: {
+    type: String,
+    default: null,
+    select: false
+  },
+  fileSize: {
+    type: Number,
+    default: null
+  },
+  // Number of records per section and media files included, for the user and support
+  counts: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  processingStartedAt: {
+    type: Date,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  // The archive and its download link stop working after this
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  downloadCount: {
+    type: Number,
+    default: 0
+  },
+  lastDownloadedAt: {
+    type: Date,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Instance method to check if the archive can be downloaded
+dataExportSchema.methods.isDownloadable = function() {
+  return this.status === 'ready' && !!this.expiresAt && this.expiresAt > new Date();
+};
+
+// ==================== INDEXES FOR PERFORMANCE ====================
+// Index for a user's export history
+dataExportSchema.index({ user: 1, createdAt: -1 });
+
+// Index for the worker picking up pending exports and expiring old ones
+dataExportSchema.index({ status: 1, expiresAt: 1 });
+
+module.exports = mongoose.model('DataExport', dataExportSchema);
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+// Premium access granted outside Stripe: verified app store purchases, gifts, free
+// promo code payments and grants made by admins. Stripe access comes from Subscription and the user's premium fields;
+// services/entitlementService.js combines all of them.
+const entitlementGrantSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  source: {
+    type: String,
+    enum: ['iap', 'admin', 'gift', 'promo'],
+    required: true
+  },
+  // A whole tier, or just the listed features (e.g. an ad-free store purchase)
+  tier: {
+    type: String,
+    enum: ['basic', 'plus', 'pro', null],
+    default: null
+  },
+  features: [{
+    type: String
+  }],
+  // Store transaction ID (iap) so re-verifying a purchase updates the same grant,
+  // or the Redemption a gift / promo grant comes from
+  reference: {
+    type: String,
+    default: null
+  },
+  productId: {
+    type: String,
+    default: null
+  },
+  note: {
+    type: String,
+    maxlength: 500,
+    default: null
+  },
+  grantedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // null = does not expire
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Method to check if the grant currently gives access
+entitlementGrantSchema.methods.isActive = function(now = new Date()) {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > now);
+};
+
+// Static method to get a user's grants that currently give access
+entitlementGrantSchema.statics.findActiveForUser = function(userId, now = new Date()) {
+  return this.find({
+    user: userId,
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+  });
+};
+
+// ==================== INDEXES FOR PERFORMANCE ====================
+// Index for the active grant lookup on every feature check
+entitlementGrantSchema.index({ user: 1, revokedAt: 1, expiresAt: 1 });
+
+// One grant per store transaction
+entitlementGrantSchema.index({ source: 1, reference: 1 }, { unique: true, partialFilterExpression: { reference: { $type: 'string' } } });
+
+module.exports = mongoose.model('EntitlementGrant', entitlementGrantSchema);
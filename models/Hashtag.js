@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// A hashtag used in public posts, comments or club discussions, with running totals.
+// Usage over time is kept per hour in HashtagUsage for trending (services/hashtagService.js);
+// people who follow the tag keep it in User.followedHashtags.
+const hashtagSchema = new mongoose.Schema({
+  // Lowercase, without the "#"
+  tag: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    maxlength: 50
+  },
+  postUses: {
+    type: Number,
+    default: 0
+  },
+  commentUses: {
+    type: Number,
+    default: 0
+  },
+  discussionUses: {
+    type: Number,
+    default: 0
+  },
+  totalUses: {
+    type: Number,
+    default: 0
+  },
+  followersCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Unset until first used (a tag can be followed before anyone uses it)
+  firstUsedAt: {
+    type: Date
+  },
+  lastUsedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// ==================== INDEXES FOR PERFORMANCE ====================
+// Index for the most used tags
+hashtagSchema.index({ totalUses: -1 });
+
+module.exports = mongoose.model('Hashtag', hashtagSchema);
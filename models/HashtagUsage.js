@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// How often a hashtag was used in one hour, and by whom; trending compares these across
+// time windows (services/hashtagService.js). Old hours expire on their own.
+const hashtagUsageSchema = new mongoose.Schema({
+  tag: {
+    type: String,
+    required: true
+  },
+  // Start of the hour
+  bucket: {
+    type: Date,
+    required: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  // Distinct users, so one account repeating a tag doesn't make it trend
+  users: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }]
+});
+
+// ==================== INDEXES FOR PERFORMANCE ====================
+// One document per tag and hour
+hashtagUsageSchema.index({ tag: 1, bucket: 1 }, { unique: true });
+
+// Index for trending over recent hours; hours older than 30 days are removed
+hashtagUsageSchema.index({ bucket: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('HashtagUsage', hashtagUsageSchema);
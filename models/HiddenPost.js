@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// Posts a user hid from their home feed. Hidden posts are left out of the feed, and
+// hiding an author's posts ranks their other posts lower (services/feedService.js).
+const hiddenPostSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  // Kept so the author penalty doesn't need the post
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// ==================== INDEXES FOR PERFORMANCE ====================
+hiddenPostSchema.index({ user: 1, post: 1 }, { unique: true });
+
+// Hiding is a feed signal, not a permanent filter: it fades after 90 days
+hiddenPostSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('HiddenPost', hiddenPostSchema);
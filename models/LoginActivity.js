@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+
+// One entry per sign-in attempt (successful or not), shown to the user as their
+// login history and used to spot sign-ins from devices the account hasn't used before.
+const loginActivitySchema = new mongoose.Schema({
+  // Account the attempt was for; null when the email doesn't match any account
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Email the attempt was made with (lowercased), if any
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: null
+  },
+  method: {
+    type: String,
+    enum: ['pin', 'password', 'google', 'facebook', 'apple'],
+    required: true
+  },
+  success: {
+    type: Boolean,
+    required: true
+  },
+  failureReason: {
+    type: String,
+    enum: [
+      'unknown_account',
+      'invalid_credentials',
+      'invalid_two_factor',
+      'invalid_social_token',
+      'locked_out',
+      'banned',
+      null
+    ],
+    default: null
+  },
+  ipAddress: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    maxlength: 500,
+    default: null
+  },
+  deviceName: {
+    type: String,
+    maxlength: 100,
+    default: null
+  },
+  platform: {
+    type: String,
+    maxlength: 50,
+    default: null
+  },
+  // SHA-256 of the client's deviceId (or its user agent when it doesn't send one)
+  deviceKey: {
+    type: String,
+    default: null
+  },
+  // Coarse location from the IP address (offline lookup, no precise coordinates)
+  location: {
+    country: { type: String, default: null },
+    region: { type: String, default: null },
+    city: { type: String, default: null },
+    timezone: { type: String, default: null }
+  },
+  // First successful sign-in from this device (a security alert was sent)
+  isNewDevice: {
+    type: Boolean,
+    default: false
+  },
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Static method to check whether a user has signed in from a device before
+loginActivitySchema.statics.hasSeenDevice = async function(userId, deviceKey) {
+  const seen = await this.exists({ user: userId, deviceKey, success: true });
+  return !!seen;
+};
+
+// ==================== INDEXES FOR PERFORMANCE ====================
+// Index for a user's login history, newest first
+loginActivitySchema.index({ user: 1, createdAt: -1 });
+
+// Index for the known-device check
+loginActivitySchema.index({ user: 1, deviceKey: 1, success: 1 });
+
+// Keep login history for 180 days
+loginActivitySchema.index({ createdAt: 1 }, { expireAfterSeconds: 15552000 });
+
+module.exports = mongoose.model('LoginActivity', loginActivitySchema);
@@ -97,6 +97,22 @@ const messageSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   }],
+  // When the sender last edited the message (null if never)
+  editedAt: {
+    type: Date,
+    default: null
+  },
+  // Earlier versions of the content, oldest first; editedAt is when each was replaced
+  editHistory: [{
+    content: {
+      type: String,
+      default: ''
+    },
+    editedAt: {
+      type: Date,
+      required: true
+    }
+  }],
   reactions: [{
     user: {
       type: mongoose.Schema.Types.ObjectId,
@@ -120,6 +136,9 @@ const messageSchema = new mongoose.Schema({
 // Primary index for fetching messages in a conversation
 messageSchema.index({ conversation: 1, createdAt: -1 });
 
+// Index for cursor pagination of a conversation (createdAt ties broken by _id)
+messageSchema.index({ conversation: 1, createdAt: -1, _id: -1 });
+
 // Index for sender-recipient queries
 messageSchema.index({ sender: 1, recipient: 1, createdAt: -1 });
 
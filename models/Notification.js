@@ -16,7 +16,7 @@ const notificationSchema = new mongoose.Schema({
   // Type of notification
   type: {
     type: String,
-    enum: ['reaction', 'comment', 'reply', 'post_mention', 'follow', 'message', 'story', 'message_reaction', 'story_reaction', 'post_share', 'tag', 'poke', 'report_update', 'moderation_action', 'video_like', 'video_comment', 'video_tag', 'event_invite', 'event_rsvp', 'event_checkin', 'birthday_reminder', 'memory_reminder', 'crisis_alert', 'crisis_help_offered', 'crisis_resolved', 'crisis_update', 'safety_check', 'club_join_request', 'club_request_approved', 'club_request_rejected', 'club_invite', 'club_removed', 'club_role_updated', 'club_new_discussion', 'club_new_file', 'club_member_joined', 'club_discussion_tag', 'club_discussion_comment'],
+    enum: ['reaction', 'comment', 'reply', 'post_mention', 'follow', 'message', 'story', 'message_reaction', 'story_reaction', 'post_share', 'tag', 'poke', 'report_update', 'moderation_action', 'video_like', 'video_comment', 'video_tag', 'event_invite', 'event_rsvp', 'event_checkin', 'birthday_reminder', 'memory_reminder', 'crisis_alert', 'crisis_help_offered', 'crisis_resolved', 'crisis_update', 'safety_check', 'club_join_request', 'club_request_approved', 'club_request_rejected', 'club_invite', 'club_removed', 'club_role_updated', 'club_new_discussion', 'club_new_file', 'club_member_joined', 'club_discussion_tag', 'club_discussion_comment', 'security_alert', 'data_export_ready', 'subscription_payment_failed', 'subscription_payment_recovered', 'subscription_ended', 'subscription_trial_ending', 'premium_gift', 'scheduled_post_failed'],
     required: true
   },
   // Related post (if applicable)
@@ -165,6 +165,9 @@ notificationSchema.methods.markAsRead = async function() {
 // Primary index for fetching user notifications
 notificationSchema.index({ recipient: 1, createdAt: -1 });
 
+// Index for cursor pagination of a user's notifications (createdAt ties broken by _id)
+notificationSchema.index({ recipient: 1, createdAt: -1, _id: -1 });
+
 // Index for unread notifications (most common query)
 notificationSchema.index({ recipient: 1, isRead: 1, createdAt: -1 });
 
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// Short-lived, single-use authorization code issued after the user consents (OAuth2 + PKCE)
+const oauthAuthorizationCodeSchema = new mongoose.Schema({
+  // SHA-256 of the code handed to the client
+  codeHash: {
+    type: String,
+    required: true
+  },
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'OAuthClient',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  redirectUri: {
+    type: String,
+    required: true
+  },
+  scopes: [{
+    type: String
+  }],
+  // PKCE (RFC 7636); only S256 is accepted
+  codeChallenge: {
+    type: String,
+    required: true
+  },
+  codeChallengeMethod: {
+    type: String,
+    enum: ['S256'],
+    default: 'S256'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  },
+  // Grant created when the code was exchanged (revoked if the code is replayed)
+  grant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'OAuthGrant',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// ==================== INDEXES FOR PERFORMANCE ====================
+// Code lookup at the token endpoint
+oauthAuthorizationCodeSchema.index({ codeHash: 1 }, { unique: true });
+
+// Remove codes an hour after they expire (kept briefly to detect replays)
+oauthAuthorizationCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 3600 });
+
+module.exports = mongoose.model('OAuthAuthorizationCode', oauthAuthorizationCodeSchema);
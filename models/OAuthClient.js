@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+// Third-party application registered to use "Sign in with FreeTalk" (OAuth2)
+const oauthClientSchema = new mongoose.Schema({
+  // Public identifier sent in authorization and token requests
+  clientId: {
+    type: String,
+    required: true
+  },
+  // SHA-256 of the client secret; null for public clients (mobile/SPA apps that rely on PKCE only)
+  clientSecretHash: {
+    type: String,
+    default: null,
+    select: false
+  },
+  isConfidential: {
+    type: Boolean,
+    default: false
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: ''
+  },
+  websiteUrl: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  logoUrl: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  // Exact redirect URIs the client may use
+  redirectUris: [{
+    type: String,
+    trim: true
+  }],
+  // Scopes the client may ask users for
+  allowedScopes: [{
+    type: String
+  }],
+  // User who registered the client
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  disabledAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.clientSecretHash;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Instance method to check a redirect URI against the registered ones (exact match only)
+oauthClientSchema.methods.hasRedirectUri = function(redirectUri) {
+  return this.redirectUris.includes(redirectUri);
+};
+
+// ==================== INDEXES FOR PERFORMANCE ====================
+// Client lookup on every OAuth request
+oauthClientSchema.index({ clientId: 1 }, { unique: true });
+
+// Index for a user's registered clients
+oauthClientSchema.index({ owner: 1, createdAt: -1 });
+
+module.exports = mongoose.model('OAuthClient', oauthClientSchema);
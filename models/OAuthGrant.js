@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+// Access a user has granted to an OAuth client. The grant is also the refresh token
+// "family": every refresh replaces refreshTokenHash, and presenting an older refresh
+// token revokes the grant (same reuse detection as device sessions).
+const oauthGrantSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'OAuthClient',
+    required: true
+  },
+  scopes: [{
+    type: String
+  }],
+  // SHA-256 of the only refresh token currently valid for this grant
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  rotationCount: {
+    type: Number,
+    default: 0
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Refresh token expiry; extended on every refresh
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['revoked_by_user', 'revoked_by_client', 'token_reuse', 'code_reuse', 'client_deleted', 'account_deletion', null],
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Instance method to check if the grant can still be used
+oauthGrantSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// ==================== INDEXES FOR PERFORMANCE ====================
+// Refresh token lookup
+oauthGrantSchema.index({ refreshTokenHash: 1 });
+
+// Index for a user's authorized apps
+oauthGrantSchema.index({ user: 1, client: 1, revokedAt: 1 });
+
+// Remove grants 30 days after they expire
+oauthGrantSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 2592000 });
+
+module.exports = mongoose.model('OAuthGrant', oauthGrantSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { extractHashtags } = require('../utils/hashtags');
 
 const postSchema = new mongoose.Schema({
   content: {
@@ -64,6 +65,11 @@ const postSchema = new mongoose.Schema({
       trim: true,
       default: null
     },
+    // Set when the comment is edited; earlier versions are Revision documents
+    editedAt: {
+      type: Date,
+      default: null
+    },
     taggedUsers: [{
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
@@ -100,6 +106,10 @@ const postSchema = new mongoose.Schema({
         trim: true,
         maxlength: [1000, 'Reply cannot exceed 1000 characters']
       },
+      editedAt: {
+        type: Date,
+        default: null
+      },
       taggedUsers: [{
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User'
@@ -136,6 +146,10 @@ const postSchema = new mongoose.Schema({
           trim: true,
           maxlength: [1000, 'Nested reply cannot exceed 1000 characters']
         },
+        editedAt: {
+          type: Date,
+          default: null
+        },
         taggedUsers: [{
           type: mongoose.Schema.Types.ObjectId,
           ref: 'User'
@@ -155,11 +169,18 @@ const postSchema = new mongoose.Schema({
       default: Date.now
     }
   }],
+  // friends: mutual follows; custom: members of the author's audience list below
+  // (see services/audienceService.js)
   visibility: {
     type: String,
-    enum: ['public', 'friends', 'private'],
+    enum: ['public', 'friends', 'private', 'custom'],
     default: 'public'
   },
+  audience: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AudienceList',
+    default: null
+  },
   shares: [{
     user: {
       type: mongoose.Schema.Types.ObjectId,
@@ -194,6 +215,11 @@ const postSchema = new mongoose.Schema({
   taggedUsers: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
+  }],
+  // Hashtags in the content or reshare caption, lowercase without the "#" (set on save)
+  hashtags: [{
+    type: String,
+    lowercase: true
   }]
 }, {
   timestamps: true,
@@ -222,6 +248,14 @@ postSchema.pre('validate', function(next) {
   next();
 });
 
+// Pre-save hook to extract hashtags from the text
+postSchema.pre('save', function(next) {
+  if (this.isNew || this.isModified('content') || this.isModified('reshareCaption')) {
+    this.hashtags = extractHashtags([this.content, this.reshareCaption].filter(Boolean).join('\n'));
+  }
+  next();
+});
+
 // Virtual for reactions count
 postSchema.virtual('reactionsCount').get(function() {
   return this.reactions ? this.reactions.length : 0;
@@ -306,6 +340,9 @@ postSchema.index({ visibility: 1, author: 1, createdAt: -1 });
 // Index for searching posts by content
 postSchema.index({ content: 'text' });
 
+// Index for hashtag feeds
+postSchema.index({ hashtags: 1, createdAt: -1 });
+
 // Index for finding reshared posts
 postSchema.index({ isReshare: 1, originalPost: 1 });
 
@@ -315,4 +352,7 @@ postSchema.index({ createdAt: -1, _id: -1 });
 // Index for finding posts with specific media types
 postSchema.index({ mediaType: 1, createdAt: -1 });
 
+// Index for posts shared with a custom audience list
+postSchema.index({ audience: 1, createdAt: -1 }, { partialFilterExpression: { audience: { $type: 'objectId' } } });
+
 module.exports = mongoose.model('Post', postSchema);
\ No newline at end of file
@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+
+// Discount codes managed by admins (routes/admin.js). Codes apply to one-off premium
+// payments and to the first invoice of a subscription; every use is a Redemption.
+const promoCodeSchema = new mongoose.Schema({
+  // Stored upper case; users may type it in any case
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9_-]{3,32}$/, 'Codes are 3-32 letters, digits, dashes or underscores']
+  },
+  description: {
+    type: String,
+    maxlength: 200,
+    default: null
+  },
+  discountType: {
+    type: String,
+    enum: ['percent', 'fixed'],
+    required: true
+  },
+  // Percent (1-100) or cents off
+  discountValue: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Tiers the code can be used for (empty = all)
+  tiers: [{
+    type: String,
+    enum: ['basic', 'plus', 'pro']
+  }],
+  // null = unlimited
+  maxRedemptions: {
+    type: Number,
+    default: null,
+    min: 1
+  },
+  maxRedemptionsPerUser: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  // Completed redemptions plus those reserved by checkouts in progress
+  redemptionCount: {
+    type: Number,
+    default: 0
+  },
+  startsAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Stripe coupon used when the code is applied to a subscription (created on first use)
+  stripeCouponId: {
+    type: String,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Method to check if the code can be used right now (caps per user are checked against redemptions)
+promoCodeSchema.methods.isRedeemable = function(now = new Date()) {
+  return this.isActive
+    && (!this.startsAt || this.startsAt <= now)
+    && (!this.expiresAt || this.expiresAt > now)
+    && (this.maxRedemptions === null || this.redemptionCount < this.maxRedemptions);
+};
+
+// Method to check if the code can be used for a tier
+promoCodeSchema.methods.appliesToTier = function(tier) {
+  return this.tiers.length === 0 || this.tiers.includes(tier);
+};
+
+// Method to get the discounted price (cents)
+promoCodeSchema.methods.applyTo = function(amount) {
+  const discount = this.discountType === 'percent'
+    ? Math.round(amount * Math.min(this.discountValue, 100) / 100)
+    : Math.min(this.discountValue, amount);
+  return { discountAmount: discount, amount: amount - discount };
+};
+
+// ==================== INDEXES FOR PERFORMANCE ====================
+// Index for the admin list
+promoCodeSchema.index({ isActive: 1, createdAt: -1 });
+
+module.exports = mongoose.model('PromoCode', promoCodeSchema);
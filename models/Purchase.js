@@ -0,0 +1,134 @@
+const mongoose = require('mongoose');
+
+// Every premium transaction from every store: Stripe one-off payments and subscription
+// invoices, App Store and Google Play purchases and renewals. Refunds and chargebacks
+// are recorded on the purchase they reverse. Access itself comes from the user's
+// premium fields, Subscription and EntitlementGrant (see services/entitlementService.js);
+// services/purchaseService.js keeps this ledger and takes access away on reversals.
+const purchaseSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  store: {
+    type: String,
+    enum: ['stripe', 'app_store', 'play_store'],
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['one_time', 'subscription'],
+    required: true
+  },
+  // Store product ID, or the tier for Stripe
+  productId: {
+    type: String,
+    default: null
+  },
+  tier: {
+    type: String,
+    enum: ['basic', 'plus', 'pro', null],
+    default: null
+  },
+  features: [{
+    type: String
+  }],
+  // Payment intent or invoice ID (Stripe), transaction ID (App Store), order ID (Google Play)
+  transactionId: {
+    type: String,
+    required: true
+  },
+  // Groups a subscription's renewals: Stripe subscription ID, App Store original
+  // transaction ID or Google Play purchase token
+  originalTransactionId: {
+    type: String,
+    default: null
+  },
+  // Stripe payment intent, to match refunds and disputes
+  paymentIntentId: {
+    type: String,
+    default: null
+  },
+  amount: {
+    type: Number,
+    default: null
+  },
+  currency: {
+    type: String,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['completed', 'failed', 'refunded', 'chargeback', 'revoked'],
+    default: 'completed'
+  },
+  purchasedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // End of the period this transaction paid for (null = does not expire)
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  // Refund, chargeback or revocation
+  reversedAt: {
+    type: Date,
+    default: null
+  },
+  reversalReason: {
+    type: String,
+    default: null
+  },
+  refundedAmount: {
+    type: Number,
+    default: null
+  },
+  disputeId: {
+    type: String,
+    default: null
+  },
+  disputeStatus: {
+    type: String,
+    default: null
+  },
+  // App store / admin grant giving the access (null for Stripe)
+  grant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EntitlementGrant',
+    default: null
+  },
+  environment: {
+    type: String,
+    enum: ['production', 'sandbox'],
+    default: 'production'
+  }
+}, {
+  timestamps: true
+});
+
+// Method to check if the purchase was reversed (refund, chargeback or revocation)
+purchaseSchema.methods.isReversed = function() {
+  return ['refunded', 'chargeback', 'revoked'].includes(this.status);
+};
+
+// Static method to get the latest transaction of a subscription
+purchaseSchema.statics.findLatestForOriginal = function(store, originalTransactionId) {
+  return this.findOne({ store, originalTransactionId }).sort({ purchasedAt: -1 });
+};
+
+// ==================== INDEXES FOR PERFORMANCE ====================
+// One purchase per store transaction (webhooks and notifications are delivered at least once)
+purchaseSchema.index({ store: 1, transactionId: 1 }, { unique: true });
+
+// Index for a user's purchase history
+purchaseSchema.index({ user: 1, purchasedAt: -1 });
+
+// Index for finding a subscription's transactions from store notifications
+purchaseSchema.index({ store: 1, originalTransactionId: 1, purchasedAt: -1 });
+
+// Index for matching Stripe refunds and disputes
+purchaseSchema.index({ paymentIntentId: 1 }, { partialFilterExpression: { paymentIntentId: { $type: 'string' } } });
+
+module.exports = mongoose.model('Purchase', purchaseSchema);
@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+
+// Audit trail of every promotional redemption: promo codes used on payments and
+// subscriptions, free trials and gift subscriptions. Admins read it through
+// routes/admin.js; services/promotionService.js writes it.
+const redemptionSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: ['promo_code', 'trial', 'gift'],
+    required: true
+  },
+  // Who redeemed the code, started the trial or paid for the gift
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Gift recipient
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  promoCode: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PromoCode',
+    default: null
+  },
+  // The code as it was when redeemed
+  code: {
+    type: String,
+    default: null
+  },
+  tier: {
+    type: String,
+    enum: ['basic', 'plus', 'pro'],
+    required: true
+  },
+  // Length of the trial or gift
+  durationDays: {
+    type: Number,
+    default: null
+  },
+  // Prices in cents, like PREMIUM_TIERS
+  originalAmount: {
+    type: Number,
+    default: null
+  },
+  discountAmount: {
+    type: Number,
+    default: 0
+  },
+  amount: {
+    type: Number,
+    default: null
+  },
+  currency: {
+    type: String,
+    default: 'usd'
+  },
+  paymentIntentId: {
+    type: String,
+    default: null
+  },
+  stripeSubscriptionId: {
+    type: String,
+    default: null
+  },
+  // Grant giving the gift (or a free promo payment) to its recipient
+  grant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EntitlementGrant',
+    default: null
+  },
+  // Note from the gift's sender
+  message: {
+    type: String,
+    maxlength: 300,
+    default: null
+  },
+  // pending: waiting for payment (or a trial whose subscription is being created);
+  // active: trial running; converted / lapsed: how a trial ended
+  status: {
+    type: String,
+    enum: ['pending', 'completed', 'active', 'converted', 'lapsed', 'failed', 'canceled'],
+    default: 'pending'
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  endedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// ==================== INDEXES FOR PERFORMANCE ====================
+// Index for per-user caps (one trial, promo code uses) and a user's gifts
+redemptionSchema.index({ user: 1, kind: 1, createdAt: -1 });
+
+// One free trial per user
+redemptionSchema.index({ user: 1 }, { unique: true, partialFilterExpression: { kind: 'trial' } });
+
+// Index for gifts received
+redemptionSchema.index({ recipient: 1, createdAt: -1 }, { partialFilterExpression: { recipient: { $type: 'objectId' } } });
+
+// Index for the admin audit view of a promo code
+redemptionSchema.index({ promoCode: 1, status: 1, createdAt: -1 });
+
+// Index for matching payments and subscription webhooks
+redemptionSchema.index({ paymentIntentId: 1 }, { partialFilterExpression: { paymentIntentId: { $type: 'string' } } });
+redemptionSchema.index({ stripeSubscriptionId: 1 }, { partialFilterExpression: { stripeSubscriptionId: { $type: 'string' } } });
+
+// Index for the admin audit list
+redemptionSchema.index({ kind: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Redemption', redemptionSchema);
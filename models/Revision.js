@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+// An earlier version of a post, comment (or reply) or club discussion, saved when it was
+// edited. validFrom/validUntil are when this version was the one people saw, which is how
+// moderators find what reported content said at the time (services/revisionService.js).
+const revisionSchema = new mongoose.Schema({
+  targetType: {
+    type: String,
+    enum: ['post', 'comment', 'club_discussion'],
+    required: true
+  },
+  // Post ID, or the comment/reply/discussion subdocument ID
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Parent post of a post or comment revision, club of a discussion revision (for cleanup)
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    default: null
+  },
+  club: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Club',
+    default: null
+  },
+  // Who wrote the content, and who made the edit that replaced this version
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  editedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // 1 is the original; the current content is one past the last revision
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  content: {
+    type: String,
+    default: ''
+  },
+  // Image/video URLs attached to this version
+  media: [{
+    type: String
+  }],
+  validFrom: {
+    type: Date,
+    required: true
+  },
+  validUntil: {
+    type: Date,
+    required: true
+  }
+});
+
+// ==================== INDEXES FOR PERFORMANCE ====================
+// Index for a target's history in order (one document per version)
+revisionSchema.index({ targetType: 1, targetId: 1, version: 1 }, { unique: true });
+
+// Indexes for removing history with deleted posts, clubs and accounts
+revisionSchema.index({ post: 1 });
+revisionSchema.index({ club: 1 });
+revisionSchema.index({ author: 1 });
+
+module.exports = mongoose.model('Revision', revisionSchema);
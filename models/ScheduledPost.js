@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+const { formatInTimeZone } = require('../utils/timezone');
+
+// A post or club announcement that hasn't been published yet: a draft, or scheduled for a
+// time the author picked in their own time zone. services/scheduledPostService.js publishes
+// due items; the published post (or club discussion) reuses this document's _id, so a retried
+// run can tell it was already published. Published items are removed from this collection.
+const scheduledPostSchema = new mongoose.Schema({
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Set for club announcements, null for posts to the author's feed
+  club: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Club',
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'scheduled', 'publishing', 'failed'],
+    default: 'draft'
+  },
+  content: {
+    type: String,
+    trim: true,
+    maxlength: [5000, 'Post content cannot exceed 5000 characters'],
+    default: ''
+  },
+  // Files uploaded with the draft; counted as 'draft' storage until published
+  media: [{
+    url: { type: String, required: true },
+    type: { type: String, enum: ['image', 'video'], required: true },
+    fileName: { type: String, default: null }
+  }],
+  // Feed posts only; the audience list is checked again at publish time
+  visibility: {
+    type: String,
+    enum: ['public', 'friends', 'private', 'custom'],
+    default: 'public'
+  },
+  audience: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AudienceList',
+    default: null
+  },
+  // Users the author asked to tag; like @mentions, they are checked when the post is published
+  taggedUsers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  scheduledFor: {
+    type: Date,
+    default: null
+  },
+  // IANA time zone the author scheduled in, e.g. "Europe/Berlin"
+  timezone: {
+    type: String,
+    default: 'UTC'
+  },
+  publishingStartedAt: {
+    type: Date,
+    default: null
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastError: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Virtual for the scheduled time as shown on the author's clock, e.g. "2026-05-01T09:30"
+scheduledPostSchema.virtual('scheduledForLocal').get(function() {
+  return this.scheduledFor ? formatInTimeZone(this.scheduledFor, this.timezone) : null;
+});
+
+// ==================== INDEXES FOR PERFORMANCE ====================
+// Index for the publishing worker
+scheduledPostSchema.index({ status: 1, scheduledFor: 1 });
+
+// Index for listing a user's drafts and scheduled items
+scheduledPostSchema.index({ author: 1, status: 1, updatedAt: -1 });
+
+// Index for clearing items that use a deleted audience list
+scheduledPostSchema.index({ audience: 1 }, { partialFilterExpression: { audience: { $type: 'objectId' } } });
+
+module.exports = mongoose.model('ScheduledPost', scheduledPostSchema);
@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+
+// One session per logged-in device. The session is also the refresh token "family":
+// every rotation replaces refreshTokenHash, and presenting any older token from the
+// same family revokes the whole session (refresh token reuse detection).
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // SHA-256 of the jti of the only refresh token currently valid for this session
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // Device details shown in the "logged-in devices" list
+  deviceId: {
+    type: String,
+    default: null
+  },
+  deviceName: {
+    type: String,
+    maxlength: 100,
+    default: null
+  },
+  platform: {
+    type: String,
+    maxlength: 50,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    maxlength: 500,
+    default: null
+  },
+  ipAddress: {
+    type: String,
+    default: null
+  },
+  // Login method that created the session (pin, password, google, facebook, apple)
+  method: {
+    type: String,
+    default: null
+  },
+  rotationCount: {
+    type: Number,
+    default: 0
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'replaced', 'revoked_by_user', 'token_reuse', 'revoked_by_admin', 'account_deletion', null],
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Instance method to check if the session can still be used
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Instance method to revoke the session (and every refresh token in its family)
+sessionSchema.methods.revoke = function(reason) {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+// Static method to get a user's active sessions, most recently used first
+sessionSchema.statics.getActiveSessions = function(userId) {
+  return this.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastUsedAt: -1 });
+};
+
+// ==================== INDEXES FOR PERFORMANCE ====================
+// Index for listing a user's active sessions
+sessionSchema.index({ user: 1, revokedAt: 1, lastUsedAt: -1 });
+
+// Remove sessions once their refresh tokens can no longer be used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// One uploaded file counted against its uploader's storage quota. Entries are removed
+// when the content they belong to is deleted; services/storageService.js keeps the ledger.
+const storageEntrySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  contentType: {
+    type: String,
+    enum: ['post', 'video', 'photo', 'story', 'message', 'club_file', 'music', 'draft'],
+    required: true
+  },
+  // Post, Video, Photo, Story, Message, MusicTrack or ScheduledPost ID; club file or discussion subdocument ID
+  contentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  fileName: {
+    type: String,
+    required: true
+  },
+  mimeType: {
+    type: String,
+    default: null
+  },
+  bytes: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to total a user's usage per content type
+storageEntrySchema.statics.getUsageByType = function(userId) {
+  return this.aggregate([
+    { $match: { user: new mongoose.Types.ObjectId(userId) } },
+    { $group: { _id: '$contentType', bytes: { $sum: '$bytes' }, files: { $sum: 1 } } }
+  ]);
+};
+
+// ==================== INDEXES FOR PERFORMANCE ====================
+// Index for the usage total checked on every upload
+storageEntrySchema.index({ user: 1, contentType: 1 });
+
+// Index for freeing quota when content is deleted
+storageEntrySchema.index({ contentType: 1, contentId: 1 });
+
+module.exports = mongoose.model('StorageEntry', storageEntrySchema);
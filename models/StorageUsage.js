@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// Running total of a user's storage, for the quota check on upload. Uploads reserve their
+// bytes here with a conditional $inc before they are accepted; the StorageEntry ledger
+// stays the record of what each file uses. services/storageService.js keeps both in step.
+const storageUsageSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Recorded files plus uploads in progress
+  usedBytes: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// ==================== INDEXES FOR PERFORMANCE ====================
+// One total per user
+storageUsageSchema.index({ user: 1 }, { unique: true });
+
+module.exports = mongoose.model('StorageUsage', storageUsageSchema);
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// App Store Server Notifications and Google Play real-time developer notifications that
+// have been processed. Both stores retry deliveries, so the notification ID makes a
+// repeated delivery a no-op (like StripeEvent for Stripe webhooks).
+const storeNotificationSchema = new mongoose.Schema({
+  store: {
+    type: String,
+    enum: ['app_store', 'play_store'],
+    required: true
+  },
+  // notificationUUID (App Store) or Pub/Sub message ID (Google Play)
+  notificationId: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  processedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// ==================== INDEXES FOR PERFORMANCE ====================
+storeNotificationSchema.index({ store: 1, notificationId: 1 }, { unique: true });
+
+// Apple retries for 3 days and Pub/Sub keeps messages for 7; keep IDs for 30
+storeNotificationSchema.index({ processedAt: 1 }, { expireAfterSeconds: 2592000 });
+
+module.exports = mongoose.model('StoreNotification', storeNotificationSchema);
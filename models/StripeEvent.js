@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// Stripe webhook events that have been processed. Stripe delivers events at least
+// once, so the unique event ID makes retried deliveries a no-op.
+const stripeEventSchema = new mongoose.Schema({
+  eventId: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  processedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// ==================== INDEXES FOR PERFORMANCE ====================
+stripeEventSchema.index({ eventId: 1 }, { unique: true });
+
+// Stripe stops retrying after 3 days; keep IDs for 30
+stripeEventSchema.index({ processedAt: 1 }, { expireAfterSeconds: 2592000 });
+
+module.exports = mongoose.model('StripeEvent', stripeEventSchema);
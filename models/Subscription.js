@@ -0,0 +1,127 @@
+const mongoose = require('mongoose');
+
+// Recurring Stripe subscription for a premium tier. Kept in sync from the
+// customer.subscription.* and invoice.* webhooks (see services/subscriptionService.js).
+const subscriptionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  stripeCustomerId: {
+    type: String,
+    required: true
+  },
+  stripeSubscriptionId: {
+    type: String,
+    required: true
+  },
+  // Subscription item holding the tier's price (needed to switch tiers)
+  stripeItemId: {
+    type: String,
+    default: null
+  },
+  stripePriceId: {
+    type: String,
+    default: null
+  },
+  tier: {
+    type: String,
+    enum: ['basic', 'plus', 'pro'],
+    required: true
+  },
+  // Mirrors Stripe's subscription status
+  status: {
+    type: String,
+    enum: ['incomplete', 'incomplete_expired', 'trialing', 'active', 'past_due', 'canceled', 'unpaid', 'paused'],
+    required: true
+  },
+  currentPeriodStart: {
+    type: Date,
+    default: null
+  },
+  currentPeriodEnd: {
+    type: Date,
+    default: null
+  },
+  cancelAtPeriodEnd: {
+    type: Boolean,
+    default: false
+  },
+  canceledAt: {
+    type: Date,
+    default: null
+  },
+  endedAt: {
+    type: Date,
+    default: null
+  },
+  // End of the free trial (converts to paid, or lapses without a payment method)
+  trialEndsAt: {
+    type: Date,
+    default: null
+  },
+  // Dunning: failed renewal attempts since the last successful payment
+  failedPaymentCount: {
+    type: Number,
+    default: 0
+  },
+  // Premium stays on until this date while a failed renewal is being retried
+  graceUntil: {
+    type: Date,
+    default: null
+  },
+  nextPaymentAttemptAt: {
+    type: Date,
+    default: null
+  },
+  lastPaymentError: {
+    type: String,
+    default: null
+  },
+  latestInvoiceId: {
+    type: String,
+    default: null
+  },
+  // Creation time of the newest Stripe event applied (older, out-of-order events are ignored)
+  lastEventCreatedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Instance method to check if the subscription currently grants premium
+subscriptionSchema.methods.grantsPremium = function(now = new Date()) {
+  if (['active', 'trialing'].includes(this.status)) {
+    return !this.currentPeriodEnd || this.currentPeriodEnd > now;
+  }
+  if (this.status === 'past_due') {
+    return !!this.graceUntil && this.graceUntil > now;
+  }
+  return false;
+};
+
+// Instance method to get the date premium runs until under this subscription
+subscriptionSchema.methods.premiumUntil = function() {
+  if (this.status === 'past_due') return this.graceUntil;
+  return this.currentPeriodEnd;
+};
+
+// Static method to get a user's current (not yet ended) subscription
+subscriptionSchema.statics.findCurrentForUser = function(userId) {
+  return this.findOne({
+    user: userId,
+    status: { $nin: ['canceled', 'incomplete_expired'] }
+  }).sort({ createdAt: -1 });
+};
+
+// ==================== INDEXES FOR PERFORMANCE ====================
+// Webhook lookup
+subscriptionSchema.index({ stripeSubscriptionId: 1 }, { unique: true });
+
+// Index for a user's subscriptions
+subscriptionSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Subscription', subscriptionSchema);
@@ -29,8 +29,8 @@ const userSchema = new mongoose.Schema({
   pinCode: {
     type: String,
     required: function() {
-      // PIN is required unless user is signing in with social login
-      return !this.appleId && !this.googleId && !this.facebookId;
+      // PIN is required unless user is signing in with social login or has switched to a passphrase
+      return this.credentialType !== 'passphrase' && !this.appleId && !this.googleId && !this.facebookId;
     },
     select: false, // Don't include PIN in queries by default
     validate: {
@@ -43,8 +43,8 @@ const userSchema = new mongoose.Schema({
         // Convert to string and trim for validation
         const pinStr = v ? v.toString().trim() : '';
         
-        // For social login users, PIN is optional
-        if (this.appleId || this.googleId || this.facebookId) {
+        // For social login and passphrase users, PIN is optional
+        if (this.credentialType === 'passphrase' || this.appleId || this.googleId || this.facebookId) {
           return !pinStr || /^\d{4}$/.test(pinStr); // Optional but must be valid if provided
         }
         
@@ -100,6 +100,46 @@ const userSchema = new mongoose.Schema({
     sparse: true,
     index: true
   },
+  // Credential the user signs in with: 4-digit PIN or a passphrase (stored in `password`)
+  // See services/passphraseService.js
+  credentialType: {
+    type: String,
+    enum: ['pin', 'passphrase'],
+    default: 'pin'
+  },
+  // Strength score (0-4) of the passphrase when it was set (it can't be computed from the hash)
+  credentialScore: {
+    type: Number,
+    min: 0,
+    max: 4,
+    default: null
+  },
+  credentialUpdatedAt: {
+    type: Date,
+    default: null
+  },
+  // Email ownership (see services/emailVerificationService.js)
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date,
+    default: null
+  },
+  // Requested new email, applied once the link sent to it is confirmed
+  pendingEmail: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: null,
+    select: false
+  },
+  // Random value embedded in the change link so only the latest request can be confirmed
+  pendingEmailNonce: {
+    type: String,
+    select: false
+  },
   avatar: {
     type: String,
     default: null
@@ -125,6 +165,11 @@ const userSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Post'
   }],
+  // Hashtags whose posts show up in the home feed (lowercase, without the "#")
+  followedHashtags: [{
+    type: String,
+    lowercase: true
+  }],
   settings: {
     notificationsEnabled: {
       type: Boolean,
@@ -158,6 +203,22 @@ const userSchema = new mongoose.Schema({
     notifyMemories: {
       type: Boolean,
       default: true
+    },
+    // Let senders see when their messages were read (turning this off needs read_receipts_control)
+    readReceipts: {
+      type: Boolean,
+      default: true
+    },
+    // Browse invisibly (needs ghost_mode, see entitlementService.isGhostModeActive)
+    ghostMode: {
+      type: Boolean,
+      default: false
+    },
+    // Color of the premium badge on the profile (needs custom_badge_color)
+    badgeColor: {
+      type: String,
+      match: /^#[0-9a-fA-F]{6}$/,
+      default: null
     }
   },
   isVerified: {
@@ -214,6 +275,11 @@ const userSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  // End of the account deletion grace period (null unless a deletion is pending)
+  deletionScheduledFor: {
+    type: Date,
+    default: null
+  },
   lastLogin: {
     type: Date,
     default: null
@@ -239,6 +305,8 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Legacy single refresh token from before per-device sessions (models/Session.js).
+  // Only read to migrate old clients into a session on their next refresh.
   refreshToken: {
     type: String,
     select: false
@@ -252,6 +320,42 @@ const userSchema = new mongoose.Schema({
     type: Date,
     select: false
   },
+  // Two-factor authentication (TOTP, see services/twoFactorService.js)
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    // Encrypted base32 secret in use once 2FA is confirmed
+    secret: {
+      type: String,
+      select: false
+    },
+    // Encrypted secret generated by /2fa/setup, waiting for the first code to confirm it
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // SHA-256 hashes of the unused single-use backup codes
+    backupCodes: {
+      type: [String],
+      select: false
+    },
+    // Time step of the last accepted code, so a code can't be used twice
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: {
+      type: Date,
+      default: null
+    }
+  },
+  // Set by an admin to force this account to use 2FA
+  twoFactorRequired: {
+    type: Boolean,
+    default: false
+  },
   // Achievement system
   achievementPoints: {
     type: Number,
@@ -323,6 +427,12 @@ const userSchema = new mongoose.Schema({
       delete ret.pinCode;
       delete ret.securityAnswer;
       delete ret.refreshToken;
+      if (ret.twoFactor) {
+        delete ret.twoFactor.secret;
+        delete ret.twoFactor.pendingSecret;
+        delete ret.twoFactor.backupCodes;
+        delete ret.twoFactor.lastUsedStep;
+      }
       delete ret.__v;
       return ret;
     }
@@ -374,6 +484,7 @@ userSchema.pre('save', async function(next) {
 
 // Instance method to check password
 userSchema.methods.comparePassword = async function(candidatePassword) {
+  if (!this.password) return false;
   try {
     return await bcrypt.compare(candidatePassword, this.password);
   } catch (error) {
@@ -383,6 +494,8 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
 
 // Instance method to check PIN code
 userSchema.methods.comparePinCode = async function(candidatePinCode) {
+  // Passphrase users have no PIN
+  if (!this.pinCode) return false;
   try {
     return await bcrypt.compare(candidatePinCode, this.pinCode);
   } catch (error) {
@@ -407,6 +520,12 @@ userSchema.methods.getPublicProfile = function() {
   delete userObject.password;
   delete userObject.pinCode;
   delete userObject.refreshToken;
+  if (userObject.twoFactor) {
+    delete userObject.twoFactor.secret;
+    delete userObject.twoFactor.pendingSecret;
+    delete userObject.twoFactor.backupCodes;
+    delete userObject.twoFactor.lastUsedStep;
+  }
   return userObject;
 };
 
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { parsePagination, afterCursor, buildPage } = require('../utils/pagination');
 
 const commentSchema = new mongoose.Schema({
   user: {
@@ -146,6 +147,7 @@ const videoSchema = new mongoose.Schema({
 
 // Indexes for better query performance
 videoSchema.index({ createdAt: -1 });
+videoSchema.index({ createdAt: -1, _id: -1 }); // For cursor pagination of the feed
 videoSchema.index({ author: 1, createdAt: -1 });
 videoSchema.index({ hashtags: 1 });
 videoSchema.index({ 'likes.user': 1 });
@@ -186,13 +188,10 @@ videoSchema.statics.getFeed = async function(options = {}) {
   try {
     const {
       userId,
-      page = 1,
-      limit = 10,
+      pagination = parsePagination({}, { defaultLimit: 10 }),
       excludeBlockedUsers = []
     } = options;
 
-    const skip = (page - 1) * limit;
-
     const query = {
       visibility: 'public',
       isDeleted: false
@@ -203,22 +202,7 @@ videoSchema.statics.getFeed = async function(options = {}) {
       query.author = { $nin: excludeBlockedUsers };
     }
 
-    // First check if there are any videos
-    const total = await this.countDocuments(query);
-    
-    if (total === 0) {
-      return {
-        videos: [],
-        pagination: {
-          page,
-          limit,
-          total: 0,
-          pages: 0
-        }
-      };
-    }
-
-    const videos = await this.find(query)
+    const videos = await this.find(afterCursor(query, pagination))
       .populate({
         path: 'author',
         select: 'name email avatar',
@@ -229,17 +213,19 @@ videoSchema.statics.getFeed = async function(options = {}) {
         select: 'name email avatar',
         options: { strictPopulate: false }
       })
-      .sort({ createdAt: -1 })
-      .limit(limit)
-      .skip(skip)
+      .sort(pagination.sort)
+      .skip(pagination.skip)
+      .limit(pagination.limit + 1)
       .lean()
       .catch(err => {
         console.error('❌ Error in Video.getFeed query:', err);
         throw err;
       });
 
+    const { items, pageInfo } = await buildPage(videos, pagination, () => this.countDocuments(query));
+
     // Filter out videos with missing authors
-    const validVideos = videos.filter(video => {
+    const validVideos = items.filter(video => {
       if (!video.author) {
         console.warn(`⚠️ Video ${video._id} has no author, skipping`);
         return false;
@@ -249,12 +235,7 @@ videoSchema.statics.getFeed = async function(options = {}) {
 
     return {
       videos: validVideos,
-      pagination: {
-        page,
-        limit,
-        total,
-        pages: Math.ceil(total / limit)
-      }
+      pagination: pageInfo
     };
   } catch (error) {
     console.error('❌ Error in Video.getFeed:', error);
@@ -264,32 +245,24 @@ videoSchema.statics.getFeed = async function(options = {}) {
 
 // Static method to get user's videos
 videoSchema.statics.getUserVideos = async function(userId, options = {}) {
-  const { page = 1, limit = 20 } = options;
-  const skip = (page - 1) * limit;
-
-  const videos = await this.find({
+  const { pagination = parsePagination({}) } = options;
+  const query = {
     author: userId,
     isDeleted: false
-  })
+  };
+
+  const videos = await this.find(afterCursor(query, pagination))
     .populate('author', 'name email avatar')
-    .sort({ createdAt: -1 })
-    .limit(limit)
-    .skip(skip)
+    .sort(pagination.sort)
+    .skip(pagination.skip)
+    .limit(pagination.limit + 1)
     .lean();
 
-  const total = await this.countDocuments({
-    author: userId,
-    isDeleted: false
-  });
+  const { items, pageInfo } = await buildPage(videos, pagination, () => this.countDocuments(query));
 
   return {
-    videos,
-    pagination: {
-      page,
-      limit,
-      total,
-      pages: Math.ceil(total / limit)
-    }
+    videos: items,
+    pagination: pageInfo
   };
 };
 
@@ -2,6 +2,8 @@ const express = require('express');
 const Report = require('../models/Report');
 const Notification = require('../models/Notification');
 const Post = require('../models/Post');
+const Revision = require('../models/Revision');
+const revisionService = require('../services/revisionService');
 const User = require('../models/User');
 const { authenticateToken } = require('../middleware/auth');
 const requireAdmin = require('../middleware/adminAuth');
@@ -145,6 +147,13 @@ router.get('/reports', authenticateToken, requireAdmin, async (req, res) => {
       .skip(skip)
       .lean();
 
+    // What each reported post said when it was reported (it may have been edited since)
+    await Promise.all(reports.map(async report => {
+      if (report.reportedPost) {
+        report.reportedPost.contentAtReport = await revisionService.contentAtReport(report);
+      }
+    }));
+
     // Get total count for pagination
     const total = await Report.countDocuments(filter);
 
@@ -176,7 +185,7 @@ router.get('/reports', authenticateToken, requireAdmin, async (req, res) => {
 });
 
 // @route   GET /api/admin/reports/:id
-// @desc    Get single report by ID
+// @desc    Get single report by ID, with the reported post as it was when reported
 // @access  Private (Admin only)
 router.get('/reports/:id', authenticateToken, requireAdmin, async (req, res) => {
   try {
@@ -200,9 +209,15 @@ router.get('/reports/:id', authenticateToken, requireAdmin, async (req, res) =>
       });
     }
 
+    // What the reported post said when it was reported (it may have been edited since)
+    const reportData = report.toObject();
+    if (reportData.reportedPost) {
+      reportData.reportedPost.contentAtReport = await revisionService.contentAtReport(report);
+    }
+
     res.status(200).json({
       success: true,
-      data: { report }
+      data: { report: reportData }
     });
   } catch (error) {
     console.error('Get report error:', error);
@@ -241,6 +256,8 @@ router.put('/reports/:id/review', authenticateToken, requireAdmin, async (req, r
           reportedUserId = postToDelete.author;
           // Delete the reported post
           await Post.findByIdAndDelete(report.reportedPost);
+          await require('../services/storageService').release('post', report.reportedPost);
+          await Revision.deleteMany({ post: report.reportedPost });
           console.log(`🗑️ Deleted post ${report.reportedPost} due to admin action`);
           actionSuccessful = true;
         } else {
@@ -967,6 +984,8 @@ router.delete('/posts/:postId', authenticateToken, requireAdmin, async (req, res
     const author = await User.findById(post.author).select('name email');
     
     await Post.findByIdAndDelete(req.params.postId);
+    await require('../services/storageService').release('post', post._id);
+    await Revision.deleteMany({ post: post._id });
 
     // Emit socket event for real-time update
     const io = req.app.get('io');
@@ -1031,11 +1050,32 @@ router.patch('/users/:userId/status', authenticateToken, requireAdmin, async (re
       });
     }
 
-    // Prepare update object
-    const updateData = {};
+    // Premium is given as an admin grant, so it counts wherever features are checked.
+    // Removing it only revokes admin grants; paid premium stays until it expires.
     if (isPremium !== undefined) {
-      updateData.isPremium = isPremium;
+      const entitlementService = require('../services/entitlementService');
+      const EntitlementGrant = require('../models/EntitlementGrant');
+      const { isValidTier } = require('../config/premiumTiers');
+
+      if (isPremium) {
+        const tier = req.body.premiumTier || 'pro';
+        if (!isValidTier(tier)) {
+          return res.status(400).json({
+            success: false,
+            message: 'Invalid premium tier. Choose: basic, plus, or pro'
+          });
+        }
+        await entitlementService.grant(user, { source: 'admin', tier, grantedBy: req.user._id });
+      } else {
+        const grants = await EntitlementGrant.findActiveForUser(user._id).where({ source: 'admin' });
+        for (const grant of grants) {
+          await entitlementService.revoke(grant, req.user._id);
+        }
+      }
     }
+
+    // Prepare update object
+    const updateData = {};
     if (isVerified !== undefined) {
       updateData.isVerified = isVerified;
     }
@@ -1275,4 +1315,799 @@ router.put('/events/:id/flag', authenticateToken, requireAdmin, async (req, res)
   }
 });
 
+// @route   GET /api/admin/lockouts
+// @desc    List sign-in lockouts (active only by default, ?all=true for every record with failures)
+// @access  Private (Admin only)
+router.get('/lockouts', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const AuthLockout = require('../models/AuthLockout');
+    const { page = 1, limit = 50, all = 'false', scope } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const query = all === 'true'
+      ? { $or: [{ failedCount: { $gt: 0 } }, { lockedUntil: { $ne: null } }] }
+      : { lockedUntil: { $gt: new Date() } };
+    if (scope) query.scope = scope;
+
+    const lockouts = await AuthLockout.find(query)
+      .populate('user', 'name email avatar')
+      .populate('clearedBy', 'name')
+      .sort({ lockedUntil: -1, lastFailedAt: -1 })
+      .limit(parseInt(limit))
+      .skip(skip)
+      .lean();
+
+    const total = await AuthLockout.countDocuments(query);
+    const now = new Date();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        lockouts: lockouts.map(lockout => ({
+          ...lockout,
+          isLocked: !!lockout.lockedUntil && lockout.lockedUntil > now
+        })),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit))
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get lockouts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch lockouts'
+    });
+  }
+});
+
+// @route   DELETE /api/admin/lockouts/:id
+// @desc    Clear a single lockout record
+// @access  Private (Admin only)
+router.delete('/lockouts/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const lockoutService = require('../services/lockoutService');
+    const cleared = await lockoutService.clearLockouts({ _id: req.params.id }, req.user._id);
+
+    if (!cleared) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lockout not found'
+      });
+    }
+
+    console.log(`🔓 Lockout ${req.params.id} cleared by admin ${req.user.name}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Lockout cleared successfully'
+    });
+  } catch (error) {
+    console.error('Clear lockout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to clear lockout'
+    });
+  }
+});
+
+// @route   DELETE /api/admin/users/:userId/lockouts
+// @desc    Clear every lockout for a user (account, second factor and email identifier)
+// @access  Private (Admin only)
+router.delete('/users/:userId/lockouts', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const lockoutService = require('../services/lockoutService');
+    const user = await User.findById(req.params.userId).select('email name');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const cleared = await lockoutService.clearLockouts({
+      $or: [
+        { user: user._id },
+        { scope: 'account', key: user._id.toString() },
+        { scope: 'two_factor', key: user._id.toString() },
+        { scope: 'identifier', key: user.email }
+      ]
+    }, req.user._id);
+
+    console.log(`🔓 ${cleared} lockout record(s) for user ${user._id} cleared by admin ${req.user.name}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Lockouts cleared successfully',
+      data: { cleared }
+    });
+  } catch (error) {
+    console.error('Clear user lockouts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to clear lockouts'
+    });
+  }
+});
+
+// @route   PUT /api/admin/users/:userId/require-2fa
+// @desc    Force (or stop forcing) a user to use two-factor authentication
+// @access  Private (Admin only)
+router.put('/users/:userId/require-2fa', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { required = true } = req.body;
+
+    const user = await User.findByIdAndUpdate(
+      req.params.userId,
+      { twoFactorRequired: !!required },
+      { new: true }
+    ).select('name email isAdmin twoFactor.enabled twoFactorRequired');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    console.log(`🔐 2FA ${user.twoFactorRequired ? 'required' : 'no longer required'} for user ${user._id} by admin ${req.user.name}`);
+
+    res.status(200).json({
+      success: true,
+      message: user.twoFactorRequired
+        ? 'User must now use two-factor authentication'
+        : 'Two-factor authentication is now optional for this user',
+      data: {
+        userId: user._id,
+        twoFactorRequired: user.twoFactorRequired,
+        twoFactorEnabled: !!user.twoFactor?.enabled
+      }
+    });
+  } catch (error) {
+    console.error('Require 2FA error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update two-factor requirement'
+    });
+  }
+});
+
+// @route   GET /api/admin/account-deletions
+// @desc    List account deletion requests and their audit records (?status= to filter)
+// @access  Private (Admin only)
+router.get('/account-deletions', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const AccountDeletion = require('../models/AccountDeletion');
+    const { page = 1, limit = 50, status, userId } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const query = {};
+    if (status) query.status = status;
+    if (userId) query.userId = userId;
+
+    const deletions = await AccountDeletion.find(query)
+      .populate('requestedByAdmin', 'name')
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip(skip)
+      .lean();
+
+    const total = await AccountDeletion.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        deletions,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit))
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get account deletions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch account deletions'
+    });
+  }
+});
+
+// @route   POST /api/admin/users/:userId/delete
+// @desc    Schedule deletion of a user's account (same grace period as a user request)
+// @access  Private (Admin only)
+router.post('/users/:userId/delete', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.isAdmin) {
+      return res.status(403).json({
+        success: false,
+        message: 'Cannot delete admin accounts'
+      });
+    }
+
+    const accountDeletionService = req.app.get('accountDeletionService');
+    const deletion = await accountDeletionService.scheduleDeletion(user, {
+      requestedBy: 'admin',
+      adminId: req.user._id,
+      reason: typeof req.body.reason === 'string' ? req.body.reason.substring(0, 500) : null
+    });
+
+    console.log(`🗑️ Deletion of user ${user._id} scheduled by admin ${req.user.name}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Account deletion scheduled',
+      data: {
+        deletionId: deletion._id,
+        scheduledFor: deletion.scheduledFor
+      }
+    });
+  } catch (error) {
+    console.error('Schedule account deletion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to schedule account deletion'
+    });
+  }
+});
+
+// @route   GET /api/admin/users/:userId/tokens
+// @desc    List a user's personal access tokens
+// @access  Private (Admin only)
+router.get('/users/:userId/tokens', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const apiTokenService = require('../services/apiTokenService');
+    const tokens = await apiTokenService.listTokens(req.params.userId);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        tokens: tokens.map(apiToken => ({
+          ...apiToken.toJSON(),
+          isActive: apiToken.isActive()
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get user API tokens error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch API tokens'
+    });
+  }
+});
+
+// @route   POST /api/admin/users/:userId/tokens
+// @desc    Create a personal access token for a bot account (the token is only returned in this response)
+// @access  Private (Admin only)
+router.post('/users/:userId/tokens', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const apiTokenService = require('../services/apiTokenService');
+    const { name, scopes, expiresInDays } = req.body;
+
+    const user = await User.findById(req.params.userId).select('name isBot');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Real users create their own tokens; admins only provision bot accounts
+    if (!user.isBot) {
+      return res.status(400).json({
+        success: false,
+        message: 'Tokens can only be created for bot accounts'
+      });
+    }
+
+    if (!name || typeof name !== 'string' || !Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Token name and at least one scope are required'
+      });
+    }
+
+    const invalidScopes = apiTokenService.findInvalidScopes(scopes);
+    if (invalidScopes) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown scope(s): ${invalidScopes.join(', ')}`
+      });
+    }
+
+    const result = await apiTokenService.createToken(user._id, {
+      name: name.trim().substring(0, 100),
+      scopes,
+      expiresInDays,
+      createdByAdmin: req.user._id
+    });
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: 'This account has too many active tokens. Revoke one before creating another.'
+      });
+    }
+
+    console.log(`🤖 API token created for bot ${user.name} by admin ${req.user.name}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Token created. Copy it now - it will not be shown again.',
+      data: {
+        token: result.token,
+        apiToken: result.apiToken
+      }
+    });
+  } catch (error) {
+    console.error('Create bot API token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create API token'
+    });
+  }
+});
+
+// @route   DELETE /api/admin/tokens/:id
+// @desc    Revoke any personal access token
+// @access  Private (Admin only)
+router.delete('/tokens/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const apiTokenService = require('../services/apiTokenService');
+    const apiToken = await apiTokenService.revokeToken(req.params.id);
+
+    if (!apiToken) {
+      return res.status(404).json({
+        success: false,
+        message: 'Token not found'
+      });
+    }
+
+    console.log(`🔑 API token ${apiToken._id} revoked by admin ${req.user.name}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Token revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke API token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke API token'
+    });
+  }
+});
+
+// @route   GET /api/admin/users/:userId/entitlements
+// @desc    A user's current premium entitlements and every app store / admin grant
+// @access  Private (Admin only)
+router.get('/users/:userId/entitlements', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const entitlementService = require('../services/entitlementService');
+    const EntitlementGrant = require('../models/EntitlementGrant');
+
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const [entitlements, grants] = await Promise.all([
+      entitlementService.getEntitlements(user),
+      EntitlementGrant.find({ user: user._id })
+        .populate('grantedBy', 'name email')
+        .populate('revokedBy', 'name email')
+        .sort({ createdAt: -1 })
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        entitlements,
+        grants: grants.map(grant => ({
+          ...grant.toJSON(),
+          isActive: grant.isActive()
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get user entitlements error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch entitlements'
+    });
+  }
+});
+
+// @route   POST /api/admin/users/:userId/entitlements
+// @desc    Grant a premium tier and/or individual features (optionally until a date)
+// @access  Private (Admin only)
+router.post('/users/:userId/entitlements', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const entitlementService = require('../services/entitlementService');
+    const { PREMIUM_TIERS, isValidTier } = require('../config/premiumTiers');
+    const { tier = null, features = [], expiresInDays = null, note = null } = req.body;
+
+    const knownFeatures = new Set(Object.values(PREMIUM_TIERS).flatMap(t => t.features));
+    if ((tier !== null && !isValidTier(tier))
+      || !Array.isArray(features)
+      || features.some(feature => !knownFeatures.has(feature))
+      || (!tier && features.length === 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide a valid tier (basic, plus, pro) and/or a list of premium features'
+      });
+    }
+
+    const days = expiresInDays === null ? null : parseInt(expiresInDays, 10);
+    if (days !== null && !(days > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'expiresInDays must be a positive number'
+      });
+    }
+
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const grant = await entitlementService.grant(user, {
+      source: 'admin',
+      tier,
+      features,
+      expiresAt: days ? new Date(Date.now() + days * 24 * 60 * 60 * 1000) : null,
+      note: typeof note === 'string' ? note.trim().substring(0, 500) : null,
+      grantedBy: req.user._id
+    });
+
+    console.log(`💎 Admin ${req.user.name} granted ${tier || features.join(', ')} to user ${user.name}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Entitlement granted successfully',
+      data: { grant }
+    });
+  } catch (error) {
+    console.error('Grant entitlement error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to grant entitlement'
+    });
+  }
+});
+
+// @route   DELETE /api/admin/entitlements/:id
+// @desc    Revoke an app store or admin grant
+// @access  Private (Admin only)
+router.delete('/entitlements/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const entitlementService = require('../services/entitlementService');
+    const EntitlementGrant = require('../models/EntitlementGrant');
+
+    const grant = await EntitlementGrant.findById(req.params.id);
+    if (!grant || grant.revokedAt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Active grant not found'
+      });
+    }
+
+    await entitlementService.revoke(grant, req.user._id);
+
+    console.log(`💎 Entitlement grant ${grant._id} revoked by admin ${req.user.name}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Entitlement revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke entitlement error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke entitlement'
+    });
+  }
+});
+
+// @route   GET /api/admin/purchases
+// @desc    Purchase ledger: every Stripe, App Store and Google Play transaction (?userId=, ?store=, ?status= to filter)
+// @access  Private (Admin only)
+router.get('/purchases', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const Purchase = require('../models/Purchase');
+    const { page = 1, limit = 50, userId, store, status } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const query = {};
+    if (userId) query.user = userId;
+    if (store) query.store = store;
+    if (status) query.status = status;
+
+    const purchases = await Purchase.find(query)
+      .populate('user', 'name email')
+      .sort({ purchasedAt: -1 })
+      .limit(parseInt(limit))
+      .skip(skip)
+      .lean();
+
+    const total = await Purchase.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        purchases,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit))
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get purchases error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch purchases'
+    });
+  }
+});
+
+// @route   POST /api/admin/purchases/reconcile
+// @desc    Run the nightly premium reconciliation now
+// @access  Private (Admin only)
+router.post('/purchases/reconcile', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const purchaseService = require('../services/purchaseService');
+
+    const result = await purchaseService.reconcile();
+
+    console.log(`💳 Premium reconciliation run by admin ${req.user.name}: ${result.fixed} of ${result.checked} users fixed`);
+
+    res.status(200).json({
+      success: true,
+      message: `${result.fixed} of ${result.checked} users fixed`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Reconcile purchases error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reconcile purchases'
+    });
+  }
+});
+
+// @route   GET /api/admin/promo-codes
+// @desc    List promo codes (?active=true|false to filter)
+// @access  Private (Admin only)
+router.get('/promo-codes', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const PromoCode = require('../models/PromoCode');
+    const { page = 1, limit = 50, active } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const query = {};
+    if (active !== undefined) query.isActive = active === 'true';
+
+    const promoCodes = await PromoCode.find(query)
+      .populate('createdBy', 'name')
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip(skip);
+
+    const total = await PromoCode.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        promoCodes: promoCodes.map(promo => ({
+          ...promo.toJSON(),
+          isRedeemable: promo.isRedeemable()
+        })),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit))
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get promo codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch promo codes'
+    });
+  }
+});
+
+// @route   POST /api/admin/promo-codes
+// @desc    Create a promo code (percent or fixed cents off, optional tiers, caps and dates)
+// @access  Private (Admin only)
+router.post('/promo-codes', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const PromoCode = require('../models/PromoCode');
+    const { isValidTier } = require('../config/premiumTiers');
+    const {
+      code, description = null, discountType, discountValue, tiers = [],
+      maxRedemptions = null, maxRedemptionsPerUser = 1, startsAt = null, expiresAt = null
+    } = req.body;
+
+    const value = Number(discountValue);
+    if (!['percent', 'fixed'].includes(discountType)
+      || !Number.isInteger(value) || value < 1 || (discountType === 'percent' && value > 100)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide discountType percent (1-100) or fixed (cents off) with a whole discountValue'
+      });
+    }
+
+    if (!Array.isArray(tiers) || tiers.some(tier => !isValidTier(tier))) {
+      return res.status(400).json({
+        success: false,
+        message: 'tiers must be a list of basic, plus or pro'
+      });
+    }
+
+    if (expiresAt && (isNaN(new Date(expiresAt)) || new Date(expiresAt) <= new Date(startsAt || Date.now()))) {
+      return res.status(400).json({
+        success: false,
+        message: 'expiresAt must be a date after the start'
+      });
+    }
+
+    if (await PromoCode.exists({ code: String(code || '').trim().toUpperCase() })) {
+      return res.status(409).json({
+        success: false,
+        message: 'A promo code with this code already exists'
+      });
+    }
+
+    const promo = await PromoCode.create({
+      code,
+      description,
+      discountType,
+      discountValue: value,
+      tiers,
+      maxRedemptions,
+      maxRedemptionsPerUser,
+      startsAt,
+      expiresAt,
+      createdBy: req.user._id
+    });
+
+    console.log(`🏷️ Admin ${req.user.name} created promo code ${promo.code}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Promo code created successfully',
+      data: { promoCode: promo }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(e => e.message).join(', ')
+      });
+    }
+    console.error('Create promo code error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create promo code'
+    });
+  }
+});
+
+// @route   PATCH /api/admin/promo-codes/:id
+// @desc    Activate/deactivate a promo code or change its caps, dates or description
+// @access  Private (Admin only)
+router.patch('/promo-codes/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const PromoCode = require('../models/PromoCode');
+
+    const promo = await PromoCode.findById(req.params.id);
+    if (!promo) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promo code not found'
+      });
+    }
+
+    // The discount itself is fixed (it may already be a Stripe coupon); create a new code instead
+    for (const field of ['isActive', 'description', 'maxRedemptions', 'maxRedemptionsPerUser', 'startsAt', 'expiresAt']) {
+      if (req.body[field] !== undefined) promo[field] = req.body[field];
+    }
+    await promo.save();
+
+    console.log(`🏷️ Admin ${req.user.name} updated promo code ${promo.code}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Promo code updated successfully',
+      data: { promoCode: promo }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Update promo code error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update promo code'
+    });
+  }
+});
+
+// @route   GET /api/admin/redemptions
+// @desc    Audit promo code, trial and gift redemptions (?kind=, ?status=, ?code=, ?promoCodeId=, ?userId= as redeemer or gift recipient)
+// @access  Private (Admin only)
+router.get('/redemptions', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const Redemption = require('../models/Redemption');
+    const { page = 1, limit = 50, kind, status, code, promoCodeId, userId } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const query = {};
+    if (kind) query.kind = kind;
+    if (status) query.status = status;
+    if (code) query.code = code.trim().toUpperCase();
+    if (promoCodeId) query.promoCode = promoCodeId;
+    if (userId) query.$or = [{ user: userId }, { recipient: userId }];
+
+    const redemptions = await Redemption.find(query)
+      .populate('user', 'name email')
+      .populate('recipient', 'name email')
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip(skip)
+      .lean();
+
+    const total = await Redemption.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        redemptions,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit))
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get redemptions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch redemptions'
+    });
+  }
+});
+
 module.exports = router;
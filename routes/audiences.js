@@ -0,0 +1,317 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, param, validationResult } = require('express-validator');
+const AudienceList = require('../models/AudienceList');
+const Post = require('../models/Post');
+const ScheduledPost = require('../models/ScheduledPost');
+const User = require('../models/User');
+const Block = require('../models/Block');
+const { authenticateToken } = require('../middleware/auth');
+const audienceService = require('../services/audienceService');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateToken);
+
+const listValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('List name is required')
+    .isLength({ max: 50 })
+    .withMessage('List name cannot exceed 50 characters'),
+  body('members')
+    .optional()
+    .isArray({ max: audienceService.maxListMembers })
+    .withMessage(`Members must be a list of at most ${audienceService.maxListMembers} user IDs`)
+];
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array()
+  });
+  return true;
+};
+
+/**
+ * Users that can be put on the owner's list: existing, not the owner, no block either way
+ * @returns {Object} - { memberIds } or { error }
+ */
+const resolveMembers = async (owner, userIds) => {
+  const ids = [...new Set(userIds.map(id => String(id)))];
+  if (ids.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+    return { error: 'Invalid user ID in members' };
+  }
+  if (ids.includes(owner._id.toString())) {
+    return { error: 'You cannot add yourself to an audience list' };
+  }
+
+  const [users, blockedIds] = await Promise.all([
+    User.find({ _id: { $in: ids } }).select('_id'),
+    Block.getAllBlockRelationships(owner._id)
+  ]);
+  if (users.length !== ids.length) {
+    return { error: 'Some users were not found' };
+  }
+  if (ids.some(id => blockedIds.includes(id))) {
+    return { error: 'You cannot add a blocked user to an audience list' };
+  }
+  return { memberIds: ids };
+};
+
+const formatList = (list) => ({
+  _id: list._id,
+  name: list.name,
+  members: list.members,
+  membersCount: list.members.length,
+  createdAt: list.createdAt,
+  updatedAt: list.updatedAt
+});
+
+// @route   GET /api/audiences
+// @desc    Get the current user's audience lists
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const lists = await AudienceList.find({ owner: req.user._id })
+      .populate('members', 'name avatar')
+      .sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      message: 'Audience lists retrieved successfully',
+      data: { lists: lists.map(formatList) }
+    });
+  } catch (error) {
+    console.error('Get audience lists error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve audience lists'
+    });
+  }
+});
+
+// @route   POST /api/audiences
+// @desc    Create an audience list, such as "Close friends"
+// @access  Private
+router.post('/', [
+  body('name').exists().withMessage('List name is required'),
+  ...listValidation
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const count = await AudienceList.countDocuments({ owner: req.user._id });
+    if (count >= audienceService.maxLists) {
+      return res.status(400).json({
+        success: false,
+        message: `You can have at most ${audienceService.maxLists} audience lists`
+      });
+    }
+
+    const { name, members = [] } = req.body;
+    const { memberIds, error } = await resolveMembers(req.user, members);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const list = await AudienceList.create({ owner: req.user._id, name, members: memberIds });
+    await list.populate('members', 'name avatar');
+
+    res.status(201).json({
+      success: true,
+      message: 'Audience list created',
+      data: { list: formatList(list) }
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'You already have a list with this name'
+      });
+    }
+    console.error('Create audience list error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create audience list'
+    });
+  }
+});
+
+// @route   PATCH /api/audiences/:id
+// @desc    Rename an audience list or replace its members
+// @access  Private
+router.patch('/:id', [param('id').isMongoId().withMessage('Invalid list ID'), ...listValidation], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const list = await AudienceList.findOne({ _id: req.params.id, owner: req.user._id });
+    if (!list) {
+      return res.status(404).json({
+        success: false,
+        message: 'Audience list not found'
+      });
+    }
+
+    const { name, members } = req.body;
+    if (name !== undefined) list.name = name;
+    if (members !== undefined) {
+      const { memberIds, error } = await resolveMembers(req.user, members);
+      if (error) {
+        return res.status(400).json({ success: false, message: error });
+      }
+      list.members = memberIds;
+    }
+
+    await list.save();
+    await list.populate('members', 'name avatar');
+
+    res.status(200).json({
+      success: true,
+      message: 'Audience list updated',
+      data: { list: formatList(list) }
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'You already have a list with this name'
+      });
+    }
+    console.error('Update audience list error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update audience list'
+    });
+  }
+});
+
+// @route   POST /api/audiences/:id/members
+// @desc    Add people to an audience list
+// @access  Private
+router.post('/:id/members', [
+  param('id').isMongoId().withMessage('Invalid list ID'),
+  body('userIds').isArray({ min: 1 }).withMessage('userIds must be a non-empty list')
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const list = await AudienceList.findOne({ _id: req.params.id, owner: req.user._id });
+    if (!list) {
+      return res.status(404).json({
+        success: false,
+        message: 'Audience list not found'
+      });
+    }
+
+    const { memberIds, error } = await resolveMembers(req.user, req.body.userIds);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const current = new Set(list.members.map(id => id.toString()));
+    const added = memberIds.filter(id => !current.has(id));
+    if (current.size + added.length > audienceService.maxListMembers) {
+      return res.status(400).json({
+        success: false,
+        message: `An audience list can have at most ${audienceService.maxListMembers} members`
+      });
+    }
+
+    list.members.push(...added);
+    await list.save();
+    await list.populate('members', 'name avatar');
+
+    res.status(200).json({
+      success: true,
+      message: `${added.length} member${added.length === 1 ? '' : 's'} added`,
+      data: { list: formatList(list) }
+    });
+  } catch (error) {
+    console.error('Add audience members error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add members'
+    });
+  }
+});
+
+// @route   DELETE /api/audiences/:id/members/:userId
+// @desc    Remove someone from an audience list
+// @access  Private
+router.delete('/:id/members/:userId', [
+  param('id').isMongoId().withMessage('Invalid list ID'),
+  param('userId').isMongoId().withMessage('Invalid user ID')
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const list = await AudienceList.findOneAndUpdate(
+      { _id: req.params.id, owner: req.user._id },
+      { $pull: { members: req.params.userId } },
+      { new: true }
+    ).populate('members', 'name avatar');
+
+    if (!list) {
+      return res.status(404).json({
+        success: false,
+        message: 'Audience list not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Member removed',
+      data: { list: formatList(list) }
+    });
+  } catch (error) {
+    console.error('Remove audience member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove member'
+    });
+  }
+});
+
+// @route   DELETE /api/audiences/:id
+// @desc    Delete an audience list; posts (and scheduled posts) shared with it become private
+// @access  Private
+router.delete('/:id', param('id').isMongoId().withMessage('Invalid list ID'), async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const list = await AudienceList.findOneAndDelete({ _id: req.params.id, owner: req.user._id });
+    if (!list) {
+      return res.status(404).json({
+        success: false,
+        message: 'Audience list not found'
+      });
+    }
+
+    const { modifiedCount } = await Post.updateMany(
+      { audience: list._id },
+      { visibility: 'private', audience: null }
+    );
+    await ScheduledPost.updateMany({ audience: list._id }, { visibility: 'private', audience: null });
+
+    res.status(200).json({
+      success: true,
+      message: 'Audience list deleted',
+      data: { postsMadePrivate: modifiedCount }
+    });
+  } catch (error) {
+    console.error('Delete audience list error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete audience list'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,8 +1,15 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const { authenticateToken } = require('../middleware/auth');
+const sessionService = require('../services/sessionService');
+const lockoutService = require('../services/lockoutService');
+const twoFactorService = require('../services/twoFactorService');
+const emailVerificationService = require('../services/emailVerificationService');
+const loginActivityService = require('../services/loginActivityService');
+const passphraseService = require('../services/passphraseService');
+const { emailVerificationLimiter } = require('../middleware/rateLimiter');
+const { sendLockoutResponse } = require('../utils/lockout');
 const { OAuth2Client } = require('google-auth-library');
 const appleSignin = require('apple-signin-auth');
 const axios = require('axios');
@@ -54,21 +61,33 @@ const loginValidation = [
     .optional()
 ];
 
-// Helper function to generate JWT tokens
-const generateTokens = (userId) => {
-  const accessToken = jwt.sign(
-    { userId },
-    process.env.JWT_SECRET,
-    { expiresIn: '15m' }
-  );
-  
-  const refreshToken = jwt.sign(
-    { userId },
-    process.env.JWT_SECRET,
-    { expiresIn: '7d' }
-  );
-  
-  return { accessToken, refreshToken };
+// Public profile plus the stats the app shows right after signing in
+const getCompleteUserProfile = async (user) => {
+  const Post = require('../models/Post');
+  const postsCount = await Post.countDocuments({ author: user._id });
+  const followersCount = user.followers ? user.followers.length : 0;
+  const followingCount = user.following ? user.following.length : 0;
+
+  return {
+    ...user.getPublicProfile(),
+    postsCount,
+    followersCount,
+    followingCount
+  };
+};
+
+// First step of login succeeded but the account has 2FA on: hand out a challenge
+// token that /2fa/verify exchanges (with a TOTP or backup code) for the token pair
+const sendTwoFactorChallenge = (res, user, method) => {
+  console.log('🔐 Two-factor challenge issued for user:', user.email);
+  return res.status(200).json({
+    success: true,
+    message: 'Two-factor authentication required',
+    data: {
+      requiresTwoFactor: true,
+      challengeToken: twoFactorService.createChallengeToken(user._id, method)
+    }
+  });
 };
 
 // @route   POST /api/auth/register
@@ -160,30 +179,22 @@ router.post('/register', registerValidation, async (req, res) => {
     await user.save();
     console.log('✅ New user registered:', user.email);
 
-    // Generate tokens
-    const { accessToken, refreshToken } = generateTokens(user._id);
+    // Send the verification link (registration still succeeds if email is down)
+    emailVerificationService.sendVerification(user)
+      .catch(error => console.error('❌ Failed to send verification email:', error));
 
-    // Save refresh token to user
-    user.refreshToken = refreshToken;
-    await user.save();
+    // Start a session for this device
+    const { accessToken, refreshToken, session } = await sessionService.createSession(user._id, req, 'pin');
+    // The sign-up device becomes the first known device for new-device alerts
+    await loginActivityService.record(req, { user, method: 'pin', success: true, session });
 
     // Get user stats for complete profile
-    const Post = require('../models/Post');
-    const postsCount = await Post.countDocuments({ author: user._id });
-    const followersCount = user.followers ? user.followers.length : 0;
-    const followingCount = user.following ? user.following.length : 0;
-
-    const completeUserProfile = {
-      ...user.getPublicProfile(),
-      postsCount,
-      followersCount,
-      followingCount
-    };
+    const completeUserProfile = await getCompleteUserProfile(user);
 
     // Send response (password and PIN are automatically excluded by the schema)
     res.status(201).json({
       success: true,
-      message: 'User registered successfully. You can now log in.',
+      message: 'User registered successfully. Please check your inbox to verify your email.',
       data: {
         user: completeUserProfile,
         accessToken,
@@ -242,10 +253,25 @@ router.post('/login', loginValidation, async (req, res) => {
     const { email, password, pinCode } = req.body;
     console.log('🔐 Login attempt for email:', email);
 
+    const loginMethod = pinCode ? 'pin' : 'password';
+
     // Find user and include password and pinCode for comparison
     const user = await User.findByEmail(email).select('+password +pinCode');
+
+    // Reserve the attempt before checking credentials (refused while the email or account is locked out)
+    const lockout = await lockoutService.reserveAttempt({ identifier: email, user, endpoint: 'login', req });
+    if (lockout) {
+      await loginActivityService.record(req, { user, email, method: loginMethod, success: false, failureReason: 'locked_out' });
+      return sendLockoutResponse(res, lockout);
+    }
+
     if (!user) {
       console.log('❌ User not found for email:', email);
+      await loginActivityService.record(req, { email, method: loginMethod, success: false, failureReason: 'unknown_account' });
+      const newLockout = await lockoutService.recordFailure({ identifier: email, endpoint: 'login', req });
+      if (newLockout) {
+        return sendLockoutResponse(res, newLockout);
+      }
       return res.status(401).json({
         success: false,
         message: 'Invalid email or credentials'
@@ -259,6 +285,11 @@ router.post('/login', loginValidation, async (req, res) => {
       const isPinValid = await user.comparePinCode(pinCode);
       if (!isPinValid) {
         console.log('❌ Invalid PIN code for user:', email);
+        await loginActivityService.record(req, { user, email, method: 'pin', success: false, failureReason: 'invalid_credentials' });
+        const newLockout = await lockoutService.recordFailure({ identifier: email, user, endpoint: 'login', req });
+        if (newLockout) {
+          return sendLockoutResponse(res, newLockout);
+        }
         return res.status(401).json({
           success: false,
           message: 'Invalid email or PIN code'
@@ -271,6 +302,11 @@ router.post('/login', loginValidation, async (req, res) => {
       const isPasswordValid = await user.comparePassword(password);
       if (!isPasswordValid) {
         console.log('❌ Invalid password for user:', email);
+        await loginActivityService.record(req, { user, email, method: 'password', success: false, failureReason: 'invalid_credentials' });
+        const newLockout = await lockoutService.recordFailure({ identifier: email, user, endpoint: 'login', req });
+        if (newLockout) {
+          return sendLockoutResponse(res, newLockout);
+        }
         return res.status(401).json({
           success: false,
           message: 'Invalid email or password'
@@ -280,32 +316,30 @@ router.post('/login', loginValidation, async (req, res) => {
     } 
     // No valid credentials provided
     else {
+      await lockoutService.releaseAttempt(email, user._id);
       return res.status(401).json({
         success: false,
         message: 'Please provide PIN code or password'
       });
     }
 
-    // Generate tokens
-    const { accessToken, refreshToken } = generateTokens(user._id);
+    await lockoutService.recordSuccess(email, user._id);
 
-    // Update user with refresh token and last login
-    user.refreshToken = refreshToken;
+    // Second step required when 2FA is on (the attempt is recorded once it completes)
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return sendTwoFactorChallenge(res, user, loginMethod);
+    }
+
+    // Start a session for this device (other devices stay logged in)
+    const { accessToken, refreshToken, session } = await sessionService.createSession(user._id, req, loginMethod);
+    await loginActivityService.record(req, { user, method: loginMethod, success: true, session });
+
+    // Update last login
     user.lastLogin = new Date();
     await user.save();
 
     // Get user stats for complete profile
-    const Post = require('../models/Post');
-    const postsCount = await Post.countDocuments({ author: user._id });
-    const followersCount = user.followers ? user.followers.length : 0;
-    const followingCount = user.following ? user.following.length : 0;
-
-    const completeUserProfile = {
-      ...user.getPublicProfile(),
-      postsCount,
-      followersCount,
-      followingCount
-    };
+    const completeUserProfile = await getCompleteUserProfile(user);
 
     res.status(200).json({
       success: true,
@@ -313,7 +347,9 @@ router.post('/login', loginValidation, async (req, res) => {
       data: {
         user: completeUserProfile,
         accessToken,
-        refreshToken
+        refreshToken,
+        // Account must enroll in 2FA before it can use admin features
+        twoFactorSetupRequired: twoFactorService.isRequiredFor(user)
       }
     });
 
@@ -327,7 +363,7 @@ router.post('/login', loginValidation, async (req, res) => {
 });
 
 // @route   POST /api/auth/refresh
-// @desc    Refresh access token
+// @desc    Rotate the refresh token of the current device session
 // @access  Public
 router.post('/refresh', async (req, res) => {
   try {
@@ -340,123 +376,912 @@ router.post('/refresh', async (req, res) => {
       });
     }
 
-    // Verify refresh token
-    const decoded = jwt.verify(refreshToken, process.env.JWT_SECRET);
+    // Every refresh issues a new refresh token; the presented one stops working
+    const result = await sessionService.rotateRefreshToken(refreshToken, req);
+
+    if (result.error) {
+      const messages = {
+        invalid_token: 'Invalid refresh token',
+        session_revoked: 'This session has been signed out. Please log in again.',
+        token_reuse: 'Refresh token was already used. This session has been signed out for your security.'
+      };
+      return res.status(401).json({
+        success: false,
+        message: messages[result.error],
+        code: result.error
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Token refreshed successfully',
+      data: {
+        accessToken: result.accessToken,
+        refreshToken: result.refreshToken
+      }
+    });
+
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to refresh token'
+    });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    Logout the current device (other sessions stay active)
+// @access  Private
+router.post('/logout', authenticateToken, async (req, res) => {
+  try {
+    if (req.sessionId) {
+      await sessionService.revokeSession(req.user._id, req.sessionId, 'logout');
+    } else {
+      // Access token from before sessions existed: clear the legacy refresh token
+      await User.findByIdAndUpdate(req.user._id, { $unset: { refreshToken: 1 } });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to logout'
+    });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List the devices the current user is logged in on
+// @access  Private
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const Session = require('../models/Session');
+    const sessions = await Session.getActiveSessions(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => ({
+          _id: session._id,
+          deviceId: session.deviceId,
+          deviceName: session.deviceName,
+          platform: session.platform,
+          userAgent: session.userAgent,
+          ipAddress: session.ipAddress,
+          method: session.method,
+          createdAt: session.createdAt,
+          lastUsedAt: session.lastUsedAt,
+          expiresAt: session.expiresAt,
+          isCurrent: session._id.toString() === req.sessionId
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get sessions'
+    });
+  }
+});
+
+// @route   GET /api/auth/activity
+// @desc    Sign-in history of the current user (successful and failed attempts)
+// @access  Private
+router.get('/activity', authenticateToken, async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const { activity, total } = await loginActivityService.getActivity(req.user._id, { page, limit });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        activity,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get login activity error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get login activity'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Sign out one of the current user's devices
+// @access  Private
+router.delete('/sessions/:id', authenticateToken, async (req, res) => {
+  try {
+    const mongoose = require('mongoose');
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid session ID'
+      });
+    }
+
+    const session = await sessionService.revokeSession(req.user._id, req.params.id, 'revoked_by_user');
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    // Drop any sockets that device still has open
+    const io = req.app.get('io');
+    if (io) {
+      const sockets = await io.in(`user:${req.user._id}`).fetchSockets();
+      sockets
+        .filter(socket => socket.data.sessionId === session._id.toString())
+        .forEach(socket => {
+          socket.emit('auth_error', { code: 'SESSION_REVOKED', message: 'This device has been signed out' });
+          socket.disconnect(true);
+        });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Session signed out successfully',
+      data: {
+        sessionId: session._id,
+        isCurrent: session._id.toString() === req.sessionId
+      }
+    });
+
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to sign out session'
+    });
+  }
+});
+
+// @route   GET /api/auth/tokens/scopes
+// @desc    List the scopes personal access tokens can be given
+// @access  Private
+router.get('/tokens/scopes', authenticateToken, async (req, res) => {
+  const { SCOPES } = require('../config/scopes');
+
+  res.status(200).json({
+    success: true,
+    data: {
+      scopes: Object.entries(SCOPES).map(([scope, description]) => ({ scope, description }))
+    }
+  });
+});
+
+// @route   GET /api/auth/tokens
+// @desc    List the current user's personal access tokens
+// @access  Private
+router.get('/tokens', authenticateToken, async (req, res) => {
+  try {
+    const apiTokenService = require('../services/apiTokenService');
+    const tokens = await apiTokenService.listTokens(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        tokens: tokens.map(apiToken => ({
+          ...apiToken.toJSON(),
+          isActive: apiToken.isActive()
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get API tokens error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get API tokens'
+    });
+  }
+});
+
+// @route   POST /api/auth/tokens
+// @desc    Create a personal access token (the token is only returned in this response)
+// @access  Private
+router.post('/tokens', authenticateToken, [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Token name must be between 1 and 100 characters'),
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('At least one scope is required'),
+  body('expiresInDays')
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Expiry must be between 1 and 365 days')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const apiTokenService = require('../services/apiTokenService');
+    const { name, scopes, expiresInDays } = req.body;
+
+    const invalidScopes = apiTokenService.findInvalidScopes(scopes);
+    if (invalidScopes) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown scope(s): ${invalidScopes.join(', ')}`
+      });
+    }
+
+    const result = await apiTokenService.createToken(req.user._id, { name, scopes, expiresInDays });
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: 'You have too many active tokens. Revoke one before creating another.'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Token created. Copy it now - it will not be shown again.',
+      data: {
+        token: result.token,
+        apiToken: result.apiToken
+      }
+    });
+
+  } catch (error) {
+    console.error('Create API token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create API token'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/tokens/:id
+// @desc    Revoke one of the current user's personal access tokens
+// @access  Private
+router.delete('/tokens/:id', authenticateToken, async (req, res) => {
+  try {
+    const mongoose = require('mongoose');
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid token ID'
+      });
+    }
+
+    const apiTokenService = require('../services/apiTokenService');
+    const apiToken = await apiTokenService.revokeToken(req.params.id, req.user._id);
+    if (!apiToken) {
+      return res.status(404).json({
+        success: false,
+        message: 'Token not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Token revoked successfully'
+    });
+
+  } catch (error) {
+    console.error('Revoke API token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke API token'
+    });
+  }
+});
+
+// @route   GET /api/auth/me
+// @desc    Get current user profile with stats
+// @access  Private
+router.get('/me', authenticateToken, async (req, res) => {
+  try {
+    const Post = require('../models/Post');
+    
+    console.log('👤 GET /api/auth/me - Debug info:');
+    console.log('   User ID:', req.user._id);
+    console.log('   Followers array:', req.user.followers);
+    console.log('   Following array:', req.user.following);
+    console.log('   Followers length:', req.user.followers ? req.user.followers.length : 'undefined');
+    console.log('   Following length:', req.user.following ? req.user.following.length : 'undefined');
+    
+    // Get user's post count
+    const postsCount = await Post.countDocuments({ author: req.user._id });
+    console.log('   Posts count:', postsCount);
+    
+    // Get followers and following counts
+    const followersCount = req.user.followers ? req.user.followers.length : 0;
+    const followingCount = req.user.following ? req.user.following.length : 0;
+    
+    const userProfile = req.user.getPublicProfile();
+    
+    const responseData = {
+      user: {
+        ...userProfile,
+        postsCount,
+        followersCount,
+        followingCount
+      },
+      // Lets the app nudge PIN users to upgrade to a passphrase
+      credentialStrength: passphraseService.describeCredential(req.user)
+    };
+    
+    console.log('👤 GET /api/auth/me response:');
+    console.log('   postsCount:', responseData.user.postsCount);
+    console.log('   followersCount:', responseData.user.followersCount);
+    console.log('   followingCount:', responseData.user.followingCount);
     
-    // Find user with this refresh token
-    const user = await User.findById(decoded.userId).select('+refreshToken');
-    if (!user || user.refreshToken !== refreshToken) {
+    res.status(200).json({
+      success: true,
+      message: 'User profile retrieved successfully',
+      data: responseData
+    });
+
+  } catch (error) {
+    console.error('Get profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get user profile'
+    });
+  }
+});
+
+// @route   POST /api/auth/credentials/check
+// @desc    Score a candidate passphrase (strength meter) without saving it
+// @access  Private
+router.post('/credentials/check', authenticateToken, [
+  body('passphrase')
+    .isString()
+    .isLength({ max: passphraseService.maxLength })
+    .withMessage(`Passphrase cannot exceed ${passphraseService.maxLength} characters`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { valid, message, strength } = passphraseService.validate(req.body.passphrase, req.user);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        acceptable: valid,
+        reason: message,
+        minLength: passphraseService.minLength,
+        minimumScore: passphraseService.minScore,
+        ...strength
+      }
+    });
+
+  } catch (error) {
+    console.error('Check passphrase error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check passphrase'
+    });
+  }
+});
+
+// @route   PUT /api/auth/credentials
+// @desc    Switch credential type (PIN <-> passphrase) or change the passphrase
+// @access  Private
+router.put('/credentials', authenticateToken, [
+  body('type')
+    .isIn(['pin', 'passphrase'])
+    .withMessage('Credential type must be pin or passphrase'),
+  body('newPinCode')
+    .if(body('type').equals('pin'))
+    .matches(/^\d{4}$/)
+    .withMessage('PIN code must be exactly 4 digits'),
+  body('newPassphrase')
+    .if(body('type').equals('passphrase'))
+    .isString()
+    .withMessage('New passphrase is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { type, newPinCode, newPassphrase, pinCode, password } = req.body;
+
+    // Re-check the current credential (social-only accounts have none to check)
+    const user = await User.findById(req.user._id).select('+pinCode +password');
+    if (user.pinCode || user.password) {
+      const lockout = await lockoutService.reserveAttempt({ identifier: user.email, user, endpoint: 'change-credentials', req });
+      if (lockout) {
+        return sendLockoutResponse(res, lockout);
+      }
+
+      const isValid = pinCode && user.pinCode
+        ? await user.comparePinCode(pinCode)
+        : !!(password && user.password && await user.comparePassword(password));
+
+      if (!isValid) {
+        const newLockout = await lockoutService.recordFailure({ identifier: user.email, user, endpoint: 'change-credentials', req });
+        if (newLockout) {
+          return sendLockoutResponse(res, newLockout);
+        }
+        return res.status(401).json({
+          success: false,
+          message: user.credentialType === 'passphrase'
+            ? 'Please confirm the change with your current passphrase'
+            : 'Please confirm the change with your current PIN code or password'
+        });
+      }
+
+      await lockoutService.recordSuccess(user.email, user._id);
+    }
+
+    let strength = null;
+    if (type === 'passphrase') {
+      const result = passphraseService.validate(newPassphrase, user);
+      if (!result.valid) {
+        return res.status(400).json({
+          success: false,
+          message: result.message,
+          strength: result.strength
+        });
+      }
+      strength = result.strength;
+
+      // The PIN stops working once the account uses a passphrase
+      user.password = newPassphrase; // Will be hashed by pre-save hook
+      user.pinCode = undefined;
+      user.credentialScore = strength.score;
+    } else {
+      user.pinCode = newPinCode; // Will be hashed by pre-save hook
+      user.password = undefined;
+      user.credentialScore = null;
+    }
+
+    user.credentialType = type;
+    user.credentialUpdatedAt = new Date();
+    await user.save();
+
+    // Sign out every other device: they may belong to whoever knew the old credential
+    const revokedSessions = await sessionService.revokeAllSessions(user._id, 'revoked_by_user', req.sessionId);
+
+    console.log(`🔐 User ${user._id} switched credential to ${type}`);
+
+    res.status(200).json({
+      success: true,
+      message: type === 'passphrase'
+        ? 'Your account now uses a passphrase. Sign in with it from now on.'
+        : 'Your account now uses a PIN code. Sign in with it from now on.',
+      data: {
+        credentialStrength: passphraseService.describeCredential(user),
+        revokedSessions
+      }
+    });
+
+  } catch (error) {
+    console.error('Change credentials error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to change credentials'
+    });
+  }
+});
+
+// @route   GET /api/auth/2fa/status
+// @desc    Get two-factor authentication status for the current user
+// @access  Private
+router.get('/2fa/status', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+twoFactor.backupCodes');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        enabled: !!user.twoFactor?.enabled,
+        enabledAt: user.twoFactor?.enabledAt || null,
+        required: twoFactorService.isRequiredFor(user),
+        backupCodesRemaining: user.twoFactor?.backupCodes ? user.twoFactor.backupCodes.length : 0
+      }
+    });
+  } catch (error) {
+    console.error('❌ 2FA status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get two-factor status'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start 2FA enrollment: returns a new secret and otpauth:// URL for an authenticator app
+// @access  Private
+router.post('/2fa/setup', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = twoFactorService.generateSecret();
+
+    await User.findByIdAndUpdate(req.user._id, {
+      'twoFactor.pendingSecret': twoFactorService.encryptSecret(secret)
+    });
+
+    console.log('🔐 2FA setup started for user:', req.user.email);
+
+    res.status(200).json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: {
+        secret,
+        otpauthUrl: twoFactorService.buildOtpauthUrl(secret, req.user.email)
+      }
+    });
+  } catch (error) {
+    console.error('❌ 2FA setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start two-factor setup'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/confirm
+// @desc    Confirm enrollment with the first code from the authenticator app; returns backup codes
+// @access  Private
+router.post('/2fa/confirm', authenticateToken, [
+  body('code')
+    .notEmpty()
+    .withMessage('Verification code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+twoFactor.pendingSecret');
+    if (!user.twoFactor?.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup first'
+      });
+    }
+
+    const secret = twoFactorService.decryptSecret(user.twoFactor.pendingSecret);
+    const step = twoFactorService.verifyCode(secret, req.body.code);
+    if (step === null) {
       return res.status(401).json({
         success: false,
-        message: 'Invalid refresh token'
+        message: 'Invalid verification code'
       });
     }
 
-    // Generate new tokens
-    const tokens = generateTokens(user._id);
+    const { codes, hashes } = twoFactorService.generateBackupCodes();
 
-    // Update refresh token
-    user.refreshToken = tokens.refreshToken;
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.backupCodes = hashes;
+    user.twoFactor.lastUsedStep = step;
     await user.save();
 
+    console.log('✅ 2FA enabled for user:', user.email);
+
     res.status(200).json({
       success: true,
-      message: 'Token refreshed successfully',
+      message: 'Two-factor authentication enabled. Store your backup codes somewhere safe; each can be used once.',
       data: {
-        accessToken: tokens.accessToken,
-        refreshToken: tokens.refreshToken
+        backupCodes: codes
       }
     });
+  } catch (error) {
+    console.error('❌ 2FA confirm error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to enable two-factor authentication'
+    });
+  }
+});
+
+// Check a TOTP code or backup code against a user loaded with the 2FA secrets.
+// Consumes the backup code / records the time step on success.
+const verifySecondFactor = async (user, { code, backupCode }) => {
+  if (backupCode) {
+    const index = twoFactorService.findBackupCode(user.twoFactor.backupCodes, backupCode);
+    if (index === -1) return false;
+
+    user.twoFactor.backupCodes.splice(index, 1);
+    await user.save();
+    return true;
+  }
+
+  const secret = twoFactorService.decryptSecret(user.twoFactor.secret);
+  const step = twoFactorService.verifyCode(secret, code, user.twoFactor.lastUsedStep);
+  if (step === null) return false;
+
+  user.twoFactor.lastUsedStep = step;
+  await user.save();
+  return true;
+};
+
+const TWO_FACTOR_SECRETS = '+twoFactor.secret +twoFactor.backupCodes +twoFactor.lastUsedStep';
+
+// @route   POST /api/auth/2fa/verify
+// @desc    Second login step: exchange the challenge token and a TOTP/backup code for tokens
+// @access  Public (requires challenge token from login)
+router.post('/2fa/verify', [
+  body('challengeToken')
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+  body().custom((value) => {
+    if (!value.code && !value.backupCode) {
+      throw new Error('Verification code or backup code is required');
+    }
+    return true;
+  })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { challengeToken, code, backupCode } = req.body;
+
+    const challenge = twoFactorService.verifyChallengeToken(challengeToken);
+    if (!challenge) {
+      return res.status(401).json({
+        success: false,
+        message: 'Two-factor challenge expired. Please log in again.'
+      });
+    }
+
+    const user = await User.findById(challenge.userId).select(TWO_FACTOR_SECRETS);
+    if (!user || !user.twoFactor?.enabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Two-factor challenge expired. Please log in again.'
+      });
+    }
+
+    if (user.isBanned) {
+      await loginActivityService.record(req, { user, method: challenge.method, success: false, failureReason: 'banned' });
+      return res.status(403).json({
+        success: false,
+        message: 'Your account has been permanently banned. Please contact support.',
+        isBanned: true
+      });
+    }
+
+    // Codes are only 6 digits, so guesses are locked out like PINs (on their own counter, which a PIN login can't reset)
+    const lockout = await lockoutService.reserveAttempt({ identifier: user.email, user, endpoint: '2fa-verify', req });
+    if (lockout) {
+      await loginActivityService.record(req, { user, method: challenge.method, success: false, failureReason: 'locked_out' });
+      return sendLockoutResponse(res, lockout);
+    }
+
+    const isValid = await verifySecondFactor(user, { code, backupCode });
+    if (!isValid) {
+      console.log('❌ Invalid 2FA code for user:', user.email);
+      await loginActivityService.record(req, { user, method: challenge.method, success: false, failureReason: 'invalid_two_factor' });
+      const newLockout = await lockoutService.recordFailure({ identifier: user.email, user, endpoint: '2fa-verify', req });
+      if (newLockout) {
+        return sendLockoutResponse(res, newLockout);
+      }
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
 
+    await lockoutService.recordSuccess(user.email, user._id, '2fa-verify');
+
+    // Start a session for this device
+    const { accessToken, refreshToken, session } = await sessionService.createSession(user._id, req, challenge.method);
+    await loginActivityService.record(req, { user, method: challenge.method, success: true, session });
+
+    user.lastLogin = new Date();
+    await user.save();
+
+    const completeUserProfile = await getCompleteUserProfile(user);
+
+    console.log('✅ 2FA login complete for user:', user.email);
+
+    res.status(200).json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        user: completeUserProfile,
+        accessToken,
+        refreshToken,
+        backupCodesRemaining: user.twoFactor.backupCodes.length
+      }
+    });
   } catch (error) {
-    console.error('Token refresh error:', error);
-    
-    if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
+    console.error('❌ 2FA verify error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify two-factor code'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/backup-codes
+// @desc    Replace all backup codes (requires a current TOTP code)
+// @access  Private
+router.post('/2fa/backup-codes', authenticateToken, [
+  body('code')
+    .notEmpty()
+    .withMessage('Verification code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_SECRETS);
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    // Same lockout as /2fa/verify, so a stolen session can't guess codes here instead
+    const lockout = await lockoutService.reserveAttempt({ identifier: user.email, user, endpoint: '2fa-backup-codes', req });
+    if (lockout) {
+      return sendLockoutResponse(res, lockout);
+    }
+
+    const isValid = await verifySecondFactor(user, { code: req.body.code });
+    if (!isValid) {
+      const newLockout = await lockoutService.recordFailure({ identifier: user.email, user, endpoint: '2fa-backup-codes', req });
+      if (newLockout) {
+        return sendLockoutResponse(res, newLockout);
+      }
       return res.status(401).json({
         success: false,
-        message: 'Invalid refresh token'
+        message: 'Invalid verification code'
       });
     }
 
-    res.status(500).json({
-      success: false,
-      message: 'Failed to refresh token'
-    });
-  }
-});
+    await lockoutService.recordSuccess(user.email, user._id, '2fa-backup-codes');
 
-// @route   POST /api/auth/logout
-// @desc    Logout user
-// @access  Private
-router.post('/logout', authenticateToken, async (req, res) => {
-  try {
-    // Clear refresh token
-    req.user.refreshToken = null;
-    await req.user.save();
+    const { codes, hashes } = twoFactorService.generateBackupCodes();
+    user.twoFactor.backupCodes = hashes;
+    await user.save();
 
     res.status(200).json({
       success: true,
-      message: 'Logged out successfully'
+      message: 'New backup codes generated. Your old backup codes no longer work.',
+      data: {
+        backupCodes: codes
+      }
     });
-
   } catch (error) {
-    console.error('Logout error:', error);
+    console.error('❌ 2FA backup codes error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to logout'
+      message: 'Failed to generate backup codes'
     });
   }
 });
 
-// @route   GET /api/auth/me
-// @desc    Get current user profile with stats
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn off 2FA (requires a current TOTP or backup code)
 // @access  Private
-router.get('/me', authenticateToken, async (req, res) => {
+router.post('/2fa/disable', authenticateToken, async (req, res) => {
   try {
-    const Post = require('../models/Post');
-    
-    console.log('👤 GET /api/auth/me - Debug info:');
-    console.log('   User ID:', req.user._id);
-    console.log('   Followers array:', req.user.followers);
-    console.log('   Following array:', req.user.following);
-    console.log('   Followers length:', req.user.followers ? req.user.followers.length : 'undefined');
-    console.log('   Following length:', req.user.following ? req.user.following.length : 'undefined');
-    
-    // Get user's post count
-    const postsCount = await Post.countDocuments({ author: req.user._id });
-    console.log('   Posts count:', postsCount);
-    
-    // Get followers and following counts
-    const followersCount = req.user.followers ? req.user.followers.length : 0;
-    const followingCount = req.user.following ? req.user.following.length : 0;
-    
-    const userProfile = req.user.getPublicProfile();
-    
-    const responseData = {
-      user: {
-        ...userProfile,
-        postsCount,
-        followersCount,
-        followingCount
+    const { code, backupCode } = req.body;
+
+    if (!code && !backupCode) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification code or backup code is required'
+      });
+    }
+
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_SECRETS);
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (twoFactorService.isRequiredFor(user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is required for this account and cannot be turned off'
+      });
+    }
+
+    const lockout = await lockoutService.reserveAttempt({ identifier: user.email, user, endpoint: '2fa-disable', req });
+    if (lockout) {
+      return sendLockoutResponse(res, lockout);
+    }
+
+    const isValid = await verifySecondFactor(user, { code, backupCode });
+    if (!isValid) {
+      const newLockout = await lockoutService.recordFailure({ identifier: user.email, user, endpoint: '2fa-disable', req });
+      if (newLockout) {
+        return sendLockoutResponse(res, newLockout);
       }
-    };
-    
-    console.log('👤 GET /api/auth/me response:');
-    console.log('   postsCount:', responseData.user.postsCount);
-    console.log('   followersCount:', responseData.user.followersCount);
-    console.log('   followingCount:', responseData.user.followingCount);
-    
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
+
+    await lockoutService.recordSuccess(user.email, user._id, '2fa-disable');
+
+    user.twoFactor.enabled = false;
+    user.twoFactor.enabledAt = null;
+    user.twoFactor.secret = undefined;
+    user.twoFactor.backupCodes = [];
+    user.twoFactor.lastUsedStep = undefined;
+    await user.save();
+
+    console.log('🔓 2FA disabled for user:', user.email);
+
     res.status(200).json({
       success: true,
-      message: 'User profile retrieved successfully',
-      data: responseData
+      message: 'Two-factor authentication disabled'
     });
-
   } catch (error) {
-    console.error('Get profile error:', error);
+    console.error('❌ 2FA disable error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to get user profile'
+      message: 'Failed to disable two-factor authentication'
     });
   }
 });
@@ -491,6 +1316,7 @@ router.post('/google', async (req, res) => {
         console.error('❌ ID token verification failed:', error);
         // Fall back to access token if ID token fails
         if (!googleAccessToken) {
+          await loginActivityService.record(req, { method: 'google', success: false, failureReason: 'invalid_social_token' });
           return res.status(401).json({
             success: false,
             message: 'Invalid Google ID token'
@@ -511,6 +1337,7 @@ router.post('/google', async (req, res) => {
         console.log('✅ Verified using access token');
       } catch (error) {
         console.error('❌ Access token verification failed:', error);
+        await loginActivityService.record(req, { method: 'google', success: false, failureReason: 'invalid_social_token' });
         return res.status(401).json({
           success: false,
           message: 'Invalid Google access token'
@@ -542,6 +1369,11 @@ router.post('/google', async (req, res) => {
         if (user) {
           // Link Google ID to existing account
           user.googleId = googleId;
+          // Google has confirmed the address belongs to this person
+          if (emailVerified && !user.emailVerified) {
+            user.emailVerified = true;
+            user.emailVerifiedAt = new Date();
+          }
           if (picture && !user.avatar) {
             user.avatar = picture;
           }
@@ -574,12 +1406,14 @@ router.post('/google', async (req, res) => {
       }
     }
 
-    // Generate JWT tokens
-    const { accessToken, refreshToken } = generateTokens(user._id.toString());
+    // Second step required when 2FA is on
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return sendTwoFactorChallenge(res, user, 'google');
+    }
 
-    // Save refresh token
-    user.refreshToken = refreshToken;
-    await user.save();
+    // Start a session for this device
+    const { accessToken, refreshToken, session } = await sessionService.createSession(user._id, req, 'google');
+    await loginActivityService.record(req, { user, method: 'google', success: true, session });
 
     // Return user data
     res.status(200).json({
@@ -636,6 +1470,7 @@ router.post('/facebook', [
       fbResponse = await axios.get(`https://graph.facebook.com/me?fields=id,name,email,picture.type(large)&access_token=${accessToken}`);
     } catch (error) {
       console.error('❌ Facebook token verification failed:', error.response?.data || error.message);
+      await loginActivityService.record(req, { method: 'facebook', success: false, failureReason: 'invalid_social_token' });
       return res.status(401).json({
         success: false,
         message: 'Invalid Facebook access token'
@@ -696,12 +1531,14 @@ router.post('/facebook', [
       }
     }
 
-    // Generate JWT tokens
-    const { accessToken: jwtAccessToken, refreshToken } = generateTokens(user._id.toString());
+    // Second step required when 2FA is on
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return sendTwoFactorChallenge(res, user, 'facebook');
+    }
 
-    // Save refresh token
-    user.refreshToken = refreshToken;
-    await user.save();
+    // Start a session for this device
+    const { accessToken: jwtAccessToken, refreshToken, session } = await sessionService.createSession(user._id, req, 'facebook');
+    await loginActivityService.record(req, { user, method: 'facebook', success: true, session });
 
     // Return user data
     res.status(200).json({
@@ -770,6 +1607,7 @@ router.post('/apple', [
       });
     } catch (error) {
       console.error('❌ Apple token verification failed:', error);
+      await loginActivityService.record(req, { method: 'apple', success: false, failureReason: 'invalid_social_token' });
       return res.status(401).json({
         success: false,
         message: 'Invalid Apple identity token'
@@ -821,12 +1659,14 @@ router.post('/apple', [
       console.log('✅ Existing Apple user logged in:', user.email);
     }
 
-    // Generate JWT tokens
-    const { accessToken, refreshToken } = generateTokens(user._id.toString());
+    // Second step required when 2FA is on
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return sendTwoFactorChallenge(res, user, 'apple');
+    }
 
-    // Save refresh token
-    user.refreshToken = refreshToken;
-    await user.save();
+    // Start a session for this device
+    const { accessToken, refreshToken, session } = await sessionService.createSession(user._id, req, 'apple');
+    await loginActivityService.record(req, { user, method: 'apple', success: true, session });
 
     // Return user data
     res.status(200).json({
@@ -871,8 +1711,8 @@ router.post('/reset-password-with-pin', [
     .isNumeric()
     .withMessage('PIN code must contain only numbers'),
   body('newPassword')
-    .isLength({ min: 8 })
-    .withMessage('New password must be at least 8 characters long')
+    .isString()
+    .withMessage('New passphrase is required')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -889,9 +1729,18 @@ router.post('/reset-password-with-pin', [
 
     // Find user by email and include PIN for verification
     const user = await User.findByEmail(email).select('+pinCode +password');
+
+    const lockout = await lockoutService.reserveAttempt({ identifier: email, user, endpoint: 'reset-password-with-pin', req });
+    if (lockout) {
+      return sendLockoutResponse(res, lockout);
+    }
     
     if (!user) {
       // For security, don't reveal if user exists
+      const newLockout = await lockoutService.recordFailure({ identifier: email, endpoint: 'reset-password-with-pin', req });
+      if (newLockout) {
+        return sendLockoutResponse(res, newLockout);
+      }
       return res.status(401).json({
         success: false,
         message: 'Invalid email or PIN code'
@@ -903,21 +1752,41 @@ router.post('/reset-password-with-pin', [
     
     if (!isPinValid) {
       console.log('❌ Invalid PIN code for password reset:', email);
+      const newLockout = await lockoutService.recordFailure({ identifier: email, user, endpoint: 'reset-password-with-pin', req });
+      if (newLockout) {
+        return sendLockoutResponse(res, newLockout);
+      }
       return res.status(401).json({
         success: false,
         message: 'Invalid email or PIN code'
       });
     }
 
-    // Update password
+    await lockoutService.recordSuccess(email, user._id);
+
+    // The new password is a passphrase credential, held to the same policy as PUT /credentials
+    const { valid, message, strength } = passphraseService.validate(newPassword, user);
+    if (!valid) {
+      return res.status(400).json({
+        success: false,
+        message,
+        strength
+      });
+    }
+
+    // The PIN stops working once the account uses a passphrase
     user.password = newPassword; // Will be hashed by pre-save hook
+    user.pinCode = undefined;
+    user.credentialType = 'passphrase';
+    user.credentialScore = strength.score;
+    user.credentialUpdatedAt = new Date();
     await user.save();
 
     console.log('✅ Password reset successful via PIN for user:', user.email);
 
     res.status(200).json({
       success: true,
-      message: 'Password has been reset successfully. You can now log in with your new password.'
+      message: 'Password has been reset successfully. You can now log in with your new passphrase.'
     });
 
   } catch (error) {
@@ -971,9 +1840,18 @@ router.post('/reset-pin', [
 
     // Find user by email and include PIN for verification
     const user = await User.findByEmail(email).select('+pinCode');
+
+    const lockout = await lockoutService.reserveAttempt({ identifier: email, user, endpoint: 'reset-pin', req });
+    if (lockout) {
+      return sendLockoutResponse(res, lockout);
+    }
     
     if (!user) {
       // For security, don't reveal if user exists
+      const newLockout = await lockoutService.recordFailure({ identifier: email, endpoint: 'reset-pin', req });
+      if (newLockout) {
+        return sendLockoutResponse(res, newLockout);
+      }
       return res.status(401).json({
         success: false,
         message: 'Invalid email or PIN code'
@@ -985,12 +1863,18 @@ router.post('/reset-pin', [
     
     if (!isPinValid) {
       console.log('❌ Invalid old PIN code for PIN reset:', email);
+      const newLockout = await lockoutService.recordFailure({ identifier: email, user, endpoint: 'reset-pin', req });
+      if (newLockout) {
+        return sendLockoutResponse(res, newLockout);
+      }
       return res.status(401).json({
         success: false,
         message: 'Invalid email or old PIN code'
       });
     }
 
+    await lockoutService.recordSuccess(email, user._id);
+
     // Update PIN
     user.pinCode = newPinCode; // Will be hashed by pre-save hook
     await user.save();
@@ -1040,9 +1924,18 @@ router.post('/recover-pin', [
 
     // Find user by email and include PIN and security answer for verification
     const user = await User.findByEmail(email).select('+pinCode +securityAnswer securityQuestion');
+
+    const lockout = await lockoutService.reserveAttempt({ identifier: email, user, endpoint: 'recover-pin', req });
+    if (lockout) {
+      return sendLockoutResponse(res, lockout);
+    }
     
     if (!user) {
       // For security, don't reveal if user exists
+      const newLockout = await lockoutService.recordFailure({ identifier: email, endpoint: 'recover-pin', req });
+      if (newLockout) {
+        return sendLockoutResponse(res, newLockout);
+      }
       return res.status(401).json({
         success: false,
         message: 'Invalid email or security answer'
@@ -1051,6 +1944,7 @@ router.post('/recover-pin', [
 
     // Check if user has a security question set up
     if (!user.securityQuestion || !user.securityAnswer) {
+      await lockoutService.releaseAttempt(email, user._id);
       return res.status(400).json({
         success: false,
         message: 'This account does not have a security question set up. Please contact support.'
@@ -1062,12 +1956,18 @@ router.post('/recover-pin', [
     
     if (!isAnswerValid) {
       console.log('❌ Invalid security answer for PIN recovery:', email);
+      const newLockout = await lockoutService.recordFailure({ identifier: email, user, endpoint: 'recover-pin', req });
+      if (newLockout) {
+        return sendLockoutResponse(res, newLockout);
+      }
       return res.status(401).json({
         success: false,
         message: 'Invalid email or security answer'
       });
     }
 
+    await lockoutService.recordSuccess(email, user._id);
+
     // Return the security question and a success message (PIN will be sent in a separate step or shown)
     // For security, we don't return the actual PIN directly - instead we allow them to reset it
     console.log('✅ Security answer verified for user:', user.email);
@@ -1124,9 +2024,18 @@ router.post('/recover-pin-reset', [
 
     // Find user by email and include PIN and security answer for verification
     const user = await User.findByEmail(email).select('+pinCode +securityAnswer');
+
+    const lockout = await lockoutService.reserveAttempt({ identifier: email, user, endpoint: 'recover-pin-reset', req });
+    if (lockout) {
+      return sendLockoutResponse(res, lockout);
+    }
     
     if (!user) {
       // For security, don't reveal if user exists
+      const newLockout = await lockoutService.recordFailure({ identifier: email, endpoint: 'recover-pin-reset', req });
+      if (newLockout) {
+        return sendLockoutResponse(res, newLockout);
+      }
       return res.status(401).json({
         success: false,
         message: 'Invalid email or security answer'
@@ -1138,14 +2047,26 @@ router.post('/recover-pin-reset', [
     
     if (!isAnswerValid) {
       console.log('❌ Invalid security answer for PIN reset:', email);
+      const newLockout = await lockoutService.recordFailure({ identifier: email, user, endpoint: 'recover-pin-reset', req });
+      if (newLockout) {
+        return sendLockoutResponse(res, newLockout);
+      }
       return res.status(401).json({
         success: false,
         message: 'Invalid email or security answer'
       });
     }
 
-    // Update PIN
+    await lockoutService.recordSuccess(email, user._id);
+
+    // Update PIN (a passphrase user who lost their passphrase is switched back to a PIN)
     user.pinCode = newPinCode; // Will be hashed by pre-save hook
+    if (user.credentialType === 'passphrase') {
+      user.credentialType = 'pin';
+      user.credentialScore = null;
+      user.password = undefined;
+    }
+    user.credentialUpdatedAt = new Date();
     await user.save();
 
     console.log('✅ PIN recovered and reset successfully for user:', user.email);
@@ -1164,6 +2085,228 @@ router.post('/recover-pin-reset', [
   }
 });
 
+// @route   POST /api/auth/verify-email/send
+// @desc    Send (or re-send) the email verification link
+// @access  Private
+router.post('/verify-email/send', authenticateToken, emailVerificationLimiter, async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Your email is already verified'
+      });
+    }
+
+    const result = await emailVerificationService.sendVerification(req.user);
+    if (!result.success) {
+      return res.status(503).json({
+        success: false,
+        message: 'Could not send the verification email. Please try again later.'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Verification email sent to ${req.user.email}`
+    });
+  } catch (error) {
+    console.error('❌ Send verification email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send verification email'
+    });
+  }
+});
+
+// @route   POST /api/auth/verify-email
+// @desc    Verify the account email with the token from the emailed link
+// @access  Public
+router.post('/verify-email', [
+  body('token')
+    .notEmpty()
+    .withMessage('Verification token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await emailVerificationService.verifyEmail(req.body.token);
+
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error === 'email_changed'
+          ? 'This link was sent to a previous email address. Please request a new one.'
+          : 'Invalid or expired verification link',
+        code: result.error
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Email verified successfully',
+      data: {
+        email: result.user.email,
+        emailVerified: true
+      }
+    });
+  } catch (error) {
+    console.error('❌ Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify email'
+    });
+  }
+});
+
+// @route   POST /api/auth/change-email
+// @desc    Request an email change; a confirmation link is sent to the new address
+// @access  Private
+router.post('/change-email', authenticateToken, emailVerificationLimiter, [
+  body('newEmail')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email address')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { newEmail, pinCode, password } = req.body;
+
+    // Re-check the account credential (social-only accounts have none to check)
+    const user = await User.findById(req.user._id).select('+pinCode +password');
+    if (user.pinCode || user.password) {
+      const lockout = await lockoutService.reserveAttempt({ identifier: user.email, user, endpoint: 'change-email', req });
+      if (lockout) {
+        return sendLockoutResponse(res, lockout);
+      }
+
+      const isValid = pinCode && user.pinCode
+        ? await user.comparePinCode(pinCode)
+        : !!(password && user.password && await user.comparePassword(password));
+
+      if (!isValid) {
+        const newLockout = await lockoutService.recordFailure({ identifier: user.email, user, endpoint: 'change-email', req });
+        if (newLockout) {
+          return sendLockoutResponse(res, newLockout);
+        }
+        return res.status(401).json({
+          success: false,
+          message: 'Please confirm the change with your current PIN code or password'
+        });
+      }
+
+      await lockoutService.recordSuccess(user.email, user._id);
+    }
+
+    const result = await emailVerificationService.requestEmailChange(user, newEmail.toLowerCase().trim());
+
+    if (result.error) {
+      const responses = {
+        same_email: [400, 'This is already your email address'],
+        email_taken: [409, 'User with this email already exists'],
+        send_failed: [503, 'Could not send the confirmation email. Please try again later.']
+      };
+      const [status, message] = responses[result.error];
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `We sent a confirmation link to ${newEmail}. Your email will change once you confirm it.`
+    });
+  } catch (error) {
+    console.error('❌ Change email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to request email change'
+    });
+  }
+});
+
+// @route   POST /api/auth/change-email/confirm
+// @desc    Confirm an email change with the token sent to the new address
+// @access  Public
+router.post('/change-email/confirm', [
+  body('token')
+    .notEmpty()
+    .withMessage('Confirmation token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await emailVerificationService.confirmEmailChange(req.body.token);
+
+    if (result.error) {
+      return res.status(result.error === 'email_taken' ? 409 : 400).json({
+        success: false,
+        message: result.error === 'email_taken'
+          ? 'This email address is now used by another account'
+          : 'Invalid or expired confirmation link',
+        code: result.error
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Your email address has been changed',
+      data: {
+        email: result.user.email,
+        emailVerified: true
+      }
+    });
+  } catch (error) {
+    console.error('❌ Confirm email change error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to change email'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/change-email
+// @desc    Cancel a pending email change
+// @access  Private
+router.delete('/change-email', authenticateToken, async (req, res) => {
+  try {
+    await emailVerificationService.cancelEmailChange(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Pending email change cancelled'
+    });
+  } catch (error) {
+    console.error('❌ Cancel email change error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel email change'
+    });
+  }
+});
+
 // @route   POST /api/auth/update-fcm-token
 // @desc    Update FCM token for push notifications
 // @access  Private
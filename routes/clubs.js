@@ -2,11 +2,21 @@ const express = require('express');
 const { body, validationResult, query, param } = require('express-validator');
 const { authenticateToken } = require('../middleware/auth');
 const checkSuspension = require('../middleware/checkSuspension');
+const requireVerifiedEmail = require('../middleware/requireVerifiedEmail');
+const { requireScope, hasScope } = require('../middleware/requireScope');
 const { generalLimiter, createContentLimiter, searchLimiter } = require('../middleware/rateLimiter');
 const Club = require('../models/Club');
 const Notification = require('../models/Notification');
 const achievementService = require('../services/achievementService');
+const storageService = require('../services/storageService');
+const postPublishingService = require('../services/postPublishingService');
+const revisionService = require('../services/revisionService');
+const hashtagService = require('../services/hashtagService');
+const checkStorageQuota = require('../middleware/checkStorageQuota');
+const paginate = require('../middleware/pagination');
+const { afterCursor, buildPage, paginateArray } = require('../utils/pagination');
 const multer = require('multer');
+const { withPlanLimits } = require('../config/multer');
 const path = require('path');
 const fs = require('fs');
 
@@ -27,11 +37,8 @@ const storage = multer.diskStorage({
   }
 });
 
-const upload = multer({
+const upload = withPlanLimits({
   storage,
-  limits: {
-    fileSize: 50 * 1024 * 1024 // 50MB limit
-  },
   fileFilter: (req, file, cb) => {
     const allowedTypes = /jpeg|jpg|png|gif|pdf|doc|docx|txt|mp4|mp3|webm/;
     const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
@@ -77,7 +84,7 @@ const createCommentValidation = [
 // ===== CLUB CRUD =====
 
 // Create club
-router.post('/', createContentLimiter, checkSuspension, createClubValidation, async (req, res) => {
+router.post('/', createContentLimiter, checkSuspension, requireVerifiedEmail, createClubValidation, async (req, res) => {
   // Enhanced debug logging
   console.log('========================================');
   console.log('🏗️  CREATE CLUB REQUEST');
@@ -234,8 +241,20 @@ router.post('/', createContentLimiter, checkSuspension, createClubValidation, as
 
 // ===== CLUB DISCOVERY ===== (Must be before /:id route)
 
+// Sort orders for club lists; each ends with _id so cursors point at exactly one club
+const DISCOVER_SORTS = {
+  popular: { membersCount: -1, lastActivityAt: -1, _id: -1 },
+  newest: { createdAt: -1, _id: -1 },
+  active: { lastActivityAt: -1, _id: -1 },
+  default: { membersCount: -1, _id: -1 }
+};
+const DISCUSSION_SORTS = {
+  recent: { isPinned: -1, createdAt: -1, _id: -1 },
+  popular: { isPinned: -1, likesCount: -1, _id: -1 }
+};
+
 // Discover clubs
-router.get('/discover/list', searchLimiter, async (req, res) => {
+router.get('/discover/list', searchLimiter, paginate({ sort: req => DISCOVER_SORTS[req.query.sort || 'popular'] || DISCOVER_SORTS.default }), async (req, res) => {
   console.log('========================================');
   console.log('🔍 DISCOVER CLUBS REQUEST');
   console.log('========================================');
@@ -246,10 +265,10 @@ router.get('/discover/list', searchLimiter, async (req, res) => {
   console.log('🌐 IP Address:', req.ip);
   
   try {
-    const { page = 1, limit = 20, search, category, sort = 'popular' } = req.query;
-    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const { search, category, sort = 'popular' } = req.query;
+    const { mode, page, limit, skip } = req.pagination;
 
-    console.log('📊 Pagination:', { page: parseInt(page), limit: parseInt(limit), skip });
+    console.log('📊 Pagination:', { mode, page, limit, skip });
 
     const query = { type: 'public', isApproved: true };
 
@@ -268,46 +287,29 @@ router.get('/discover/list', searchLimiter, async (req, res) => {
     console.log('🔧 Final MongoDB Query:', JSON.stringify(query, null, 2));
 
     // Sort
-    let sortQuery = {};
-    switch (sort) {
-      case 'popular':
-        sortQuery = { membersCount: -1, lastActivityAt: -1 };
-        break;
-      case 'newest':
-        sortQuery = { createdAt: -1 };
-        break;
-      case 'active':
-        sortQuery = { lastActivityAt: -1 };
-        break;
-      default:
-        sortQuery = { membersCount: -1 };
-    }
+    const sortQuery = req.pagination.sort;
 
     console.log('🔀 Sort criteria:', JSON.stringify(sortQuery, null, 2));
     console.log('🔄 Executing database query...');
 
     const startTime = Date.now();
-    const clubs = await Club.find(query)
+    const fetched = await Club.find(afterCursor(query, req.pagination))
       .sort(sortQuery)
       .skip(skip)
-      .limit(parseInt(limit))
+      .limit(limit + 1)
       .populate('owner', 'name avatar isVerified')
       .select('name description type category tags coverImage avatar membersCount discussionsCount lastActivityAt createdAt');
 
     const queryTime = Date.now() - startTime;
     console.log(`⏱️  Query execution time: ${queryTime}ms`);
-    console.log('📊 Clubs found:', clubs.length);
 
-    const total = await Club.countDocuments(query);
-    const totalPages = Math.ceil(total / parseInt(limit));
+    const { items: clubs, pageInfo } = await buildPage(fetched, req.pagination, () => Club.countDocuments(query));
+    console.log('📊 Clubs found:', clubs.length);
 
     console.log('📈 Total Results:', {
-      total,
-      currentPage: parseInt(page),
-      totalPages,
+      ...pageInfo,
       resultsOnPage: clubs.length,
-      hasNextPage: parseInt(page) < totalPages,
-      hasPreviousPage: parseInt(page) > 1
+      hasPreviousPage: mode === 'page' ? page > 1 : undefined
     });
 
     if (clubs.length === 0) {
@@ -332,9 +334,7 @@ router.get('/discover/list', searchLimiter, async (req, res) => {
       success: true,
       data: {
         clubs,
-        total,
-        page: parseInt(page),
-        pages: totalPages
+        ...pageInfo
       },
       debug: process.env.NODE_ENV === 'development' ? {
         queryTime: `${queryTime}ms`,
@@ -385,7 +385,7 @@ router.get('/discover/list', searchLimiter, async (req, res) => {
 });
 
 // Get my clubs
-router.get('/my/list', async (req, res) => {
+router.get('/my/list', paginate({ sort: { lastActivityAt: -1, _id: -1 } }), async (req, res) => {
   console.log('========================================');
   console.log('👤 GET MY CLUBS REQUEST');
   console.log('========================================');
@@ -395,35 +395,32 @@ router.get('/my/list', async (req, res) => {
   console.log('🔍 Query Parameters:', JSON.stringify(req.query, null, 2));
   
   try {
-    const { page = 1, limit = 20 } = req.query;
-    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const { mode, page, limit, skip } = req.pagination;
+    const query = { 'members.user': req.user._id };
 
-    console.log('📊 Pagination:', { page: parseInt(page), limit: parseInt(limit), skip });
-    console.log('🔧 MongoDB Query:', { 'members.user': req.user._id });
+    console.log('📊 Pagination:', { mode, page, limit, skip });
+    console.log('🔧 MongoDB Query:', query);
     console.log('🔄 Executing database query...');
 
     const startTime = Date.now();
-    const clubs = await Club.find({
-      'members.user': req.user._id
-    })
-      .sort({ lastActivityAt: -1 })
+    const fetched = await Club.find(afterCursor(query, req.pagination))
+      .sort(req.pagination.sort)
       .skip(skip)
-      .limit(parseInt(limit))
+      .limit(limit + 1)
       .populate('owner', 'name avatar isVerified')
       .select('name description type category tags coverImage avatar membersCount discussionsCount lastActivityAt createdAt')
       .lean();
 
     const queryTime = Date.now() - startTime;
     console.log(`⏱️  Query execution time: ${queryTime}ms`);
-    console.log('📊 Clubs found:', clubs.length);
 
-    const total = await Club.countDocuments({ 'members.user': req.user._id });
-    const totalPages = Math.ceil(total / parseInt(limit));
+    const { items: clubs, pageInfo } = await buildPage(fetched, req.pagination, () => Club.countDocuments(query));
+    console.log('📊 Clubs found:', clubs.length);
 
     console.log('📈 User Club Stats:', {
-      totalClubsMember: total,
-      currentPage: parseInt(page),
-      totalPages,
+      totalClubsMember: pageInfo.total,
+      currentPage: page,
+      totalPages: pageInfo.pages,
       resultsOnPage: clubs.length
     });
 
@@ -442,9 +439,7 @@ router.get('/my/list', async (req, res) => {
       success: true,
       data: {
         clubs,
-        total,
-        page: parseInt(page),
-        pages: totalPages
+        ...pageInfo
       },
       debug: process.env.NODE_ENV === 'development' ? {
         queryTime: `${queryTime}ms`,
@@ -616,7 +611,7 @@ router.get('/:id', param('id').isMongoId(), async (req, res) => {
 });
 
 // Update club
-router.put('/:id', checkSuspension, param('id').isMongoId(), createClubValidation, async (req, res) => {
+router.put('/:id', requireScope('clubs:moderate'), checkSuspension, param('id').isMongoId(), createClubValidation, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -668,7 +663,7 @@ router.put('/:id', checkSuspension, param('id').isMongoId(), createClubValidatio
 });
 
 // Upload club image (cover image)
-router.post('/:id/upload-image', checkSuspension, param('id').isMongoId(), upload.single('image'), async (req, res) => {
+router.post('/:id/upload-image', requireScope('clubs:moderate'), checkSuspension, param('id').isMongoId(), upload.single('image'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ success: false, message: 'No image uploaded' });
@@ -742,7 +737,7 @@ router.post('/:id/upload-image', checkSuspension, param('id').isMongoId(), uploa
 });
 
 // Delete club
-router.delete('/:id', checkSuspension, param('id').isMongoId(), async (req, res) => {
+router.delete('/:id', requireScope('clubs:moderate'), checkSuspension, param('id').isMongoId(), async (req, res) => {
   try {
     const club = await Club.findById(req.params.id);
     if (!club) {
@@ -766,6 +761,11 @@ router.delete('/:id', checkSuspension, param('id').isMongoId(), async (req, res)
     });
 
     await Club.findByIdAndDelete(req.params.id);
+    await require('../models/Revision').deleteMany({ club: club._id });
+    await storageService.release('club_file', [
+      ...club.files.map(file => file._id),
+      ...club.discussions.map(discussion => discussion._id)
+    ]);
 
     return res.json({ success: true, message: 'Club deleted successfully' });
   } catch (error) {
@@ -1120,8 +1120,11 @@ router.post('/:id/leave', checkSuspension, param('id').isMongoId(), async (req,
     club.removeMember(req.user._id);
     await club.save();
 
-    // Notify club admins
+    // Former members stop receiving the club's realtime traffic
     const io = req.app.get('io');
+    io.in(`user:${req.user._id.toString()}`).socketsLeave(`club:${club._id.toString()}`);
+
+    // Notify club admins
     const admins = club.members.filter(m => m.role === 'owner' || m.role === 'admin');
     admins.forEach(admin => {
       io.to(`user:${admin.user.toString()}`).emit('club:member-left', {
@@ -1227,7 +1230,7 @@ router.post('/:id/accept-invite', checkSuspension, param('id').isMongoId(), asyn
 });
 
 // Approve join request
-router.post('/:id/approve-request/:userId', checkSuspension, [
+router.post('/:id/approve-request/:userId', requireScope('clubs:moderate'), checkSuspension, [
   param('id').isMongoId(),
   param('userId').isMongoId()
 ], async (req, res) => {
@@ -1269,7 +1272,7 @@ router.post('/:id/approve-request/:userId', checkSuspension, [
 });
 
 // Reject join request
-router.post('/:id/reject-request/:userId', checkSuspension, [
+router.post('/:id/reject-request/:userId', requireScope('clubs:moderate'), checkSuspension, [
   param('id').isMongoId(),
   param('userId').isMongoId()
 ], async (req, res) => {
@@ -1443,7 +1446,7 @@ router.post('/:id/invite/:userId', checkSuspension, [
 });
 
 // Get pending join requests (for moderators)
-router.get('/:id/join-requests', param('id').isMongoId(), async (req, res) => {
+router.get('/:id/join-requests', requireScope('clubs:moderate'), param('id').isMongoId(), async (req, res) => {
   try {
     const club = await Club.findById(req.params.id)
       .populate('joinRequests.user', 'name avatar isVerified');
@@ -1551,7 +1554,7 @@ router.get('/:id/members', param('id').isMongoId(), async (req, res) => {
 });
 
 // Remove member
-router.delete('/:id/members/:userId', checkSuspension, [
+router.delete('/:id/members/:userId', requireScope('clubs:moderate'), checkSuspension, [
   param('id').isMongoId(),
   param('userId').isMongoId()
 ], async (req, res) => {
@@ -1579,8 +1582,9 @@ router.delete('/:id/members/:userId', checkSuspension, [
     club.removeMember(req.params.userId);
     await club.save();
 
-    // Notify the removed user
+    // Notify the removed user, whose sockets stop receiving the club's realtime traffic
     const io = req.app.get('io');
+    io.in(`user:${req.params.userId}`).socketsLeave(`club:${club._id.toString()}`);
     io.to(`user:${req.params.userId}`).emit('club:removed', {
       clubId: club._id.toString(),
       clubName: club.name
@@ -1603,7 +1607,7 @@ router.delete('/:id/members/:userId', checkSuspension, [
 });
 
 // Update member role
-router.patch('/:id/members/:userId/role', checkSuspension, [
+router.patch('/:id/members/:userId/role', requireScope('clubs:moderate'), checkSuspension, [
   param('id').isMongoId(),
   param('userId').isMongoId(),
   body('role').isIn(['admin', 'moderator', 'member'])
@@ -1657,7 +1661,7 @@ router.patch('/:id/members/:userId/role', checkSuspension, [
 });
 
 // Mute member
-router.post('/:id/members/:userId/mute', checkSuspension, [
+router.post('/:id/members/:userId/mute', requireScope('clubs:moderate'), checkSuspension, [
   param('id').isMongoId(),
   param('userId').isMongoId(),
   body('duration').optional().isInt({ min: 1 })
@@ -1703,7 +1707,7 @@ router.post('/:id/members/:userId/mute', checkSuspension, [
 });
 
 // Unmute member
-router.post('/:id/members/:userId/unmute', checkSuspension, [
+router.post('/:id/members/:userId/unmute', requireScope('clubs:moderate'), checkSuspension, [
   param('id').isMongoId(),
   param('userId').isMongoId()
 ], async (req, res) => {
@@ -1748,7 +1752,7 @@ router.post('/:id/members/:userId/unmute', checkSuspension, [
 // ===== DISCUSSIONS =====
 
 // Create discussion post
-router.post('/:id/discussions', checkSuspension, upload.array('media', 10), [
+router.post('/:id/discussions', checkSuspension, upload.array('media', 10), checkStorageQuota, [
   param('id').isMongoId(),
   body('content')
     .optional({ checkFalsy: true })  // Allow empty/falsy values
@@ -1830,6 +1834,42 @@ router.post('/:id/discussions', checkSuspension, upload.array('media', 10), [
       }
     }
 
+    // Announcements can be saved as drafts or scheduled (services/scheduledPostService.js publishes them)
+    const schedule = postPublishingService.parseSchedule(req.body);
+    if (schedule.error) {
+      return res.status(400).json({ success: false, message: schedule.error });
+    }
+
+    if (schedule.status !== 'published') {
+      if (req.body.type !== 'announcement') {
+        return res.status(400).json({ success: false, message: 'Only announcements can be saved as drafts or scheduled' });
+      }
+
+      const member = club.members.find(m => m.user.toString() === req.user._id.toString());
+      if (!member || !member.canPost) {
+        return res.status(403).json({ success: false, message: 'You are not allowed to post in this club' });
+      }
+
+      const ScheduledPost = require('../models/ScheduledPost');
+      const scheduledPost = await ScheduledPost.create({
+        author: req.user._id,
+        club: club._id,
+        status: schedule.status,
+        content,
+        media: media.map((item, i) => ({ url: item.url, type: item.type, fileName: req.files[i].filename })),
+        taggedUsers: taggedMembers,
+        scheduledFor: schedule.scheduledFor,
+        timezone: schedule.timezone
+      });
+      await storageService.record(req.user._id, 'draft', scheduledPost._id, req.files);
+
+      return res.status(201).json({
+        success: true,
+        message: schedule.status === 'draft' ? 'Draft saved' : 'Announcement scheduled',
+        data: { scheduledPost }
+      });
+    }
+
     const discussion = club.addDiscussion(
       req.user._id,
       content,
@@ -1845,6 +1885,8 @@ router.post('/:id/discussions', checkSuspension, upload.array('media', 10), [
     }
 
     await club.save();
+    await storageService.record(req.user._id, 'club_file', discussion._id, req.files);
+    await hashtagService.recordText(discussion.content, { kind: 'discussion', userId: req.user._id, source: club });
 
     // Check for achievements - club post
     try {
@@ -1867,66 +1909,8 @@ router.post('/:id/discussions', checkSuspension, upload.array('media', 10), [
     // Get the populated discussion - find it by ID since the reference isn't updated
     const populatedDiscussion = club.discussions.id(discussion._id);
 
-    // Create notifications for club members
-    const io = req.app.get('io');
-    for (const member of club.members) {
-      if (member.user.toString() !== req.user._id.toString()) {
-        // Send socket notification
-        io.to(`user:${member.user.toString()}`).emit('club:new-discussion', {
-          clubId: club._id.toString(),
-          clubName: club.name,
-          discussionId: discussion._id.toString(),
-          authorName: req.user.name,
-          authorAvatar: req.user.avatar,
-          type: discussion.type,
-          hasMedia: media.length > 0
-        });
-
-        // Create in-app notification
-        try {
-          await Notification.create({
-            recipient: member.user,
-            sender: req.user._id,
-            type: 'club_post',
-            content: `${req.user.name} posted in ${club.name}`,
-            relatedId: club._id,
-            relatedModel: 'Club',
-            actionUrl: `/clubs/${club._id}/discussions/${discussion._id}`
-          });
-        } catch (notifError) {
-          console.error('Error creating notification:', notifError);
-        }
-      }
-    }
-
-    // Send separate notifications for tagged members
-    for (const taggedUserId of taggedMembers) {
-      if (taggedUserId.toString() !== req.user._id.toString()) {
-        // Send socket notification
-        io.to(`user:${taggedUserId.toString()}`).emit('club:discussion-tag', {
-          clubId: club._id.toString(),
-          clubName: club.name,
-          discussionId: discussion._id.toString(),
-          authorName: req.user.name,
-          authorAvatar: req.user.avatar
-        });
-
-        // Create in-app notification for tag (in addition to general post notification)
-        try {
-          await Notification.create({
-            recipient: taggedUserId,
-            sender: req.user._id,
-            type: 'club_discussion_tag',
-            content: `${req.user.name} tagged you in a post in ${club.name}`,
-            relatedId: club._id,
-            relatedModel: 'Club',
-            actionUrl: `/clubs/${club._id}/discussions/${discussion._id}`
-          });
-        } catch (notifError) {
-          console.error('Error creating tag notification:', notifError);
-        }
-      }
-    }
+    // Notify club members, and tagged members separately
+    await postPublishingService.notifyNewDiscussion(req.app.get('io'), club, discussion, req.user, taggedMembers);
 
     return res.status(201).json({ success: true, data: populatedDiscussion });
   } catch (error) {
@@ -1936,10 +1920,8 @@ router.post('/:id/discussions', checkSuspension, upload.array('media', 10), [
 });
 
 // Get club discussions
-router.get('/:id/discussions', param('id').isMongoId(), async (req, res) => {
+router.get('/:id/discussions', param('id').isMongoId(), paginate({ sort: req => DISCUSSION_SORTS[req.query.sort] || DISCUSSION_SORTS.recent }), async (req, res) => {
   try {
-    const { page = 1, limit = 20, sort = 'recent' } = req.query;
-    const skip = (parseInt(page) - 1) * parseInt(limit);
 
     const club = await Club.findById(req.params.id)
       .populate('discussions.author', 'name avatar isVerified');
@@ -1953,30 +1935,15 @@ router.get('/:id/discussions', param('id').isMongoId(), async (req, res) => {
       return res.status(403).json({ success: false, message: 'Access denied' });
     }
 
-    // Filter and sort discussions
-    let discussions = club.discussions.filter(d => !d.isDeleted);
-
-    if (sort === 'recent') {
-      discussions.sort((a, b) => b.createdAt - a.createdAt);
-    } else if (sort === 'popular') {
-      discussions.sort((a, b) => b.likesCount - a.likesCount);
-    }
-
-    // Pinned posts first
-    const pinnedDiscussions = discussions.filter(d => d.isPinned);
-    const regularDiscussions = discussions.filter(d => !d.isPinned);
-    discussions = [...pinnedDiscussions, ...regularDiscussions];
-
-    const total = discussions.length;
-    const paginatedDiscussions = discussions.slice(skip, skip + parseInt(limit));
+    // Filter and sort discussions (pinned posts first, see DISCUSSION_SORTS)
+    const discussions = club.discussions.filter(d => !d.isDeleted);
+    const { items: paginatedDiscussions, pageInfo } = await paginateArray(discussions, req.pagination);
 
     return res.json({
       success: true,
       data: {
         discussions: paginatedDiscussions,
-        total,
-        page: parseInt(page),
-        pages: Math.ceil(total / parseInt(limit))
+        ...pageInfo
       }
     });
   } catch (error) {
@@ -2077,7 +2044,8 @@ router.delete('/:id/discussions/:discussionId', checkSuspension, [
 
     // Check if user is author or moderator
     const isAuthor = discussion.author.toString() === req.user._id.toString();
-    const canModerate = club.canModerate(req.user._id);
+    // Removing other people's content through an API token needs the moderation scope
+    const canModerate = club.canModerate(req.user._id) && hasScope(req, 'clubs:moderate');
 
     if (!isAuthor && !canModerate) {
       return res.status(403).json({ success: false, message: 'You do not have permission to delete this discussion' });
@@ -2089,6 +2057,7 @@ router.delete('/:id/discussions/:discussionId', checkSuspension, [
     club.discussionsCount = club.discussions.filter(d => !d.isDeleted).length;
 
     await club.save();
+    await storageService.release('club_file', discussion._id);
 
     return res.json({ success: true, message: 'Discussion deleted successfully' });
   } catch (error) {
@@ -2097,8 +2066,43 @@ router.delete('/:id/discussions/:discussionId', checkSuspension, [
   }
 });
 
+// Get the edit history of a discussion post, oldest version first with word diffs
+router.get('/:id/discussions/:discussionId/revisions', [
+  param('id').isMongoId(),
+  param('discussionId').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const club = await Club.findById(req.params.id).select('type members discussions');
+    if (!club) {
+      return res.status(404).json({ success: false, message: 'Club not found' });
+    }
+
+    // Check access
+    if (club.type === 'private' && !club.isMember(req.user._id)) {
+      return res.status(403).json({ success: false, message: 'Access denied' });
+    }
+
+    const discussion = club.discussions.id(req.params.discussionId);
+    if (!discussion || discussion.isDeleted) {
+      return res.status(404).json({ success: false, message: 'Discussion not found' });
+    }
+
+    const revisions = await revisionService.getHistory('club_discussion', discussion._id, discussion);
+
+    return res.json({ success: true, data: { revisions, edited: revisions.length > 1 } });
+  } catch (error) {
+    console.error('Get discussion revisions error:', error);
+    return res.status(500).json({ success: false, message: 'Failed to retrieve discussion revisions' });
+  }
+});
+
 // Edit discussion
-router.put('/:id/discussions/:discussionId', checkSuspension, upload.array('media', 10), [
+router.put('/:id/discussions/:discussionId', checkSuspension, upload.array('media', 10), checkStorageQuota, [
   param('id').isMongoId(),
   param('discussionId').isMongoId(),
   body('content')
@@ -2124,7 +2128,8 @@ router.put('/:id/discussions/:discussionId', checkSuspension, upload.array('medi
 
     // Check if user is author or moderator
     const isAuthor = discussion.author.toString() === req.user._id.toString();
-    const canModerate = club.canModerate(req.user._id);
+    // Changing other people's content through an API token needs the moderation scope
+    const canModerate = club.canModerate(req.user._id) && hasScope(req, 'clubs:moderate');
 
     if (!isAuthor && !canModerate) {
       return res.status(403).json({ success: false, message: 'You do not have permission to edit this discussion' });
@@ -2199,9 +2204,30 @@ router.put('/:id/discussions/:discussionId', checkSuspension, upload.array('medi
     }
 
     // Update the discussion using the model method
+    const previous = { content: discussion.content, media: discussion.media.map(item => item.url) };
     const updatedDiscussion = club.updateDiscussion(req.params.discussionId, req.user._id, updates);
 
     await club.save();
+
+    // Keep the replaced version in the discussion's edit history
+    if (revisionService.hasChanged(previous, updatedDiscussion)) {
+      await revisionService.record('club_discussion', {
+        targetId: updatedDiscussion._id,
+        club: club._id,
+        author: updatedDiscussion.author,
+        createdAt: updatedDiscussion.createdAt
+      }, previous, req.user._id);
+    }
+    await hashtagService.recordEdit(previous.content, updatedDiscussion.content, { kind: 'discussion', userId: req.user._id, source: club });
+
+    // Media replaced or removed by the author frees its quota
+    if (updates.media !== undefined) {
+      const remainingFileNames = (updates.media || []).map(item => (item && item.url ? item.url.split('/').pop() : null)).filter(Boolean);
+      await storageService.releaseRemovedFiles('club_file', discussion._id, remainingFileNames);
+      if (req.files && req.files.length > 0) {
+        await storageService.record(req.user._id, 'club_file', discussion._id, req.files);
+      }
+    }
     await club.populate('discussions.author', 'name avatar isVerified');
 
     // Notify tagged members (only for new tags)
@@ -2249,7 +2275,7 @@ router.put('/:id/discussions/:discussionId', checkSuspension, upload.array('medi
 });
 
 // Pin/Unpin discussion
-router.post('/:id/discussions/:discussionId/pin', checkSuspension, [
+router.post('/:id/discussions/:discussionId/pin', requireScope('clubs:moderate'), checkSuspension, [
   param('id').isMongoId(),
   param('discussionId').isMongoId()
 ], async (req, res) => {
@@ -2461,10 +2487,8 @@ router.post('/:id/discussions/:discussionId/comments', checkSuspension, [
 router.get('/:id/discussions/:discussionId/comments', [
   param('id').isMongoId(),
   param('discussionId').isMongoId()
-], async (req, res) => {
+], paginate({ sort: { createdAt: 1, _id: 1 }, defaultLimit: 50 }), async (req, res) => {
   try {
-    const { page = 1, limit = 50 } = req.query;
-    const skip = (parseInt(page) - 1) * parseInt(limit);
 
     const club = await Club.findById(req.params.id)
       .populate('comments.author', 'name avatar isVerified');
@@ -2483,21 +2507,16 @@ router.get('/:id/discussions/:discussionId/comments', [
       return res.status(404).json({ success: false, message: 'Discussion not found' });
     }
 
-    // Get comments for this discussion
+    // Get comments for this discussion, oldest first
     const allComments = club.comments
-      .filter(c => c.discussionId.toString() === req.params.discussionId && !c.isDeleted)
-      .sort((a, b) => a.createdAt - b.createdAt); // Oldest first
-
-    const total = allComments.length;
-    const paginatedComments = allComments.slice(skip, skip + parseInt(limit));
+      .filter(c => c.discussionId.toString() === req.params.discussionId && !c.isDeleted);
+    const { items: paginatedComments, pageInfo } = await paginateArray(allComments, req.pagination);
 
     return res.json({
       success: true,
       data: {
         comments: paginatedComments,
-        total,
-        page: parseInt(page),
-        pages: Math.ceil(total / parseInt(limit))
+        ...pageInfo
       }
     });
   } catch (error) {
@@ -2576,7 +2595,8 @@ router.delete('/:id/comments/:commentId', checkSuspension, [
 
     // Check if user is author or moderator
     const isAuthor = comment.author.toString() === req.user._id.toString();
-    const canModerate = club.canModerate(req.user._id);
+    // Removing other people's content through an API token needs the moderation scope
+    const canModerate = club.canModerate(req.user._id) && hasScope(req, 'clubs:moderate');
 
     if (!isAuthor && !canModerate) {
       return res.status(403).json({ success: false, message: 'You do not have permission to delete this comment' });
@@ -2606,7 +2626,7 @@ router.delete('/:id/comments/:commentId', checkSuspension, [
 // ===== FILES =====
 
 // Upload file
-router.post('/:id/files', checkSuspension, param('id').isMongoId(), upload.single('file'), async (req, res) => {
+router.post('/:id/files', checkSuspension, param('id').isMongoId(), upload.single('file'), checkStorageQuota, async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ success: false, message: 'No file uploaded' });
@@ -2637,6 +2657,7 @@ router.post('/:id/files', checkSuspension, param('id').isMongoId(), upload.singl
 
     const file = club.addFile(req.user._id, fileData);
     await club.save();
+    await storageService.record(req.user._id, 'club_file', file._id, [req.file]);
 
     // Notify club members
     const io = req.app.get('io');
@@ -2659,10 +2680,9 @@ router.post('/:id/files', checkSuspension, param('id').isMongoId(), upload.singl
 });
 
 // Get club files
-router.get('/:id/files', param('id').isMongoId(), async (req, res) => {
+router.get('/:id/files', param('id').isMongoId(), paginate({ sort: { uploadedAt: -1, _id: -1 } }), async (req, res) => {
   try {
-    const { page = 1, limit = 20, type } = req.query;
-    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const { type } = req.query;
 
     const club = await Club.findById(req.params.id)
       .populate('files.uploadedBy', 'name avatar');
@@ -2683,19 +2703,14 @@ router.get('/:id/files', param('id').isMongoId(), async (req, res) => {
       files = files.filter(f => f.fileType === type);
     }
 
-    // Sort by upload date (newest first)
-    files.sort((a, b) => b.uploadedAt - a.uploadedAt);
-
-    const total = files.length;
-    const paginatedFiles = files.slice(skip, skip + parseInt(limit));
+    // Sorted by upload date (newest first)
+    const { items: paginatedFiles, pageInfo } = await paginateArray(files, req.pagination);
 
     return res.json({
       success: true,
       data: {
         files: paginatedFiles,
-        total,
-        page: parseInt(page),
-        pages: Math.ceil(total / parseInt(limit))
+        ...pageInfo
       }
     });
   } catch (error) {
@@ -2722,7 +2737,8 @@ router.delete('/:id/files/:fileId', checkSuspension, [
 
     // Check if user is uploader or moderator
     const isUploader = file.uploadedBy.toString() === req.user._id.toString();
-    const canModerate = club.canModerate(req.user._id);
+    // Removing other people's files through an API token needs the moderation scope
+    const canModerate = club.canModerate(req.user._id) && hasScope(req, 'clubs:moderate');
 
     if (!isUploader && !canModerate) {
       return res.status(403).json({ success: false, message: 'You do not have permission to delete this file' });
@@ -2737,6 +2753,7 @@ router.delete('/:id/files/:fileId', checkSuspension, [
     file.remove();
     club.filesCount = club.files.length;
     await club.save();
+    await storageService.release('club_file', file._id);
 
     return res.json({ success: true, message: 'File deleted successfully' });
   } catch (error) {
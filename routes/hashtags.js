@@ -0,0 +1,205 @@
+const express = require('express');
+const Hashtag = require('../models/Hashtag');
+const Post = require('../models/Post');
+const Block = require('../models/Block');
+const { authenticateToken } = require('../middleware/auth');
+const paginate = require('../middleware/pagination');
+const { afterCursor, buildPage } = require('../utils/pagination');
+const { normalizeHashtag } = require('../utils/hashtags');
+const audienceService = require('../services/audienceService');
+const hashtagService = require('../services/hashtagService');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// Normalize :tag ("Travel", "#travel") and reject anything that isn't a hashtag
+const parseTag = (req, res, next) => {
+  const tag = normalizeHashtag(req.params.tag);
+  if (!tag) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid hashtag'
+    });
+  }
+  req.tag = tag;
+  next();
+};
+
+const formatHashtag = (tag, hashtag, followedHashtags) => ({
+  tag,
+  postUses: hashtag ? hashtag.postUses : 0,
+  commentUses: hashtag ? hashtag.commentUses : 0,
+  discussionUses: hashtag ? hashtag.discussionUses : 0,
+  totalUses: hashtag ? hashtag.totalUses : 0,
+  followersCount: hashtag ? hashtag.followersCount : 0,
+  firstUsedAt: hashtag ? hashtag.firstUsedAt || null : null,
+  lastUsedAt: hashtag ? hashtag.lastUsedAt || null : null,
+  isFollowing: (followedHashtags || []).includes(tag)
+});
+
+// @route   GET /api/hashtags/trending
+// @desc    Get trending hashtags (?window=1h|24h|7d, default 24h; ?limit, default 20, max 50)
+// @access  Private
+router.get('/trending', async (req, res) => {
+  try {
+    const window = req.query.window || '24h';
+    if (!hashtagService.windows.includes(window)) {
+      return res.status(400).json({
+        success: false,
+        message: `Window must be one of: ${hashtagService.windows.join(', ')}`
+      });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+
+    const trending = await hashtagService.getTrending({ window, limit });
+    const followed = req.user.followedHashtags || [];
+
+    res.status(200).json({
+      success: true,
+      message: 'Trending hashtags retrieved successfully',
+      data: {
+        window,
+        hashtags: trending.map(entry => ({ ...entry, isFollowing: followed.includes(entry.tag) }))
+      }
+    });
+  } catch (error) {
+    console.error('Get trending hashtags error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve trending hashtags'
+    });
+  }
+});
+
+// @route   GET /api/hashtags/following
+// @desc    Get the hashtags the current user follows
+// @access  Private
+router.get('/following', async (req, res) => {
+  try {
+    const followed = req.user.followedHashtags || [];
+    const hashtags = await Hashtag.find({ tag: { $in: followed } }).lean();
+    const byTag = new Map(hashtags.map(hashtag => [hashtag.tag, hashtag]));
+
+    res.status(200).json({
+      success: true,
+      message: 'Followed hashtags retrieved successfully',
+      data: {
+        hashtags: followed.map(tag => formatHashtag(tag, byTag.get(tag), followed)),
+        limit: hashtagService.maxFollowed
+      }
+    });
+  } catch (error) {
+    console.error('Get followed hashtags error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve followed hashtags'
+    });
+  }
+});
+
+// @route   GET /api/hashtags/:tag
+// @desc    Get a hashtag and the posts using it that the current user can see, newest first
+// @access  Private
+router.get('/:tag', parseTag, paginate({ defaultLimit: 10 }), async (req, res) => {
+  try {
+    const [hashtag, blockedUserIds, audience] = await Promise.all([
+      Hashtag.findOne({ tag: req.tag }).lean(),
+      Block.getAllBlockRelationships(req.user._id),
+      audienceService.getViewerContext(req.user._id)
+    ]);
+
+    const query = {
+      ...audienceService.visibilityFilter(audience),
+      hashtags: req.tag,
+      author: { $nin: blockedUserIds }
+    };
+    const posts = await Post.find(afterCursor(query, req.pagination))
+      .select('-comments')
+      .populate('author', 'name email avatar isPremium premiumFeatures')
+      .populate('taggedUsers', 'name email avatar')
+      .populate({
+        path: 'originalPost',
+        select: 'content author images videos mediaType createdAt visibility audience',
+        populate: { path: 'author', select: 'name email avatar' }
+      })
+      .sort(req.pagination.sort)
+      .skip(req.pagination.skip)
+      .limit(req.pagination.limit + 1);
+
+    const { items, pageInfo } = await buildPage(posts, req.pagination, () => Post.countDocuments(query));
+
+    res.status(200).json({
+      success: true,
+      message: 'Hashtag posts retrieved successfully',
+      data: {
+        hashtag: formatHashtag(req.tag, hashtag, req.user.followedHashtags),
+        posts: audienceService.filterReshares(items, audience),
+        pagination: pageInfo
+      }
+    });
+  } catch (error) {
+    console.error('Get hashtag posts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve hashtag posts'
+    });
+  }
+});
+
+// @route   POST /api/hashtags/:tag/follow
+// @desc    Follow a hashtag (its posts show up in the home feed)
+// @access  Private
+router.post('/:tag/follow', parseTag, async (req, res) => {
+  try {
+    const result = await hashtagService.follow(req.user._id, req.tag);
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: result.followed ? `You are now following #${req.tag}` : `You already follow #${req.tag}`,
+      data: {
+        tag: req.tag,
+        isFollowing: true
+      }
+    });
+  } catch (error) {
+    console.error('Follow hashtag error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to follow hashtag'
+    });
+  }
+});
+
+// @route   DELETE /api/hashtags/:tag/follow
+// @desc    Unfollow a hashtag
+// @access  Private
+router.delete('/:tag/follow', parseTag, async (req, res) => {
+  try {
+    const wasFollowing = await hashtagService.unfollow(req.user._id, req.tag);
+
+    res.status(200).json({
+      success: true,
+      message: wasFollowing ? `You unfollowed #${req.tag}` : `You don't follow #${req.tag}`,
+      data: {
+        tag: req.tag,
+        isFollowing: false
+      }
+    });
+  } catch (error) {
+    console.error('Unfollow hashtag error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unfollow hashtag'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,32 +1,13 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { authenticateToken } = require('../middleware/auth');
-const iap = require('in-app-purchase');
+const entitlementService = require('../services/entitlementService');
+const purchaseService = require('../services/purchaseService');
+const iapService = require('../services/iapService');
+const { IAP_PRODUCTS } = require('../config/premiumTiers');
 
 const router = express.Router();
 
-// Configure in-app-purchase library
-let googleServiceAccount = null;
-if (process.env.GOOGLE_SERVICE_ACCOUNT_KEY_PATH) {
-  try {
-    googleServiceAccount = require(process.env.GOOGLE_SERVICE_ACCOUNT_KEY_PATH);
-  } catch (error) {
-    console.warn('⚠️  Google Service Account file not found. Google Play IAP verification will be disabled.');
-  }
-}
-
-iap.config({
-  // Apple configuration
-  applePassword: process.env.APPLE_SHARED_SECRET,
-  // Use sandbox for testing, production for live
-  test: process.env.IAP_ENVIRONMENT === 'sandbox' || process.env.NODE_ENV !== 'production',
-  
-  // Google configuration
-  googleServiceAccount: googleServiceAccount,
-  
-  verbose: process.env.NODE_ENV !== 'production'
-});
-
 // @route   POST /api/iap/verify-purchase
 // @desc    Verify in-app purchase (iOS StoreKit or Android Play Billing)
 // @access  Private
@@ -61,7 +42,7 @@ router.post('/verify-purchase', authenticateToken, [
     }
 
     const { platform, productId, receipt, purchaseToken, packageName } = req.body;
-    const userId = req.user.userId;
+    const userId = req.user._id;
 
     console.log(`🛒 IAP Verification Request:`, {
       userId,
@@ -70,14 +51,7 @@ router.post('/verify-purchase', authenticateToken, [
     });
 
     // Validate product ID
-    const validProducts = [
-      'com.freetalk.premium_monthly',
-      'com.freetalk.premium_yearly',
-      'com.freetalk.verified_badge',
-      'com.freetalk.ad_free'
-    ];
-
-    if (!validProducts.includes(productId)) {
+    if (!Object.prototype.hasOwnProperty.call(IAP_PRODUCTS, productId)) {
       return res.status(400).json({
         success: false,
         message: 'Invalid product ID'
@@ -88,10 +62,10 @@ router.post('/verify-purchase', authenticateToken, [
 
     if (platform === 'ios') {
       // iOS StoreKit receipt verification
-      verificationResult = await verifyAppleReceipt(receipt, productId);
+      verificationResult = await iapService.verifyAppleReceipt(receipt, productId);
     } else if (platform === 'android') {
       // Android Play Billing verification
-      verificationResult = await verifyGooglePurchase(packageName, productId, purchaseToken);
+      verificationResult = await iapService.verifyGooglePurchase(packageName, productId, purchaseToken);
     }
 
     if (!verificationResult || !verificationResult.valid) {
@@ -103,7 +77,7 @@ router.post('/verify-purchase', authenticateToken, [
     }
 
     // Grant entitlements based on product
-    const entitlements = await grantEntitlements(userId, productId, verificationResult);
+    const entitlements = await grantEntitlements(req.user, platform, productId, purchaseToken, verificationResult);
 
     res.status(200).json({
       success: true,
@@ -116,6 +90,12 @@ router.post('/verify-purchase', authenticateToken, [
     });
 
   } catch (error) {
+    if (error.code === 'REFERENCE_IN_USE' || error.code === 'PURCHASE_REVERSED') {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
     console.error('IAP verification error:', error);
     res.status(500).json({
       success: false,
@@ -125,19 +105,19 @@ router.post('/verify-purchase', authenticateToken, [
 });
 
 // @route   GET /api/iap/entitlements
-// @desc    Get user's current entitlements
+// @desc    Get user's current entitlements (app store, Stripe and admin grants combined)
 // @access  Private
 router.get('/entitlements', authenticateToken, async (req, res) => {
   try {
-    const userId = req.user.userId;
-    
-    // TODO: Query user's purchases from database
-    // For now, return mock data
+    const current = await entitlementService.getEntitlements(req.user);
+
     const entitlements = {
-      premium: false,
-      verified: false,
-      adFree: false,
-      validUntil: null
+      premium: current.isPremium,
+      tier: current.tier,
+      verified: !!req.user.isVerified,
+      adFree: entitlementService.hasFeature(current, 'ad_free'),
+      features: current.features,
+      validUntil: current.expiresAt
     };
 
     res.status(200).json({
@@ -154,233 +134,143 @@ router.get('/entitlements', authenticateToken, async (req, res) => {
   }
 });
 
-// ============================================================================
-// HELPER FUNCTIONS
-// ============================================================================
-
-/**
- * Verify Apple App Store receipt
- * @param {string} receipt - Base64 encoded receipt from iOS
- * @param {string} productId - Product identifier
- * @returns {Promise<Object>} Verification result
- */
-async function verifyAppleReceipt(receipt, productId) {
-  console.log('🍎 Verifying Apple receipt for:', productId);
-  
-  // Check if Apple Shared Secret is configured
-  if (!process.env.APPLE_SHARED_SECRET || process.env.APPLE_SHARED_SECRET === 'YOUR_APPLE_SHARED_SECRET_HERE') {
-    console.error('❌ APPLE_SHARED_SECRET not configured in .env file!');
-    return { 
-      valid: false, 
-      error: 'Server configuration error. Please contact support.' 
-    };
+// @route   POST /api/iap/notifications/apple
+// @desc    App Store Server Notifications V2 (renewals, expiry, refunds, revocations)
+// @access  Public (signed by Apple)
+router.post('/notifications/apple', async (req, res) => {
+  if (!iapService.isAppleNotificationsEnabled()) {
+    return res.status(503).json({
+      success: false,
+      message: 'App Store notifications are not configured'
+    });
   }
 
-  try {
-    // Setup and validate receipt
-    await iap.setup();
-    
-    const validationResponse = await iap.validate({
-      receipt: receipt,
-      platform: 'apple'
+  const { signedPayload } = req.body || {};
+  if (!signedPayload) {
+    return res.status(400).json({
+      success: false,
+      message: 'signedPayload is required'
     });
+  }
 
-    if (!validationResponse || validationResponse.length === 0) {
-      console.error('❌ Empty validation response from Apple');
-      return { valid: false, error: 'Invalid receipt' };
-    }
-
-    // Find the specific purchase for this product
-    const purchase = validationResponse.find(item => item.productId === productId);
-
-    if (!purchase) {
-      console.error('❌ Product not found in receipt:', productId);
-      return { valid: false, error: 'Product not found in receipt' };
-    }
-
-    // Check if purchase is valid and not expired
-    const now = Date.now();
-    let isValid = true;
-    let expiryDate = null;
-
-    // For subscriptions, check expiry
-    if (purchase.expirationDate) {
-      expiryDate = new Date(purchase.expirationDate);
-      isValid = expiryDate > now;
-    }
-
-    if (!isValid) {
-      console.warn('⚠️ Purchase expired:', productId);
-      return { valid: false, error: 'Subscription expired' };
+  try {
+    const { type, handled, duplicate } = await iapService.handleAppleNotification(signedPayload);
+    if (duplicate) {
+      console.log(`Duplicate App Store notification (${type}) ignored`);
+    } else if (!handled) {
+      console.log(`Unhandled App Store notification ${type}`);
     }
 
-    console.log('✅ Apple receipt verified successfully:', productId);
-
-    return {
-      valid: true,
-      transactionId: purchase.transactionId,
-      originalTransactionId: purchase.originalTransactionId,
-      expiryDate: expiryDate,
-      productId: purchase.productId,
-      purchaseDate: new Date(purchase.purchaseDate)
-    };
-
+    res.json({ received: true });
   } catch (error) {
-    console.error('❌ Apple verification error:', error);
-    
-    // If it's a network error to Apple servers, return more specific error
-    if (error.code === 'ECONNREFUSED' || error.code === 'ETIMEDOUT') {
-      return { 
-        valid: false, 
-        error: 'Unable to verify with Apple servers. Please try again.' 
-      };
+    if (error.code === 'INVALID_SIGNATURE') {
+      console.error('App Store notification rejected:', error.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid signature'
+      });
     }
-    
-    return { valid: false, error: error.message || 'Verification failed' };
+    // A non-2xx response makes Apple retry the notification later
+    console.error('App Store notification error:', error);
+    res.status(500).json({ received: false });
   }
-}
+});
 
-/**
- * Verify Google Play Store purchase
- * @param {string} packageName - App package name
- * @param {string} productId - Product identifier
- * @param {string} purchaseToken - Purchase token from Google Play
- * @returns {Promise<Object>} Verification result
- */
-async function verifyGooglePurchase(packageName, productId, purchaseToken) {
-  console.log('🤖 Verifying Google Play purchase for:', productId);
-  
-  // Check if Google Service Account is configured
-  if (!process.env.GOOGLE_SERVICE_ACCOUNT_KEY_PATH) {
-    console.error('❌ GOOGLE_SERVICE_ACCOUNT_KEY_PATH not configured in .env file!');
-    return { 
-      valid: false, 
-      error: 'Server configuration error. Please contact support.' 
-    };
+// @route   POST /api/iap/notifications/google?token=...
+// @desc    Google Play real-time developer notifications (Pub/Sub push subscription)
+// @access  Public (GOOGLE_RTDN_TOKEN in the push endpoint URL)
+router.post('/notifications/google', async (req, res) => {
+  if (!process.env.GOOGLE_RTDN_TOKEN) {
+    return res.status(503).json({
+      success: false,
+      message: 'Google Play notifications are not configured'
+    });
   }
-
-  // Validate package name
-  if (packageName !== 'com.freetalk.social') {
-    console.error('❌ Invalid package name:', packageName);
-    return { valid: false, error: 'Invalid package name' };
+  if (!iapService.isValidGooglePushToken(req.query.token)) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid token'
+    });
   }
 
-  try {
-    // Setup and validate purchase
-    await iap.setup();
-    
-    const validationResponse = await iap.validate({
-      receipt: purchaseToken,
-      platform: 'google',
-      productId: productId,
-      packageName: packageName
+  const message = req.body && req.body.message;
+  if (!message || !message.data) {
+    return res.status(400).json({
+      success: false,
+      message: 'Pub/Sub message is required'
     });
+  }
 
-    if (!validationResponse || validationResponse.length === 0) {
-      console.error('❌ Empty validation response from Google');
-      return { valid: false, error: 'Invalid purchase token' };
-    }
-
-    const purchase = validationResponse[0];
-
-    // Check purchase state (0 = purchased, 1 = cancelled)
-    if (purchase.purchaseState === 1) {
-      console.warn('⚠️ Purchase was cancelled:', productId);
-      return { valid: false, error: 'Purchase was cancelled' };
-    }
-
-    // For subscriptions, check if expired
-    if (purchase.expirationDate) {
-      const expiryDate = new Date(purchase.expirationDate);
-      if (expiryDate < Date.now()) {
-        console.warn('⚠️ Subscription expired:', productId);
-        return { valid: false, error: 'Subscription expired' };
-      }
+  try {
+    const { type, handled, duplicate } = await iapService.handleGoogleNotification(message);
+    if (duplicate) {
+      console.log(`Duplicate Google Play notification (${type}) ignored`);
+    } else if (!handled) {
+      console.log(`Unhandled Google Play notification ${type}`);
     }
 
-    console.log('✅ Google Play purchase verified successfully:', productId);
-
-    return {
-      valid: true,
-      orderId: purchase.orderId,
-      purchaseTimeMillis: purchase.purchaseDate,
-      purchaseState: purchase.purchaseState,
-      productId: purchase.productId,
-      expirationDate: purchase.expirationDate ? new Date(purchase.expirationDate) : null
-    };
-
+    res.json({ received: true });
   } catch (error) {
-    console.error('❌ Google Play verification error:', error);
-    
-    // Check for specific Google API errors
-    if (error.code === 401) {
-      return { 
-        valid: false, 
-        error: 'Google authentication failed. Check service account configuration.' 
-      };
+    if (error.code === 'INVALID_NOTIFICATION') {
+      // Acknowledged so Pub/Sub doesn't redeliver a message that can never be read
+      console.error('Google Play notification rejected:', error.message);
+      return res.json({ received: false });
     }
-    
-    if (error.code === 404) {
-      return { 
-        valid: false, 
-        error: 'Purchase not found. It may have been refunded or is invalid.' 
-      };
-    }
-    
-    return { valid: false, error: error.message || 'Verification failed' };
+    // A non-2xx response makes Pub/Sub redeliver the message later
+    console.error('Google Play notification error:', error);
+    res.status(500).json({ received: false });
   }
-}
+});
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
 
 /**
- * Grant user entitlements based on purchase
- * @param {string} userId - User ID
+ * Record a verified purchase in the ledger and grant what the product unlocks
+ * @param {Object} user - User document
+ * @param {string} platform - ios or android
  * @param {string} productId - Product identifier
+ * @param {string} purchaseToken - Google Play purchase token (android)
  * @param {Object} verificationResult - Verification result from platform
  * @returns {Promise<Object>} Entitlements granted
  */
-async function grantEntitlements(userId, productId, verificationResult) {
-  // TODO: CRITICAL - Implement entitlement granting logic
-  // 1. Store purchase record in database
-  // 2. Update user's subscription status
-  // 3. Set expiry dates for subscriptions
-  // 4. Grant badges, remove ads, etc.
-  
+async function grantEntitlements(user, platform, productId, purchaseToken, verificationResult) {
+  // Subscriptions are keyed by the original transaction (iOS) or purchase token (Android),
+  // so each renewal extends the same grant
+  const transaction = platform === 'ios'
+    ? {
+      store: 'app_store',
+      transactionId: verificationResult.transactionId,
+      originalTransactionId: verificationResult.originalTransactionId || null,
+      purchasedAt: verificationResult.purchaseDate,
+      expiresAt: verificationResult.expiryDate
+    }
+    : {
+      store: 'play_store',
+      transactionId: verificationResult.orderId,
+      originalTransactionId: purchaseToken,
+      purchasedAt: verificationResult.purchasedAt,
+      expiresAt: verificationResult.expirationDate
+    };
+
   console.log('🎁 Granting entitlements:', {
-    userId,
+    userId: user._id,
     productId,
-    transactionId: verificationResult.transactionId || verificationResult.orderId
+    transactionId: transaction.transactionId
   });
 
-  // MOCK ENTITLEMENTS (REPLACE WITH DATABASE LOGIC)
-  const entitlements = {
-    validUntil: verificationResult.expiryDate || null,
-    granted: []
-  };
-
-  switch (productId) {
-    case 'com.freetalk.premium_monthly':
-    case 'com.freetalk.premium_yearly':
-      entitlements.granted = ['premium', 'ad_free', 'unlimited_posts'];
-      break;
-    case 'com.freetalk.verified_badge':
-      entitlements.granted = ['verified_badge'];
-      break;
-    case 'com.freetalk.ad_free':
-      entitlements.granted = ['ad_free'];
-      break;
-  }
-
-  // TODO: Save to database
-  // await Purchase.create({
-  //   userId,
-  //   productId,
-  //   platform: verificationResult.transactionId ? 'ios' : 'android',
-  //   transactionId: verificationResult.transactionId || verificationResult.orderId,
-  //   validUntil: entitlements.validUntil,
-  //   createdAt: new Date()
-  // });
+  const product = IAP_PRODUCTS[productId];
+  const { grant } = await purchaseService.recordStorePurchase(user, {
+    ...transaction,
+    productId,
+    environment: process.env.IAP_ENVIRONMENT === 'sandbox' ? 'sandbox' : 'production'
+  });
 
-  return entitlements;
+  return {
+    validUntil: grant.expiresAt,
+    granted: [...new Set([...(product.tier ? [`premium_${product.tier}`] : []), ...(grant.features || [])])]
+  };
 }
 
 module.exports = router;
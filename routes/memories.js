@@ -3,6 +3,7 @@ const router = express.Router();
 const { authenticateToken } = require('../middleware/auth');
 const Memory = require('../models/Memory');
 const Post = require('../models/Post');
+const hashtagService = require('../services/hashtagService');
 const mongoose = require('mongoose');
 
 // @route   GET /api/memories
@@ -257,10 +258,14 @@ router.patch('/:id/share', authenticateToken, async (req, res) => {
         author: req.user.userId,
         isReshare: true,
         originalPost: memory.post._id,
+        // A memory is the user's own post; sharing it again keeps its audience
+        visibility: memory.post.visibility,
+        audience: memory.post.audience,
         mediaType: memory.post.mediaType,
         images: memory.post.images,
         videos: memory.post.videos
       });
+      await hashtagService.recordUsage(newPost.hashtags, { kind: 'post', userId: newPost.author, source: newPost });
     }
     
     // Notify via real-time
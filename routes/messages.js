@@ -1,4 +1,5 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const { body, validationResult } = require('express-validator');
 const { authenticateToken: auth } = require('../middleware/auth');
@@ -7,46 +8,65 @@ const Message = require('../models/Message');
 const Conversation = require('../models/Conversation');
 const Notification = require('../models/Notification');
 const User = require('../models/User');
+const entitlementService = require('../services/entitlementService');
+const readReceiptService = require('../services/readReceiptService');
+const storageService = require('../services/storageService');
+const checkStorageQuota = require('../middleware/checkStorageQuota');
+const paginate = require('../middleware/pagination');
+const { afterCursor, buildPage } = require('../utils/pagination');
+const { PREMIUM_TIERS } = require('../config/premiumTiers');
 const { messageLimiter, generalLimiter, searchLimiter } = require('../middleware/rateLimiter');
 
+// How long after sending a message its sender can still edit it
+const EDIT_WINDOW_MINUTES = parseInt(process.env.MESSAGE_EDIT_WINDOW_MINUTES, 10) || 15;
+
 // Apply general rate limiting to all message routes
 router.use(generalLimiter);
 
 // @route   GET /api/messages/conversations
 // @desc    Get all conversations for the current user
 // @access  Private
-router.get('/conversations', auth, async (req, res) => {
+router.get('/conversations', auth, paginate({ sort: { lastMessageAt: -1, _id: -1 } }), async (req, res) => {
   try {
-    const { page = 1, limit = 20 } = req.query;
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-
     // Get blocked user relationships
     const Block = require('../models/Block');
     const blockedUserIds = await Block.getAllBlockRelationships(req.user._id);
 
-    const conversations = await Conversation.find({
+    const query = {
       participants: req.user._id,
       deletedBy: { $ne: req.user._id }
-    })
+    };
+    const conversations = await Conversation.find(afterCursor(query, req.pagination))
       .populate('participants', 'name email avatar isOnline lastActive')
       .populate({
         path: 'lastMessage',
-        select: 'content sender createdAt isRead type mediaUrl fileName fileSize'
+        select: 'content sender createdAt isRead type mediaUrl fileName fileSize editedAt'
       })
-      .sort({ lastMessageAt: -1 })
-      .skip(skip)
-      .limit(parseInt(limit));
+      .sort(req.pagination.sort)
+      .skip(req.pagination.skip)
+      .limit(req.pagination.limit + 1);
+
+    // The cursor is the last conversation fetched, even if it's filtered out below
+    const { items, pageInfo } = await buildPage(conversations, req.pagination, () => Conversation.countDocuments(query));
     
     // Filter out conversations with blocked users
-    const filteredConversations = conversations.filter(conv => {
+    const filteredConversations = items.filter(conv => {
       const otherParticipant = conv.participants.find(
         p => p._id.toString() !== req.user._id.toString()
       );
       return otherParticipant && !blockedUserIds.includes(otherParticipant._id.toString());
     });
 
+    // Read receipts the user switched off (and, in return, doesn't see)
+    const hidesReceipts = await Promise.all(
+      filteredConversations.map(conv => readReceiptService.hidesReceipts(req.user, conv, req))
+    );
+    filteredConversations.forEach((conv, index) => {
+      if (hidesReceipts[index]) readReceiptService.maskMessages([conv.lastMessage], req.user._id);
+    });
+
     // Format conversations with other participant info or group info
-    const formattedConversations = filteredConversations.map(conv => {
+    const formattedConversations = filteredConversations.map((conv, index) => {
       if (conv.isGroup) {
         return {
           _id: conv._id,
@@ -60,6 +80,7 @@ router.get('/conversations', auth, async (req, res) => {
           lastMessageAt: conv.lastMessageAt,
           unreadCount: conv.getUnreadCount(req.user._id),
           isArchived: conv.archivedBy.includes(req.user._id),
+          readReceipts: !hidesReceipts[index],
           createdAt: conv.createdAt,
           updatedAt: conv.updatedAt
         };
@@ -76,6 +97,7 @@ router.get('/conversations', auth, async (req, res) => {
           lastMessageAt: conv.lastMessageAt,
           unreadCount: conv.getUnreadCount(req.user._id),
           isArchived: conv.archivedBy.includes(req.user._id),
+          readReceipts: !hidesReceipts[index],
           createdAt: conv.createdAt,
           updatedAt: conv.updatedAt
         };
@@ -92,14 +114,7 @@ router.get('/conversations', auth, async (req, res) => {
       data: {
         conversations: formattedConversations,
         totalUnread,
-        pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total: await Conversation.countDocuments({
-            participants: req.user._id,
-            deletedBy: { $ne: req.user._id }
-          })
-        }
+        pagination: pageInfo
       }
     });
   } catch (error) {
@@ -140,7 +155,10 @@ router.get('/conversation/:userId', auth, async (req, res) => {
     );
 
     await conversation.populate('participants', 'name email avatar');
-    await conversation.populate('lastMessage', 'content sender createdAt isRead type mediaUrl fileName fileSize');
+    await conversation.populate('lastMessage', 'content sender createdAt isRead type mediaUrl fileName fileSize editedAt');
+
+    const hidesReceipts = await readReceiptService.hidesReceipts(req.user, conversation, req);
+    if (hidesReceipts) readReceiptService.maskMessages([conversation.lastMessage], req.user._id);
 
     const otherParticipant = conversation.participants.find(
       p => p._id.toString() !== req.user._id.toString()
@@ -155,6 +173,7 @@ router.get('/conversation/:userId', auth, async (req, res) => {
           lastMessage: conversation.lastMessage,
           lastMessageAt: conversation.lastMessageAt,
           unreadCount: conversation.getUnreadCount(req.user._id),
+          readReceipts: !hidesReceipts,
           createdAt: conversation.createdAt
         }
       }
@@ -171,10 +190,8 @@ router.get('/conversation/:userId', auth, async (req, res) => {
 // @route   GET /api/messages/:conversationId
 // @desc    Get messages in a conversation
 // @access  Private
-router.get('/:conversationId', auth, async (req, res) => {
+router.get('/:conversationId', auth, paginate({ defaultLimit: 50 }), async (req, res) => {
   try {
-    const { page = 1, limit = 50 } = req.query;
-    const skip = (parseInt(page) - 1) * parseInt(limit);
 
     // Verify user is participant
     const conversation = await Conversation.findById(req.params.conversationId);
@@ -192,10 +209,11 @@ router.get('/:conversationId', auth, async (req, res) => {
       });
     }
 
-    const messages = await Message.find({
+    const query = {
       conversation: req.params.conversationId,
       deletedBy: { $ne: req.user._id }
-    })
+    };
+    const fetched = await Message.find(afterCursor(query, req.pagination))
       .populate('sender', 'name email avatar')
       .populate('recipient', 'name email avatar')
       .populate({
@@ -214,25 +232,22 @@ router.get('/:conversationId', auth, async (req, res) => {
           select: 'name avatar'
         }
       })
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(parseInt(limit));
+      .sort(req.pagination.sort)
+      .skip(req.pagination.skip)
+      .limit(req.pagination.limit + 1);
 
-    const total = await Message.countDocuments({
-      conversation: req.params.conversationId,
-      deletedBy: { $ne: req.user._id }
-    });
+    // Newest first; nextCursor loads older messages
+    const { items: messages, pageInfo } = await buildPage(fetched, req.pagination, () => Message.countDocuments(query));
+
+    const hidesReceipts = await readReceiptService.hidesReceipts(req.user, conversation, req);
+    if (hidesReceipts) readReceiptService.maskMessages(messages, req.user._id);
 
     res.json({
       success: true,
       data: {
+        readReceipts: !hidesReceipts,
         messages: messages.reverse(), // Reverse so oldest is first
-        pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total,
-          pages: Math.ceil(total / parseInt(limit))
-        }
+        pagination: pageInfo
       }
     });
   } catch (error) {
@@ -251,6 +266,7 @@ router.post(
   '/',
   auth,
   upload.single('media'),
+  checkStorageQuota,
   async (req, res) => {
     try {
       const { conversationId, recipient, content, replyTo, storyId, gifUrl } = req.body;
@@ -426,6 +442,9 @@ router.post(
       }
 
       const message = await Message.create(messageData);
+      if (req.file) {
+        await storageService.record(req.user._id, 'message', message._id, [req.file]);
+      }
 
       // Update conversation
       conversation.lastMessage = message._id;
@@ -751,20 +770,37 @@ router.patch('/:conversationId/read', auth, async (req, res) => {
       });
     }
 
+    // Users with read receipts turned off only clear their own unread count;
+    // senders never see the messages as read
+    const hidesReadReceipts = await readReceiptService.hidesReceipts(req.user, conversation, req);
+
     // Mark all unread messages as read
-    await Message.updateMany(
-      {
-        conversation: req.params.conversationId,
-        recipient: req.user._id,
-        isRead: false
-      },
-      {
-        $set: {
-          isRead: true,
-          readAt: new Date()
+    if (!hidesReadReceipts && conversation.isGroup) {
+      await Message.updateMany(
+        {
+          conversation: req.params.conversationId,
+          sender: { $ne: req.user._id },
+          'readBy.user': { $ne: req.user._id }
+        },
+        {
+          $push: { readBy: { user: req.user._id, readAt: new Date() } }
         }
-      }
-    );
+      );
+    } else if (!hidesReadReceipts) {
+      await Message.updateMany(
+        {
+          conversation: req.params.conversationId,
+          recipient: req.user._id,
+          isRead: false
+        },
+        {
+          $set: {
+            isRead: true,
+            readAt: new Date()
+          }
+        }
+      );
+    }
 
     // Get the count BEFORE resetting to know how much to decrement
     const unreadCountBeforeReset = conversation.getUnreadCount(req.user._id);
@@ -772,14 +808,19 @@ router.patch('/:conversationId/read', auth, async (req, res) => {
     // Reset unread count
     await conversation.resetUnread(req.user._id);
 
-    // Emit Socket.IO event to sender (to show checkmarks)
-    const otherUserId = conversation.getOtherParticipant(req.user._id);
+    // Emit Socket.IO event to senders (to show checkmarks), except those who
+    // don't send read receipts themselves
     const io = req.app.get('io');
     if (io) {
-      io.to(`user:${otherUserId}`).emit('messages:read', {
-        conversationId: conversation._id,
-        readBy: req.user._id
-      });
+      if (!hidesReadReceipts) {
+        const receiptRecipients = await readReceiptService.getReceiptRecipients(conversation, req.user._id);
+        receiptRecipients.forEach(userId => {
+          io.to(`user:${userId}`).emit('messages:read', {
+            conversationId: conversation._id,
+            readBy: req.user._id
+          });
+        });
+      }
       
       // IMPORTANT: Emit to current user to update their unread count badge
       // Send negative increment to decrease the count
@@ -804,6 +845,79 @@ router.patch('/:conversationId/read', auth, async (req, res) => {
   }
 });
 
+// @route   PUT /api/messages/:conversationId/read-receipts
+// @desc    Turn read receipts on or off for one conversation (turning them off needs read_receipts_control)
+// @access  Private
+router.put('/:conversationId/read-receipts', auth, async (req, res) => {
+  try {
+    const { enabled } = req.body;
+
+    if (typeof enabled !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'enabled must be true or false'
+      });
+    }
+
+    const conversation = await Conversation.findById(req.params.conversationId);
+
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Conversation not found'
+      });
+    }
+
+    if (!conversation.participants.some(p => p.toString() === req.user._id.toString())) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized'
+      });
+    }
+
+    if (!enabled) {
+      const entitlements = await entitlementService.getEntitlementsForRequest(req);
+      if (!entitlementService.hasFeature(entitlements, 'read_receipts_control')) {
+        const requiredTier = entitlementService.requiredTierFor('read_receipts_control');
+        return res.status(403).json({
+          success: false,
+          message: `Turning off read receipts requires ${PREMIUM_TIERS[requiredTier].name} or higher`,
+          feature: 'read_receipts_control',
+          requiredTier,
+          upgradeRequired: true
+        });
+      }
+    }
+
+    const updated = await Conversation.findByIdAndUpdate(
+      conversation._id,
+      enabled
+        ? { $pull: { readReceiptsOffFor: req.user._id } }
+        : { $addToSet: { readReceiptsOffFor: req.user._id } },
+      { new: true }
+    );
+
+    // Turning them on here doesn't override turning them off everywhere in settings
+    const hidesReceipts = await readReceiptService.hidesReceipts(req.user, updated, req);
+
+    res.json({
+      success: true,
+      message: enabled ? 'Read receipts turned on for this conversation' : 'Read receipts turned off for this conversation',
+      data: {
+        conversationId: updated._id,
+        readReceipts: !hidesReceipts,
+        disabledEverywhere: req.user.settings.readReceipts === false
+      }
+    });
+  } catch (error) {
+    console.error('Update read receipts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update read receipts'
+    });
+  }
+});
+
 // @route   POST /api/messages/typing
 // @desc    Emit typing indicator to other user
 // @access  Private
@@ -939,9 +1053,11 @@ router.delete('/:messageId/for-everyone', auth, async (req, res) => {
 
     // Mark as deleted for everyone
     message.content = 'This message was deleted';
+    message.editHistory = [];
     message.isDeleted = true;
     message.deletedAt = new Date();
     await message.save();
+    await storageService.release('message', message._id);
 
     console.log(`🗑️ Message ${message._id} deleted for everyone by ${req.user._id}`);
 
@@ -980,6 +1096,154 @@ router.delete('/:messageId/for-everyone', auth, async (req, res) => {
   }
 });
 
+// @route   PATCH /api/messages/:messageId
+// @desc    Edit a message's text (sender only, within the edit window); earlier versions are kept
+// @access  Private
+router.patch('/:messageId', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.messageId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid message ID format'
+      });
+    }
+
+    const { content } = req.body;
+
+    if (typeof content !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Content is required'
+      });
+    }
+
+    const newContent = content.trim();
+    if (newContent.length > 5000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Message cannot exceed 5000 characters'
+      });
+    }
+
+    const message = await Message.findById(req.params.messageId);
+
+    if (!message || message.deletedBy.some(id => id.toString() === req.user._id.toString())) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message not found'
+      });
+    }
+
+    // Only the sender can edit
+    if (message.sender.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only edit your own messages'
+      });
+    }
+
+    if (message.isDeleted) {
+      return res.status(400).json({
+        success: false,
+        message: 'Deleted messages cannot be edited'
+      });
+    }
+
+    if (message.type === 'voice') {
+      return res.status(400).json({
+        success: false,
+        message: 'Voice messages cannot be edited'
+      });
+    }
+
+    // Text messages need text; media messages can have their caption removed
+    if (message.type === 'text' && !newContent) {
+      return res.status(400).json({
+        success: false,
+        message: 'Message content cannot be empty'
+      });
+    }
+
+    const editDeadline = new Date(message.createdAt.getTime() + EDIT_WINDOW_MINUTES * 60 * 1000);
+    if (new Date() > editDeadline) {
+      return res.status(403).json({
+        success: false,
+        message: `Messages can only be edited within ${EDIT_WINDOW_MINUTES} minutes of sending`
+      });
+    }
+
+    if (newContent === (message.content || '')) {
+      return res.json({
+        success: true,
+        message: 'Message unchanged',
+        data: {
+          messageId: message._id,
+          content: message.content,
+          editedAt: message.editedAt,
+          editHistory: message.editHistory
+        }
+      });
+    }
+
+    const editedAt = new Date();
+    message.editHistory.push({ content: message.content || '', editedAt });
+    message.content = newContent;
+    message.editedAt = editedAt;
+    await message.save();
+
+    const conversation = await Conversation.findById(message.conversation).select('participants lastMessage');
+    const isLastMessage = !!(conversation && conversation.lastMessage
+      && conversation.lastMessage.toString() === message._id.toString());
+
+    console.log(`✏️ Message ${message._id} edited by ${req.user._id}`);
+
+    // Emit socket event to every participant (the conversation list preview updates
+    // when the edited message is the conversation's last message)
+    const io = req.app.get('io');
+    if (io && conversation) {
+      const updateData = {
+        messageId: message._id.toString(),
+        conversationId: message.conversation.toString(),
+        content: message.content,
+        editedAt: message.editedAt,
+        editHistory: message.editHistory,
+        isLastMessage,
+        lastMessage: isLastMessage ? {
+          _id: message._id,
+          content: message.content,
+          sender: message.sender,
+          type: message.type,
+          createdAt: message.createdAt,
+          editedAt: message.editedAt
+        } : null
+      };
+
+      conversation.participants.forEach(participantId => {
+        io.to(`user:${participantId}`).emit('message:edited', updateData);
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Message edited successfully',
+      data: {
+        messageId: message._id,
+        conversationId: message.conversation,
+        content: message.content,
+        editedAt: message.editedAt,
+        editHistory: message.editHistory,
+        isLastMessage
+      }
+    });
+  } catch (error) {
+    console.error('Edit message error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to edit message'
+    });
+  }
+});
+
 // @route   DELETE /api/messages/:messageId (kept for backward compatibility)
 // @desc    Delete a message (soft delete for current user)
 // @access  Private
@@ -1813,6 +2077,7 @@ router.get('/:conversationId/search', auth, async (req, res) => {
       });
     }
 
+    // Results are ordered by relevance, which has no stable cursor, so search keeps page mode
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
     // Search messages using text index (case-insensitive)
@@ -1836,6 +2101,10 @@ router.get('/:conversationId/search', auth, async (req, res) => {
       $text: { $search: query }
     });
 
+    if (await readReceiptService.hidesReceipts(req.user, conversation, req)) {
+      readReceiptService.maskMessages(searchResults, req.user._id);
+    }
+
     res.json({
       success: true,
       data: {
@@ -1884,114 +2153,25 @@ router.get('/:conversationId/export', auth, async (req, res) => {
     }
 
     // Get all messages in the conversation (not deleted by user)
-    const messages = await Message.find({
-      conversation: conversationId,
-      deletedBy: { $ne: req.user._id },
-      isDeleted: false
-    })
-      .populate('sender', 'name email avatar')
-      .populate('replyTo', 'content sender')
-      .sort({ createdAt: 1 }); // Chronological order
-
-    // Get other participant info for file naming
-    const otherParticipant = conversation.isGroup 
-      ? { name: conversation.groupName || 'Group Chat' }
-      : conversation.participants.find(p => p._id.toString() !== req.user._id.toString());
-
-    const fileName = `FreeTalk_${otherParticipant.name.replace(/[^a-zA-Z0-9]/g, '_')}_${new Date().toISOString().split('T')[0]}`;
+    const conversationExportService = require('../services/conversationExportService');
+    const messages = await conversationExportService.getMessages(conversationId, req.user._id);
+    if (await readReceiptService.hidesReceipts(req.user, conversation, req)) {
+      readReceiptService.maskMessages(messages, req.user._id);
+    }
+    const fileName = conversationExportService.getFileName(conversation, req.user._id);
 
     if (format === 'txt') {
       // Generate plain text format
-      let textContent = `FreeTalk Conversation Export\n`;
-      textContent += `===============================\n\n`;
-      textContent += `Chat with: ${otherParticipant.name}\n`;
-      textContent += `Exported on: ${new Date().toLocaleString()}\n`;
-      textContent += `Total messages: ${messages.length}\n`;
-      textContent += `\n===============================\n\n`;
-
-      messages.forEach(msg => {
-        const timestamp = new Date(msg.createdAt).toLocaleString();
-        const senderName = msg.sender.name || 'Unknown';
-        
-        textContent += `[${timestamp}] ${senderName}:\n`;
-        
-        if (msg.replyTo) {
-          const replyToSender = msg.replyTo.sender?.name || 'Unknown';
-          textContent += `  ↳ Replying to ${replyToSender}: "${msg.replyTo.content || '[Media]'}"\n`;
-        }
-        
-        if (msg.content) {
-          textContent += `  ${msg.content}\n`;
-        }
-        
-        if (msg.type === 'image') {
-          textContent += `  📷 [Image: ${msg.mediaUrl}]\n`;
-        } else if (msg.type === 'video') {
-          textContent += `  🎥 [Video: ${msg.mediaUrl}]\n`;
-        } else if (msg.type === 'document') {
-          textContent += `  📄 [Document: ${msg.fileName || msg.mediaUrl}]\n`;
-        } else if (msg.type === 'gif') {
-          textContent += `  🎬 [GIF: ${msg.mediaUrl}]\n`;
-        }
-        
-        if (msg.reactions && msg.reactions.length > 0) {
-          const reactionSummary = msg.reactions.map(r => `${r.emoji}(${r.user.name})`).join(', ');
-          textContent += `  Reactions: ${reactionSummary}\n`;
-        }
-        
-        textContent += `\n`;
-      });
-
       res.setHeader('Content-Type', 'text/plain');
       res.setHeader('Content-Disposition', `attachment; filename="${fileName}.txt"`);
-      res.send(textContent);
+      res.send(conversationExportService.toText(conversation, messages, req.user._id));
     } else {
       // Generate JSON format
-      const exportData = {
-        exportInfo: {
-          exportedBy: req.user.name,
-          exportedAt: new Date().toISOString(),
-          conversationId: conversationId,
-          totalMessages: messages.length
-        },
-        conversation: {
-          isGroup: conversation.isGroup,
-          name: conversation.isGroup ? conversation.groupName : otherParticipant.name,
-          participants: conversation.participants.map(p => ({
-            id: p._id,
-            name: p.name,
-            email: p.email
-          }))
-        },
-        messages: messages.map(msg => ({
-          id: msg._id,
-          sender: {
-            id: msg.sender._id,
-            name: msg.sender.name,
-            email: msg.sender.email
-          },
-          content: msg.content,
-          type: msg.type,
-          mediaUrl: msg.mediaUrl,
-          fileName: msg.fileName,
-          fileSize: msg.fileSize,
-          replyTo: msg.replyTo ? {
-            id: msg.replyTo._id,
-            content: msg.replyTo.content,
-            sender: msg.replyTo.sender?.name
-          } : null,
-          reactions: msg.reactions,
-          isRead: msg.isRead,
-          createdAt: msg.createdAt,
-          updatedAt: msg.updatedAt
-        }))
-      };
-
       res.setHeader('Content-Type', 'application/json');
       res.setHeader('Content-Disposition', `attachment; filename="${fileName}.json"`);
       res.json({
         success: true,
-        data: exportData
+        data: conversationExportService.toJson(conversation, messages, req.user)
       });
     }
   } catch (error) {
@@ -4,6 +4,8 @@ const MusicTrack = require('../models/MusicTrack');
 const Video = require('../models/Video');
 const { authenticateToken } = require('../middleware/auth');
 const upload = require('../config/multer');
+const checkStorageQuota = require('../middleware/checkStorageQuota');
+const storageService = require('../services/storageService');
 const pixabayMusicService = require('../services/pixabayMusic');
 
 const router = express.Router();
@@ -637,7 +639,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
 // @route   POST /api/music/upload
 // @desc    Upload a user-created sound/audio
 // @access  Private
-router.post('/upload', authenticateToken, upload.single('audio'), createMusicTrackValidation, async (req, res) => {
+router.post('/upload', authenticateToken, upload.single('audio'), checkStorageQuota, createMusicTrackValidation, async (req, res) => {
   try {
     // Check for validation errors
     const errors = validationResult(req);
@@ -706,6 +708,7 @@ router.post('/upload', authenticateToken, upload.single('audio'), createMusicTra
     });
 
     await musicTrack.save();
+    await storageService.record(req.user._id, 'music', musicTrack._id, [req.file]);
 
     console.log(`🎵 User ${req.user.name} uploaded sound: ${title}`);
 
@@ -792,6 +795,7 @@ router.delete('/:id', authenticateToken, async (req, res) => {
     // Soft delete
     track.isDeleted = true;
     await track.save();
+    await storageService.release('music', track._id);
 
     console.log(`🗑️ User ${req.user.name} deleted sound: ${track.title}`);
 
@@ -1,6 +1,8 @@
 const express = require('express');
 const Notification = require('../models/Notification');
 const { authenticateToken } = require('../middleware/auth');
+const paginate = require('../middleware/pagination');
+const { afterCursor, buildPage } = require('../utils/pagination');
 
 const router = express.Router();
 
@@ -53,25 +55,24 @@ router.get('/debug', async (req, res) => {
 // @route   GET /api/notifications
 // @desc    Get all notifications for current user
 // @access  Private
-router.get('/', async (req, res) => {
+router.get('/', paginate(), async (req, res) => {
   try {
-    const { page = 1, limit = 20, unreadOnly = false } = req.query;
-    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const { unreadOnly = false } = req.query;
 
     const query = { recipient: req.user._id };
     if (unreadOnly === 'true') {
       query.isRead = false;
     }
 
-    const notifications = await Notification.find(query)
+    const fetched = await Notification.find(afterCursor(query, req.pagination))
       .populate('sender', 'name email avatar isPremium premiumFeatures')
       .populate('post', 'content images videos')
       .populate('story', 'mediaType mediaUrl textContent')
-      .sort({ createdAt: -1 })
-      .limit(parseInt(limit))
-      .skip(skip);
+      .sort(req.pagination.sort)
+      .skip(req.pagination.skip)
+      .limit(req.pagination.limit + 1);
 
-    const total = await Notification.countDocuments(query);
+    const { items: notifications, pageInfo } = await buildPage(fetched, req.pagination, () => Notification.countDocuments(query));
     const unreadCount = await Notification.countDocuments({
       recipient: req.user._id,
       isRead: false
@@ -83,12 +84,7 @@ router.get('/', async (req, res) => {
       data: {
         notifications,
         unreadCount,
-        pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total,
-          pages: Math.ceil(total / parseInt(limit))
-        }
+        pagination: pageInfo
       }
     });
   } catch (error) {
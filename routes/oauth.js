@@ -0,0 +1,527 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { authenticateToken, verifyAccessToken } = require('../middleware/auth');
+const { requireUserSession } = require('../middleware/requireScope');
+const { generalLimiter } = require('../middleware/rateLimiter');
+const { SCOPES } = require('../config/scopes');
+const oauthService = require('../services/oauthService');
+const OAuthClient = require('../models/OAuthClient');
+
+const router = express.Router();
+
+// Apply general rate limiting to all OAuth routes
+router.use(generalLimiter);
+
+/**
+ * OAuth2 authorization server ("Sign in with FreeTalk")
+ *
+ * Flow (authorization code + PKCE, RFC 6749 / RFC 7636):
+ *   1. The third-party app opens the FreeTalk app with client_id, redirect_uri, scope, state,
+ *      code_challenge and code_challenge_method=S256.
+ *   2. The app calls GET /authorize to show the consent screen, then POST /authorize with the
+ *      user's decision and sends the user to the returned `redirectTo`.
+ *   3. The third-party app exchanges the code at POST /token (with its code_verifier) and
+ *      refreshes with grant_type=refresh_token.
+ *
+ * /token, /revoke and /userinfo follow the OAuth response format ({ error, error_description })
+ * instead of { success, message } so standard OAuth client libraries work against them.
+ */
+
+// Build a redirect back to the client with query parameters (undefined values are skipped)
+const buildRedirect = (redirectUri, params) => {
+  const url = new URL(redirectUri);
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) url.searchParams.set(key, value);
+  });
+  return url.toString();
+};
+
+const oauthError = (res, status, error, description) => {
+  res.set('Cache-Control', 'no-store');
+  return res.status(status).json({ error, error_description: description });
+};
+
+// Client credentials from HTTP Basic auth (client_secret_basic) or the form body (client_secret_post)
+const readClientCredentials = (req) => {
+  const authHeader = req.headers['authorization'];
+  if (authHeader && authHeader.startsWith('Basic ')) {
+    const decoded = Buffer.from(authHeader.slice(6), 'base64').toString();
+    const separator = decoded.indexOf(':');
+    if (separator !== -1) {
+      return {
+        clientId: decodeURIComponent(decoded.slice(0, separator)),
+        clientSecret: decodeURIComponent(decoded.slice(separator + 1))
+      };
+    }
+  }
+  return { clientId: req.body.client_id, clientSecret: req.body.client_secret };
+};
+
+const describeScopes = (scopes) => scopes.map(scope => ({ scope, description: SCOPES[scope] }));
+
+const clientValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('App name must be between 1 and 100 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+  body('websiteUrl')
+    .optional({ nullable: true, checkFalsy: true })
+    .isURL({ protocols: ['https', 'http'], require_protocol: true })
+    .withMessage('Website must be a valid URL'),
+  body('logoUrl')
+    .optional({ nullable: true, checkFalsy: true })
+    .isURL({ protocols: ['https'], require_protocol: true })
+    .withMessage('Logo must be an https URL'),
+  body('redirectUris')
+    .isArray({ min: 1, max: 10 })
+    .withMessage('Between 1 and 10 redirect URIs are required'),
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('At least one scope is required'),
+  body('confidential')
+    .optional()
+    .isBoolean()
+    .withMessage('confidential must be a boolean')
+];
+
+// Find a client registered by the current user
+const findOwnedClient = (req) => OAuthClient.findOne({
+  clientId: req.params.clientId,
+  owner: req.user._id,
+  disabledAt: null
+});
+
+// @route   POST /api/oauth/clients
+// @desc    Register a third-party app (the client secret is only returned in this response)
+// @access  Private
+router.post('/clients', authenticateToken, requireUserSession, clientValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, description, websiteUrl, logoUrl, redirectUris, scopes, confidential } = req.body;
+
+    const invalidUris = redirectUris.filter(uri => typeof uri !== 'string' || !oauthService.isValidRedirectUri(uri));
+    if (invalidUris.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Redirect URIs must use https (http is only allowed for localhost) or an app scheme, without a fragment',
+        invalidRedirectUris: invalidUris
+      });
+    }
+
+    const parsedScopes = oauthService.parseScope(scopes.join(' '));
+    if (!parsedScopes) {
+      return res.status(400).json({
+        success: false,
+        message: 'Unknown scope(s) requested'
+      });
+    }
+
+    const { client, clientSecret } = await oauthService.registerClient(req.user._id, {
+      name,
+      description,
+      websiteUrl,
+      logoUrl,
+      redirectUris: [...new Set(redirectUris)],
+      scopes: parsedScopes,
+      confidential: confidential === true || confidential === 'true'
+    });
+
+    res.status(201).json({
+      success: true,
+      message: clientSecret
+        ? 'App registered. Copy the client secret now - it will not be shown again.'
+        : 'App registered',
+      data: {
+        client,
+        clientSecret
+      }
+    });
+
+  } catch (error) {
+    console.error('Register OAuth client error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to register app'
+    });
+  }
+});
+
+// @route   GET /api/oauth/clients
+// @desc    List the apps registered by the current user
+// @access  Private
+router.get('/clients', authenticateToken, requireUserSession, async (req, res) => {
+  try {
+    const clients = await OAuthClient.find({ owner: req.user._id, disabledAt: null }).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: { clients }
+    });
+
+  } catch (error) {
+    console.error('Get OAuth clients error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get apps'
+    });
+  }
+});
+
+// @route   POST /api/oauth/clients/:clientId/secret
+// @desc    Issue a new client secret (the old one stops working immediately)
+// @access  Private
+router.post('/clients/:clientId/secret', authenticateToken, requireUserSession, async (req, res) => {
+  try {
+    const client = await findOwnedClient(req);
+    if (!client) {
+      return res.status(404).json({
+        success: false,
+        message: 'App not found'
+      });
+    }
+
+    const clientSecret = await oauthService.rotateClientSecret(client);
+    if (!clientSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Public apps do not have a client secret'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Client secret rotated. Copy it now - it will not be shown again.',
+      data: { clientSecret }
+    });
+
+  } catch (error) {
+    console.error('Rotate OAuth client secret error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to rotate client secret'
+    });
+  }
+});
+
+// @route   DELETE /api/oauth/clients/:clientId
+// @desc    Delete an app (every user's access for it is revoked)
+// @access  Private
+router.delete('/clients/:clientId', authenticateToken, requireUserSession, async (req, res) => {
+  try {
+    const client = await findOwnedClient(req);
+    if (!client) {
+      return res.status(404).json({
+        success: false,
+        message: 'App not found'
+      });
+    }
+
+    await oauthService.deleteClient(client);
+
+    res.status(200).json({
+      success: true,
+      message: 'App deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete OAuth client error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete app'
+    });
+  }
+});
+
+// @route   GET /api/oauth/authorize
+// @desc    Validate an authorization request and return what the consent screen should show
+// @access  Private
+router.get('/authorize', authenticateToken, requireUserSession, async (req, res) => {
+  try {
+    const result = await oauthService.validateAuthorizationRequest(req.query);
+
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.errorDescription,
+        error: result.error,
+        // Only send the user back to the app when its redirect URI has been verified
+        redirectTo: result.redirectable
+          ? buildRedirect(req.query.redirect_uri, { error: result.error, error_description: result.errorDescription, state: req.query.state })
+          : null
+      });
+    }
+
+    const { client, scopes } = result;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        client: {
+          clientId: client.clientId,
+          name: client.name,
+          description: client.description,
+          websiteUrl: client.websiteUrl,
+          logoUrl: client.logoUrl
+        },
+        scopes: describeScopes(scopes),
+        alreadyApproved: await oauthService.hasConsent(req.user._id, client, scopes)
+      }
+    });
+
+  } catch (error) {
+    console.error('OAuth authorize error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to validate authorization request'
+    });
+  }
+});
+
+// @route   POST /api/oauth/authorize
+// @desc    Approve or deny an authorization request; returns the URL to send the user back to
+// @access  Private
+router.post('/authorize', authenticateToken, requireUserSession, [
+  body('approve')
+    .isBoolean()
+    .withMessage('approve must be true or false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const params = req.body;
+    const result = await oauthService.validateAuthorizationRequest(params);
+
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.errorDescription,
+        error: result.error,
+        redirectTo: result.redirectable
+          ? buildRedirect(params.redirect_uri, { error: result.error, error_description: result.errorDescription, state: params.state })
+          : null
+      });
+    }
+
+    if (params.approve !== true && params.approve !== 'true') {
+      return res.status(200).json({
+        success: true,
+        message: 'Authorization denied',
+        data: {
+          redirectTo: buildRedirect(params.redirect_uri, {
+            error: 'access_denied',
+            error_description: 'The user denied the request',
+            state: params.state
+          })
+        }
+      });
+    }
+
+    const code = await oauthService.createAuthorizationCode(req.user._id, result.client, {
+      redirectUri: params.redirect_uri,
+      scopes: result.scopes,
+      codeChallenge: params.code_challenge
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Authorization granted',
+      data: {
+        redirectTo: buildRedirect(params.redirect_uri, { code, state: params.state })
+      }
+    });
+
+  } catch (error) {
+    console.error('OAuth approve error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to complete authorization'
+    });
+  }
+});
+
+// @route   POST /api/oauth/token
+// @desc    Exchange an authorization code or refresh token for tokens
+// @access  Public (client authentication)
+router.post('/token', async (req, res) => {
+  try {
+    const { clientId, clientSecret } = readClientCredentials(req);
+    const client = await oauthService.authenticateClient(clientId, clientSecret);
+    if (!client) {
+      return oauthError(res, 401, 'invalid_client', 'Client authentication failed');
+    }
+
+    let result;
+    switch (req.body.grant_type) {
+      case 'authorization_code':
+        result = await oauthService.exchangeAuthorizationCode(client, {
+          code: req.body.code,
+          redirectUri: req.body.redirect_uri,
+          codeVerifier: req.body.code_verifier
+        });
+        break;
+      case 'refresh_token':
+        result = await oauthService.refreshAccessToken(client, req.body.refresh_token);
+        break;
+      default:
+        return oauthError(res, 400, 'unsupported_grant_type', 'grant_type must be authorization_code or refresh_token');
+    }
+
+    if (result.error) {
+      return oauthError(res, 400, result.error, result.errorDescription);
+    }
+
+    res.set('Cache-Control', 'no-store');
+    res.status(200).json(result);
+
+  } catch (error) {
+    console.error('OAuth token error:', error);
+    oauthError(res, 500, 'server_error', 'Failed to issue tokens');
+  }
+});
+
+// @route   POST /api/oauth/revoke
+// @desc    Revoke an access or refresh token (RFC 7009 - always 200 for unknown tokens)
+// @access  Public (client authentication)
+router.post('/revoke', async (req, res) => {
+  try {
+    const { clientId, clientSecret } = readClientCredentials(req);
+    const client = await oauthService.authenticateClient(clientId, clientSecret);
+    if (!client) {
+      return oauthError(res, 401, 'invalid_client', 'Client authentication failed');
+    }
+
+    if (!req.body.token || typeof req.body.token !== 'string') {
+      return oauthError(res, 400, 'invalid_request', 'token is required');
+    }
+
+    await oauthService.revokeToken(client, req.body.token);
+    res.status(200).json({});
+
+  } catch (error) {
+    console.error('OAuth revoke error:', error);
+    oauthError(res, 500, 'server_error', 'Failed to revoke token');
+  }
+});
+
+// @route   GET /api/oauth/userinfo
+// @desc    Profile of the user an access token belongs to (needs profile:read for app tokens)
+// @access  Private (OAuth access token)
+router.get('/userinfo', async (req, res) => {
+  try {
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.split(' ')[1];
+    if (!token) {
+      return oauthError(res, 401, 'invalid_token', 'Access token is required');
+    }
+
+    let verified;
+    try {
+      verified = await verifyAccessToken(token, { ip: req.ip });
+    } catch (error) {
+      return oauthError(res, 401, 'invalid_token', error.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token');
+    }
+
+    const { decoded, user } = verified;
+    if (!user || user.isBanned) {
+      return oauthError(res, 401, 'invalid_token', 'Invalid token');
+    }
+    if (decoded.scopes && !decoded.scopes.includes('profile:read')) {
+      return oauthError(res, 403, 'insufficient_scope', 'The profile:read scope is required');
+    }
+
+    const profile = user.getPublicProfile();
+
+    res.status(200).json({
+      sub: user._id.toString(),
+      name: profile.name,
+      email: profile.email,
+      email_verified: !!profile.emailVerified,
+      picture: profile.avatar || null,
+      bio: profile.bio || '',
+      isVerified: !!profile.isVerified,
+      isPremium: !!profile.isPremium,
+      createdAt: profile.createdAt
+    });
+
+  } catch (error) {
+    console.error('OAuth userinfo error:', error);
+    oauthError(res, 500, 'server_error', 'Failed to get user info');
+  }
+});
+
+// @route   GET /api/oauth/grants
+// @desc    List the apps the current user has given access to their account
+// @access  Private
+router.get('/grants', authenticateToken, requireUserSession, async (req, res) => {
+  try {
+    const apps = await oauthService.listAuthorizedApps(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        apps: apps.map(app => ({
+          ...app,
+          scopes: describeScopes(app.scopes)
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get OAuth grants error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get authorized apps'
+    });
+  }
+});
+
+// @route   DELETE /api/oauth/grants/:clientId
+// @desc    Remove an app's access to the current user's account
+// @access  Private
+router.delete('/grants/:clientId', authenticateToken, requireUserSession, async (req, res) => {
+  try {
+    const client = await OAuthClient.findOne({ clientId: req.params.clientId });
+    const revoked = client ? await oauthService.revokeUserGrants(req.user._id, client) : 0;
+
+    if (revoked === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'This app does not have access to your account'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'App access removed'
+    });
+
+  } catch (error) {
+    console.error('Revoke OAuth grant error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove app access'
+    });
+  }
+});
+
+module.exports = router;
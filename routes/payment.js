@@ -5,25 +5,17 @@ const stripe = process.env.STRIPE_SECRET_KEY
   ? require('stripe')(process.env.STRIPE_SECRET_KEY)
   : null;
 const { authenticateToken } = require('../middleware/auth');
+const requireVerifiedEmail = require('../middleware/requireVerifiedEmail');
 const User = require('../models/User');
-
-// TEMPORARY: Helper function to check if user has premium (currently FREE for all)
-// TODO: Revert this when premium is enabled
-function checkUserPremium(user) {
-  // Temporarily making premium free for all users
-  return true;
-  
-  // Original logic (uncomment when reverting):
-  // return user.isPremium;
-}
-
-function checkPremiumFeature(user, featureName) {
-  // Temporarily making all premium features free for all users
-  return true;
-  
-  // Original logic (uncomment when reverting):
-  // return user.isPremium && user.premiumFeatures.includes(featureName);
-}
+const Subscription = require('../models/Subscription');
+const Purchase = require('../models/Purchase');
+const subscriptionService = require('../services/subscriptionService');
+const entitlementService = require('../services/entitlementService');
+const purchaseService = require('../services/purchaseService');
+const promotionService = require('../services/promotionService');
+const Redemption = require('../models/Redemption');
+const Block = require('../models/Block');
+const { PREMIUM_TIERS, TRIAL_DAYS, GIFT_MONTHS, isValidTier } = require('../config/premiumTiers');
 
 // Middleware to check if Stripe is configured
 const requireStripe = (req, res, next) => {
@@ -48,29 +40,24 @@ router.get('/subscription-status', authenticateToken, async (req, res) => {
       });
     }
 
-    // Check if premium has expired
+    // Combines Stripe, app store and admin grants (expired ones are switched off here)
+    const entitlements = await entitlementService.getEntitlements(user);
     const now = new Date();
-    if (user.isPremium && user.premiumExpiresAt && user.premiumExpiresAt < now) {
-      user.isPremium = false;
-      user.premiumFeatures = [];
-      await user.save();
-    }
 
-    const daysRemaining = user.premiumExpiresAt 
-      ? Math.max(0, Math.ceil((user.premiumExpiresAt - now) / (1000 * 60 * 60 * 24)))
+    const daysRemaining = entitlements.expiresAt
+      ? Math.max(0, Math.ceil((entitlements.expiresAt - now) / (1000 * 60 * 60 * 24)))
       : 0;
 
-    // Use helper to check premium status (currently returns true for all users)
-    const isPremiumActive = checkUserPremium(user);
-
     res.json({
       success: true,
       data: {
-        isPremium: isPremiumActive,
-        premiumFeatures: user.premiumFeatures,
-        premiumExpiresAt: user.premiumExpiresAt,
+        isPremium: entitlements.isPremium,
+        premiumTier: entitlements.tier,
+        premiumFeatures: entitlements.features,
+        premiumExpiresAt: entitlements.expiresAt,
         daysRemaining,
-        paymentHistory: user.paymentHistory
+        sources: entitlements.sources.map(({ source, tier, expiresAt }) => ({ source, tier, expiresAt })),
+        paymentHistory: await purchaseService.getPaymentHistory(user._id)
       }
     });
   } catch (error) {
@@ -86,57 +73,21 @@ router.get('/subscription-status', authenticateToken, async (req, res) => {
 // Get available premium tiers
 router.get('/premium-tiers', async (req, res) => {
   try {
-    const tiers = {
-      basic: {
-        name: 'Premium Basic',
-        price: 4.99,
-        currency: 'USD',
-        interval: 'month',
-        features: [
-          'See who viewed your profile',
-          'Ad-free experience',
-          'Custom themes',
-          '5GB increased upload limit'
-        ],
-        popular: false
-      },
-      plus: {
-        name: 'Premium Plus',
-        price: 9.99,
-        currency: 'USD',
-        interval: 'month',
-        features: [
-          'Everything in Basic',
-          'Unlimited storage',
-          'Advanced analytics dashboard',
-          'Priority support (24h response)',
-          'Download videos',
-          'Control read receipts'
-        ],
-        popular: true
-      },
-      pro: {
-        name: 'Premium Pro',
-        price: 19.99,
-        currency: 'USD',
-        interval: 'month',
-        features: [
-          'Everything in Plus',
-          'Early access to new features',
-          'Custom badge color',
-          '50GB upload limit',
-          'Ghost mode (browse invisibly)',
-          'Priority support (12h response)',
-          'Exclusive Pro badge'
-        ],
-        popular: false
-      }
-    };
+    const tiers = Object.fromEntries(Object.entries(PREMIUM_TIERS).map(([key, tier]) => [key, {
+      name: tier.name,
+      price: tier.amount / 100,
+      currency: 'USD',
+      interval: 'month',
+      features: tier.highlights,
+      popular: tier.popular
+    }]));
 
     res.json({
       success: true,
       data: {
         tiers,
+        trialDays: TRIAL_DAYS,
+        giftMonths: GIFT_MONTHS,
         note: 'Verification is FREE for everyone! Premium adds exclusive features on top.'
       }
     });
@@ -150,34 +101,57 @@ router.get('/premium-tiers', async (req, res) => {
   }
 });
 
-// Create payment intent for premium subscription
-router.post('/create-payment-intent', authenticateToken, requireStripe, async (req, res) => {
+// Check a promo code and show the discounted price of a tier
+router.post('/promo-codes/validate', authenticateToken, async (req, res) => {
   try {
-    const { tier } = req.body;
-
-    // Define premium tiers and their pricing (monthly)
-    const premiumTiers = {
-      'basic': { 
-        amount: 499, // $4.99/month
-        description: 'Premium Basic - Monthly access',
-        features: ['profile_visitors', 'ad_free', 'custom_themes', 'increased_upload_limit'],
-        duration: '30days'
-      },
-      'plus': { 
-        amount: 999, // $9.99/month
-        description: 'Premium Plus - Monthly access',
-        features: ['profile_visitors', 'ad_free', 'custom_themes', 'unlimited_storage', 'advanced_analytics', 'priority_support', 'video_downloads', 'read_receipts_control'],
-        duration: '30days'
-      },
-      'pro': { 
-        amount: 1999, // $19.99/month
-        description: 'Premium Pro - Monthly access (All Features)',
-        features: ['profile_visitors', 'ad_free', 'custom_themes', 'unlimited_storage', 'advanced_analytics', 'priority_support', 'early_access', 'custom_badge_color', 'increased_upload_limit', 'video_downloads', 'read_receipts_control', 'ghost_mode'],
-        duration: '30days'
+    const { code, tier } = req.body;
+
+    if (!isValidTier(tier)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid premium tier. Choose: basic, plus, or pro'
+      });
+    }
+
+    const { promo, error } = await promotionService.checkPromoCode(code, req.user, tier);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const quote = promotionService.quote(tier, promo);
+
+    res.json({
+      success: true,
+      data: {
+        code: promo.code,
+        description: promo.description,
+        tier,
+        originalPrice: quote.originalAmount / 100,
+        discount: quote.discountAmount / 100,
+        price: quote.amount / 100,
+        free: quote.free,
+        currency: 'USD'
       }
-    };
+    });
+  } catch (error) {
+    console.error('Error validating promo code:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error validating promo code',
+      error: error.message
+    });
+  }
+});
+
+// Create payment intent for premium subscription
+router.post('/create-payment-intent', authenticateToken, requireVerifiedEmail, requireStripe, async (req, res) => {
+  try {
+    const { tier, promoCode } = req.body;
 
-    if (!premiumTiers[tier]) {
+    if (!isValidTier(tier)) {
       return res.status(400).json({
         success: false,
         message: 'Invalid premium tier. Choose: basic, plus, or pro'
@@ -204,8 +178,43 @@ router.post('/create-payment-intent', authenticateToken, requireStripe, async (r
     }
 
     // Get pricing for the selected tier
-    const pricing = premiumTiers[tier];
-    const amount = pricing.amount;
+    const pricing = { ...PREMIUM_TIERS[tier], duration: '30days' };
+
+    // Optional promo code
+    let promo = null;
+    if (promoCode) {
+      const check = await promotionService.checkPromoCode(promoCode, user, tier);
+      if (check.error) {
+        return res.status(400).json({
+          success: false,
+          message: check.error
+        });
+      }
+      promo = check.promo;
+    }
+    const quote = promotionService.quote(tier, promo);
+    const amount = quote.amount;
+
+    // A code that makes the month free needs no payment
+    if (quote.free) {
+      const { grant, error } = await promotionService.redeemFree(user, promo, tier, quote);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error
+        });
+      }
+
+      return res.json({
+        success: true,
+        message: `🎉 Premium ${tier.toUpperCase()} activated with code ${promo.code}!`,
+        data: {
+          free: true,
+          tier,
+          premiumExpiresAt: grant.expiresAt
+        }
+      });
+    }
 
     // Create or retrieve Stripe customer
     let customerId = user.stripeCustomerId;
@@ -223,25 +232,52 @@ router.post('/create-payment-intent', authenticateToken, requireStripe, async (r
       await user.save();
     }
 
+    // Hold a use of the promo code while the payment is in progress
+    let redemption = null;
+    if (promo) {
+      const reservation = await promotionService.reservePromoCode(user, promo, tier, quote, { oneOff: true });
+      if (reservation.error) {
+        return res.status(400).json({
+          success: false,
+          message: reservation.error
+        });
+      }
+      redemption = reservation.redemption;
+    }
+
     // Create payment intent
-    const paymentIntent = await stripe.paymentIntents.create({
-      amount,
-      currency: 'usd',
-      customer: customerId,
-      metadata: {
-        userId: user._id.toString(),
-        tier: tier,
-        features: pricing.features.join(','),
-        duration: pricing.duration
-      },
-      description: pricing.description,
-    });
+    let paymentIntent;
+    try {
+      paymentIntent = await stripe.paymentIntents.create({
+        amount,
+        currency: 'usd',
+        customer: customerId,
+        metadata: {
+          userId: user._id.toString(),
+          tier: tier,
+          features: pricing.features.join(','),
+          duration: pricing.duration,
+          ...(promo && { promoCode: promo.code })
+        },
+        description: pricing.description,
+      });
+    } catch (error) {
+      if (redemption) await promotionService.releaseRedemption({ _id: redemption._id });
+      throw error;
+    }
+
+    if (redemption) {
+      redemption.paymentIntentId = paymentIntent.id;
+      await redemption.save();
+    }
 
     res.json({
       success: true,
       data: {
         clientSecret: paymentIntent.client_secret,
-        paymentIntentId: paymentIntent.id
+        paymentIntentId: paymentIntent.id,
+        amount: amount / 100,
+        discount: quote.discountAmount / 100
       }
     });
   } catch (error) {
@@ -277,6 +313,14 @@ router.post('/verify-payment', authenticateToken, requireStripe, async (req, res
       });
     }
 
+    // Gifts are delivered to their recipient, and nobody can claim someone else's payment
+    if (paymentIntent.metadata.type === 'gift' || paymentIntent.metadata.userId !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'This payment is not a premium purchase for your account'
+      });
+    }
+
     const user = await User.findById(req.user._id);
     
     if (!user) {
@@ -286,12 +330,10 @@ router.post('/verify-payment', authenticateToken, requireStripe, async (req, res
       });
     }
 
-    // Check if payment was already processed
-    const existingPayment = user.paymentHistory.find(
-      p => p.transactionId === paymentIntentId
-    );
+    // Check if payment was already processed (refunded and disputed payments can't be reused either)
+    const existingPayment = await Purchase.findOne({ store: 'stripe', transactionId: paymentIntentId });
 
-    if (existingPayment && existingPayment.status === 'completed') {
+    if (existingPayment && existingPayment.status !== 'failed') {
       return res.status(400).json({
         success: false,
         message: 'Payment already processed'
@@ -318,18 +360,27 @@ router.post('/verify-payment', authenticateToken, requireStripe, async (req, res
     user.premiumExpiresAt = expiresAt;
     user.premiumPurchaseDate = now;
 
-    // Add to payment history
-    user.paymentHistory.push({
+    await user.save();
+
+    // Record in the purchase ledger
+    await purchaseService.record(user, {
+      store: 'stripe',
+      type: 'one_time',
+      productId: tier,
+      tier,
+      features,
+      transactionId: paymentIntentId,
+      paymentIntentId,
       amount: paymentIntent.amount / 100, // Convert cents to dollars
       currency: paymentIntent.currency,
-      feature: `Premium ${tier.charAt(0).toUpperCase() + tier.slice(1)}`,
-      transactionId: paymentIntentId,
-      paymentMethod: 'stripe',
+      purchasedAt: now,
+      expiresAt,
       status: 'completed',
-      purchasedAt: now
+      environment: paymentIntent.livemode === false ? 'sandbox' : 'production'
     });
 
-    await user.save();
+    // The promo code used for this payment (if any) is now used up
+    await promotionService.completeRedemption({ paymentIntentId });
 
     res.json({
       success: true,
@@ -352,7 +403,453 @@ router.post('/verify-payment', authenticateToken, requireStripe, async (req, res
   }
 });
 
-// Webhook for Stripe events (for production use)
+// Shape a Subscription for API responses
+const formatSubscription = (subscription) => ({
+  _id: subscription._id,
+  tier: subscription.tier,
+  tierName: PREMIUM_TIERS[subscription.tier].name,
+  status: subscription.status,
+  currentPeriodStart: subscription.currentPeriodStart,
+  currentPeriodEnd: subscription.currentPeriodEnd,
+  cancelAtPeriodEnd: subscription.cancelAtPeriodEnd,
+  canceledAt: subscription.canceledAt,
+  endedAt: subscription.endedAt,
+  trialEndsAt: subscription.trialEndsAt,
+  pastDue: subscription.status === 'past_due',
+  graceUntil: subscription.graceUntil,
+  failedPaymentCount: subscription.failedPaymentCount,
+  nextPaymentAttemptAt: subscription.nextPaymentAttemptAt,
+  grantsPremium: subscription.grantsPremium()
+});
+
+// Load the current user's subscription for the routes below
+const loadSubscription = async (req, res, next) => {
+  try {
+    const subscription = await Subscription.findCurrentForUser(req.user._id);
+    if (!subscription || subscription.status === 'incomplete') {
+      return res.status(404).json({
+        success: false,
+        message: 'You do not have an active subscription'
+      });
+    }
+    req.subscription = subscription;
+    next();
+  } catch (error) {
+    console.error('Error loading subscription:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error loading subscription'
+    });
+  }
+};
+
+// Validate the tier a subscription is switching to
+const validateNewTier = (req, res, next) => {
+  const { tier } = req.body;
+  if (!isValidTier(tier)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid premium tier. Choose: basic, plus, or pro'
+    });
+  }
+  if (tier === req.subscription.tier) {
+    return res.status(400).json({
+      success: false,
+      message: `You are already subscribed to ${PREMIUM_TIERS[tier].name}`
+    });
+  }
+  if (!req.subscription.grantsPremium() || req.subscription.cancelAtPeriodEnd) {
+    return res.status(400).json({
+      success: false,
+      message: 'Resume your subscription and settle any failed payment before changing tier'
+    });
+  }
+  next();
+};
+
+// Start a recurring subscription (confirm the returned clientSecret with Stripe to pay the first invoice)
+// Pass trial: true to start with a free trial (once per user), or a promoCode for the first invoice
+router.post('/subscriptions', authenticateToken, requireVerifiedEmail, requireStripe, async (req, res) => {
+  try {
+    const { tier, promoCode } = req.body;
+    const trial = req.body.trial === true;
+
+    if (!isValidTier(tier)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid premium tier. Choose: basic, plus, or pro'
+      });
+    }
+
+    if (trial && promoCode) {
+      return res.status(400).json({
+        success: false,
+        message: 'Promo codes can\'t be combined with a free trial'
+      });
+    }
+
+    if (trial && await promotionService.hasUsedTrial(req.user._id)) {
+      return res.status(409).json({
+        success: false,
+        message: 'You have already used your free trial'
+      });
+    }
+
+    let promo = null;
+    if (promoCode) {
+      const check = await promotionService.checkPromoCode(promoCode, req.user, tier);
+      if (check.error) {
+        return res.status(400).json({
+          success: false,
+          message: check.error
+        });
+      }
+      promo = check.promo;
+    }
+
+    const result = await subscriptionService.createSubscription(req.user, tier, { promo, trial });
+
+    if (result.error === 'already_subscribed') {
+      return res.status(409).json({
+        success: false,
+        message: 'You already have a subscription. Change its tier instead.'
+      });
+    }
+    if (result.error === 'price_not_configured') {
+      return res.status(503).json({
+        success: false,
+        message: 'Subscriptions are not available for this tier yet'
+      });
+    }
+    if (result.error === 'trial_used') {
+      return res.status(409).json({
+        success: false,
+        message: 'You have already used your free trial'
+      });
+    }
+    if (result.error === 'promo_unavailable') {
+      return res.status(400).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: {
+        subscription: result.subscription ? formatSubscription(result.subscription) : null,
+        clientSecret: result.clientSecret,
+        trial
+      }
+    });
+  } catch (error) {
+    console.error('Error creating subscription:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating subscription',
+      error: error.message
+    });
+  }
+});
+
+// Get the current user's recurring subscription
+router.get('/subscription', authenticateToken, async (req, res) => {
+  try {
+    const subscription = await Subscription.findCurrentForUser(req.user._id);
+
+    res.json({
+      success: true,
+      data: {
+        subscription: subscription ? formatSubscription(subscription) : null
+      }
+    });
+  } catch (error) {
+    console.error('Error getting subscription:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error getting subscription',
+      error: error.message
+    });
+  }
+});
+
+// Preview the prorated charge (or credit) for switching tier
+router.post('/subscription/preview-change', authenticateToken, requireStripe, loadSubscription, validateNewTier, async (req, res) => {
+  try {
+    const preview = await subscriptionService.previewTierChange(req.subscription, req.body.tier);
+
+    res.json({
+      success: true,
+      data: {
+        fromTier: req.subscription.tier,
+        toTier: req.body.tier,
+        ...preview
+      }
+    });
+  } catch (error) {
+    console.error('Error previewing subscription change:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error previewing subscription change',
+      error: error.message
+    });
+  }
+});
+
+// Switch to another tier (prorated). Pass the prorationDate from the preview to be charged exactly what was shown.
+router.put('/subscription', authenticateToken, requireStripe, loadSubscription, validateNewTier, async (req, res) => {
+  try {
+    const prorationDate = parseInt(req.body.prorationDate, 10) || null;
+    const subscription = await subscriptionService.changeTier(req.subscription, req.body.tier, prorationDate);
+
+    // Upgrades only apply once the prorated invoice is paid
+    const pending = subscription.tier !== req.body.tier;
+
+    res.json({
+      success: true,
+      message: pending
+        ? 'Your upgrade will apply as soon as the payment goes through'
+        : `You are now on ${PREMIUM_TIERS[subscription.tier].name}`,
+      data: {
+        subscription: formatSubscription(subscription),
+        pending
+      }
+    });
+  } catch (error) {
+    console.error('Error changing subscription:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error changing subscription',
+      error: error.message
+    });
+  }
+});
+
+// Cancel at the end of the current billing period (premium stays on until then)
+router.post('/subscription/cancel', authenticateToken, requireStripe, loadSubscription, async (req, res) => {
+  try {
+    const subscription = await subscriptionService.setCancelAtPeriodEnd(req.subscription, true);
+
+    res.json({
+      success: true,
+      message: subscription.currentPeriodEnd
+        ? `Your subscription will end on ${subscription.currentPeriodEnd.toDateString()}`
+        : 'Your subscription will end at the end of the billing period',
+      data: {
+        subscription: formatSubscription(subscription)
+      }
+    });
+  } catch (error) {
+    console.error('Error canceling subscription:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error canceling subscription',
+      error: error.message
+    });
+  }
+});
+
+// Undo a pending cancellation
+router.post('/subscription/resume', authenticateToken, requireStripe, loadSubscription, async (req, res) => {
+  try {
+    if (!req.subscription.cancelAtPeriodEnd) {
+      return res.status(400).json({
+        success: false,
+        message: 'Your subscription is not set to cancel'
+      });
+    }
+
+    const subscription = await subscriptionService.setCancelAtPeriodEnd(req.subscription, false);
+
+    res.json({
+      success: true,
+      message: 'Your subscription will renew as usual',
+      data: {
+        subscription: formatSubscription(subscription)
+      }
+    });
+  } catch (error) {
+    console.error('Error resuming subscription:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error resuming subscription',
+      error: error.message
+    });
+  }
+});
+
+// Stripe billing portal session (update card, download invoices, cancel)
+router.post('/billing-portal', authenticateToken, requireStripe, async (req, res) => {
+  try {
+    const returnUrl = process.env.STRIPE_PORTAL_RETURN_URL
+      || `${process.env.FRONTEND_URL || 'http://localhost:3000'}/settings/subscription`;
+
+    const url = await subscriptionService.createPortalSession(req.user, returnUrl);
+
+    res.json({
+      success: true,
+      data: { url }
+    });
+  } catch (error) {
+    console.error('Error creating billing portal session:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating billing portal session',
+      error: error.message
+    });
+  }
+});
+
+// Shape a gift for API responses
+const formatGift = (gift) => ({
+  _id: gift._id,
+  sender: gift.user,
+  recipient: gift.recipient,
+  tier: gift.tier,
+  tierName: PREMIUM_TIERS[gift.tier].name,
+  months: gift.durationDays / 30,
+  amount: gift.amount / 100,
+  message: gift.message,
+  status: gift.status,
+  deliveredAt: gift.completedAt,
+  createdAt: gift.createdAt
+});
+
+// Buy a premium tier for another user (confirm the returned clientSecret with Stripe, then call /gifts/:id/confirm)
+router.post('/gifts', authenticateToken, requireVerifiedEmail, requireStripe, async (req, res) => {
+  try {
+    const { recipientId, tier, message } = req.body;
+    const months = parseInt(req.body.months, 10) || 1;
+
+    if (!isValidTier(tier)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid premium tier. Choose: basic, plus, or pro'
+      });
+    }
+
+    if (!GIFT_MONTHS.includes(months)) {
+      return res.status(400).json({
+        success: false,
+        message: `Gifts can be for ${GIFT_MONTHS.join(', ')} months`
+      });
+    }
+
+    if (!recipientId || recipientId === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Choose someone else to send a gift to'
+      });
+    }
+
+    const recipient = await User.findById(recipientId).catch(() => null);
+    if (!recipient || await Block.isBlocked(req.user._id, recipient._id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const { redemption, clientSecret, paymentIntentId } = await promotionService.createGift(req.user, recipient, {
+      tier,
+      months,
+      message: typeof message === 'string' && message.trim() ? message.trim().substring(0, 300) : null
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        gift: formatGift(redemption),
+        clientSecret,
+        paymentIntentId
+      }
+    });
+  } catch (error) {
+    console.error('Error creating gift:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating gift',
+      error: error.message
+    });
+  }
+});
+
+// Deliver a paid gift to its recipient (the payment_intent.succeeded webhook does the same)
+router.post('/gifts/:id/confirm', authenticateToken, requireStripe, async (req, res) => {
+  try {
+    const gift = await Redemption.findOne({ _id: req.params.id, kind: 'gift', user: req.user._id }).catch(() => null);
+
+    if (!gift) {
+      return res.status(404).json({
+        success: false,
+        message: 'Gift not found'
+      });
+    }
+
+    if (gift.status === 'pending') {
+      const paymentIntent = await stripe.paymentIntents.retrieve(gift.paymentIntentId);
+
+      if (paymentIntent.status !== 'succeeded') {
+        return res.status(400).json({
+          success: false,
+          message: 'Payment not completed',
+          status: paymentIntent.status
+        });
+      }
+
+      await promotionService.deliverGift(paymentIntent, req.app.get('io'));
+    }
+
+    const delivered = await Redemption.findById(gift._id).populate('recipient', 'name avatar');
+
+    res.json({
+      success: true,
+      message: delivered.status === 'completed' ? `🎁 Your gift was sent to ${delivered.recipient.name}!` : 'Gift is being processed',
+      data: { gift: formatGift(delivered) }
+    });
+  } catch (error) {
+    console.error('Error confirming gift:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error confirming gift',
+      error: error.message
+    });
+  }
+});
+
+// Gifts the current user sent and received
+router.get('/gifts', authenticateToken, async (req, res) => {
+  try {
+    const [sent, received] = await Promise.all([
+      Redemption.find({ kind: 'gift', user: req.user._id })
+        .populate('recipient', 'name avatar')
+        .sort({ createdAt: -1 })
+        .limit(50),
+      Redemption.find({ kind: 'gift', recipient: req.user._id, status: 'completed' })
+        .populate('user', 'name avatar')
+        .sort({ createdAt: -1 })
+        .limit(50)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        sent: sent.map(formatGift),
+        received: received.map(formatGift)
+      }
+    });
+  } catch (error) {
+    console.error('Error getting gifts:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error getting gifts',
+      error: error.message
+    });
+  }
+});
+
+// Webhook for Stripe events
+// The raw body (needed for the signature check) is kept by the express.raw() mounted for this path in server.js
 router.post('/webhook', requireStripe, express.raw({type: 'application/json'}), async (req, res) => {
   const sig = req.headers['stripe-signature'];
   const webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
@@ -366,35 +863,61 @@ router.post('/webhook', requireStripe, express.raw({type: 'application/json'}),
     return res.status(400).send(`Webhook Error: ${err.message}`);
   }
 
-  // Handle the event
-  switch (event.type) {
-    case 'payment_intent.succeeded':
-      const paymentIntent = event.data.object;
-      console.log('💰 Payment succeeded:', paymentIntent.id);
-      // Payment verification is handled in verify-payment endpoint
-      break;
-    
-    case 'payment_intent.payment_failed':
-      const failedPayment = event.data.object;
-      console.error('❌ Payment failed:', failedPayment.id);
-      
-      // Update payment history if exists
-      if (failedPayment.metadata && failedPayment.metadata.userId) {
-        const user = await User.findById(failedPayment.metadata.userId);
-        if (user) {
-          const payment = user.paymentHistory.find(
-            p => p.transactionId === failedPayment.id
-          );
-          if (payment) {
-            payment.status = 'failed';
-            await user.save();
+  try {
+    // Handle the event
+    switch (event.type) {
+      case 'payment_intent.succeeded':
+        const paymentIntent = event.data.object;
+        console.log('💰 Payment succeeded:', paymentIntent.id);
+        // Gifts are delivered here too, in case the sender's app never confirms them
+        if (paymentIntent.metadata && paymentIntent.metadata.type === 'gift') {
+          await promotionService.deliverGift(paymentIntent, req.app.get('io'));
+        }
+        // Payment verification is handled in verify-payment endpoint
+        break;
+
+      case 'payment_intent.payment_failed':
+        const failedPayment = event.data.object;
+        console.error('❌ Payment failed:', failedPayment.id);
+
+        // Record the failed attempt in the purchase ledger
+        if (failedPayment.metadata && failedPayment.metadata.userId && isValidTier(failedPayment.metadata.tier)) {
+          const user = await User.findById(failedPayment.metadata.userId);
+          const existing = await Purchase.findOne({ store: 'stripe', transactionId: failedPayment.id });
+          if (user && (!existing || existing.status === 'failed')) {
+            await purchaseService.record(user, {
+              store: 'stripe',
+              type: 'one_time',
+              productId: failedPayment.metadata.type === 'gift' ? `gift_${failedPayment.metadata.tier}` : failedPayment.metadata.tier,
+              tier: failedPayment.metadata.tier,
+              transactionId: failedPayment.id,
+              paymentIntentId: failedPayment.id,
+              amount: failedPayment.amount / 100,
+              currency: failedPayment.currency,
+              status: 'failed'
+            });
           }
         }
-      }
-      break;
-
-    default:
-      console.log(`Unhandled event type ${event.type}`);
+        break;
+
+      case 'payment_intent.canceled':
+        // A canceled checkout gives back the promo code use it reserved
+        await promotionService.releaseRedemption({ paymentIntentId: event.data.object.id });
+        break;
+
+      default:
+        // Recurring subscriptions: customer.subscription.* and invoice.*
+        const { handled, duplicate } = await subscriptionService.handleEvent(event, { io: req.app.get('io') });
+        if (duplicate) {
+          console.log(`Duplicate event ${event.id} (${event.type}) ignored`);
+        } else if (!handled) {
+          console.log(`Unhandled event type ${event.type}`);
+        }
+    }
+  } catch (error) {
+    // A non-2xx response makes Stripe redeliver the event later
+    console.error(`Webhook handler error for ${event.type}:`, error);
+    return res.status(500).json({ received: false });
   }
 
   res.json({received: true});
@@ -413,25 +936,17 @@ router.get('/check-feature/:feature', authenticateToken, async (req, res) => {
       });
     }
 
-    // Check if premium has expired
-    const now = new Date();
-    if (user.isPremium && user.premiumExpiresAt && user.premiumExpiresAt < now) {
-      user.isPremium = false;
-      user.premiumFeatures = [];
-      await user.save();
-    }
-
-    // Use helper to check feature access (currently returns true for all users)
-    const hasAccess = checkPremiumFeature(user, feature);
-    const isPremiumActive = checkUserPremium(user);
+    const entitlements = await entitlementService.getEntitlements(user);
+    const hasAccess = entitlementService.hasFeature(entitlements, feature);
 
     res.json({
       success: true,
       data: {
         hasAccess,
-        isPremium: isPremiumActive,
+        isPremium: entitlements.isPremium,
         feature,
-        expiresAt: user.premiumExpiresAt
+        requiredTier: hasAccess ? null : entitlementService.requiredTierFor(feature),
+        expiresAt: entitlements.expiresAt
       }
     });
   } catch (error) {
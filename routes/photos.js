@@ -3,6 +3,8 @@ const { body, validationResult } = require('express-validator');
 const Photo = require('../models/Photo');
 const { authenticateToken } = require('../middleware/auth');
 const upload = require('../config/multer');
+const checkStorageQuota = require('../middleware/checkStorageQuota');
+const storageService = require('../services/storageService');
 const { 
   createContentLimiter, 
   generalLimiter 
@@ -19,7 +21,7 @@ router.use(generalLimiter);
 // @route   POST /api/photos
 // @desc    Upload a new photo
 // @access  Private
-router.post('/', createContentLimiter, upload.single('photo'), async (req, res) => {
+router.post('/', createContentLimiter, upload.single('photo'), checkStorageQuota, async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({
@@ -67,6 +69,7 @@ router.post('/', createContentLimiter, upload.single('photo'), async (req, res)
     });
 
     await photo.save();
+    await storageService.record(req.user._id, 'photo', photo._id, [req.file]);
     await photo.populate('owner', 'name email avatar');
 
     // Emit Socket.IO event for new photo
@@ -355,6 +358,7 @@ router.delete('/:id', async (req, res) => {
     }
 
     await Photo.findByIdAndDelete(req.params.id);
+    await storageService.release('photo', photo._id);
 
     // Emit socket event for real-time update
     const io = req.app.get('io');
@@ -1,10 +1,20 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const { body, validationResult } = require('express-validator');
 const Post = require('../models/Post');
 const Notification = require('../models/Notification');
+const Revision = require('../models/Revision');
 const { authenticateToken } = require('../middleware/auth');
 const checkSuspension = require('../middleware/checkSuspension');
 const upload = require('../config/multer');
+const checkStorageQuota = require('../middleware/checkStorageQuota');
+const storageService = require('../services/storageService');
+const audienceService = require('../services/audienceService');
+const postPublishingService = require('../services/postPublishingService');
+const revisionService = require('../services/revisionService');
+const hashtagService = require('../services/hashtagService');
+const paginate = require('../middleware/pagination');
+const { parsePagination, afterCursor, buildPage, encodeCursor, decodeCursor } = require('../utils/pagination');
 const { 
   createContentLimiter, 
   generalLimiter, 
@@ -50,12 +60,45 @@ const commentValidation = [
     .withMessage('GIF must be a valid URL')
 ];
 
+// A comment, reply or nested reply of a post, by its ID
+const findComment = (post, commentId) => {
+  for (const comment of post.comments) {
+    if (comment._id.toString() === commentId) return comment;
+    for (const reply of comment.replies || []) {
+      if (reply._id.toString() === commentId) return reply;
+      const nested = (reply.replies || []).find(r => r._id.toString() === commentId);
+      if (nested) return nested;
+    }
+  }
+  return null;
+};
+
+// The parts of a post kept in its edit history
+const postVersion = (post) => ({
+  content: post.content,
+  media: [...(post.images || []), ...(post.videos || [])]
+});
+
+// Emit to everyone for public posts; otherwise to the author's followers in the audience and the author
+const emitToPostAudience = async (io, post, event, payload) => {
+  if (!io) return;
+  if (post.visibility === 'public') {
+    io.emit(event, payload);
+    return;
+  }
+  const User = require('../models/User');
+  const authorId = post.author._id || post.author;
+  const author = await User.findById(authorId).select('followers');
+  const viewerIds = await audienceService.filterViewers(post, author ? author.followers : []);
+  [...viewerIds, authorId].forEach(id => io.to(`user:${id}`).emit(event, payload));
+};
+
 // @route   GET /api/posts/search
 // @desc    Search posts by content
 // @access  Private
-router.get('/search', async (req, res) => {
+router.get('/search', paginate(), async (req, res) => {
   try {
-    const { q, page = 1, limit = 20 } = req.query;
+    const { q } = req.query;
     
     if (!q || q.trim().length === 0) {
       return res.status(400).json({
@@ -64,7 +107,6 @@ router.get('/search', async (req, res) => {
       });
     }
 
-    const skip = (parseInt(page) - 1) * parseInt(limit);
     const searchQuery = q.trim();
 
     // Get blocked user relationships
@@ -81,42 +123,39 @@ router.get('/search', async (req, res) => {
     // Use only followed users
     const allAllowedAuthorIds = followingIds;
 
+    // Only posts whose audience includes the current user
+    const audience = await audienceService.getViewerContext(req.user._id);
+
     // Search posts by content (case-insensitive)
-    const posts = await Post.find({
-      visibility: 'public',
+    const searchCriteria = {
+      ...audienceService.visibilityFilter(audience),
       content: { $regex: searchQuery, $options: 'i' },
       author: { 
         $in: allAllowedAuthorIds, // Search posts from users the current user follows
         $nin: blockedUserIds // Exclude posts from blocked users
       }
-    })
-      .select('content author images videos reactions comments createdAt isReshare originalPost reshareCaption mediaType')
+    };
+    const posts = await Post.find(afterCursor(searchCriteria, req.pagination))
+      .select('content author images videos reactions comments createdAt isReshare originalPost reshareCaption mediaType visibility audience')
       .populate('author', 'name email avatar isPremium premiumFeatures')
       .populate({
         path: 'originalPost',
-        select: 'content author images videos mediaType reactions comments createdAt',
+        select: 'content author images videos mediaType reactions comments createdAt visibility audience',
         populate: {
           path: 'author',
           select: 'name email avatar'
         }
       })
-      .sort({ createdAt: -1 })
-      .limit(parseInt(limit))
-      .skip(skip)
+      .sort(req.pagination.sort)
+      .skip(req.pagination.skip)
+      .limit(req.pagination.limit + 1)
       .lean();
 
     // Get total count for pagination
-    const total = await Post.countDocuments({
-      visibility: 'public',
-      content: { $regex: searchQuery, $options: 'i' },
-      author: { 
-        $in: followingIds,
-        $nin: blockedUserIds
-      }
-    });
+    const { items, pageInfo } = await buildPage(posts, req.pagination, () => Post.countDocuments(searchCriteria));
 
     // Format posts similar to feed
-    const formattedPosts = posts.map(post => {
+    const formattedPosts = audienceService.filterReshares(items, audience).map(post => {
       const commentsArray = post.comments || [];
       const reactionsArray = post.reactions || [];
       
@@ -129,18 +168,13 @@ router.get('/search', async (req, res) => {
       };
     });
 
-    console.log(`🔍 Search for "${searchQuery}" found ${posts.length} posts`);
+    console.log(`🔍 Search for "${searchQuery}" found ${items.length} posts`);
 
     res.status(200).json({
       success: true,
       data: {
         posts: formattedPosts,
-        pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total,
-          pages: Math.ceil(total / parseInt(limit))
-        },
+        pagination: pageInfo,
         query: searchQuery
       }
     });
@@ -185,14 +219,17 @@ router.get('/top', async (req, res) => {
       });
     }
 
+    // Only posts whose audience includes the current user
+    const audience = await audienceService.getViewerContext(req.user._id);
+
     // Aggregate posts with engagement score calculation
     const posts = await Post.aggregate([
       {
         $match: {
-          visibility: 'public',
+          ...audienceService.visibilityFilter(audience),
           author: { 
             $in: allAllowedAuthorIds,
-            $nin: blockedUserIds
+            $nin: blockedUserIds.map(id => new mongoose.Types.ObjectId(id))
           }
         }
       },
@@ -306,8 +343,11 @@ router.get('/top', async (req, res) => {
             mediaType: 1,
             reactions: 1,
             comments: 1,
+            visibility: 1,
+            audience: 1,
             createdAt: 1
           },
+          visibility: 1,
           createdAt: 1,
           likeCount: 1,
           commentCount: 1,
@@ -316,12 +356,14 @@ router.get('/top', async (req, res) => {
       }
     ]);
 
+    const visiblePosts = audienceService.filterReshares(posts, audience);
+
     res.status(200).json({
       success: true,
       message: 'Top posts retrieved successfully',
       data: {
-        posts,
-        count: posts.length
+        posts: visiblePosts,
+        count: visiblePosts.length
       }
     });
 
@@ -334,13 +376,155 @@ router.get('/top', async (req, res) => {
   }
 });
 
+// Fields and populates for feed posts (chronological and ranked)
+const FEED_POST_FIELDS = 'content author images videos reactions comments createdAt isReshare originalPost reshareCaption mediaType taggedUsers visibility audience';
+
+const populateFeedPosts = (query) => query
+  .populate('author', 'name email avatar isPremium premiumFeatures')
+  .populate('taggedUsers', 'name email avatar')
+  .populate({
+    path: 'originalPost',
+    select: 'content author images videos mediaType reactions comments createdAt taggedUsers visibility audience',
+    populate: [
+      {
+        path: 'author',
+        select: 'name email avatar'
+      },
+      {
+        path: 'taggedUsers',
+        select: 'name email avatar'
+      }
+    ]
+  });
+
+// Add virtual fields manually since lean() removes them
+const formatFeedPost = (post) => {
+  const commentsArray = post.comments || [];
+  const reactionsArray = post.reactions || [];
+
+  // For reshared posts, format for frontend compatibility
+  if (post.isReshare && post.originalPost) {
+    const originalReactions = post.originalPost.reactions || [];
+    const originalComments = post.originalPost.comments || [];
+
+    return {
+      ...post.originalPost, // Use original post's data as the main content
+      _id: post._id, // Keep reshared post's ID
+      // Add reshare metadata
+      isShared: true, // Frontend expects 'isShared'
+      isReshare: true, // Keep for API consistency
+      sharedBy: post.author, // Who reshared it
+      shareMessage: post.reshareCaption || '', // Caption added when resharing
+      resharedAt: post.createdAt, // When it was reshared
+      originalPostId: post.originalPost._id,
+      // Counts from original post
+      reactionsCount: originalReactions.length,
+      likesCount: originalReactions.length,
+      commentsCount: originalComments.length,
+      reactionsSummary: originalReactions.reduce((acc, r) => {
+        acc[r.type] = (acc[r.type] || 0) + 1;
+        return acc;
+      }, {}),
+      // Remove full comments array to reduce payload size
+      comments: undefined
+    };
+  }
+
+  // For regular posts
+  return {
+    ...post,
+    isShared: false,
+    reactionsCount: reactionsArray.length,
+    likesCount: reactionsArray.length,
+    commentsCount: commentsArray.length,
+    reactionsSummary: reactionsArray.reduce((acc, r) => {
+      acc[r.type] = (acc[r.type] || 0) + 1;
+      return acc;
+    }, {}),
+    // Remove full comments array to reduce payload size
+    comments: undefined
+  };
+};
+
+// Ranked "For You" feed (services/feedService.js). Pages are cut from the ranking made at
+// rankedAt, which the next page's cursor carries so posts don't shift between pages.
+const sendRankedFeed = async (req, res) => {
+  const feedService = require('../services/feedService');
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+  const debug = req.query.debug === 'true';
+
+  // A ranked cursor is the ranking time and how far into it the client has read
+  let page = null;
+  let offset = 0;
+  let rankedAt = req.query.rankedAt;
+  if (req.query.cursor) {
+    const cursor = decodeCursor(req.query.cursor);
+    if (!cursor || typeof cursor.r !== 'string' || !Number.isInteger(cursor.o) || cursor.o < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid cursor'
+      });
+    }
+    rankedAt = cursor.r;
+    offset = cursor.o;
+  } else if (req.query.cursor === undefined) {
+    page = Math.max(parseInt(req.query.page) || 1, 1);
+    offset = (page - 1) * limit;
+  }
+
+  const audience = await audienceService.getViewerContext(req.user._id);
+  const feed = await feedService.getRankedFeed(req.user, { offset, limit, rankedAt, audience });
+
+  const posts = await populateFeedPosts(Post.find({ _id: { $in: feed.entries.map(entry => entry.postId) } })
+    .select(FEED_POST_FIELDS))
+    .lean();
+  const postsById = new Map(audienceService.filterReshares(posts, audience).map(post => [post._id.toString(), post]));
+
+  // Keep the ranked order; a post deleted since it was ranked (or a reshare of one the
+  // viewer can't see) is skipped
+  const rankedPosts = feed.entries
+    .filter(entry => postsById.has(entry.postId.toString()))
+    .map(({ postId, ...ranking }) => ({
+      ...formatFeedPost(postsById.get(postId.toString())),
+      ...(debug ? { ranking } : {})
+    }));
+
+  const nextCursor = feed.hasMore
+    ? encodeCursor({ r: feed.rankedAt.toISOString(), o: offset + limit })
+    : null;
+
+  res.status(200).json({
+    success: true,
+    message: 'Posts retrieved successfully',
+    data: {
+      posts: rankedPosts,
+      mode: 'ranked',
+      rankedAt: feed.rankedAt,
+      pagination: page
+        ? { page, limit, total: feed.total, pages: Math.ceil(feed.total / limit), hasMore: feed.hasMore, nextCursor }
+        : { limit, hasMore: feed.hasMore, nextCursor }
+    }
+  });
+};
+
 // @route   GET /api/posts
-// @desc    Get all posts (feed) - Optimized with lean queries
+// @desc    Get home feed: ranked "For You" by default, ?mode=chronological for the follow feed
+//          (followed accounts, own posts and posts with a followed hashtag)
+//          ?debug=true adds the ranking signals and reasons to each ranked post
 // @access  Private
 router.get('/', async (req, res) => {
   try {
-    const { page = 1, limit = 10 } = req.query;
-    const skip = (parseInt(page) - 1) * parseInt(limit);
+    if (req.query.mode !== 'chronological') {
+      return await sendRankedFeed(req, res);
+    }
+
+    const pagination = parsePagination(req.query, { defaultLimit: 10 });
+    if (!pagination) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid cursor'
+      });
+    }
 
     // Get blocked user relationships
     const Block = require('../models/Block');
@@ -348,7 +532,7 @@ router.get('/', async (req, res) => {
 
     // Get current user with following list
     const User = require('../models/User');
-    const currentUser = await User.findById(req.user._id).select('following');
+    const currentUser = await User.findById(req.user._id).select('following followedHashtags');
     
     // Users can see posts from people they follow AND their own posts
     const followingIds = currentUser.following || [];
@@ -362,118 +546,43 @@ router.get('/', async (req, res) => {
     // Use only followed users and current user
     const allAllowedAuthorIds = allowedAuthorIds;
 
+    // Public posts, plus friends-only and custom-audience posts that include the current user
+    const audience = await audienceService.getViewerContext(req.user._id);
+
+    const feedQuery = { 
+      ...audienceService.visibilityFilter(audience),
+      author: { $nin: blockedUserIds }, // Exclude posts from blocked users
+      $and: [{
+        $or: [
+          { author: { $in: allAllowedAuthorIds } }, // Show posts from users the current user follows + own posts
+          { hashtags: { $in: currentUser.followedHashtags || [] } } // And posts with a followed hashtag
+        ]
+      }]
+    };
+
     // Use lean() for better performance and select only needed fields
     // Don't populate full comments on list view - only load when needed
-    const posts = await Post.find({ 
-      visibility: 'public',
-      author: { 
-        $in: allAllowedAuthorIds, // Show posts from users the current user follows + own posts
-        $nin: blockedUserIds // Exclude posts from blocked users
-      }
-    })
-      .select('content author images videos reactions comments createdAt isReshare originalPost reshareCaption mediaType taggedUsers') // Select needed fields including reshare fields
-      .populate('author', 'name email avatar isPremium premiumFeatures')
-      .populate('taggedUsers', 'name email avatar')
-      .populate({
-        path: 'originalPost',
-        select: 'content author images videos mediaType reactions comments createdAt taggedUsers',
-        populate: [
-          {
-            path: 'author',
-            select: 'name email avatar'
-          },
-          {
-            path: 'taggedUsers',
-            select: 'name email avatar'
-          }
-        ]
-      })
-      .sort({ createdAt: -1 })
-      .limit(parseInt(limit))
-      .skip(skip)
+    const posts = await populateFeedPosts(Post.find(afterCursor(feedQuery, pagination))
+      .select(FEED_POST_FIELDS)) // Select needed fields including reshare fields
+      .sort(pagination.sort)
+      .skip(pagination.skip)
+      .limit(pagination.limit + 1)
       .lean(); // Convert to plain JavaScript objects for better performance
 
     console.log(`📥 Fetched ${posts.length} posts from database (following-based feed)`);
 
-    // Count total documents (can be cached for even better performance)
-    const total = await Post.countDocuments({ 
-      visibility: 'public',
-      author: { 
-        $in: allAllowedAuthorIds,
-        $nin: blockedUserIds
-      }
-    });
+    // Count total documents only for page mode (can be cached for even better performance)
+    const { items, pageInfo } = await buildPage(posts, pagination, () => Post.countDocuments(feedQuery));
 
     // Add virtual fields manually since lean() removes them
-    const postsWithVirtuals = posts.map(post => {
-      const commentsArray = post.comments || [];
-      const reactionsArray = post.reactions || [];
-      
-      // Debug logging for first post
-      if (posts.indexOf(post) === 0) {
-        console.log('📊 Sample Post Data:');
-        console.log('  Comments array length:', commentsArray.length);
-        console.log('  Reactions array length:', reactionsArray.length);
-        console.log('  Post ID:', post._id);
-        console.log('  Is Reshare:', post.isReshare);
-        console.log('  Has Original Post:', !!post.originalPost);
-      }
-      
-      // For reshared posts, format for frontend compatibility
-      if (post.isReshare && post.originalPost) {
-        const originalReactions = post.originalPost.reactions || [];
-        const originalComments = post.originalPost.comments || [];
-        
-        return {
-          ...post.originalPost, // Use original post's data as the main content
-          _id: post._id, // Keep reshared post's ID
-          // Add reshare metadata
-          isShared: true, // Frontend expects 'isShared'
-          isReshare: true, // Keep for API consistency
-          sharedBy: post.author, // Who reshared it
-          shareMessage: post.reshareCaption || '', // Caption added when resharing
-          resharedAt: post.createdAt, // When it was reshared
-          originalPostId: post.originalPost._id,
-          // Counts from original post
-          reactionsCount: originalReactions.length,
-          likesCount: originalReactions.length,
-          commentsCount: originalComments.length,
-          reactionsSummary: originalReactions.reduce((acc, r) => {
-            acc[r.type] = (acc[r.type] || 0) + 1;
-            return acc;
-          }, {}),
-          // Remove full comments array to reduce payload size
-          comments: undefined
-        };
-      }
-      
-      // For regular posts
-      return {
-        ...post,
-        isShared: false,
-        reactionsCount: reactionsArray.length,
-        likesCount: reactionsArray.length,
-        commentsCount: commentsArray.length,
-        reactionsSummary: reactionsArray.reduce((acc, r) => {
-          acc[r.type] = (acc[r.type] || 0) + 1;
-          return acc;
-        }, {}),
-        // Remove full comments array to reduce payload size
-        comments: undefined
-      };
-    });
+    const postsWithVirtuals = audienceService.filterReshares(items, audience).map(formatFeedPost);
 
     res.status(200).json({
       success: true,
       message: 'Posts retrieved successfully',
       data: {
         posts: postsWithVirtuals,
-        pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total,
-          pages: Math.ceil(total / parseInt(limit))
-        }
+        pagination: pageInfo
       }
     });
   } catch (error) {
@@ -503,7 +612,7 @@ router.get('/:id', async (req, res) => {
       .populate('taggedUsers', 'name email avatar')
       .populate({
         path: 'originalPost',
-        select: 'content author images videos mediaType reactions comments createdAt taggedUsers',
+        select: 'content author images videos mediaType reactions comments createdAt taggedUsers visibility audience',
         populate: [
           {
             path: 'author',
@@ -548,7 +657,12 @@ router.get('/:id', async (req, res) => {
         select: 'name email avatar'
       });
 
-    if (!post) {
+    // Posts outside the current user's audience (or reshares of one) look like they don't exist
+    const canView = post
+      && await audienceService.canViewPost(post, req.user._id)
+      && (!post.originalPost || await audienceService.canViewPost(post.originalPost, req.user._id));
+
+    if (!canView) {
       return res.status(404).json({
         success: false,
         message: 'Post not found'
@@ -578,10 +692,48 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// @route   GET /api/posts/:id/revisions
+// @desc    Get a post's edit history, oldest version first, each with a word diff against the one before
+// @access  Private
+router.get('/:id/revisions', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid post ID format'
+      });
+    }
+
+    const post = await Post.findById(req.params.id).select('author content images videos visibility audience createdAt');
+
+    // Same rule as GET /api/posts/:id: posts outside the viewer's audience look like they don't exist
+    if (!post || !(await audienceService.canViewPost(post, req.user._id))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found'
+      });
+    }
+
+    const revisions = await revisionService.getHistory('post', post._id, { ...postVersion(post), createdAt: post.createdAt });
+
+    res.status(200).json({
+      success: true,
+      message: 'Post revisions retrieved successfully',
+      data: { revisions, edited: revisions.length > 1 }
+    });
+  } catch (error) {
+    console.error('Get post revisions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve post revisions'
+    });
+  }
+});
+
 // @route   POST /api/posts
-// @desc    Create a new post with text, images, and/or videos
+// @desc    Create a new post with text, images, and/or videos; `draft` or `scheduledFor` + `timezone` save it for later
 // @access  Private
-router.post('/', checkSuspension, createContentLimiter, upload.array('media', 10), async (req, res) => {
+router.post('/', checkSuspension, createContentLimiter, upload.array('media', 10), checkStorageQuota, async (req, res) => {
   try {
     console.log('📝 Creating post with body:', req.body);
     console.log('📝 Files received:', req.files?.length || 0);
@@ -603,191 +755,93 @@ router.post('/', checkSuspension, createContentLimiter, upload.array('media', 10
       });
     }
 
-    // Process tagged users - only allow tagging followers
-    let taggedUserIds = [];
-    
-    // First, parse @mentions from content
-    const User = require('../models/User');
-    const currentUser = await User.findById(req.user._id).select('followers');
-    const followerIds = currentUser.followers.map(id => id.toString());
-    
-    // Extract @mentions from content (e.g., @John Doe)
-    const mentionRegex = /@([A-Za-z]+(?:\s+[A-Za-z]+)*)/g;
-    const mentions = [];
-    let match;
-    
-    while ((match = mentionRegex.exec(content)) !== null) {
-      mentions.push(match[1]); // The name after @
+    // Who can see the post ('custom' needs one of the author's audience lists)
+    const postAudience = await audienceService.resolveAudience(req.user, visibility || 'public', req.body.audience);
+    if (postAudience.error) {
+      return res.status(400).json({
+        success: false,
+        message: postAudience.error
+      });
     }
-    
-    if (mentions.length > 0) {
-      console.log('� Found @mentions in content:', mentions);
-      
-      // Find users by name who are also followers
-      const mentionedUsers = await User.find({
-        name: { $in: mentions },
-        _id: { $in: currentUser.followers }
-      }).select('_id name');
-      
-      console.log('👥 Matched mentioned users:', mentionedUsers.map(u => ({ id: u._id, name: u.name })));
-      taggedUserIds = mentionedUsers.map(u => u._id);
+
+    // When to publish: now, saved as a draft, or at a time in the author's timezone
+    const schedule = postPublishingService.parseSchedule(req.body);
+    if (schedule.error) {
+      return res.status(400).json({
+        success: false,
+        message: schedule.error
+      });
     }
-    
-    // Then, merge with manually tagged users
+
+    // Users picked for tagging; only the author's followers are kept (resolveTaggedUsers)
+    let requestedTags = [];
     if (taggedUsers) {
       try {
-        console.log('👥 Processing manually tagged users:', taggedUsers);
-        const manualTagIds = typeof taggedUsers === 'string' ? JSON.parse(taggedUsers) : taggedUsers;
-        console.log('👥 Parsed tagged user IDs:', manualTagIds);
-        
-        // Filter manual tags to only include followers
-        const filteredManualTagIds = manualTagIds.filter(userId => 
-          followerIds.includes(userId.toString())
-        );
-        console.log('👥 Filtered manual tag IDs (followers only):', filteredManualTagIds);
-        
-        // Validate that users exist in database
-        const validUsers = await User.find({ 
-          _id: { $in: filteredManualTagIds }
-        }).select('_id');
-        console.log('👥 Valid manually tagged users:', validUsers.map(u => u._id));
-        
-        // Merge with mentioned users (avoid duplicates)
-        validUsers.forEach(user => {
-          if (!taggedUserIds.some(id => id.toString() === user._id.toString())) {
-            taggedUserIds.push(user._id);
-          }
-        });
-        
-        // Log if some users were filtered out
-        if (validUsers.length < manualTagIds.length) {
-          console.log('⚠️ Some manually tagged users were filtered out (not followers or not found)');
-        }
+        const parsed = typeof taggedUsers === 'string' ? JSON.parse(taggedUsers) : taggedUsers;
+        requestedTags = Array.isArray(parsed) ? parsed.filter(id => mongoose.Types.ObjectId.isValid(id)) : [];
       } catch (e) {
         console.error('❌ Error processing manually tagged users:', e);
       }
     }
-    
-    console.log('✅ Final tagged user IDs:', taggedUserIds);
 
     // Process uploaded files
-    const images = [];
-    const videos = [];
-    
-    if (req.files && req.files.length > 0) {
-      req.files.forEach(file => {
-        const filePath = `/uploads/${file.filename}`;
-        if (file.mimetype.startsWith('image/')) {
-          images.push(filePath);
-        } else if (file.mimetype.startsWith('video/')) {
-          videos.push(filePath);
-        }
+    const mediaFiles = (req.files || []).filter(file => file.mimetype.startsWith('image/') || file.mimetype.startsWith('video/'));
+    // Other files aren't kept, so they don't count towards storage either
+    storageService.discardFiles((req.files || []).filter(file => !mediaFiles.includes(file)));
+    const images = mediaFiles.filter(file => file.mimetype.startsWith('image/')).map(file => `/uploads/${file.filename}`);
+    const videos = mediaFiles.filter(file => file.mimetype.startsWith('video/')).map(file => `/uploads/${file.filename}`);
+
+    // Drafts and scheduled posts wait in ScheduledPost until services/scheduledPostService.js publishes them
+    if (schedule.status !== 'published') {
+      const ScheduledPost = require('../models/ScheduledPost');
+      const scheduledPost = await ScheduledPost.create({
+        author: req.user._id,
+        status: schedule.status,
+        content: content.trim(),
+        media: mediaFiles.map(file => ({
+          url: `/uploads/${file.filename}`,
+          type: file.mimetype.startsWith('video/') ? 'video' : 'image',
+          fileName: file.filename
+        })),
+        visibility: postAudience.visibility,
+        audience: postAudience.audience,
+        taggedUsers: requestedTags,
+        scheduledFor: schedule.scheduledFor,
+        timezone: schedule.timezone
+      });
+      await storageService.record(req.user._id, 'draft', scheduledPost._id, mediaFiles);
+
+      return res.status(201).json({
+        success: true,
+        message: schedule.status === 'draft' ? 'Draft saved' : 'Post scheduled',
+        data: { scheduledPost }
       });
     }
 
-    // Determine media type
-    let mediaType = 'text';
-    if (images.length > 0 && videos.length > 0) {
-      mediaType = 'mixed';
-    } else if (images.length > 0) {
-      mediaType = 'image';
-    } else if (videos.length > 0) {
-      mediaType = 'video';
-    }
+    const taggedUserIds = await postPublishingService.resolveTaggedUsers(req.user._id, content, requestedTags);
+    console.log('✅ Final tagged user IDs:', taggedUserIds);
 
     const post = new Post({
       content: content.trim(),
       author: req.user._id,
       images,
       videos,
-      mediaType,
-      visibility: visibility || 'public',
+      mediaType: postPublishingService.mediaTypeOf(images, videos),
+      visibility: postAudience.visibility,
+      audience: postAudience.audience,
       taggedUsers: taggedUserIds
     });
 
     await post.save();
+    await storageService.record(req.user._id, 'post', post._id, mediaFiles);
+    await hashtagService.recordUsage(post.hashtags, { kind: 'post', userId: req.user._id, source: post });
     
     // Populate author information and tagged users
     await post.populate('author', 'name email avatar isPremium premiumFeatures');
     await post.populate('taggedUsers', 'name email avatar');
 
-    // Create notifications for tagged users
-    if (taggedUserIds.length > 0) {
-      const Notification = require('../models/Notification');
-      
-      console.log(`🔔 Creating notifications for ${taggedUserIds.length} tagged users`);
-      
-      for (const taggedUserId of taggedUserIds) {
-        // Don't notify the author if they tagged themselves
-        if (taggedUserId.toString() !== req.user._id.toString()) {
-          console.log(`🔔 Creating notification for user ${taggedUserId}`);
-          await Notification.create({
-            recipient: taggedUserId,
-            sender: req.user._id,
-            type: 'tag',
-            post: post._id,
-            message: `${req.user.name} tagged you in a post`
-          });
-          console.log(`✅ Notification created for user ${taggedUserId}`);
-        } else {
-          console.log(`⏭️ Skipping notification for self-tag (user ${taggedUserId})`);
-        }
-      }
-    }
-
-    // Emit Socket.IO event for new post - only to users who follow the author
-    const io = req.app.get('io');
-    if (io) {
-      // Get the author's followers
-      const User = require('../models/User');
-      const author = await User.findById(req.user._id).select('followers');
-      const followerIds = author.followers || [];
-      
-      // Emit to each follower individually
-      followerIds.forEach(followerId => {
-        io.to(`user:${followerId}`).emit('post:created', {
-          post: post.toObject(),
-          author: req.user._id
-        });
-      });
-      
-      console.log(`📡 Emitted post:created to ${followerIds.length} followers`);
-
-      // Emit real-time notifications to tagged users
-      if (taggedUserIds.length > 0) {
-        console.log(`📡 Emitting notifications to ${taggedUserIds.length} tagged users`);
-        
-        for (const taggedUserId of taggedUserIds) {
-          if (taggedUserId.toString() !== req.user._id.toString()) {
-            console.log(`📡 Fetching notification for user ${taggedUserId}`);
-            
-            // Get the full notification with populated fields
-            const notification = await Notification.findOne({
-              recipient: taggedUserId,
-              sender: req.user._id,
-              post: post._id,
-              type: 'tag'
-            })
-              .populate('sender', 'name email avatar')
-              .populate('post', 'content images videos')
-              .sort({ createdAt: -1 })
-              .limit(1);
-
-            if (notification) {
-              console.log(`📡 Found notification, emitting to room: user:${taggedUserId}`);
-              io.to(`user:${taggedUserId}`).emit('notification:new', {
-                notification: notification.toObject()
-              });
-              console.log(`✅ Sent tag notification to user ${taggedUserId}`);
-            } else {
-              console.log(`❌ No notification found for user ${taggedUserId}`);
-            }
-          } else {
-            console.log(`⏭️ Skipping socket emit for self-tag (user ${taggedUserId})`);
-          }
-        }
-      }
-    }
+    // Notify tagged users, and emit post:created to followers in the post's audience
+    await postPublishingService.notifyNewPost(req.app.get('io'), post, req.user, taggedUserIds);
 
     res.status(201).json({
       success: true,
@@ -838,18 +892,40 @@ router.put('/:id', createPostValidation, async (req, res) => {
     }
 
     const { content, images, visibility } = req.body;
+    const previous = postVersion(post);
+    const wasPublic = post.visibility === 'public';
+
+    if (visibility) {
+      const postAudience = await audienceService.resolveAudience(req.user, visibility, req.body.audience);
+      if (postAudience.error) {
+        return res.status(400).json({
+          success: false,
+          message: postAudience.error
+        });
+      }
+      post.visibility = postAudience.visibility;
+      post.audience = postAudience.audience;
+    }
 
     post.content = content;
     if (images) post.images = images;
-    if (visibility) post.visibility = visibility;
 
     await post.save();
+
+    // Keep the replaced version in the post's edit history
+    if (revisionService.hasChanged(previous, postVersion(post))) {
+      await revisionService.record('post', { targetId: post._id, post: post._id, author: post.author, createdAt: post.createdAt }, previous, req.user._id);
+    }
+
+    // Hashtags the edit added (all of them if the post just became public)
+    await hashtagService.recordEdit(wasPublic ? previous.content : '', post.content, { kind: 'post', userId: req.user._id, source: post });
+
     await post.populate('author', 'name email avatar isPremium premiumFeatures');
 
-    // Emit socket event for real-time update
+    // Emit socket event for real-time update (restricted posts only to followers in the audience and the author)
     const io = req.app.get('io');
     if (io) {
-      io.emit('post:updated', {
+      await emitToPostAudience(io, post, 'post:updated', {
         postId: post._id,
         content: post.content,
         updatedAt: post.updatedAt,
@@ -895,6 +971,8 @@ router.delete('/:id', async (req, res) => {
     }
 
     await Post.findByIdAndDelete(req.params.id);
+    await storageService.release('post', post._id);
+    await Revision.deleteMany({ post: post._id });
 
     // Emit socket event for real-time update - only to users who follow the author
     const io = req.app.get('io');
@@ -927,87 +1005,6 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
-// @route   PUT /api/posts/:id
-// @desc    Edit/update a post
-// @access  Private
-router.put('/:id', [
-  body('content')
-    .optional()
-    .trim()
-    .isLength({ max: 5000 })
-    .withMessage('Post content cannot exceed 5000 characters')
-], async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        success: false,
-        message: 'Validation failed',
-        errors: errors.array()
-      });
-    }
-
-    const post = await Post.findById(req.params.id);
-
-    if (!post) {
-      return res.status(404).json({
-        success: false,
-        message: 'Post not found'
-      });
-    }
-
-    // Check if user is the author
-    if (post.author.toString() !== req.user._id.toString()) {
-      return res.status(403).json({
-        success: false,
-        message: 'You can only edit your own posts'
-      });
-    }
-
-    // Update content if provided
-    if (req.body.content !== undefined) {
-      post.content = req.body.content;
-    }
-
-    await post.save();
-
-    // Populate author info
-    await post.populate('author', 'name email avatar isPremium premiumFeatures');
-
-    // Emit socket event for real-time update - only to users who follow the author
-    const io = req.app.get('io');
-    if (io) {
-      // Get the author's followers
-      const User = require('../models/User');
-      const author = await User.findById(req.user._id).select('followers');
-      const followerIds = author.followers || [];
-      
-      // Emit to each follower individually
-      followerIds.forEach(followerId => {
-        io.to(`user:${followerId}`).emit('post:updated', {
-          postId: post._id.toString(),
-          content: post.content,
-          updatedAt: post.updatedAt
-        });
-      });
-      
-      console.log(`📡 Emitted post:updated to ${followerIds.length} followers`);
-    }
-
-    res.status(200).json({
-      success: true,
-      message: 'Post updated successfully',
-      data: { post }
-    });
-  } catch (error) {
-    console.error('Edit post error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to update post'
-    });
-  }
-});
-
 // @route   POST /api/posts/:id/share
 // @desc    Share a post to feed or to followers via message
 // @access  Private
@@ -1038,6 +1035,21 @@ router.post('/:id/share', checkSuspension, async (req, res) => {
       });
     }
 
+    if (!(await audienceService.canViewPost(post, req.user._id))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found'
+      });
+    }
+
+    // Friends-only, custom-audience and private posts stay with the audience their author picked
+    if (post.visibility !== 'public') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only public posts can be shared'
+      });
+    }
+
     const User = require('../models/User');
     const currentUser = await User.findById(req.user._id).select('name avatar followers');
 
@@ -1059,6 +1071,7 @@ router.post('/:id/share', checkSuspension, async (req, res) => {
         reshareCaption: message || null,
         mediaType: 'text' // Reshared posts are treated as text posts with embedded original
       });
+      await hashtagService.recordUsage(resharedPost.hashtags, { kind: 'post', userId: req.user._id, source: resharedPost });
 
       // Add share record to original post
       if (!post.shares) {
@@ -1075,7 +1088,7 @@ router.post('/:id/share', checkSuspension, async (req, res) => {
       await resharedPost.populate('author', 'name email avatar isPremium premiumFeatures');
       await resharedPost.populate({
         path: 'originalPost',
-        select: 'content author images videos mediaType reactions comments createdAt',
+        select: 'content author images videos mediaType reactions comments createdAt visibility audience',
         populate: {
           path: 'author',
           select: 'name email avatar'
@@ -1368,9 +1381,9 @@ router.post('/:id/share', checkSuspension, async (req, res) => {
 // @route   GET /api/posts/saved/search
 // @desc    Search user's saved posts by content
 // @access  Private
-router.get('/saved/search', async (req, res) => {
+router.get('/saved/search', paginate(), async (req, res) => {
   try {
-    const { q, page = 1, limit = 20 } = req.query;
+    const { q } = req.query;
     
     if (!q || q.trim().length === 0) {
       return res.status(400).json({
@@ -1379,7 +1392,6 @@ router.get('/saved/search', async (req, res) => {
       });
     }
 
-    const skip = (parseInt(page) - 1) * parseInt(limit);
     const searchQuery = q.trim();
 
     // Get user with saved posts
@@ -1393,37 +1405,37 @@ router.get('/saved/search', async (req, res) => {
       });
     }
 
+    // Saved posts stay visible only while their audience includes the user
+    const audience = await audienceService.getViewerContext(req.user._id);
+
     // Search within user's saved posts by content (case-insensitive)
     const searchRegex = new RegExp(searchQuery, 'i');
-    const posts = await Post.find({
+    const searchCriteria = {
+      ...audienceService.visibilityFilter(audience),
       _id: { $in: user.savedPosts },
-      content: searchRegex,
-      visibility: 'public'
-    })
-      .select('content author images videos reactions comments createdAt isReshare originalPost reshareCaption mediaType')
+      content: searchRegex
+    };
+    const posts = await Post.find(afterCursor(searchCriteria, req.pagination))
+      .select('content author images videos reactions comments createdAt isReshare originalPost reshareCaption mediaType visibility audience')
       .populate('author', 'name email avatar isPremium premiumFeatures')
       .populate({
         path: 'originalPost',
-        select: 'content author images videos mediaType reactions comments createdAt',
+        select: 'content author images videos mediaType reactions comments createdAt visibility audience',
         populate: {
           path: 'author',
           select: 'name email avatar'
         }
       })
-      .sort({ createdAt: -1 })
-      .limit(parseInt(limit))
-      .skip(skip)
+      .sort(req.pagination.sort)
+      .skip(req.pagination.skip)
+      .limit(req.pagination.limit + 1)
       .lean();
 
     // Get total count for pagination
-    const total = await Post.countDocuments({
-      _id: { $in: user.savedPosts },
-      content: searchRegex,
-      visibility: 'public'
-    });
+    const { items, pageInfo } = await buildPage(posts, req.pagination, () => Post.countDocuments(searchCriteria));
 
     // Format posts
-    const formattedPosts = posts.map(post => {
+    const formattedPosts = audienceService.filterReshares(items, audience).map(post => {
       const commentsArray = post.comments || [];
       const reactionsArray = post.reactions || [];
       
@@ -1436,18 +1448,13 @@ router.get('/saved/search', async (req, res) => {
       };
     });
 
-    console.log(`🔍 Search for "${searchQuery}" found ${posts.length} saved posts`);
+    console.log(`🔍 Search for "${searchQuery}" found ${items.length} saved posts`);
 
     res.status(200).json({
       success: true,
       data: {
         posts: formattedPosts,
-        pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total,
-          pages: Math.ceil(total / parseInt(limit))
-        },
+        pagination: pageInfo,
         query: searchQuery
       }
     });
@@ -1467,7 +1474,7 @@ router.post('/:id/save', async (req, res) => {
   try {
     const post = await Post.findById(req.params.id);
 
-    if (!post) {
+    if (!post || !(await audienceService.canViewPost(post, req.user._id))) {
       return res.status(404).json({
         success: false,
         message: 'Post not found'
@@ -1519,6 +1526,70 @@ router.post('/:id/save', async (req, res) => {
   }
 });
 
+// @route   POST /api/posts/:id/hide
+// @desc    Hide a post from the home feed (and show its author less)
+// @access  Private
+router.post('/:id/hide', async (req, res) => {
+  try {
+    const post = await Post.findById(req.params.id).select('author');
+
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found'
+      });
+    }
+
+    if (post.author.toString() === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot hide your own post'
+      });
+    }
+
+    const HiddenPost = require('../models/HiddenPost');
+    await HiddenPost.updateOne(
+      { user: req.user._id, post: post._id },
+      { $setOnInsert: { author: post.author, createdAt: new Date() } },
+      { upsert: true }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Post hidden from your feed',
+      data: { hidden: true }
+    });
+  } catch (error) {
+    console.error('Hide post error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to hide post'
+    });
+  }
+});
+
+// @route   DELETE /api/posts/:id/hide
+// @desc    Show a hidden post in the home feed again
+// @access  Private
+router.delete('/:id/hide', async (req, res) => {
+  try {
+    const HiddenPost = require('../models/HiddenPost');
+    await HiddenPost.deleteOne({ user: req.user._id, post: req.params.id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Post unhidden',
+      data: { hidden: false }
+    });
+  } catch (error) {
+    console.error('Unhide post error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unhide post'
+    });
+  }
+});
+
 // @route   POST /api/posts/:id/report
 // @desc    Report a post
 // @access  Private
@@ -1613,7 +1684,7 @@ router.post('/:id/react', checkSuspension, [
 
     const post = await Post.findById(req.params.id);
 
-    if (!post) {
+    if (!post || !(await audienceService.canViewPost(post, req.user._id))) {
       return res.status(404).json({
         success: false,
         message: 'Post not found'
@@ -1665,7 +1736,7 @@ router.post('/:id/react', checkSuspension, [
     // Emit Socket.IO event for reaction
     const io = req.app.get('io');
     if (io) {
-      io.emit('post:reacted', {
+      await emitToPostAudience(io, post, 'post:reacted', {
         postId: post._id,
         userId: req.user._id,
         reactionType,
@@ -1699,7 +1770,7 @@ router.delete('/:id/react', async (req, res) => {
   try {
     const post = await Post.findById(req.params.id);
 
-    if (!post) {
+    if (!post || !(await audienceService.canViewPost(post, req.user._id))) {
       return res.status(404).json({
         success: false,
         message: 'Post not found'
@@ -1711,7 +1782,7 @@ router.delete('/:id/react', async (req, res) => {
     // Emit Socket.IO event for reaction removal
     const io = req.app.get('io');
     if (io) {
-      io.emit('post:reacted', {
+      await emitToPostAudience(io, post, 'post:reacted', {
         postId: post._id,
         userId: req.user._id,
         reactionType: null,
@@ -1747,7 +1818,7 @@ router.get('/:id/reactions', async (req, res) => {
       .populate('reactions.user', 'name email avatar')
       .lean();
 
-    if (!post) {
+    if (!post || !(await audienceService.canViewPost(post, req.user._id))) {
       return res.status(404).json({
         success: false,
         message: 'Post not found'
@@ -1786,7 +1857,7 @@ router.post('/:id/like', checkSuspension, async (req, res) => {
   try {
     const post = await Post.findById(req.params.id);
 
-    if (!post) {
+    if (!post || !(await audienceService.canViewPost(post, req.user._id))) {
       return res.status(404).json({
         success: false,
         message: 'Post not found'
@@ -1819,7 +1890,7 @@ router.delete('/:id/like', async (req, res) => {
   try {
     const post = await Post.findById(req.params.id);
 
-    if (!post) {
+    if (!post || !(await audienceService.canViewPost(post, req.user._id))) {
       return res.status(404).json({
         success: false,
         message: 'Post not found'
@@ -1861,7 +1932,7 @@ router.post('/:id/comments', checkSuspension, commentValidation, async (req, res
 
     const post = await Post.findById(req.params.id);
 
-    if (!post) {
+    if (!post || !(await audienceService.canViewPost(post, req.user._id))) {
       return res.status(404).json({
         success: false,
         message: 'Post not found'
@@ -1918,6 +1989,7 @@ router.post('/:id/comments', checkSuspension, commentValidation, async (req, res
     
     post.comments.push(commentData);
     await post.save();
+    await hashtagService.recordText(commentData.content, { kind: 'comment', userId: req.user._id, source: post });
     await post.populate('comments.user', 'name email avatar');
     await post.populate('comments.taggedUsers', 'name email avatar');
     await post.populate('author', 'name email avatar isPremium premiumFeatures');
@@ -2060,7 +2132,7 @@ router.post('/:id/comments', checkSuspension, commentValidation, async (req, res
     // Emit Socket.IO event for new comment
     const io = req.app.get('io');
     if (io) {
-      io.emit('post:commented', {
+      await emitToPostAudience(io, post, 'post:commented', {
         postId: post._id,
         comment: newComment,
         commentsCount: post.commentsCount
@@ -2084,6 +2156,152 @@ router.post('/:id/comments', checkSuspension, commentValidation, async (req, res
   }
 });
 
+// @route   PUT /api/posts/:id/comments/:commentId
+// @desc    Edit your own comment, reply or nested reply (the earlier version is kept as a revision)
+// @access  Private
+router.put('/:id/comments/:commentId', checkSuspension, [
+  body('content')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Comment cannot exceed 1000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid post ID format'
+      });
+    }
+
+    const post = await Post.findById(req.params.id);
+    if (!post || !(await audienceService.canViewPost(post, req.user._id))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found'
+      });
+    }
+
+    const comment = findComment(post, req.params.commentId);
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found'
+      });
+    }
+
+    if (comment.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only edit your own comments'
+      });
+    }
+
+    const content = req.body.content || '';
+    if (!content && !comment.gif) {
+      return res.status(400).json({
+        success: false,
+        message: 'Comment content or GIF is required'
+      });
+    }
+
+    const previous = { content: comment.content, media: comment.gif ? [comment.gif] : [] };
+    const changed = revisionService.hasChanged(previous, { content, media: previous.media });
+
+    if (changed) {
+      comment.content = content;
+      comment.editedAt = new Date();
+      await post.save();
+      await revisionService.record('comment', { targetId: comment._id, post: post._id, author: comment.user, createdAt: comment.createdAt }, previous, req.user._id);
+      await hashtagService.recordEdit(previous.content, comment.content, { kind: 'comment', userId: req.user._id, source: post });
+
+      await emitToPostAudience(req.app.get('io'), post, 'post:comment-updated', {
+        postId: post._id,
+        commentId: comment._id,
+        content: comment.content,
+        editedAt: comment.editedAt
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: changed ? 'Comment updated successfully' : 'Comment unchanged',
+      data: {
+        comment: {
+          _id: comment._id,
+          content: comment.content,
+          gif: comment.gif || null,
+          editedAt: comment.editedAt,
+          createdAt: comment.createdAt
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Edit comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update comment'
+    });
+  }
+});
+
+// @route   GET /api/posts/:id/comments/:commentId/revisions
+// @desc    Get the edit history of a comment, reply or nested reply
+// @access  Private
+router.get('/:id/comments/:commentId/revisions', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid post ID format'
+      });
+    }
+
+    const post = await Post.findById(req.params.id).select('author comments visibility audience');
+    if (!post || !(await audienceService.canViewPost(post, req.user._id))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found'
+      });
+    }
+
+    const comment = findComment(post, req.params.commentId);
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found'
+      });
+    }
+
+    const revisions = await revisionService.getHistory('comment', comment._id, {
+      content: comment.content,
+      media: comment.gif ? [comment.gif] : [],
+      createdAt: comment.createdAt
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Comment revisions retrieved successfully',
+      data: { revisions, edited: revisions.length > 1 }
+    });
+  } catch (error) {
+    console.error('Get comment revisions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve comment revisions'
+    });
+  }
+});
+
 // @route   POST /api/posts/:id/comments/:commentId/reply
 // @desc    Add reply to a comment
 // @access  Private
@@ -2099,7 +2317,7 @@ router.post('/:id/comments/:commentId/reply', checkSuspension, commentValidation
     }
 
     const post = await Post.findById(req.params.id);
-    if (!post) {
+    if (!post || !(await audienceService.canViewPost(post, req.user._id))) {
       return res.status(404).json({
         success: false,
         message: 'Post not found'
@@ -2161,6 +2379,7 @@ router.post('/:id/comments/:commentId/reply', checkSuspension, commentValidation
 
     comment.replies.push(reply);
     await post.save();
+    await hashtagService.recordText(content, { kind: 'comment', userId: req.user._id, source: post });
     await post.populate('comments.user', 'name email avatar');
     await post.populate('comments.taggedUsers', 'name email avatar');
     await post.populate('comments.replies.user', 'name email avatar');
@@ -2328,7 +2547,7 @@ router.post('/:id/comments/:commentId/reply', checkSuspension, commentValidation
     // Emit Socket.IO event for new reply
     const io = req.app.get('io');
     if (io) {
-      io.emit('comment:replied', {
+      await emitToPostAudience(io, post, 'comment:replied', {
         postId: post._id,
         commentId: comment._id,
         reply: newReply
@@ -2367,7 +2586,7 @@ router.post('/:id/comments/:commentId/react', checkSuspension, async (req, res)
     }
 
     const post = await Post.findById(req.params.id);
-    if (!post) {
+    if (!post || !(await audienceService.canViewPost(post, req.user._id))) {
       return res.status(404).json({
         success: false,
         message: 'Post not found'
@@ -2467,7 +2686,7 @@ router.post('/:id/comments/:commentId/react', checkSuspension, async (req, res)
         }
         
         // Also emit comment reaction event for UI updates
-        io.emit('comment:reacted', {
+        await emitToPostAudience(io, post, 'comment:reacted', {
           postId: post._id,
           commentId: comment._id,
           reaction: {
@@ -2483,7 +2702,7 @@ router.post('/:id/comments/:commentId/react', checkSuspension, async (req, res)
       // Still emit Socket.IO event for UI updates
       const io = req.app.get('io');
       if (io) {
-        io.emit('comment:reacted', {
+        await emitToPostAudience(io, post, 'comment:reacted', {
           postId: post._id,
           commentId: comment._id,
           reaction: {
@@ -2516,7 +2735,7 @@ router.post('/:id/comments/:commentId/react', checkSuspension, async (req, res)
 router.delete('/:id/comments/:commentId/react', async (req, res) => {
   try {
     const post = await Post.findById(req.params.id);
-    if (!post) {
+    if (!post || !(await audienceService.canViewPost(post, req.user._id))) {
       return res.status(404).json({
         success: false,
         message: 'Post not found'
@@ -2540,7 +2759,7 @@ router.delete('/:id/comments/:commentId/react', async (req, res) => {
     // Emit Socket.IO event for removed reaction
     const io = req.app.get('io');
     if (io) {
-      io.emit('comment:unreacted', {
+      await emitToPostAudience(io, post, 'comment:unreacted', {
         postId: post._id,
         commentId: comment._id,
         userId: req.user._id
@@ -2578,7 +2797,7 @@ router.post('/:id/comments/:commentId/replies/:replyId/react', checkSuspension,
     }
 
     const post = await Post.findById(req.params.id);
-    if (!post) {
+    if (!post || !(await audienceService.canViewPost(post, req.user._id))) {
       return res.status(404).json({
         success: false,
         message: 'Post not found'
@@ -2690,7 +2909,7 @@ router.post('/:id/comments/:commentId/replies/:replyId/react', checkSuspension,
     // Emit Socket.IO event
     const io = req.app.get('io');
     if (io) {
-      io.emit('reply:reacted', {
+      await emitToPostAudience(io, post, 'reply:reacted', {
         postId: post._id,
         commentId: comment._id,
         replyId: reply._id,
@@ -2723,7 +2942,7 @@ router.post('/:id/comments/:commentId/replies/:replyId/react', checkSuspension,
 router.delete('/:id/comments/:commentId/replies/:replyId/react', async (req, res) => {
   try {
     const post = await Post.findById(req.params.id);
-    if (!post) {
+    if (!post || !(await audienceService.canViewPost(post, req.user._id))) {
       return res.status(404).json({
         success: false,
         message: 'Post not found'
@@ -2755,7 +2974,7 @@ router.delete('/:id/comments/:commentId/replies/:replyId/react', async (req, res
     // Emit Socket.IO event
     const io = req.app.get('io');
     if (io) {
-      io.emit('reply:unreacted', {
+      await emitToPostAudience(io, post, 'reply:unreacted', {
         postId: post._id,
         commentId: comment._id,
         replyId: reply._id,
@@ -2794,7 +3013,7 @@ router.post('/:id/comments/:commentId/replies/:replyId/reply', checkSuspension,
     }
 
     const post = await Post.findById(req.params.id);
-    if (!post) {
+    if (!post || !(await audienceService.canViewPost(post, req.user._id))) {
       return res.status(404).json({
         success: false,
         message: 'Post not found'
@@ -2863,6 +3082,7 @@ router.post('/:id/comments/:commentId/replies/:replyId/reply', checkSuspension,
 
     reply.replies.push(nestedReply);
     await post.save();
+    await hashtagService.recordText(content, { kind: 'comment', userId: req.user._id, source: post });
     await post.populate('comments.replies.replies.user', 'name email avatar');
     await post.populate('comments.replies.replies.taggedUsers', 'name email avatar');
     await post.populate('comments.replies.replies.mentionedUser', 'name email avatar');
@@ -2982,7 +3202,7 @@ router.post('/:id/comments/:commentId/replies/:replyId/reply', checkSuspension,
     // Emit Socket.IO event
     const io = req.app.get('io');
     if (io) {
-      io.emit('reply:replied', {
+      await emitToPostAudience(io, post, 'reply:replied', {
         postId: post._id,
         commentId: comment._id,
         replyId: reply._id,
@@ -3010,21 +3230,17 @@ router.post('/:id/comments/:commentId/replies/:replyId/reply', checkSuspension,
 // @route   GET /api/posts/user/:userId
 // @desc    Get posts by specific user
 // @access  Private
-router.get('/user/:userId', async (req, res) => {
+router.get('/user/:userId', paginate({ defaultLimit: 10 }), async (req, res) => {
   try {
     // Check if there's a block relationship (if user is authenticated)
-    const auth = require('../middleware/auth');
-    const token = req.headers.authorization?.split(' ')[1];
     let currentUserId = null;
     
-    if (token) {
+    if (req.user) {
       try {
-        const jwt = require('jsonwebtoken');
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        currentUserId = decoded.userId;
+        currentUserId = req.user._id;
         
         const Block = require('../models/Block');
-        const isBlocked = await Block.isBlocked(decoded.userId, req.params.userId);
+        const isBlocked = await Block.isBlocked(currentUserId, req.params.userId);
         
         if (isBlocked) {
           return res.status(403).json({
@@ -3067,30 +3283,25 @@ router.get('/user/:userId', async (req, res) => {
       });
     }
 
-    const { page = 1, limit = 10 } = req.query;
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-
-    const posts = await Post.find({ author: req.params.userId })
+    // The author's posts whose audience includes the current user (all of them on their own profile)
+    const audience = await audienceService.getViewerContext(currentUserId);
+    const query = { ...audienceService.visibilityFilter(audience), author: req.params.userId };
+    const posts = await Post.find(afterCursor(query, req.pagination))
       .populate('author', 'name email avatar isPremium premiumFeatures')
       .populate('comments.user', 'name email avatar')
       .populate('comments.taggedUsers', 'name email avatar')
-      .sort({ createdAt: -1 })
-      .limit(parseInt(limit))
-      .skip(skip);
+      .sort(req.pagination.sort)
+      .skip(req.pagination.skip)
+      .limit(req.pagination.limit + 1);
 
-    const total = await Post.countDocuments({ author: req.params.userId });
+    const { items, pageInfo } = await buildPage(posts, req.pagination, () => Post.countDocuments(query));
 
     res.status(200).json({
       success: true,
       message: 'User posts retrieved successfully',
       data: {
-        posts,
-        pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total,
-          pages: Math.ceil(total / parseInt(limit))
-        }
+        posts: items,
+        pagination: pageInfo
       }
     });
   } catch (error) {
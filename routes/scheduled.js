@@ -0,0 +1,296 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, param, query, validationResult } = require('express-validator');
+const ScheduledPost = require('../models/ScheduledPost');
+const { authenticateToken } = require('../middleware/auth');
+const checkSuspension = require('../middleware/checkSuspension');
+const paginate = require('../middleware/pagination');
+const { afterCursor, buildPage } = require('../utils/pagination');
+const audienceService = require('../services/audienceService');
+const storageService = require('../services/storageService');
+const postPublishingService = require('../services/postPublishingService');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// Scheduled items come up in publishing order; drafts and failed items most recently edited first
+const LIST_SORTS = {
+  scheduled: { scheduledFor: 1, _id: 1 },
+  default: { updatedAt: -1, _id: -1 }
+};
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array()
+  });
+  return true;
+};
+
+// 404 if the item isn't the user's, 409 if the worker is publishing it right now
+const sendNotEditable = async (req, res) => {
+  const exists = await ScheduledPost.exists({ _id: req.params.id, author: req.user._id });
+  if (exists) {
+    return res.status(409).json({
+      success: false,
+      message: 'This post is being published and can no longer be changed'
+    });
+  }
+  return res.status(404).json({
+    success: false,
+    message: 'Scheduled post not found'
+  });
+};
+
+// @route   GET /api/scheduled
+// @desc    Get the current user's drafts and scheduled posts/announcements (?status=draft|scheduled|failed, ?club=<id>|none)
+// @access  Private
+router.get('/', [
+  query('status').optional().isIn(['draft', 'scheduled', 'publishing', 'failed']).withMessage('Invalid status'),
+  query('club').optional().custom(value => value === 'none' || mongoose.Types.ObjectId.isValid(value)).withMessage('Invalid club ID')
+], paginate({ sort: req => LIST_SORTS[req.query.status] || LIST_SORTS.default }), async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const filter = { author: req.user._id };
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.club) filter.club = req.query.club === 'none' ? null : req.query.club;
+
+    const { sort, skip, limit } = req.pagination;
+    const items = await ScheduledPost.find(afterCursor(filter, req.pagination))
+      .populate('club', 'name')
+      .sort(sort)
+      .skip(skip)
+      .limit(limit + 1);
+
+    const { items: scheduledPosts, pageInfo } = await buildPage(items, req.pagination, () => ScheduledPost.countDocuments(filter));
+
+    res.status(200).json({
+      success: true,
+      message: 'Scheduled posts retrieved successfully',
+      data: { scheduledPosts, pagination: pageInfo }
+    });
+  } catch (error) {
+    console.error('Get scheduled posts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve scheduled posts'
+    });
+  }
+});
+
+// @route   GET /api/scheduled/:id
+// @desc    Get one draft or scheduled post
+// @access  Private
+router.get('/:id', param('id').isMongoId().withMessage('Invalid scheduled post ID'), async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const scheduledPost = await ScheduledPost.findOne({ _id: req.params.id, author: req.user._id })
+      .populate('club', 'name')
+      .populate('taggedUsers', 'name avatar');
+
+    if (!scheduledPost) {
+      return res.status(404).json({
+        success: false,
+        message: 'Scheduled post not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Scheduled post retrieved successfully',
+      data: { scheduledPost }
+    });
+  } catch (error) {
+    console.error('Get scheduled post error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve scheduled post'
+    });
+  }
+});
+
+// @route   PATCH /api/scheduled/:id
+// @desc    Edit a draft or scheduled post: content, audience, tags, which media to keep, and
+//          when it goes out (`scheduledFor` + `timezone` to reschedule, `draft: true` or
+//          `scheduledFor: null` to unschedule)
+// @access  Private
+router.patch('/:id', checkSuspension, [
+  param('id').isMongoId().withMessage('Invalid scheduled post ID'),
+  body('content')
+    .optional()
+    .trim()
+    .isLength({ max: 5000 })
+    .withMessage('Post content cannot exceed 5000 characters'),
+  body('taggedUsers').optional().isArray().withMessage('taggedUsers must be a list of user IDs'),
+  body('media').optional().isArray().withMessage('media must be the list of media URLs to keep')
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const scheduledPost = await ScheduledPost.findOne({ _id: req.params.id, author: req.user._id });
+    if (!scheduledPost || scheduledPost.status === 'publishing') {
+      return sendNotEditable(req, res);
+    }
+
+    const updates = {};
+    const { content, visibility, taggedUsers, media } = req.body;
+
+    if (content !== undefined) updates.content = content;
+    if (taggedUsers !== undefined) {
+      updates.taggedUsers = taggedUsers.filter(id => mongoose.Types.ObjectId.isValid(id));
+    }
+    if (media !== undefined) {
+      updates.media = scheduledPost.media.filter(item => media.includes(item.url));
+    }
+
+    const nextContent = updates.content !== undefined ? updates.content : scheduledPost.content;
+    const nextMedia = updates.media || scheduledPost.media;
+    if (!scheduledPost.club && !nextContent) {
+      return res.status(400).json({ success: false, message: 'Post content is required' });
+    }
+    if (scheduledPost.club && !nextContent && nextMedia.length === 0) {
+      return res.status(400).json({ success: false, message: 'Either content or media must be provided' });
+    }
+
+    // Club announcements are seen by the club, so only feed posts have an audience
+    if (visibility !== undefined && !scheduledPost.club) {
+      const postAudience = await audienceService.resolveAudience(req.user, visibility, req.body.audience);
+      if (postAudience.error) {
+        return res.status(400).json({ success: false, message: postAudience.error });
+      }
+      updates.visibility = postAudience.visibility;
+      updates.audience = postAudience.audience;
+    }
+
+    if (req.body.draft !== undefined || req.body.scheduledFor !== undefined) {
+      const schedule = postPublishingService.parseSchedule({
+        draft: req.body.draft === true || req.body.draft === 'true' || req.body.scheduledFor === null,
+        scheduledFor: req.body.scheduledFor,
+        timezone: req.body.timezone || scheduledPost.timezone
+      });
+      if (schedule.error) {
+        return res.status(400).json({ success: false, message: schedule.error });
+      }
+      if (schedule.status === 'published') {
+        return res.status(400).json({ success: false, message: 'Pick a time in scheduledFor, or set draft to true' });
+      }
+      Object.assign(updates, {
+        status: schedule.status,
+        scheduledFor: schedule.scheduledFor,
+        timezone: schedule.timezone,
+        attempts: 0,
+        lastError: null
+      });
+    }
+
+    // Conditional on status, in case the worker claimed the item since it was read
+    const updated = await ScheduledPost.findOneAndUpdate(
+      { _id: scheduledPost._id, status: { $ne: 'publishing' } },
+      updates,
+      { new: true, runValidators: true }
+    );
+    if (!updated) {
+      return sendNotEditable(req, res);
+    }
+
+    if (updates.media) {
+      await storageService.releaseRemovedFiles('draft', updated._id, updated.media.map(item => item.fileName).filter(Boolean));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: updated.status === 'scheduled' ? 'Scheduled post updated' : 'Draft updated',
+      data: { scheduledPost: updated }
+    });
+  } catch (error) {
+    console.error('Update scheduled post error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update scheduled post'
+    });
+  }
+});
+
+// @route   POST /api/scheduled/:id/publish
+// @desc    Publish a draft or scheduled post right away
+// @access  Private
+router.post('/:id/publish', checkSuspension, param('id').isMongoId().withMessage('Invalid scheduled post ID'), async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const scheduledPostService = req.app.get('scheduledPostService');
+    if (!scheduledPostService) {
+      return res.status(503).json({
+        success: false,
+        message: 'Publishing is temporarily unavailable'
+      });
+    }
+
+    const scheduledPost = await scheduledPostService.claimForAuthor(req.params.id, req.user._id);
+    if (!scheduledPost) {
+      return sendNotEditable(req, res);
+    }
+
+    const result = await scheduledPostService.publish(scheduledPost);
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: `Could not publish: ${result.error}`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Published',
+      data: result.post
+        ? { post: result.post }
+        : { clubId: result.club._id, discussion: result.discussion }
+    });
+  } catch (error) {
+    console.error('Publish scheduled post error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to publish'
+    });
+  }
+});
+
+// @route   DELETE /api/scheduled/:id
+// @desc    Cancel a scheduled post or delete a draft
+// @access  Private
+router.delete('/:id', param('id').isMongoId().withMessage('Invalid scheduled post ID'), async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const scheduledPost = await ScheduledPost.findOneAndDelete({
+      _id: req.params.id,
+      author: req.user._id,
+      status: { $ne: 'publishing' }
+    });
+    if (!scheduledPost) {
+      return sendNotEditable(req, res);
+    }
+
+    await storageService.release('draft', scheduledPost._id);
+
+    res.status(200).json({
+      success: true,
+      message: scheduledPost.status === 'scheduled' ? 'Scheduled post cancelled' : 'Draft deleted'
+    });
+  } catch (error) {
+    console.error('Delete scheduled post error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete scheduled post'
+    });
+  }
+});
+
+module.exports = router;
@@ -5,6 +5,9 @@ const User = require('../models/User');
 const Notification = require('../models/Notification');
 const { authenticateToken } = require('../middleware/auth');
 const upload = require('../config/multer');
+const checkStorageQuota = require('../middleware/checkStorageQuota');
+const storageService = require('../services/storageService');
+const entitlementService = require('../services/entitlementService');
 const path = require('path');
 const fs = require('fs');
 
@@ -13,7 +16,7 @@ const router = express.Router();
 // @route   POST /api/stories
 // @desc    Create a new story
 // @access  Private
-router.post('/', authenticateToken, upload.single('media'), async (req, res) => {
+router.post('/', authenticateToken, upload.single('media'), checkStorageQuota, async (req, res) => {
   try {
     const { caption, backgroundColor, textContent, mediaType: requestedMediaType } = req.body;
     
@@ -58,6 +61,9 @@ router.post('/', authenticateToken, upload.single('media'), async (req, res) =>
     });
 
     await story.save();
+    if (req.file) {
+      await storageService.record(req.user._id, 'story', story._id, [req.file]);
+    }
     
     // Populate author details
     await story.populate('author', 'name email avatar');
@@ -476,8 +482,9 @@ router.post('/:storyId/view', authenticateToken, async (req, res) => {
       });
     }
 
-    // Add viewer if not already viewed
-    if (!story.hasViewed(req.user._id)) {
+    // Add viewer if not already viewed (ghost mode views are not recorded)
+    const ghostMode = await entitlementService.isGhostModeActive(req.user, req);
+    if (!ghostMode && !story.hasViewed(req.user._id)) {
       story.addViewer(req.user._id);
       await story.save();
       
@@ -734,6 +741,7 @@ router.delete('/:storyId', authenticateToken, async (req, res) => {
     }
 
     await Story.findByIdAndDelete(req.params.storyId);
+    await storageService.release('story', story._id);
 
     // Emit socket event to all connected users
     const io = req.app.get('io');
@@ -766,7 +774,9 @@ router.delete('/:storyId', authenticateToken, async (req, res) => {
 // @access  Private (could be protected with API key in production)
 router.delete('/cleanup/expired', async (req, res) => {
   try {
+    const expiredIds = await Story.find({ expiresAt: { $lte: new Date() } }).distinct('_id');
     const result = await Story.deleteExpired();
+    await storageService.release('story', expiredIds);
     
     console.log(`🧹 Cleaned up ${result.deletedCount} expired stories`);
     
@@ -2,6 +2,12 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const { authenticateToken } = require('../middleware/auth');
+const { requireUserSession } = require('../middleware/requireScope');
+const requireFeature = require('../middleware/requireFeature');
+const entitlementService = require('../services/entitlementService');
+const storageService = require('../services/storageService');
+const { PREMIUM_TIERS } = require('../config/premiumTiers');
+const { sendLockoutResponse } = require('../utils/lockout');
 const upload = require('../config/multer');
 const path = require('path');
 const fs = require('fs');
@@ -17,18 +23,6 @@ const router = express.Router();
 // Apply general rate limiting to all user routes
 router.use(generalLimiter);
 
-// TEMPORARY: Helper function to check premium features (currently FREE for all)
-// TODO: Revert this when premium is enabled
-function hasPremiumFeature(user, featureName) {
-  // Temporarily making all premium features free for all users
-  return true;
-  
-  // Original logic (uncomment when reverting):
-  // return user.isPremium && 
-  //        user.premiumFeatures && 
-  //        user.premiumFeatures.includes(featureName);
-}
-
 // Validation rules
 const updateProfileValidation = [
   body('name')
@@ -665,6 +659,24 @@ router.get('/mention-search', authenticateToken, async (req, res) => {
   }
 });
 
+// Ghost mode switched on: appear offline right away. Switched off: show the user
+// online again if they are connected. The user's sockets stop/start updating presence.
+const updateGhostPresence = async (io, userId, ghostMode) => {
+  const sockets = await io.in(`user:${userId}`).fetchSockets();
+  sockets.forEach(socket => { socket.data.ghostMode = ghostMode; });
+
+  const isOnline = !ghostMode && sockets.length > 0;
+  const update = isOnline ? { isOnline, lastActive: new Date() } : { isOnline };
+  const user = await User.findByIdAndUpdate(userId, { $set: update }, { new: true }).select('lastActive');
+
+  io.emit('user:status-changed', {
+    userId: userId.toString(),
+    isOnline,
+    lastActive: user.lastActive
+  });
+  console.log(`👻 Ghost mode ${ghostMode ? 'on' : 'off'} for user ${userId}`);
+};
+
 // @route   GET /api/users/settings
 // @desc    Get user settings
 // @access  Private
@@ -689,7 +701,10 @@ router.get('/settings', authenticateToken, async (req, res) => {
           emailNotificationsEnabled: false,
           privateAccount: false,
           showOnlineStatus: true,
-          theme: 'system'
+          theme: 'system',
+          readReceipts: true,
+          ghostMode: false,
+          badgeColor: null
         }
       }
     });
@@ -714,9 +729,19 @@ router.put('/settings', authenticateToken, async (req, res) => {
       'emailNotificationsEnabled',
       'privateAccount',
       'showOnlineStatus',
-      'theme'
+      'theme',
+      'readReceipts',
+      'ghostMode',
+      'badgeColor'
     ];
 
+    // Premium settings: they can always be switched back to the default
+    const premiumSettings = {
+      readReceipts: { feature: 'read_receipts_control', defaultValue: true },
+      ghostMode: { feature: 'ghost_mode', defaultValue: false },
+      badgeColor: { feature: 'custom_badge_color', defaultValue: null }
+    };
+
     const updates = {};
     for (const key of allowedSettings) {
       if (req.body[key] !== undefined) {
@@ -731,6 +756,30 @@ router.put('/settings', authenticateToken, async (req, res) => {
       });
     }
 
+    if (req.body.badgeColor !== undefined && req.body.badgeColor !== null
+      && !/^#[0-9a-fA-F]{6}$/.test(req.body.badgeColor)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Badge color must be a hex color like #1e90ff'
+      });
+    }
+
+    for (const [key, { feature, defaultValue }] of Object.entries(premiumSettings)) {
+      if (req.body[key] === undefined || req.body[key] === defaultValue) continue;
+
+      const entitlements = await entitlementService.getEntitlementsForRequest(req);
+      if (!entitlementService.hasFeature(entitlements, feature)) {
+        const requiredTier = entitlementService.requiredTierFor(feature);
+        return res.status(403).json({
+          success: false,
+          message: `Changing ${key} requires ${PREMIUM_TIERS[requiredTier].name} or higher`,
+          feature,
+          requiredTier,
+          upgradeRequired: true
+        });
+      }
+    }
+
     const updatedUser = await User.findByIdAndUpdate(
       req.user._id,
       { $set: updates },
@@ -742,6 +791,10 @@ router.put('/settings', authenticateToken, async (req, res) => {
     if (io) {
       io.to(`user:${req.user._id}`).emit('user:settings-updated', updatedUser.settings);
       console.log(`⚙️ Settings updated for user ${req.user._id}`);
+
+      if (updates['settings.ghostMode'] !== undefined) {
+        await updateGhostPresence(io, req.user._id, updatedUser.settings.ghostMode);
+      }
     }
 
     res.status(200).json({
@@ -764,7 +817,7 @@ router.put('/settings', authenticateToken, async (req, res) => {
 // @route   PUT /api/users/password
 // @desc    Change password
 // @access  Private
-router.put('/password', authenticateToken, async (req, res) => {
+router.put('/password', authenticateToken, requireUserSession, async (req, res) => {
   try {
     const { currentPassword, newPassword } = req.body;
 
@@ -801,6 +854,21 @@ router.put('/password', authenticateToken, async (req, res) => {
       });
     }
 
+    // A passphrase must keep meeting the passphrase policy
+    if (user.credentialType === 'passphrase') {
+      const passphraseService = require('../services/passphraseService');
+      const result = passphraseService.validate(newPassword, user);
+      if (!result.valid) {
+        return res.status(400).json({
+          success: false,
+          message: result.message,
+          strength: result.strength
+        });
+      }
+      user.credentialScore = result.strength.score;
+      user.credentialUpdatedAt = new Date();
+    }
+
     // Update password
     user.password = newPassword;
     await user.save();
@@ -866,8 +934,8 @@ router.get('/profile-visitors/stats', authenticateToken, async (req, res) => {
     const userId = req.user._id;
     
     // Check if user has premium profile_visitors feature
-    const user = await User.findById(userId).select('isPremium premiumFeatures');
-    const hasFeature = hasPremiumFeature(user, 'profile_visitors');
+    const entitlements = await entitlementService.getEntitlementsForRequest(req);
+    const hasFeature = entitlementService.hasFeature(entitlements, 'profile_visitors');
 
     // Calculate date ranges
     const now = new Date();
@@ -1004,25 +1072,13 @@ router.get('/profile-visitors/stats', authenticateToken, async (req, res) => {
 // @route   GET /api/users/profile-visitors
 // @desc    Get list of users who visited your profile
 // @access  Private
-router.get('/profile-visitors', authenticateToken, async (req, res) => {
+router.get('/profile-visitors', authenticateToken, requireFeature('profile_visitors'), async (req, res) => {
   try {
     const ProfileVisitor = require('../models/ProfileVisitor');
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
     const skip = (page - 1) * limit;
 
-    // Check if user has premium profile_visitors feature
-    const user = await User.findById(req.user._id).select('isPremium premiumFeatures');
-    const hasFeature = hasPremiumFeature(user, 'profile_visitors');
-
-    if (!hasFeature) {
-      return res.status(403).json({
-        success: false,
-        message: 'This feature requires premium subscription with profile_visitors feature',
-        requiresPremium: true
-      });
-    }
-
     // Get unique visitors with their most recent visit
     const visitors = await ProfileVisitor.aggregate([
       {
@@ -1121,6 +1177,87 @@ router.get('/profile-visitors', authenticateToken, async (req, res) => {
   }
 });
 
+// @route   GET /api/users/analytics
+// @desc    Get engagement analytics for your posts and profile (?days=7|30|90, default 30)
+// @access  Private (advanced_analytics)
+router.get('/analytics', authenticateToken, requireFeature('advanced_analytics'), async (req, res) => {
+  try {
+    const Post = require('../models/Post');
+    const ProfileVisitor = require('../models/ProfileVisitor');
+
+    const days = parseInt(req.query.days) || 30;
+    if (![7, 30, 90].includes(days)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Days must be one of: 7, 30, 90'
+      });
+    }
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const countSince = (array, dateField) => ({
+      $size: { $filter: { input: `$${array}`, cond: { $gte: [`$$this.${dateField}`, since] } } }
+    });
+
+    // Engagement each post received in the period (posts without any are left out)
+    const [posts, postsCreated, visitors] = await Promise.all([
+      Post.aggregate([
+        { $match: { author: req.user._id } },
+        {
+          $project: {
+            content: 1,
+            mediaType: 1,
+            createdAt: 1,
+            reactions: countSince('reactions', 'createdAt'),
+            comments: countSince('comments', 'createdAt'),
+            shares: countSince('shares', 'sharedAt')
+          }
+        },
+        { $addFields: { engagement: { $add: ['$reactions', '$comments', '$shares'] } } },
+        { $match: { engagement: { $gt: 0 } } },
+        { $sort: { engagement: -1, createdAt: -1 } }
+      ]),
+      Post.countDocuments({ author: req.user._id, createdAt: { $gte: since } }),
+      ProfileVisitor.aggregate([
+        { $match: { profileOwnerId: req.user._id, visitedAt: { $gte: since } } },
+        { $group: { _id: '$visitorId', visits: { $sum: 1 } } },
+        { $group: { _id: null, uniqueVisitors: { $sum: 1 }, visits: { $sum: '$visits' } } }
+      ])
+    ]);
+
+    const totals = posts.reduce((sum, post) => ({
+      reactions: sum.reactions + post.reactions,
+      comments: sum.comments + post.comments,
+      shares: sum.shares + post.shares
+    }), { reactions: 0, comments: 0, shares: 0 });
+
+    res.status(200).json({
+      success: true,
+      message: 'Analytics retrieved successfully',
+      data: {
+        days,
+        since,
+        postsCreated,
+        engagement: {
+          ...totals,
+          total: totals.reactions + totals.comments + totals.shares,
+          postsWithEngagement: posts.length
+        },
+        profileVisits: {
+          visits: visitors.length > 0 ? visitors[0].visits : 0,
+          uniqueVisitors: visitors.length > 0 ? visitors[0].uniqueVisitors : 0
+        },
+        topPosts: posts.slice(0, 5)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get analytics error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get analytics'
+    });
+  }
+});
+
 // @route   GET /api/users/saved-posts
 // @desc    Get user's saved posts
 // @access  Private
@@ -1130,12 +1267,17 @@ router.get('/saved-posts', authenticateToken, async (req, res) => {
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
 
+    // Saved posts stay visible only while their audience includes the user
+    const audienceService = require('../services/audienceService');
+    const audience = await audienceService.getViewerContext(req.user._id);
+
     // Get user with populated saved posts
     const Post = require('../models/Post');
     const user = await User.findById(req.user._id)
       .select('savedPosts')
       .populate({
         path: 'savedPosts',
+        match: audienceService.visibilityFilter(audience),
         options: {
           sort: { createdAt: -1 },
           skip: skip,
@@ -1182,6 +1324,26 @@ router.get('/saved-posts', authenticateToken, async (req, res) => {
   }
 });
 
+// @route   GET /api/users/me/storage
+// @desc    Get storage used by the current user's uploads, by content type, against their plan's quota
+// @access  Private
+router.get('/me/storage', authenticateToken, async (req, res) => {
+  try {
+    const storage = await storageService.getStorageForRequest(req);
+
+    res.status(200).json({
+      success: true,
+      data: storage
+    });
+  } catch (error) {
+    console.error('Get storage usage error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get storage usage'
+    });
+  }
+});
+
 // @route   GET /api/users/:userId
 // @desc    Get user by ID with stats
 // @access  Private
@@ -1201,7 +1363,7 @@ router.get('/:userId', authenticateToken, async (req, res) => {
     }
     
     const user = await User.findById(req.params.userId)
-      .select('name email avatar bio createdAt followers following isPremium premiumFeatures');
+      .select('name email avatar bio createdAt followers following isPremium premiumTier premiumFeatures premiumExpiresAt settings.badgeColor');
 
     if (!user) {
       return res.status(404).json({
@@ -1210,6 +1372,15 @@ router.get('/:userId', authenticateToken, async (req, res) => {
       });
     }
 
+    // The chosen badge color only shows while the user still has the feature
+    let badgeColor = null;
+    if (user.isPremium && user.settings && user.settings.badgeColor) {
+      const entitlements = await entitlementService.getEntitlements(user);
+      if (entitlementService.hasFeature(entitlements, 'custom_badge_color')) {
+        badgeColor = user.settings.badgeColor;
+      }
+    }
+
     // Get user's post count
     const postsCount = await Post.countDocuments({ author: user._id });
     
@@ -1241,7 +1412,8 @@ router.get('/:userId', authenticateToken, async (req, res) => {
           followingCount,
           isFollowing,
           isPremium: user.isPremium || false,
-          premiumFeatures: user.premiumFeatures || []
+          premiumFeatures: user.premiumFeatures || [],
+          badgeColor
         }
       }
     });
@@ -1710,15 +1882,52 @@ router.post('/:userId/unblock', authenticateToken, async (req, res) => {
 });
 
 // @route   DELETE /api/users/account
-// @desc    Delete user account
+// @desc    Schedule account deletion (runs after a grace period and can be cancelled until then)
 // @access  Private
-router.delete('/account', authenticateToken, async (req, res) => {
+router.delete('/account', authenticateToken, requireUserSession, async (req, res) => {
   try {
-    await User.findByIdAndDelete(req.user._id);
+    const { pinCode, password, reason } = req.body || {};
+
+    // Re-check the account credential (social-only accounts have none to check)
+    const user = await User.findById(req.user._id).select('+pinCode +password');
+    if (user.pinCode || user.password) {
+      const lockoutService = require('../services/lockoutService');
+      const lockout = await lockoutService.reserveAttempt({ identifier: user.email, user, endpoint: 'delete-account', req });
+      if (lockout) {
+        return sendLockoutResponse(res, lockout);
+      }
+
+      const isValid = pinCode && user.pinCode
+        ? await user.comparePinCode(pinCode)
+        : !!(password && user.password && await user.comparePassword(password));
+
+      if (!isValid) {
+        const newLockout = await lockoutService.recordFailure({ identifier: user.email, user, endpoint: 'delete-account', req });
+        if (newLockout) {
+          return sendLockoutResponse(res, newLockout);
+        }
+        return res.status(401).json({
+          success: false,
+          message: 'Please confirm account deletion with your current PIN code or password'
+        });
+      }
+
+      await lockoutService.recordSuccess(user.email, user._id);
+    }
+
+    const accountDeletionService = req.app.get('accountDeletionService');
+    const deletion = await accountDeletionService.scheduleDeletion(user, {
+      requestedBy: 'user',
+      reason: typeof reason === 'string' ? reason.substring(0, 500) : null
+    });
 
     res.status(200).json({
       success: true,
-      message: 'Account deleted successfully'
+      message: `Your account will be permanently deleted on ${deletion.scheduledFor.toDateString()}. Log in and cancel before then to keep it.`,
+      data: {
+        deletionId: deletion._id,
+        scheduledFor: deletion.scheduledFor
+      }
     });
 
   } catch (error) {
@@ -1730,6 +1939,161 @@ router.delete('/account', authenticateToken, async (req, res) => {
   }
 });
 
+// @route   GET /api/users/account/deletion
+// @desc    Get the pending account deletion, if any
+// @access  Private
+router.get('/account/deletion', authenticateToken, requireUserSession, async (req, res) => {
+  try {
+    const AccountDeletion = require('../models/AccountDeletion');
+    const deletion = await AccountDeletion.findOpenForUser(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        pending: !!deletion,
+        scheduledFor: deletion ? deletion.scheduledFor : null,
+        requestedAt: deletion ? deletion.requestedAt : null,
+        canCancel: !!deletion && deletion.status === 'scheduled'
+      }
+    });
+
+  } catch (error) {
+    console.error('Get account deletion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get account deletion status'
+    });
+  }
+});
+
+// @route   POST /api/users/account/cancel-deletion
+// @desc    Cancel a scheduled account deletion during the grace period
+// @access  Private
+router.post('/account/cancel-deletion', authenticateToken, requireUserSession, async (req, res) => {
+  try {
+    const accountDeletionService = req.app.get('accountDeletionService');
+    const cancelled = await accountDeletionService.cancelDeletion(req.user._id);
+
+    if (!cancelled) {
+      return res.status(400).json({
+        success: false,
+        message: 'There is no account deletion to cancel'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Account deletion cancelled. Welcome back!'
+    });
+
+  } catch (error) {
+    console.error('Cancel account deletion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel account deletion'
+    });
+  }
+});
+
+// @route   POST /api/users/me/export
+// @desc    Request a ZIP archive of all personal data (built in the background)
+// @access  Private
+router.post('/me/export', authenticateToken, requireUserSession, async (req, res) => {
+  try {
+    const dataExportService = req.app.get('dataExportService');
+    const { export: dataExport, alreadyQueued } = await dataExportService.requestExport(req.user);
+
+    res.status(202).json({
+      success: true,
+      message: alreadyQueued
+        ? 'Your data export is already being prepared. We will notify you when it is ready.'
+        : 'Your data export is being prepared. We will notify you when it is ready.',
+      data: {
+        exportId: dataExport._id,
+        status: dataExport.status,
+        requestedAt: dataExport.createdAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Request data export error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to request data export'
+    });
+  }
+});
+
+// @route   GET /api/users/me/export
+// @desc    Get the user's recent data exports (with a fresh download link for ready ones)
+// @access  Private
+router.get('/me/export', authenticateToken, requireUserSession, async (req, res) => {
+  try {
+    const DataExport = require('../models/DataExport');
+    const dataExportService = req.app.get('dataExportService');
+
+    const exports = await DataExport.find({ user: req.user._id })
+      .sort({ createdAt: -1 })
+      .limit(5);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        exports: exports.map(dataExport => ({
+          exportId: dataExport._id,
+          status: dataExport.status,
+          requestedAt: dataExport.createdAt,
+          completedAt: dataExport.completedAt,
+          expiresAt: dataExport.expiresAt,
+          fileSize: dataExport.fileSize,
+          counts: dataExport.counts,
+          downloadUrl: dataExport.isDownloadable() ? dataExportService.buildDownloadLink(dataExport) : null
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get data exports error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get data exports'
+    });
+  }
+});
+
+// @route   GET /api/users/me/export/download
+// @desc    Download a data export archive (signed, time-limited link from the notification/email)
+// @access  Public (token in query)
+router.get('/me/export/download', async (req, res) => {
+  try {
+    const dataExportService = req.app.get('dataExportService');
+    const dataExport = req.query.token
+      ? await dataExportService.getDownloadableExport(req.query.token)
+      : null;
+
+    if (!dataExport) {
+      return res.status(410).json({
+        success: false,
+        message: 'This download link is invalid or has expired. Please request a new export.'
+      });
+    }
+
+    dataExport.downloadCount += 1;
+    dataExport.lastDownloadedAt = new Date();
+    await dataExport.save();
+
+    const fileName = `FreeTalk_data_export_${dataExport.completedAt.toISOString().split('T')[0]}.zip`;
+    res.download(dataExport.filePath, fileName);
+
+  } catch (error) {
+    console.error('Download data export error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to download data export'
+    });
+  }
+});
+
 // @route   POST /api/users/:userId/visit
 // @desc    Record a profile visit
 // @access  Private
@@ -1755,6 +2119,14 @@ router.post('/:userId/visit', authenticateToken, async (req, res) => {
       });
     }
 
+    // Ghost mode: the owner never learns about the visit
+    if (await entitlementService.isGhostModeActive(req.user, req)) {
+      return res.status(200).json({
+        success: true,
+        message: 'Visit not recorded (ghost mode)'
+      });
+    }
+
     const ProfileVisitor = require('../models/ProfileVisitor');
 
     // Record the visit (allows multiple visits from same user)
@@ -6,7 +6,13 @@ const Notification = require('../models/Notification');
 const { authenticateToken } = require('../middleware/auth');
 const { optionalAuth } = require('../middleware/optionalAuth');
 const checkSuspension = require('../middleware/checkSuspension');
+const requireFeature = require('../middleware/requireFeature');
+const paginate = require('../middleware/pagination');
+const { afterCursor, buildPage } = require('../utils/pagination');
+const entitlementService = require('../services/entitlementService');
 const upload = require('../config/multer');
+const checkStorageQuota = require('../middleware/checkStorageQuota');
+const storageService = require('../services/storageService');
 
 const router = express.Router();
 
@@ -40,11 +46,11 @@ const commentValidation = [
 // @route   GET /api/videos
 // @desc    Get all videos (feed)
 // @access  Public (with optional authentication)
-router.get('/', optionalAuth, async (req, res) => {
+router.get('/', optionalAuth, paginate({ defaultLimit: 10 }), async (req, res) => {
   try {
-    const { page = 1, limit = 10 } = req.query;
+    const { mode, page, limit } = req.pagination;
 
-    console.log(`📹 GET /api/videos - User: ${req.user?._id || 'Anonymous'}, Page: ${page}, Limit: ${limit}`);
+    console.log(`📹 GET /api/videos - User: ${req.user?._id || 'Anonymous'}, ${mode === 'cursor' ? 'Cursor' : `Page: ${page}`}, Limit: ${limit}`);
 
     // Get blocked user relationships (if user is authenticated)
     let blockedUserIds = [];
@@ -63,8 +69,7 @@ router.get('/', optionalAuth, async (req, res) => {
     console.log('📹 Fetching video feed...');
     const result = await Video.getFeed({
       userId: req.user?._id,
-      page: parseInt(page),
-      limit: parseInt(limit),
+      pagination: req.pagination,
       excludeBlockedUsers: blockedUserIds
     });
 
@@ -224,9 +229,9 @@ router.get('/top', optionalAuth, async (req, res) => {
 // @route   GET /api/videos/search
 // @desc    Search videos by title or description
 // @access  Public (with optional authentication)
-router.get('/search', optionalAuth, async (req, res) => {
+router.get('/search', optionalAuth, paginate(), async (req, res) => {
   try {
-    const { q, page = 1, limit = 20 } = req.query;
+    const { q } = req.query;
     
     if (!q || q.trim().length === 0) {
       return res.status(400).json({
@@ -235,7 +240,6 @@ router.get('/search', optionalAuth, async (req, res) => {
       });
     }
 
-    const skip = (parseInt(page) - 1) * parseInt(limit);
     const searchQuery = q.trim();
 
     // Get blocked user relationships (if user is authenticated)
@@ -263,19 +267,19 @@ router.get('/search', optionalAuth, async (req, res) => {
       searchCriteria.author = { $nin: blockedUserIds };
     }
     
-    const videos = await Video.find(searchCriteria)
+    const videos = await Video.find(afterCursor(searchCriteria, req.pagination))
       .populate('author', 'name email avatar')
       .populate('taggedUsers', 'name email avatar isPremium premiumFeatures')
-      .sort({ createdAt: -1 })
-      .limit(parseInt(limit))
-      .skip(skip)
+      .sort(req.pagination.sort)
+      .skip(req.pagination.skip)
+      .limit(req.pagination.limit + 1)
       .lean();
 
     // Get total count for pagination
-    const total = await Video.countDocuments(searchCriteria);
+    const { items, pageInfo } = await buildPage(videos, req.pagination, () => Video.countDocuments(searchCriteria));
 
     // Format videos with metadata
-    const formattedVideos = videos.map(video => ({
+    const formattedVideos = items.map(video => ({
       ...video,
       isLiked: req.user ? (video.likes?.some(like => like.user.toString() === req.user._id.toString()) || false) : false,
       isViewed: req.user ? (video.views?.some(view => view.user.toString() === req.user._id.toString()) || false) : false,
@@ -287,18 +291,13 @@ router.get('/search', optionalAuth, async (req, res) => {
       comments: undefined
     }));
 
-    console.log(`🔍 Search for "${searchQuery}" found ${videos.length} videos`);
+    console.log(`🔍 Search for "${searchQuery}" found ${items.length} videos`);
 
     res.status(200).json({
       success: true,
       data: {
         videos: formattedVideos,
-        pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total,
-          pages: Math.ceil(total / parseInt(limit))
-        },
+        pagination: pageInfo,
         query: searchQuery
       }
     });
@@ -314,10 +313,8 @@ router.get('/search', optionalAuth, async (req, res) => {
 // @route   GET /api/videos/user/:userId
 // @desc    Get videos by specific user
 // @access  Public (with optional authentication)
-router.get('/user/:userId', optionalAuth, async (req, res) => {
+router.get('/user/:userId', optionalAuth, paginate(), async (req, res) => {
   try {
-    const { page = 1, limit = 20 } = req.query;
-
     // Validate userId format
     if (!req.params.userId.match(/^[0-9a-fA-F]{24}$/)) {
       return res.status(400).json({
@@ -327,8 +324,7 @@ router.get('/user/:userId', optionalAuth, async (req, res) => {
     }
 
     const result = await Video.getUserVideos(req.params.userId, {
-      page: parseInt(page),
-      limit: parseInt(limit)
+      pagination: req.pagination
     });
 
     // Format videos
@@ -413,7 +409,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
 // @route   POST /api/videos
 // @desc    Upload a new video
 // @access  Private
-router.post('/', authenticateToken, checkSuspension, upload.single('video'), createVideoValidation, async (req, res) => {
+router.post('/', authenticateToken, checkSuspension, upload.single('video'), checkStorageQuota, createVideoValidation, async (req, res) => {
   try {
     // Check if user is authenticated
     if (!req.user || !req.user._id) {
@@ -539,6 +535,7 @@ router.post('/', authenticateToken, checkSuspension, upload.single('video'), cre
     });
 
     await video.save();
+    await storageService.record(req.user._id, 'video', video._id, [req.file]);
 
     // Populate author and tagged users
     await video.populate('author', 'name email avatar');
@@ -645,8 +642,9 @@ router.post('/:id/view', optionalAuth, async (req, res) => {
     }
 
     // If user is authenticated, track individual views
-    // If not authenticated, just increment view count
-    if (req.user) {
+    // If not authenticated (or in ghost mode), just increment view count
+    const ghostMode = await entitlementService.isGhostModeActive(req.user, req);
+    if (req.user && !ghostMode) {
       // Check if user has already viewed the video
       const hasViewed = video.views.some(view => 
         view.user && view.user.toString() === req.user._id.toString()
@@ -673,7 +671,7 @@ router.post('/:id/view', optionalAuth, async (req, res) => {
       }
     } else {
       // Anonymous view - just increment counter without tracking user
-      console.log(`👁️ Anonymous user viewed video ${video._id}`);
+      console.log(`👁️ ${ghostMode ? 'Ghost mode' : 'Anonymous'} user viewed video ${video._id}`);
       // We still track it in the views array but without a user ID
       // This allows consistent view counting
       video.views.push({
@@ -970,6 +968,7 @@ router.delete('/:id', authenticateToken, async (req, res) => {
     // Soft delete
     video.isDeleted = true;
     await video.save();
+    await storageService.release('video', video._id);
 
     console.log(`🗑️ Video ${video._id} deleted by ${req.user.name}`);
 
@@ -996,8 +995,8 @@ router.delete('/:id', authenticateToken, async (req, res) => {
 
 // @route   GET /api/videos/:id/download
 // @desc    Download a video file with proper headers
-// @access  Public (videos are publicly accessible)
-router.get('/:id/download', async (req, res) => {
+// @access  Private (Premium: video_downloads)
+router.get('/:id/download', authenticateToken, requireFeature('video_downloads'), async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -1059,7 +1058,7 @@ router.get('/:id/download', async (req, res) => {
     res.setHeader('Content-Length', fileSize);
     res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
     res.setHeader('Accept-Ranges', 'bytes');
-    res.setHeader('Cache-Control', 'public, max-age=86400');
+    res.setHeader('Cache-Control', 'private, max-age=86400');
     res.setHeader('Access-Control-Allow-Origin', '*');
     res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin');
 
@@ -0,0 +1,62 @@
+/**
+ * Migration Script: Treat accounts from before email verification as verified
+ *
+ * Email verification added emailVerified (default false), and payments and club creation
+ * require it. Accounts that existed before then never had the chance to verify, so this
+ * script marks them verified as of their sign-up date. Run it once when deploying email
+ * verification; if it runs later, pass the deployment time so accounts created since then
+ * still have to verify. Accounts that are already verified are left alone, so the script
+ * can be run more than once.
+ *
+ * Usage: node scripts/backfill-email-verified.js [--before=2026-10-19T18:55:00Z] [--dry-run]
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+function parseBefore(argv) {
+  const arg = argv.find(a => a.startsWith('--before='));
+  if (!arg) return new Date();
+
+  const before = new Date(arg.slice('--before='.length));
+  if (isNaN(before)) {
+    console.error('❌ --before must be a date, e.g. --before=2026-10-19T18:55:00Z');
+    process.exit(1);
+  }
+  return before;
+}
+
+async function backfillEmailVerified(before, dryRun = false) {
+  try {
+    console.log(`🔄 Marking accounts created before ${before.toISOString()} as verified...\n`);
+
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('📦 Connected to MongoDB\n');
+
+    const query = { emailVerified: { $ne: true }, createdAt: { $lt: before } };
+    const count = await User.countDocuments(query);
+    console.log(`Found ${count} unverified accounts from before email verification\n`);
+
+    let updated = 0;
+    if (!dryRun && count > 0) {
+      // Verified as of sign-up; the pipeline update reads each account's own createdAt
+      const result = await User.updateMany(query, [
+        { $set: { emailVerified: true, emailVerifiedAt: { $ifNull: ['$createdAt', '$$NOW'] } } }
+      ]);
+      updated = result.modifiedCount;
+    }
+
+    console.log(`\n📊 Backfill Summary${dryRun ? ' [DRY RUN]' : ''}:`);
+    console.log('─────────────────────────────────');
+    console.log(`  Accounts marked verified: ${dryRun ? count : updated}`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Backfill failed:', error);
+    process.exit(1);
+  }
+}
+
+backfillEmailVerified(parseBefore(process.argv), process.argv.includes('--dry-run'));
@@ -0,0 +1,135 @@
+/**
+ * Migration Script: Extract hashtags from existing posts and count their use
+ *
+ * Posts created before hashtags were tracked have no hashtags field, so they don't show up
+ * in hashtag feeds. This script sets it on those posts, then recounts every hashtag's use in
+ * public posts, comments on them and discussions in public clubs, including the hourly usage
+ * of the last 30 days that trending is based on. Counts are replaced rather than added to,
+ * so the script can be run more than once; followers of a hashtag are kept.
+ *
+ * Usage: node scripts/backfill-hashtags.js [--dry-run]
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Post = require('../models/Post');
+const Club = require('../models/Club');
+const Hashtag = require('../models/Hashtag');
+const HashtagUsage = require('../models/HashtagUsage');
+const { extractHashtags } = require('../utils/hashtags');
+
+const HOUR = 60 * 60 * 1000;
+const USAGE_WINDOW = 30 * 24 * HOUR;
+const USE_FIELDS = { post: 'postUses', comment: 'commentUses', discussion: 'discussionUses' };
+
+// Every public use of a hashtag: { kind, userId, at, text }
+async function* findUses() {
+  for await (const post of Post.find({ visibility: 'public' }).select('author content reshareCaption comments createdAt').cursor()) {
+    yield { kind: 'post', userId: post.author, at: post.createdAt, text: [post.content, post.reshareCaption].filter(Boolean).join('\n') };
+    for (const comment of post.comments) {
+      yield { kind: 'comment', userId: comment.user, at: comment.createdAt, text: comment.content };
+      for (const reply of comment.replies || []) {
+        yield { kind: 'comment', userId: reply.user, at: reply.createdAt, text: reply.content };
+        for (const nested of reply.replies || []) {
+          yield { kind: 'comment', userId: nested.user, at: nested.createdAt, text: nested.content };
+        }
+      }
+    }
+  }
+  for await (const club of Club.find({ type: 'public' }).select('discussions').cursor()) {
+    for (const discussion of club.discussions) {
+      if (discussion.isDeleted) continue;
+      yield { kind: 'discussion', userId: discussion.author, at: discussion.createdAt, text: discussion.content };
+    }
+  }
+}
+
+async function backfillHashtags(dryRun = false) {
+  try {
+    console.log('🔄 Starting hashtag backfill...\n');
+
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('📦 Connected to MongoDB\n');
+
+    let postsUpdated = 0;
+    let errors = 0;
+
+    // 1. The hashtags field on posts that don't have it yet
+    for await (const post of Post.find({ hashtags: { $exists: false } }).select('content reshareCaption').cursor()) {
+      try {
+        const hashtags = extractHashtags([post.content, post.reshareCaption].filter(Boolean).join('\n'));
+        if (!dryRun) {
+          await Post.updateOne({ _id: post._id }, { $set: { hashtags } }, { timestamps: false });
+        }
+        postsUpdated++;
+      } catch (error) {
+        console.error(`  ❌ Error updating post ${post._id}:`, error.message);
+        errors++;
+      }
+    }
+
+    // 2. Totals per tag, and hourly usage for the last 30 days
+    const usageSince = new Date(Date.now() - USAGE_WINDOW);
+    const totals = new Map();
+    const hours = new Map();
+
+    for await (const use of findUses()) {
+      const at = use.at || new Date(0);
+      for (const tag of extractHashtags(use.text)) {
+        const total = totals.get(tag) || { postUses: 0, commentUses: 0, discussionUses: 0, totalUses: 0, firstUsedAt: at, lastUsedAt: at };
+        total[USE_FIELDS[use.kind]]++;
+        total.totalUses++;
+        if (at < total.firstUsedAt) total.firstUsedAt = at;
+        if (at > total.lastUsedAt) total.lastUsedAt = at;
+        totals.set(tag, total);
+
+        if (at >= usageSince && use.userId) {
+          const bucket = new Date(Math.floor(at.getTime() / HOUR) * HOUR);
+          const key = `${tag}|${bucket.getTime()}`;
+          const hour = hours.get(key) || { tag, bucket, count: 0, users: new Set() };
+          hour.count++;
+          hour.users.add(use.userId.toString());
+          hours.set(key, hour);
+        }
+      }
+    }
+
+    if (!dryRun) {
+      for (const [tag, total] of totals) {
+        try {
+          await Hashtag.updateOne({ tag }, { $set: total }, { upsert: true });
+        } catch (error) {
+          console.error(`  ❌ Error counting #${tag}:`, error.message);
+          errors++;
+        }
+      }
+      for (const hour of hours.values()) {
+        try {
+          await HashtagUsage.updateOne(
+            { tag: hour.tag, bucket: hour.bucket },
+            { $set: { count: hour.count, users: [...hour.users].map(id => new mongoose.Types.ObjectId(id)) } },
+            { upsert: true }
+          );
+        } catch (error) {
+          console.error(`  ❌ Error recording usage of #${hour.tag}:`, error.message);
+          errors++;
+        }
+      }
+    }
+
+    console.log(`\n📊 Backfill Summary${dryRun ? ' [DRY RUN]' : ''}:`);
+    console.log('─────────────────────────────────');
+    console.log(`  Posts given hashtags: ${postsUpdated}`);
+    console.log(`  Hashtags counted: ${totals.size}`);
+    console.log(`  Hourly usage records: ${hours.size}`);
+    console.log(`  Errors: ${errors}`);
+
+    process.exit(errors > 0 ? 1 : 0);
+  } catch (error) {
+    console.error('❌ Backfill failed:', error);
+    process.exit(1);
+  }
+}
+
+backfillHashtags(process.argv.includes('--dry-run'));
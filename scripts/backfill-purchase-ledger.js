@@ -0,0 +1,129 @@
+/**
+ * Migration Script: Add existing payments to the purchase ledger
+ *
+ * Before the Purchase ledger, Stripe payments were kept in user.paymentHistory and app
+ * store purchases only as EntitlementGrants. This script records both as Purchases so
+ * payment history, refunds and store notifications can find them. Entries already in
+ * the ledger are skipped, so the script can be run more than once.
+ *
+ * Google Play grants were keyed by order ID, not purchase token, so their notifications
+ * still won't match until the app verifies the purchase again.
+ *
+ * Usage: node scripts/backfill-purchase-ledger.js [--dry-run]
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Purchase = require('../models/Purchase');
+const EntitlementGrant = require('../models/EntitlementGrant');
+const { PREMIUM_TIERS, IAP_PRODUCTS } = require('../config/premiumTiers');
+
+// Tier named in a legacy payment ('Premium Plus' or 'Plus subscription')
+const tierFromFeature = (feature) => Object.keys(PREMIUM_TIERS).find(tier =>
+  new RegExp(`\\b${PREMIUM_TIERS[tier].name}\\b`, 'i').test(feature || '')) || null;
+
+const LEGACY_STATUSES = { completed: 'completed', failed: 'failed', refunded: 'refunded' };
+
+async function backfillPurchaseLedger(dryRun = false) {
+  try {
+    console.log('🔄 Starting purchase ledger backfill...\n');
+
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('📦 Connected to MongoDB\n');
+
+    let payments = 0;
+    let storePurchases = 0;
+    let skipped = 0;
+    let errors = 0;
+
+    // Stripe payments from user.paymentHistory
+    const users = User.find({ 'paymentHistory.0': { $exists: true } }).select('paymentHistory').cursor();
+    for await (const user of users) {
+      for (const payment of user.paymentHistory) {
+        try {
+          const status = LEGACY_STATUSES[payment.status];
+          if (!payment.transactionId || !status
+            || await Purchase.exists({ store: 'stripe', transactionId: payment.transactionId })) {
+            skipped++;
+            continue;
+          }
+
+          const tier = tierFromFeature(payment.feature);
+          const subscription = payment.paymentMethod === 'stripe_subscription';
+          if (!dryRun) {
+            await Purchase.create({
+              user: user._id,
+              store: 'stripe',
+              type: subscription ? 'subscription' : 'one_time',
+              productId: tier,
+              tier,
+              features: tier ? [...PREMIUM_TIERS[tier].features] : [],
+              transactionId: payment.transactionId,
+              paymentIntentId: payment.transactionId.startsWith('pi_') ? payment.transactionId : null,
+              amount: payment.amount,
+              currency: payment.currency,
+              status,
+              purchasedAt: payment.purchasedAt,
+              reversedAt: status === 'refunded' ? payment.purchasedAt : null
+            });
+          }
+          payments++;
+        } catch (error) {
+          console.error(`  ❌ Error recording payment ${payment.transactionId}:`, error.message);
+          errors++;
+        }
+      }
+    }
+
+    // App store purchases that only exist as grants
+    const grants = EntitlementGrant.find({ source: 'iap' }).cursor();
+    for await (const grant of grants) {
+      try {
+        if (!grant.reference || await Purchase.exists({ grant: grant._id })) {
+          skipped++;
+          continue;
+        }
+
+        const product = IAP_PRODUCTS[grant.productId] || {};
+        const store = grant.reference.startsWith('GPA.') ? 'play_store' : 'app_store';
+        if (!dryRun) {
+          await Purchase.create({
+            user: grant.user,
+            store,
+            type: product.type || (grant.tier ? 'subscription' : 'one_time'),
+            productId: grant.productId,
+            tier: grant.tier,
+            features: grant.features,
+            transactionId: grant.reference,
+            originalTransactionId: store === 'app_store' ? grant.reference : null,
+            status: grant.revokedAt ? 'revoked' : 'completed',
+            purchasedAt: grant.createdAt,
+            expiresAt: grant.expiresAt,
+            reversedAt: grant.revokedAt,
+            grant: grant._id
+          });
+        }
+        storePurchases++;
+      } catch (error) {
+        console.error(`  ❌ Error recording grant ${grant._id}:`, error.message);
+        errors++;
+      }
+    }
+
+    console.log(`\n📊 Backfill Summary${dryRun ? ' [DRY RUN]' : ''}:`);
+    console.log('─────────────────────────────────');
+    console.log(`  Stripe payments recorded: ${payments}`);
+    console.log(`  App store purchases recorded: ${storePurchases}`);
+    console.log(`  Skipped: ${skipped}`);
+    console.log(`  Errors: ${errors}`);
+
+    process.exit(errors > 0 ? 1 : 0);
+  } catch (error) {
+    console.error('❌ Backfill failed:', error);
+    process.exit(1);
+  }
+}
+
+backfillPurchaseLedger(process.argv.includes('--dry-run'));
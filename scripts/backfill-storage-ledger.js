@@ -0,0 +1,127 @@
+/**
+ * Migration Script: Add existing uploads to the storage ledger
+ *
+ * Content uploaded before storage quotas were introduced has no StorageEntry, so it
+ * doesn't count towards anyone's quota. This script records every local upload that
+ * still exists on disk, then drops the users' running storage totals so they are
+ * counted again from the ledger on their next upload. Content that already has ledger
+ * entries is skipped, so the script can be run more than once.
+ *
+ * Usage: node scripts/backfill-storage-ledger.js [--dry-run]
+ */
+
+require('dotenv').config();
+const path = require('path');
+const fs = require('fs');
+const mongoose = require('mongoose');
+const Post = require('../models/Post');
+const Video = require('../models/Video');
+const Photo = require('../models/Photo');
+const Story = require('../models/Story');
+const Message = require('../models/Message');
+const Club = require('../models/Club');
+const MusicTrack = require('../models/MusicTrack');
+const StorageEntry = require('../models/StorageEntry');
+const StorageUsage = require('../models/StorageUsage');
+
+// Local file behind an upload URL ('/uploads/x', 'uploads/clubs/x' or a full URL), or null
+function localFile(url) {
+  if (!url || typeof url !== 'string') return null;
+  const index = url.indexOf('uploads/');
+  if (index === -1) return null;
+
+  const filePath = path.join(__dirname, '..', url.slice(index));
+  if (!fs.existsSync(filePath)) return null;
+
+  return { fileName: path.basename(filePath), bytes: fs.statSync(filePath).size };
+}
+
+// Every piece of content with uploaded files: { user, contentType, contentId, urls }
+async function* findUploads() {
+  for await (const post of Post.find({ $or: [{ 'images.0': { $exists: true } }, { 'videos.0': { $exists: true } }] }).select('author images videos').cursor()) {
+    yield { user: post.author, contentType: 'post', contentId: post._id, urls: [...post.images, ...post.videos] };
+  }
+  for await (const video of Video.find({ isDeleted: { $ne: true } }).select('author videoUrl').cursor()) {
+    yield { user: video.author, contentType: 'video', contentId: video._id, urls: [video.videoUrl] };
+  }
+  for await (const photo of Photo.find().select('owner imageUrl').cursor()) {
+    yield { user: photo.owner, contentType: 'photo', contentId: photo._id, urls: [photo.imageUrl] };
+  }
+  for await (const story of Story.find({ mediaType: { $in: ['image', 'video'] } }).select('author mediaUrl').cursor()) {
+    yield { user: story.author, contentType: 'story', contentId: story._id, urls: [story.mediaUrl] };
+  }
+  for await (const message of Message.find({ mediaUrl: { $ne: null }, isDeleted: { $ne: true } }).select('sender mediaUrl').cursor()) {
+    yield { user: message.sender, contentType: 'message', contentId: message._id, urls: [message.mediaUrl] };
+  }
+  for await (const track of MusicTrack.find({ source: 'user', isDeleted: { $ne: true } }).select('uploadedBy url').cursor()) {
+    yield { user: track.uploadedBy, contentType: 'music', contentId: track._id, urls: [track.url] };
+  }
+  for await (const club of Club.find().select('files discussions').cursor()) {
+    for (const file of club.files) {
+      yield { user: file.uploadedBy, contentType: 'club_file', contentId: file._id, urls: [file.fileUrl] };
+    }
+    for (const discussion of club.discussions) {
+      if (discussion.isDeleted || !discussion.media || discussion.media.length === 0) continue;
+      yield { user: discussion.author, contentType: 'club_file', contentId: discussion._id, urls: discussion.media.map(item => item.url) };
+    }
+  }
+}
+
+async function backfillStorageLedger(dryRun = false) {
+  try {
+    console.log('🔄 Starting storage ledger backfill...\n');
+
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('📦 Connected to MongoDB\n');
+
+    const totals = {};
+    let skipped = 0;
+    let errors = 0;
+
+    for await (const upload of findUploads()) {
+      try {
+        if (await StorageEntry.exists({ contentType: upload.contentType, contentId: upload.contentId })) {
+          skipped++;
+          continue;
+        }
+
+        const entries = upload.urls
+          .map(localFile)
+          .filter(Boolean)
+          .map(file => ({ user: upload.user, contentType: upload.contentType, contentId: upload.contentId, ...file }));
+        if (entries.length === 0) continue;
+
+        if (!dryRun) {
+          await StorageEntry.insertMany(entries);
+        }
+
+        const total = totals[upload.contentType] || (totals[upload.contentType] = { files: 0, bytes: 0 });
+        total.files += entries.length;
+        total.bytes += entries.reduce((sum, entry) => sum + entry.bytes, 0);
+      } catch (error) {
+        console.error(`  ❌ Error recording ${upload.contentType} ${upload.contentId}:`, error.message);
+        errors++;
+      }
+    }
+
+    // Totals started before the backfill don't include the files it added
+    const recount = dryRun ? 0 : (await StorageUsage.deleteMany({})).deletedCount;
+
+    console.log(`\n📊 Backfill Summary${dryRun ? ' [DRY RUN]' : ''}:`);
+    console.log('─────────────────────────────────');
+    for (const [contentType, total] of Object.entries(totals)) {
+      console.log(`  ${contentType}: ${total.files} files, ${(total.bytes / (1024 * 1024)).toFixed(1)}MB`);
+    }
+    console.log(`  Already recorded: ${skipped}`);
+    console.log(`  Storage totals to recount: ${recount}`);
+    console.log(`  Errors: ${errors}`);
+
+    process.exit(errors > 0 ? 1 : 0);
+  } catch (error) {
+    console.error('❌ Backfill failed:', error);
+    process.exit(1);
+  }
+}
+
+backfillStorageLedger(process.argv.includes('--dry-run'));
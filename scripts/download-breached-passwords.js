@@ -0,0 +1,78 @@
+/**
+ * Script to download the breached password list used by passphrase checks
+ *
+ * services/passphraseService.js rejects passphrases found in a list of common and
+ * breached passwords. Only a small fallback list is committed (data/common-passwords.txt);
+ * the full list is fetched by this script at deploy time, from the "10 million password
+ * list" in OWASP SecLists (https://github.com/danielmiessler/SecLists, CC BY-SA 3.0), which
+ * is ordered from most to least common. The first --limit entries are kept, lowercased and
+ * without duplicates. Restart the API afterwards so it reloads the list.
+ *
+ * Usage: node scripts/download-breached-passwords.js [--limit=100000] [--output=path] [--url=...]
+ *   (--output defaults to BREACHED_PASSWORDS_FILE, else data/breached-passwords.txt)
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const axios = require('axios');
+
+const DEFAULT_URL = 'https://raw.githubusercontent.com/danielmiessler/SecLists/master/Passwords/Common-Credentials/10-million-password-list-top-1000000.txt';
+const DEFAULT_LIMIT = 100000;
+const DEFAULT_OUTPUT = path.join(__dirname, '..', 'data', 'breached-passwords.txt');
+
+function readOption(argv, name) {
+  const arg = argv.find(a => a.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : null;
+}
+
+async function downloadBreachedPasswords({ url, limit, output }) {
+  try {
+    console.log(`🔄 Downloading the ${limit} most common passwords from ${url}...\n`);
+
+    const response = await axios.get(url, { responseType: 'stream', timeout: 60000 });
+    const lines = readline.createInterface({ input: response.data, crlfDelay: Infinity });
+
+    const entries = new Set();
+    for await (const line of lines) {
+      const entry = line.trim().toLowerCase();
+      if (entry && !entry.startsWith('#')) entries.add(entry);
+      if (entries.size >= limit) break;
+    }
+    response.data.destroy();
+
+    if (entries.size === 0) {
+      console.error('❌ The downloaded list is empty');
+      process.exit(1);
+    }
+
+    // Written next to the target and renamed, so a running API never reads half a file
+    const partial = `${output}.partial`;
+    fs.mkdirSync(path.dirname(output), { recursive: true });
+    fs.writeFileSync(partial, [
+      `# ${entries.size} most common passwords from ${url}`,
+      `# Downloaded ${new Date().toISOString()} by scripts/download-breached-passwords.js`,
+      ...entries
+    ].join('\n') + '\n');
+    fs.renameSync(partial, output);
+
+    console.log('📊 Download Summary:');
+    console.log('─────────────────────────────────');
+    console.log(`  Passwords saved: ${entries.size}`);
+    console.log(`  File: ${output}`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Download failed:', error.message);
+    process.exit(1);
+  }
+}
+
+const limit = parseInt(readOption(process.argv, 'limit'), 10) || DEFAULT_LIMIT;
+
+downloadBreachedPasswords({
+  url: readOption(process.argv, 'url') || DEFAULT_URL,
+  limit,
+  output: readOption(process.argv, 'output') || process.env.BREACHED_PASSWORDS_FILE || DEFAULT_OUTPUT
+});
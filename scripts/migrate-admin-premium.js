@@ -0,0 +1,86 @@
+/**
+ * Migration Script: Turn premium set by admins into admin grants
+ *
+ * Before entitlements, PATCH /api/admin/users/:userId/status only set isPremium, with no
+ * tier, features or expiry. Entitlements ignore the flag on its own, so these users would
+ * lose premium the next time they are checked (and the nightly reconcile switches the flag
+ * off). This script gives each of them a non-expiring admin grant for their tier (Pro, what
+ * admins grant now, if none is set). Run it before deploying entitlements. Users whose premium
+ * already comes from a purchase, subscription or grant are left alone, so the script can be
+ * run more than once.
+ *
+ * Usage: node scripts/migrate-admin-premium.js [--dry-run]
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Subscription = require('../models/Subscription');
+const EntitlementGrant = require('../models/EntitlementGrant');
+const entitlementService = require('../services/entitlementService');
+const { isValidTier } = require('../config/premiumTiers');
+
+async function migrateAdminPremium(dryRun = false) {
+  try {
+    console.log('🔄 Starting migration of admin-set premium...\n');
+
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('📦 Connected to MongoDB\n');
+
+    const now = new Date();
+    let migrated = 0;
+    let skipped = 0;
+    let errors = 0;
+
+    // Flagged premium without a purchase that runs out (an expired purchase is left to lapse)
+    const users = User.find({
+      isPremium: true,
+      $or: [
+        { premiumExpiresAt: null },
+        { premiumFeatures: { $size: 0 }, premiumExpiresAt: { $gt: now } }
+      ]
+    }).select('name email isPremium premiumTier premiumFeatures premiumExpiresAt').cursor();
+
+    for await (const user of users) {
+      try {
+        const [subscription, grants] = await Promise.all([
+          Subscription.findCurrentForUser(user._id),
+          EntitlementGrant.findActiveForUser(user._id, now)
+        ]);
+        if ((subscription && subscription.grantsPremium(now)) || grants.length > 0) {
+          skipped++;
+          continue;
+        }
+
+        const tier = isValidTier(user.premiumTier) ? user.premiumTier : 'pro';
+        console.log(`  ✨ ${user.email}: admin grant (${tier})`);
+
+        if (!dryRun) {
+          await entitlementService.grant(user, {
+            source: 'admin',
+            tier,
+            note: 'Premium set by an admin before entitlements'
+          });
+        }
+        migrated++;
+      } catch (error) {
+        console.error(`  ❌ Error migrating user ${user._id}:`, error.message);
+        errors++;
+      }
+    }
+
+    console.log(`\n📊 Migration Summary${dryRun ? ' [DRY RUN]' : ''}:`);
+    console.log('─────────────────────────────────');
+    console.log(`  Admin grants created: ${migrated}`);
+    console.log(`  Already entitled: ${skipped}`);
+    console.log(`  Errors: ${errors}`);
+
+    process.exit(errors > 0 ? 1 : 0);
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exit(1);
+  }
+}
+
+migrateAdminPremium(process.argv.includes('--dry-run'));
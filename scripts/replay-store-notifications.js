@@ -0,0 +1,211 @@
+/**
+ * Script to replay App Store and Google Play server notifications against a running API
+ *
+ * First links an App Store subscription and one-time purchase and a Google Play
+ * subscription and one-time purchase to the user, as /api/iap/verify-purchase would.
+ * Then posts the fixtures in scripts/fixtures/app-store and scripts/fixtures/play-store
+ * in order: renewal, billing grace period, refund, reversed refund, expiry and Family
+ * Sharing revocation on the App Store; cancellation, expiry, revocation and a voided
+ * purchase on Google Play. The user's premium state and purchases are printed after
+ * every notification, and one notification per store is delivered twice to check
+ * duplicates are ignored.
+ *
+ * App Store fixtures are signed with the test certificate chain in
+ * scripts/fixtures/app-store/certs, so the API must trust its root:
+ *   APPLE_ROOT_CA_FINGERPRINTS=80:BA:B9:D8:7F:FD:12:FC:44:BC:59:EA:B5:9F:3D:3B:7E:F9:4C:EB:1A:7D:80:99:19:12:39:10:4C:40:CE:80
+ * Never set that in production.
+ *
+ * Usage:
+ *   API_URL=http://localhost:5000 node scripts/replay-store-notifications.js <email_or_userId>
+ *   (needs MONGODB_URI, GOOGLE_RTDN_TOKEN and APPLE_BUNDLE_ID to match the API's .env,
+ *   which must also set APP_STORE_NOTIFICATIONS_ENABLED=true)
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Purchase = require('../models/Purchase');
+const EntitlementGrant = require('../models/EntitlementGrant');
+const purchaseService = require('../services/purchaseService');
+
+const API_URL = (process.env.API_URL || 'http://localhost:5000').replace(/\/$/, '');
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const CERTS_DIR = path.join(FIXTURES_DIR, 'app-store', 'certs');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Fill in the placeholders of a fixture: numeric ones replace the whole quoted value
+const fillPlaceholders = (text, values) => text.replace(/"\{\{(\w+)\}\}"|\{\{(\w+)\}\}/g, (match, quoted, inline) => {
+  const key = quoted || inline;
+  if (!(key in values)) throw new Error(`No value for placeholder ${key}`);
+  return quoted ? JSON.stringify(values[key]) : String(values[key]);
+});
+
+const readFixtures = (store) => {
+  const dir = path.join(FIXTURES_DIR, store);
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .map(file => ({ file, text: fs.readFileSync(path.join(dir, file), 'utf8') }));
+};
+
+// Sign like the App Store does: ES256 JWS with the certificate chain in the x5c header
+const appleSigner = () => {
+  const x5c = ['leaf', 'intermediate', 'root'].map(name =>
+    new crypto.X509Certificate(fs.readFileSync(path.join(CERTS_DIR, `${name}.pem`))).raw.toString('base64'));
+  const key = fs.readFileSync(path.join(CERTS_DIR, 'leaf.key'));
+  return (payload) => jwt.sign(payload, key, { algorithm: 'ES256', header: { x5c }, noTimestamp: true });
+};
+
+const printState = async (userId, originalTransactionIds) => {
+  const [user, grants, purchases] = await Promise.all([
+    User.findById(userId).select('isPremium premiumTier premiumFeatures').lean(),
+    EntitlementGrant.countDocuments({ user: userId, source: 'iap', revokedAt: null, $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }] }),
+    Purchase.find({ user: userId, originalTransactionId: { $in: originalTransactionIds } }).sort({ purchasedAt: 1 }).lean()
+  ]);
+
+  console.log(`   User: isPremium=${user.isPremium}, tier=${user.premiumTier || '-'}, `
+    + `features=${user.premiumFeatures.join(',') || '-'}, active store grants=${grants}`);
+  console.log(`   Purchases: ${purchases.map(p => `${p.productId.replace('com.freetalk.', '')}/${p.store}=${p.status}`).join(', ') || 'none'}`);
+};
+
+async function replayNotifications() {
+  try {
+    const identifier = process.argv[2];
+
+    if (!identifier) {
+      console.error('❌ Error: Please provide an email or user ID');
+      console.log('Usage: node scripts/replay-store-notifications.js <email_or_userId>');
+      process.exit(1);
+    }
+    if (!process.env.GOOGLE_RTDN_TOKEN) {
+      console.error('❌ Error: GOOGLE_RTDN_TOKEN must be set');
+      process.exit(1);
+    }
+    if (!process.env.APPLE_BUNDLE_ID) {
+      console.error('❌ Error: APPLE_BUNDLE_ID must be set');
+      process.exit(1);
+    }
+
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('📦 Connected to MongoDB');
+
+    const query = identifier.includes('@')
+      ? { email: identifier }
+      : { _id: identifier };
+    const user = await User.findOne(query);
+
+    if (!user) {
+      console.error(`❌ User not found: ${identifier}`);
+      process.exit(1);
+    }
+
+    const run = crypto.randomBytes(4).toString('hex');
+    const runDigits = String(parseInt(run, 16)).padStart(10, '0');
+    const now = Date.now();
+    const values = {
+      RUN: run,
+      RUN_DIGITS: runDigits,
+      RUN_UUID: `${run}-${run.slice(0, 4)}-4${run.slice(1, 4)}-8${run.slice(5, 8)}`,
+      BUNDLE_ID: process.env.APPLE_BUNDLE_ID,
+      PACKAGE_NAME: 'com.freetalk.social',
+      ORIGINAL_TRANSACTION_ID: `2000${runDigits}01`,
+      SUBSCRIPTION_TOKEN: `replay-subscription-token-${run}`,
+      ONE_TIME_TOKEN: `replay-one-time-token-${run}`,
+      ONE_TIME_ORDER_ID: `GPA.0000-${run}-0002`,
+      NOW_MS: now - DAY_MS,
+      PERIOD_END_MS: now + 29 * DAY_MS,
+      NEXT_PERIOD_END_MS: now + 59 * DAY_MS,
+      GRACE_PERIOD_END_MS: now + 75 * DAY_MS,
+      SIGNED_MS: now,
+      EVENT_TIME: String(now)
+    };
+
+    // What the apps report through /api/iap/verify-purchase before any notification
+    const linked = [
+      { store: 'app_store', productId: 'com.freetalk.premium_monthly', transactionId: `2000${runDigits}01`, originalTransactionId: values.ORIGINAL_TRANSACTION_ID, expiresAt: new Date(values.PERIOD_END_MS) },
+      { store: 'app_store', productId: 'com.freetalk.ad_free', transactionId: `2000${runDigits}03`, originalTransactionId: `2000${runDigits}03` },
+      { store: 'play_store', productId: 'com.freetalk.premium_monthly', transactionId: `GPA.0000-${run}-0001`, originalTransactionId: values.SUBSCRIPTION_TOKEN, expiresAt: new Date(values.PERIOD_END_MS) },
+      { store: 'play_store', productId: 'com.freetalk.verified_badge', transactionId: values.ONE_TIME_ORDER_ID, originalTransactionId: values.ONE_TIME_TOKEN }
+    ];
+    for (const transaction of linked) {
+      await purchaseService.recordStorePurchase(user, {
+        ...transaction,
+        purchasedAt: new Date(values.NOW_MS),
+        environment: 'sandbox'
+      });
+    }
+    const originals = linked.map(transaction => transaction.originalTransactionId);
+    console.log(`🔗 Linked ${linked.length} store purchases to ${user.email} (run ${run})`);
+    await printState(user._id, originals);
+
+    const sign = appleSigner();
+    const deliveries = [
+      ...readFixtures('app-store').map(({ file, text }) => {
+        const notification = JSON.parse(fillPlaceholders(text, values));
+        const { transactionInfo, renewalInfo, ...data } = notification.data;
+        if (transactionInfo) data.signedTransactionInfo = sign(transactionInfo);
+        if (renewalInfo) data.signedRenewalInfo = sign(renewalInfo);
+        return {
+          file: `app-store/${file}`,
+          label: [notification.notificationType, notification.subtype].filter(Boolean).join('.'),
+          url: `${API_URL}/api/iap/notifications/apple`,
+          body: { signedPayload: sign({ ...notification, data }) },
+          redeliver: file.startsWith('02-')
+        };
+      }),
+      ...readFixtures('play-store').map(({ file, text }) => {
+        const { messageId, notification } = JSON.parse(fillPlaceholders(text, values));
+        return {
+          file: `play-store/${file}`,
+          label: file.replace(/^\d+-|\.json$/g, ''),
+          url: `${API_URL}/api/iap/notifications/google?token=${encodeURIComponent(process.env.GOOGLE_RTDN_TOKEN)}`,
+          body: {
+            message: { data: Buffer.from(JSON.stringify(notification)).toString('base64'), messageId },
+            subscription: 'projects/freetalk/subscriptions/play-rtdn'
+          },
+          redeliver: file.startsWith('03-')
+        };
+      })
+    ];
+
+    console.log(`🔁 Replaying ${deliveries.length} store notifications\n`);
+
+    const send = (delivery) => axios.post(delivery.url, delivery.body, {
+      headers: { 'Content-Type': 'application/json' },
+      timeout: 10000,
+      validateStatus: () => true
+    });
+
+    let failed = 0;
+    for (const delivery of deliveries) {
+      const response = await send(delivery);
+      const ok = response.status === 200;
+      if (!ok) failed++;
+
+      console.log(`${ok ? '✅' : '❌'} ${delivery.label} (${delivery.file}) → ${response.status}`);
+      await printState(user._id, originals);
+
+      // Both stores retry deliveries; the retry must not change anything
+      if (delivery.redeliver) {
+        const retry = await send(delivery);
+        console.log(`${retry.status === 200 ? '✅' : '❌'} ${delivery.label} redelivered → ${retry.status}`);
+        if (retry.status !== 200) failed++;
+        await printState(user._id, originals);
+      }
+    }
+
+    console.log(failed ? `\n❌ ${failed} notification(s) were rejected` : '\n🎉 All notifications accepted');
+    process.exit(failed ? 1 : 0);
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exit(1);
+  }
+}
+
+replayNotifications();
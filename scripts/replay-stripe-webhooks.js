@@ -0,0 +1,147 @@
+/**
+ * Script to replay the recorded Stripe subscription webhooks against a running API
+ *
+ * Signs each fixture in scripts/fixtures/stripe with STRIPE_WEBHOOK_SECRET and posts it to
+ * /api/payment/webhook in order: checkout, upgrade with proration, a failed renewal (grace
+ * period + dunning), recovery, cancel at period end and the final deletion. The user's
+ * subscription and premium fields are printed after every event. Each run uses fresh
+ * Stripe IDs, and one event is delivered twice to check duplicates are ignored.
+ *
+ * Usage:
+ *   API_URL=http://localhost:5000 node scripts/replay-stripe-webhooks.js <email_or_userId>
+ *   (needs MONGODB_URI, STRIPE_SECRET_KEY and STRIPE_WEBHOOK_SECRET to match the API's .env)
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Subscription = require('../models/Subscription');
+const Purchase = require('../models/Purchase');
+
+const API_URL = (process.env.API_URL || 'http://localhost:5000').replace(/\/$/, '');
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'stripe');
+const DAY = 24 * 60 * 60;
+
+// Fill in the placeholders of a fixture: numeric ones replace the whole quoted value
+const fillPlaceholders = (text, values) => text.replace(/"\{\{(\w+)\}\}"|\{\{(\w+)\}\}/g, (match, quoted, inline) => {
+  const key = quoted || inline;
+  if (!(key in values)) throw new Error(`No value for placeholder ${key}`);
+  return quoted ? JSON.stringify(values[key]) : String(values[key]);
+});
+
+const printState = async (userId, subscriptionId) => {
+  const [user, subscription, payments] = await Promise.all([
+    User.findById(userId).select('isPremium premiumTier premiumExpiresAt').lean(),
+    Subscription.findOne({ stripeSubscriptionId: subscriptionId }).lean(),
+    Purchase.countDocuments({ store: 'stripe', originalTransactionId: subscriptionId })
+  ]);
+
+  if (subscription) {
+    console.log(`   Subscription: ${subscription.tier} / ${subscription.status}`
+      + `${subscription.cancelAtPeriodEnd ? ' (cancels at period end)' : ''}`
+      + `${subscription.failedPaymentCount ? `, ${subscription.failedPaymentCount} failed payment(s), grace until ${subscription.graceUntil.toISOString()}` : ''}`);
+  } else {
+    console.log('   Subscription: none');
+  }
+  console.log(`   User: isPremium=${user.isPremium}, tier=${user.premiumTier || '-'}, `
+    + `expires=${user.premiumExpiresAt ? user.premiumExpiresAt.toISOString() : '-'}, `
+    + `payments=${payments}`);
+};
+
+async function replayWebhooks() {
+  try {
+    const identifier = process.argv[2];
+
+    if (!identifier) {
+      console.error('❌ Error: Please provide an email or user ID');
+      console.log('Usage: node scripts/replay-stripe-webhooks.js <email_or_userId>');
+      process.exit(1);
+    }
+    if (!process.env.STRIPE_SECRET_KEY || !process.env.STRIPE_WEBHOOK_SECRET) {
+      console.error('❌ Error: STRIPE_SECRET_KEY and STRIPE_WEBHOOK_SECRET must be set');
+      process.exit(1);
+    }
+
+    const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('📦 Connected to MongoDB');
+
+    const query = identifier.includes('@')
+      ? { email: identifier }
+      : { _id: identifier };
+    const user = await User.findOne(query);
+
+    if (!user) {
+      console.error(`❌ User not found: ${identifier}`);
+      process.exit(1);
+    }
+
+    const run = crypto.randomBytes(4).toString('hex');
+    const now = Math.floor(Date.now() / 1000);
+    const values = {
+      RUN: run,
+      USER_ID: user._id.toString(),
+      CUSTOMER_ID: `cus_replay_${run}`,
+      SUBSCRIPTION_ID: `sub_replay_${run}`,
+      PRICE_BASIC: process.env.STRIPE_PRICE_BASIC || 'price_replay_basic',
+      PRICE_PRO: process.env.STRIPE_PRICE_PRO || 'price_replay_pro',
+      NOW: now,
+      PERIOD_START: now - DAY,
+      PERIOD_END: now + 29 * DAY,
+      NEXT_PERIOD_END: now + 59 * DAY,
+      NEXT_RETRY: now + 3 * DAY
+    };
+
+    const fixtures = fs.readdirSync(FIXTURES_DIR).filter(file => file.endsWith('.json')).sort();
+    console.log(`🔁 Replaying ${fixtures.length} webhooks for ${user.email} (run ${run})\n`);
+
+    const send = async (payload) => {
+      const header = stripe.webhooks.generateTestHeaderString({
+        payload,
+        secret: process.env.STRIPE_WEBHOOK_SECRET
+      });
+      return axios.post(`${API_URL}/api/payment/webhook`, payload, {
+        headers: { 'Content-Type': 'application/json', 'Stripe-Signature': header },
+        timeout: 10000,
+        validateStatus: () => true
+      });
+    };
+
+    let failed = 0;
+    for (const [index, file] of fixtures.entries()) {
+      // Events are created one second apart so none of them looks out of order
+      const text = fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf8');
+      const payload = fillPlaceholders(text, { ...values, CREATED: now + index });
+      const event = JSON.parse(payload);
+
+      const response = await send(payload);
+      const ok = response.status === 200;
+      if (!ok) failed++;
+
+      console.log(`${ok ? '✅' : '❌'} ${event.type} (${file}) → ${response.status}`);
+      await printState(user._id, values.SUBSCRIPTION_ID);
+
+      // Stripe may deliver an event more than once; the retry must not record a second payment
+      if (file.startsWith('02-')) {
+        const retry = await send(payload);
+        console.log(`${retry.status === 200 ? '✅' : '❌'} ${event.type} redelivered → ${retry.status}`);
+        if (retry.status !== 200) failed++;
+        await printState(user._id, values.SUBSCRIPTION_ID);
+      }
+    }
+
+    console.log(failed ? `\n❌ ${failed} webhook(s) were rejected` : '\n🎉 All webhooks accepted');
+    process.exit(failed ? 1 : 0);
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exit(1);
+  }
+}
+
+replayWebhooks();
@@ -0,0 +1,215 @@
+/**
+ * Script to test the OAuth2 authorization server end to end with a local client app
+ *
+ * Starts a throwaway "third-party app" on 127.0.0.1 that receives the redirect, registers it
+ * as a public client, then runs the authorization code + PKCE flow against a running API:
+ * consent, code exchange, userinfo, scope enforcement, refresh rotation, refresh token
+ * reuse detection, code replay and revocation. The client is deleted at the end.
+ * test/oauth.test.js (npm test) covers the token endpoint part of the flow without a
+ * database; this script also covers consent, userinfo and scopes against real MongoDB.
+ *
+ * Usage:
+ *   API_URL=http://localhost:5000 TEST_EMAIL=user@example.com TEST_PIN=1234 node scripts/test-oauth-client.js
+ *   (TEST_PASSWORD can be used instead of TEST_PIN; the account must not have 2FA enabled)
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const axios = require('axios');
+
+const API_URL = (process.env.API_URL || 'http://localhost:5000').replace(/\/$/, '');
+const CLIENT_PORT = parseInt(process.env.CLIENT_PORT, 10) || 5055;
+const REDIRECT_URI = `http://127.0.0.1:${CLIENT_PORT}/callback`;
+
+const api = axios.create({ baseURL: API_URL, timeout: 10000, validateStatus: () => true });
+
+let passed = 0;
+let failed = 0;
+
+const check = (description, condition, details) => {
+  if (condition) {
+    passed++;
+    console.log(`✅ ${description}`);
+  } else {
+    failed++;
+    console.log(`❌ ${description}`);
+    if (details !== undefined) console.log('   ', JSON.stringify(details));
+  }
+};
+
+// The local client app: waits for the authorization server to send the user back
+const startClientApp = () => new Promise((resolve) => {
+  let onCallback = null;
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, REDIRECT_URI);
+    res.end('You can close this window.');
+    if (url.pathname === '/callback' && onCallback) onCallback(url.searchParams);
+  });
+  server.listen(CLIENT_PORT, '127.0.0.1', () => {
+    resolve({
+      server,
+      // Follow a redirectTo URL like a browser would and return the callback parameters
+      follow: (redirectTo) => new Promise((done, reject) => {
+        onCallback = done;
+        http.get(redirectTo, (res) => res.resume()).on('error', reject);
+      })
+    });
+  });
+});
+
+const form = (params) => new URLSearchParams(params).toString();
+const formHeaders = { 'Content-Type': 'application/x-www-form-urlencoded' };
+
+const login = async () => {
+  const response = await api.post('/api/auth/login', {
+    email: process.env.TEST_EMAIL,
+    pinCode: process.env.TEST_PIN,
+    password: process.env.TEST_PASSWORD
+  });
+  if (!response.data.success || !response.data.data.accessToken) {
+    throw new Error(`Login failed: ${response.data.message}`);
+  }
+  return response.data.data.accessToken;
+};
+
+const authorize = async (userHeaders, clientId, verifier, app) => {
+  const state = crypto.randomBytes(8).toString('hex');
+  const params = {
+    response_type: 'code',
+    client_id: clientId,
+    redirect_uri: REDIRECT_URI,
+    scope: 'profile:read posts:read',
+    state,
+    code_challenge: crypto.createHash('sha256').update(verifier).digest('base64url'),
+    code_challenge_method: 'S256'
+  };
+
+  const consent = await api.get('/api/oauth/authorize', { params, headers: userHeaders });
+  check('Consent screen lists the requested scopes', consent.status === 200 && consent.data.data.scopes.length === 2, consent.data);
+
+  const approval = await api.post('/api/oauth/authorize', { ...params, approve: true }, { headers: userHeaders });
+  check('Approving returns a redirect to the client', approval.status === 200 && !!approval.data.data.redirectTo, approval.data);
+
+  const callback = await app.follow(approval.data.data.redirectTo);
+  check('Client app receives the code with its state', !!callback.get('code') && callback.get('state') === state);
+  return callback.get('code');
+};
+
+const run = async () => {
+  const app = await startClientApp();
+  const userHeaders = { Authorization: `Bearer ${await login()}` };
+  let clientId = null;
+
+  try {
+    // Register the local app as a public client
+    const registration = await api.post('/api/oauth/clients', {
+      name: 'Local OAuth test client',
+      redirectUris: [REDIRECT_URI],
+      scopes: ['profile:read', 'posts:read']
+    }, { headers: userHeaders });
+    check('Client registered', registration.status === 201, registration.data);
+    clientId = registration.data.data.client.clientId;
+
+    // Requests the client isn't allowed to make
+    const badScope = await api.get('/api/oauth/authorize', {
+      params: { response_type: 'code', client_id: clientId, redirect_uri: REDIRECT_URI, scope: 'messages:read', code_challenge: 'x', code_challenge_method: 'S256' },
+      headers: userHeaders
+    });
+    check('Scope outside the client\'s allowed scopes is rejected', badScope.data.error === 'invalid_scope', badScope.data);
+
+    const badRedirect = await api.get('/api/oauth/authorize', {
+      params: { response_type: 'code', client_id: clientId, redirect_uri: 'https://evil.example/cb', scope: 'profile:read', code_challenge: 'x', code_challenge_method: 'S256' },
+      headers: userHeaders
+    });
+    check('Unregistered redirect URI is rejected without redirecting', badRedirect.status === 400 && badRedirect.data.redirectTo === null, badRedirect.data);
+
+    // Authorization code + PKCE
+    const verifier = crypto.randomBytes(32).toString('base64url');
+    const code = await authorize(userHeaders, clientId, verifier, app);
+
+    const wrongVerifier = await api.post('/api/oauth/token', form({
+      grant_type: 'authorization_code', client_id: clientId, code, redirect_uri: REDIRECT_URI, code_verifier: 'wrong'
+    }), { headers: formHeaders });
+    check('Wrong code_verifier is rejected', wrongVerifier.data.error === 'invalid_grant', wrongVerifier.data);
+
+    // The failed attempt above used the code up, so authorize again
+    const verifier2 = crypto.randomBytes(32).toString('base64url');
+    const code2 = await authorize(userHeaders, clientId, verifier2, app);
+    const tokens = await api.post('/api/oauth/token', form({
+      grant_type: 'authorization_code', client_id: clientId, code: code2, redirect_uri: REDIRECT_URI, code_verifier: verifier2
+    }), { headers: formHeaders });
+    check('Code exchanged for tokens', tokens.status === 200 && !!tokens.data.access_token && !!tokens.data.refresh_token, tokens.data);
+
+    const appHeaders = { Authorization: `Bearer ${tokens.data.access_token}` };
+
+    const userinfo = await api.get('/api/oauth/userinfo', { headers: appHeaders });
+    check('Userinfo returns the user', userinfo.status === 200 && !!userinfo.data.sub, userinfo.data);
+    check('Userinfo does not leak credentials', !('pinCode' in userinfo.data) && !('password' in userinfo.data));
+
+    const feed = await api.get('/api/posts', { headers: appHeaders });
+    check('posts:read token can read posts', feed.status === 200, feed.data);
+
+    const write = await api.put('/api/users/profile', { bio: 'changed by app' }, { headers: appHeaders });
+    check('Token without profile:write cannot update the profile', write.status === 403, write.data);
+
+    const messages = await api.get('/api/messages/conversations', { headers: appHeaders });
+    check('Token without messages:read cannot read messages', messages.status === 403, messages.data);
+
+    const replay = await api.post('/api/oauth/token', form({
+      grant_type: 'authorization_code', client_id: clientId, code: code2, redirect_uri: REDIRECT_URI, code_verifier: verifier2
+    }), { headers: formHeaders });
+    check('Replaying a code is rejected', replay.data.error === 'invalid_grant', replay.data);
+
+    const afterReplay = await api.get('/api/oauth/userinfo', { headers: appHeaders });
+    check('Replaying a code revokes the tokens issued from it', afterReplay.status === 401, afterReplay.data);
+
+    // Refresh rotation and reuse detection on a fresh grant
+    const verifier3 = crypto.randomBytes(32).toString('base64url');
+    const code3 = await authorize(userHeaders, clientId, verifier3, app);
+    const fresh = await api.post('/api/oauth/token', form({
+      grant_type: 'authorization_code', client_id: clientId, code: code3, redirect_uri: REDIRECT_URI, code_verifier: verifier3
+    }), { headers: formHeaders });
+
+    const refreshed = await api.post('/api/oauth/token', form({
+      grant_type: 'refresh_token', client_id: clientId, refresh_token: fresh.data.refresh_token
+    }), { headers: formHeaders });
+    check('Refresh token rotates', refreshed.status === 200 && refreshed.data.refresh_token !== fresh.data.refresh_token, refreshed.data);
+
+    const reused = await api.post('/api/oauth/token', form({
+      grant_type: 'refresh_token', client_id: clientId, refresh_token: fresh.data.refresh_token
+    }), { headers: formHeaders });
+    check('Reusing a rotated refresh token is rejected', reused.data.error === 'invalid_grant', reused.data);
+
+    const afterReuse = await api.post('/api/oauth/token', form({
+      grant_type: 'refresh_token', client_id: clientId, refresh_token: refreshed.data.refresh_token
+    }), { headers: formHeaders });
+    check('Refresh token reuse revokes the whole grant', afterReuse.data.error === 'invalid_grant', afterReuse.data);
+
+    // Revocation by the client
+    const verifier4 = crypto.randomBytes(32).toString('base64url');
+    const code4 = await authorize(userHeaders, clientId, verifier4, app);
+    const last = await api.post('/api/oauth/token', form({
+      grant_type: 'authorization_code', client_id: clientId, code: code4, redirect_uri: REDIRECT_URI, code_verifier: verifier4
+    }), { headers: formHeaders });
+
+    const grants = await api.get('/api/oauth/grants', { headers: userHeaders });
+    check('App shows up in the user\'s authorized apps', grants.status === 200 && grants.data.data.apps.some(a => a.client.clientId === clientId), grants.data);
+
+    const revoke = await api.post('/api/oauth/revoke', form({ client_id: clientId, token: last.data.refresh_token }), { headers: formHeaders });
+    check('Client can revoke its token', revoke.status === 200, revoke.data);
+
+    const afterRevoke = await api.get('/api/oauth/userinfo', { headers: { Authorization: `Bearer ${last.data.access_token}` } });
+    check('Access token stops working after revocation', afterRevoke.status === 401, afterRevoke.data);
+  } finally {
+    if (clientId) await api.delete(`/api/oauth/clients/${clientId}`, { headers: userHeaders });
+    app.server.close();
+  }
+
+  console.log(`\n📊 ${passed} passed, ${failed} failed`);
+  process.exit(failed > 0 ? 1 : 0);
+};
+
+run().catch((error) => {
+  console.error('❌ OAuth client test failed:', error.message);
+  process.exit(1);
+});
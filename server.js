@@ -18,6 +18,12 @@ let server;
 const isProduction = process.env.NODE_ENV === 'production';
 const useHTTPS = process.env.USE_HTTPS === 'true';
 
+// App Store notifications are only applied when they are for our app, which needs its bundle ID
+if (process.env.APP_STORE_NOTIFICATIONS_ENABLED === 'true' && !process.env.APPLE_BUNDLE_ID) {
+  console.error('❌ APPLE_BUNDLE_ID must be set when APP_STORE_NOTIFICATIONS_ENABLED=true');
+  process.exit(1);
+}
+
 if (useHTTPS && isProduction) {
   try {
     // Load SSL certificates
@@ -103,6 +109,8 @@ app.use(cors({
   },
   credentials: true
 }));
+// Stripe signs the exact request bytes, so its webhook gets the raw body instead of parsed JSON
+app.use('/api/payment/webhook', express.raw({ type: 'application/json' }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
@@ -158,23 +166,36 @@ FCMService.initialize();
 const ReminderService = require('./services/reminderService');
 // Memory service: On This Day reminders and memory collections
 const MemoryService = require('./services/memoryService');
+// Account deletion service: grace periods and cascading cleanup of deleted accounts
+const AccountDeletionService = require('./services/accountDeletionService');
+// Data export service: personal data export archives
+const DataExportService = require('./services/dataExportService');
+// Purchase reconciliation service: nightly isPremium drift correction
+const PurchaseReconciliationService = require('./services/purchaseReconciliationService');
+// Scheduled post service: publishes scheduled posts and club announcements when they come due
+const ScheduledPostService = require('./services/scheduledPostService');
+// Entitlement service: premium features (ghost mode hides socket presence)
+const entitlementService = require('./services/entitlementService');
 
 // Socket.IO connection handling
 // Map to store userId -> Set of socketIds (to support multiple connections per user)
 const userSockets = new Map();
 const activeCalls = new Map(); // Map to store active calls: callId -> {callerId, calleeId, callType}
 
+// Require a valid access token before any socket can connect (sets socket.userId)
+const { socketAuth, reauthenticateSocket, authError } = require('./middleware/socketAuth');
+io.use(socketAuth);
+
 io.on('connection', (socket) => {
   console.log('🔌 New client connected:', socket.id);
 
-  // Handle user authentication
   // Handle ping (heartbeat) from client
   socket.on('ping', (data) => {
     // Respond with pong to confirm connection is alive
     socket.emit('pong', { timestamp: new Date().toISOString() });
     
-    // Update last active time
-    if (socket.userId) {
+    // Update last active time (frozen while in ghost mode)
+    if (socket.userId && !socket.data.ghostMode) {
       const User = require('./models/User');
       User.findByIdAndUpdate(socket.userId, {
         lastActive: new Date()
@@ -182,48 +203,68 @@ io.on('connection', (socket) => {
     }
   });
 
-  socket.on('authenticate', async (userId) => {
-    console.log(`👤 ==========================================`);
-    console.log(`👤 User ${userId} authenticated with socket ${socket.id}`);
-    
-    // Support multiple connections per user (different devices/tabs)
-    if (!userSockets.has(userId)) {
-      userSockets.set(userId, new Set());
+  // Handle user authentication
+  // The user is identified by the handshake token (see middleware/socketAuth.js).
+  // Clients still send `authenticate` after connecting; it now accepts { token } to
+  // refresh an expiring token. A bare userId is only accepted if it matches the token.
+  socket.on('authenticate', async (payload) => {
+    const token = payload && typeof payload === 'object' ? payload.token : null;
+    const claimedUserId = payload && typeof payload === 'object' ? payload.userId : payload;
+
+    if (token) {
+      const stillValid = await reauthenticateSocket(socket, token);
+      if (!stillValid) return;
+    } else if (claimedUserId && claimedUserId.toString() !== socket.userId) {
+      console.log(`🔐 Socket ${socket.id} claimed user ${claimedUserId} but token is for ${socket.userId}`);
+      socket.emit('auth_error', authError('USER_MISMATCH'));
+      return;
     }
-    userSockets.get(userId).add(socket.id);
-    
-    socket.userId = userId;
-    socket.join(`user:${userId}`);
-    console.log(`👤 ✅ User ${userId} joined room: user:${userId}`);
-    console.log(`👤 Total connections for user ${userId}: ${userSockets.get(userId).size}`);
-    
-    // Verify room membership
-    const rooms = Array.from(socket.rooms);
-    console.log(`👤 Socket ${socket.id} is in rooms:`, rooms);
-    
-    // Update user online status
-    try {
-      const User = require('./models/User');
-      await User.findByIdAndUpdate(userId, {
-        isOnline: true,
-        lastActive: new Date()
-      });
-      console.log(`✅ User ${userId} set to online`);
-      
-      // Emit user status change to all connected clients
-      io.emit('user:status-changed', {
-        userId,
-        isOnline: true,
-        lastActive: new Date()
-      });
-    } catch (error) {
-      console.error('❌ Error updating user online status:', error);
+
+    socket.emit('authenticated', { userId: socket.userId, socketId: socket.id });
+  });
+
+  const userId = socket.userId;
+  console.log(`👤 ==========================================`);
+  console.log(`👤 User ${userId} authenticated with socket ${socket.id}`);
+  
+  // Support multiple connections per user (different devices/tabs)
+  if (!userSockets.has(userId)) {
+    userSockets.set(userId, new Set());
+  }
+  userSockets.get(userId).add(socket.id);
+  
+  socket.join(`user:${userId}`);
+  console.log(`👤 ✅ User ${userId} joined room: user:${userId}`);
+  console.log(`👤 Total connections for user ${userId}: ${userSockets.get(userId).size}`);
+  
+  // Update user online status (not awaited so the handlers below are registered immediately)
+  // Users in ghost mode stay offline to everyone else
+  const User = require('./models/User');
+  socket.data.ghostMode = false;
+  entitlementService.isGhostModeActive(socket.data.user).then(async (ghostMode) => {
+    socket.data.ghostMode = ghostMode;
+    if (ghostMode) {
+      console.log(`👻 User ${userId} connected in ghost mode`);
+      return;
     }
+
+    await User.findByIdAndUpdate(userId, {
+      isOnline: true,
+      lastActive: new Date()
+    });
+    console.log(`✅ User ${userId} set to online`);
     
-    socket.emit('authenticated', { userId, socketId: socket.id });
-    console.log(`👤 ✅ Authentication complete for user ${userId}`);
-    console.log(`👤 ==========================================`);
-  });
+    // Emit user status change to all connected clients
+    io.emit('user:status-changed', {
+      userId,
+      isOnline: true,
+      lastActive: new Date()
+    });
+  }).catch(error => console.error('❌ Error updating user online status:', error));
+  
+  socket.emit('authenticated', { userId, socketId: socket.id });
+  console.log(`👤 ✅ Authentication complete for user ${userId}`);
+  console.log(`👤 ==========================================`);
 
   // ===== WebRTC Call Signaling =====
   
@@ -403,11 +444,41 @@ io.on('connection', (socket) => {
   });
 
   // ===== Event realtime rooms =====
-  socket.on('events:subscribe', (data) => {
+  // Only people who can see the event get its updates: anyone for public events, friends of
+  // the organizer for friends-only ones, and the organizer, invitees and RSVPs for all of them
+  socket.on('events:subscribe', async (data) => {
     const { eventId } = data || {};
     if (!eventId) return;
-    socket.join(`event:${eventId}`);
-    socket.emit('events:subscribed', { eventId });
+
+    try {
+      const mongoose = require('mongoose');
+      const Event = require('./models/Event');
+      const event = mongoose.Types.ObjectId.isValid(eventId)
+        ? await Event.findById(eventId).select('organizer visibility invitations.user rsvps.user').lean()
+        : null;
+      if (!event) {
+        return socket.emit('events:error', { eventId, message: 'Event not found' });
+      }
+
+      const userId = socket.userId.toString();
+      let canView = event.visibility === 'public'
+        || event.organizer.toString() === userId
+        || event.invitations.some(i => i.user.toString() === userId)
+        || event.rsvps.some(r => r.user.toString() === userId);
+      if (!canView && event.visibility === 'friends') {
+        const audienceService = require('./services/audienceService');
+        canView = (await audienceService.getFriendIds(event.organizer)).includes(userId);
+      }
+      if (!canView) {
+        return socket.emit('events:error', { eventId, message: 'Unauthorized' });
+      }
+
+      socket.join(`event:${eventId}`);
+      socket.emit('events:subscribed', { eventId });
+    } catch (error) {
+      console.error('❌ Error subscribing to event:', error);
+      socket.emit('events:error', { eventId, message: 'Failed to subscribe to event' });
+    }
   });
   socket.on('events:unsubscribe', (data) => {
     const { eventId } = data || {};
@@ -417,12 +488,31 @@ io.on('connection', (socket) => {
   });
 
   // ===== Club realtime rooms =====
-  socket.on('club:subscribe', (data) => {
+  // Club traffic (discussions, typing, member changes) is for members only
+  socket.on('club:subscribe', async (data) => {
     const { clubId } = data || {};
     if (!clubId) return;
-    socket.join(`club:${clubId}`);
-    socket.emit('club:subscribed', { clubId });
-    console.log(`🏛️ User ${socket.userId} subscribed to club: ${clubId}`);
+
+    try {
+      const mongoose = require('mongoose');
+      const Club = require('./models/Club');
+      const club = mongoose.Types.ObjectId.isValid(clubId)
+        ? await Club.findById(clubId).select('members.user')
+        : null;
+      if (!club) {
+        return socket.emit('club:error', { clubId, message: 'Club not found' });
+      }
+      if (!club.isMember(socket.userId)) {
+        return socket.emit('club:error', { clubId, message: 'Unauthorized' });
+      }
+
+      socket.join(`club:${clubId}`);
+      socket.emit('club:subscribed', { clubId });
+      console.log(`🏛️ User ${socket.userId} subscribed to club: ${clubId}`);
+    } catch (error) {
+      console.error('❌ Error subscribing to club:', error);
+      socket.emit('club:error', { clubId, message: 'Failed to subscribe to club' });
+    }
   });
   
   socket.on('club:unsubscribe', (data) => {
@@ -436,13 +526,13 @@ io.on('connection', (socket) => {
   // Typing indicator for club discussions
   socket.on('club:typing', (data) => {
     const { clubId, userName } = data || {};
-    if (!clubId) return;
+    if (!clubId || !socket.rooms.has(`club:${clubId}`)) return;
     socket.to(`club:${clubId}`).emit('club:user-typing', { clubId, userId: socket.userId, userName });
   });
 
   socket.on('club:stop-typing', (data) => {
     const { clubId } = data || {};
-    if (!clubId) return;
+    if (!clubId || !socket.rooms.has(`club:${clubId}`)) return;
     socket.to(`club:${clubId}`).emit('club:user-stop-typing', { clubId, userId: socket.userId });
   });
   
@@ -491,22 +581,25 @@ io.on('connection', (socket) => {
           }
           
           // Update user offline status only when ALL connections are closed
-          try {
-            const User = require('./models/User');
-            await User.findByIdAndUpdate(userId, {
-              isOnline: false,
-              lastActive: new Date()
-            });
-            console.log(`✅ User ${userId} set to offline`);
-            
-            // Emit user status change to all connected clients
-            io.emit('user:status-changed', {
-              userId,
-              isOnline: false,
-              lastActive: new Date()
-            });
-          } catch (error) {
-            console.error('❌ Error updating user offline status:', error);
+          // (users in ghost mode were never shown online)
+          if (!socket.data.ghostMode) {
+            try {
+              const User = require('./models/User');
+              await User.findByIdAndUpdate(userId, {
+                isOnline: false,
+                lastActive: new Date()
+              });
+              console.log(`✅ User ${userId} set to offline`);
+              
+              // Emit user status change to all connected clients
+              io.emit('user:status-changed', {
+                userId,
+                isOnline: false,
+                lastActive: new Date()
+              });
+            } catch (error) {
+              console.error('❌ Error updating user offline status:', error);
+            }
           }
         }
       }
@@ -745,6 +838,9 @@ app.set('userSockets', userSockets);
 // Routes
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/posts', require('./routes/posts'));
+app.use('/api/audiences', require('./routes/audiences')); // Custom audience lists for posts
+app.use('/api/scheduled', require('./routes/scheduled')); // Drafts and scheduled posts/club announcements
+app.use('/api/hashtags', require('./routes/hashtags')); // Hashtag feeds, trending and following
 app.use('/api/users', require('./routes/user'));
 app.use('/api/notifications', require('./routes/notifications'));
 app.use('/api/messages', require('./routes/messages'));
@@ -762,6 +858,7 @@ app.use('/api/memories', require('./routes/memories')); // Memories and On This
 app.use('/api/crisis', require('./routes/crisis')); // Crisis Response and Safety Checks
 app.use('/api/clubs', require('./routes/clubs')); // Clubs feature
 app.use('/api/achievements', require('./routes/achievements')); // Achievement badges system
+app.use('/api/oauth', require('./routes/oauth')); // Sign in with FreeTalk for third-party apps
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -835,6 +932,42 @@ server.listen(PORT, () => {
   } catch (e) {
     console.error('❌ Failed to start MemoryService:', e.message);
   }
+
+  // Start account deletion service after server is listening
+  try {
+    const accountDeletionSvc = new AccountDeletionService(io);
+    accountDeletionSvc.start();
+    app.set('accountDeletionService', accountDeletionSvc);
+  } catch (e) {
+    console.error('❌ Failed to start AccountDeletionService:', e.message);
+  }
+
+  // Start data export service after server is listening
+  try {
+    const dataExportSvc = new DataExportService(io);
+    dataExportSvc.start();
+    app.set('dataExportService', dataExportSvc);
+  } catch (e) {
+    console.error('❌ Failed to start DataExportService:', e.message);
+  }
+
+  // Start purchase reconciliation service after server is listening
+  try {
+    const purchaseReconciliationSvc = new PurchaseReconciliationService(io);
+    purchaseReconciliationSvc.start();
+    app.set('purchaseReconciliationService', purchaseReconciliationSvc);
+  } catch (e) {
+    console.error('❌ Failed to start PurchaseReconciliationService:', e.message);
+  }
+
+  // Start scheduled post service after server is listening
+  try {
+    const scheduledPostSvc = new ScheduledPostService(io);
+    scheduledPostSvc.start();
+    app.set('scheduledPostService', scheduledPostSvc);
+  } catch (e) {
+    console.error('❌ Failed to start ScheduledPostService:', e.message);
+  }
 });
 
 // Handle unhandled promise rejections
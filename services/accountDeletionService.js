@@ -0,0 +1,611 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const AccountDeletion = require('../models/AccountDeletion');
+const Session = require('../models/Session');
+const AuthLockout = require('../models/AuthLockout');
+const ApiToken = require('../models/ApiToken');
+const LoginActivity = require('../models/LoginActivity');
+const OAuthClient = require('../models/OAuthClient');
+const OAuthGrant = require('../models/OAuthGrant');
+const OAuthAuthorizationCode = require('../models/OAuthAuthorizationCode');
+const Post = require('../models/Post');
+const Revision = require('../models/Revision');
+const ScheduledPost = require('../models/ScheduledPost');
+const Story = require('../models/Story');
+const Video = require('../models/Video');
+const Photo = require('../models/Photo');
+const Message = require('../models/Message');
+const Conversation = require('../models/Conversation');
+const Club = require('../models/Club');
+const Event = require('../models/Event');
+const Block = require('../models/Block');
+const Poke = require('../models/Poke');
+const ProfileVisitor = require('../models/ProfileVisitor');
+const Notification = require('../models/Notification');
+const Call = require('../models/Call');
+const Memory = require('../models/Memory');
+const HiddenPost = require('../models/HiddenPost');
+const AudienceList = require('../models/AudienceList');
+const Hashtag = require('../models/Hashtag');
+const HashtagUsage = require('../models/HashtagUsage');
+const Report = require('../models/Report');
+const CrisisResponse = require('../models/CrisisResponse');
+const MusicTrack = require('../models/MusicTrack');
+const DataExport = require('../models/DataExport');
+const EntitlementGrant = require('../models/EntitlementGrant');
+const StorageEntry = require('../models/StorageEntry');
+const StorageUsage = require('../models/StorageUsage');
+const { UserAchievement } = require('../models/Achievement');
+const sessionService = require('./sessionService');
+const subscriptionService = require('./subscriptionService');
+const { removeUploads } = require('../utils/uploads');
+
+const MS_IN_DAY = 24 * 60 * 60 * 1000;
+
+// Days between the request and the actual deletion, during which it can be cancelled
+const GRACE_PERIOD_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10) || 30;
+
+// A deletion still marked as processing after this long is assumed to belong to a dead worker
+const STALE_PROCESSING_MS = 30 * 60 * 1000;
+
+// Failed runs are retried after a pause, up to a limit; after that an admin has to look at lastError
+const RETRY_DELAY_MS = 15 * 60 * 1000;
+const MAX_ATTEMPTS = 5;
+
+const hashEmail = (email) => crypto
+  .createHash('sha256')
+  .update((email || '').toLowerCase().trim())
+  .digest('hex');
+
+const idEquals = (a, b) => !!a && !!b && a.toString() === b.toString();
+
+/**
+ * Account Deletion Service
+ * Schedules account deletions with a grace period and, once it ends, removes or
+ * anonymizes everything the account left behind. Every cleanup step is idempotent and
+ * recorded on the AccountDeletion document, so a crashed run resumes where it stopped.
+ */
+class AccountDeletionService {
+  constructor(io) {
+    this.io = io;
+    this._interval = null;
+    this._running = false;
+
+    // Order matters: content is removed before the files it points to are lost track of,
+    // and the user document goes last so a resumed run can still find the account.
+    this.steps = [
+      ['sessions', this.deleteSessions],
+      ['billing', this.cancelSubscriptions],
+      ['posts', this.deletePosts],
+      ['stories', this.deleteStories],
+      ['videos', this.deleteVideos],
+      ['photos', this.deletePhotos],
+      ['messages', this.deleteMessages],
+      ['clubs', this.cleanUpClubs],
+      ['events', this.cleanUpEvents],
+      ['social', this.deleteSocialRecords],
+      ['music', this.anonymizeMusicTracks],
+      ['account', this.deleteAccount]
+    ];
+  }
+
+  start() {
+    // Run shortly after startup (picks up runs interrupted by a restart), then every 15 minutes
+    this.runSafely();
+    this._interval = setInterval(() => this.runSafely(), 15 * 60 * 1000);
+    console.log('🗑️ AccountDeletionService scheduled (every 15 minutes)');
+  }
+
+  stop() {
+    if (this._interval) clearInterval(this._interval);
+  }
+
+  async runSafely() {
+    if (this._running) return;
+    this._running = true;
+    try {
+      await this.processDueDeletions();
+    } catch (e) {
+      console.error('AccountDeletionService error:', e);
+    } finally {
+      this._running = false;
+    }
+  }
+
+  /**
+   * Put an account into its deletion grace period
+   * Signs the account out everywhere; logging in again still works so the user can cancel.
+   * @param {Object} user - User document
+   * @param {Object} options - { requestedBy: 'user'|'admin', adminId, reason }
+   * @returns {Object} - The AccountDeletion record
+   */
+  async scheduleDeletion(user, { requestedBy = 'user', adminId = null, reason = null } = {}) {
+    const existing = await AccountDeletion.findOpenForUser(user._id);
+    if (existing) return existing;
+
+    const scheduledFor = new Date(Date.now() + GRACE_PERIOD_DAYS * MS_IN_DAY);
+
+    const deletion = await AccountDeletion.create({
+      userId: user._id,
+      emailHash: hashEmail(user.email),
+      requestedBy,
+      requestedByAdmin: adminId,
+      reason,
+      scheduledFor
+    });
+
+    await User.findByIdAndUpdate(user._id, { deletionScheduledFor: scheduledFor });
+
+    await sessionService.revokeAllSessions(user._id, 'account_deletion');
+    await ApiToken.updateMany({ user: user._id, revokedAt: null }, { revokedAt: new Date() });
+    await OAuthGrant.updateMany({ user: user._id, revokedAt: null }, { revokedAt: new Date(), revokedReason: 'account_deletion' });
+    this.disconnectUser(user._id);
+
+    console.log(`🗑️ Account deletion scheduled for user ${user._id} on ${scheduledFor.toISOString()}`);
+    return deletion;
+  }
+
+  /**
+   * Cancel a deletion that is still in its grace period
+   * @returns {Boolean} - false if there was nothing to cancel (or it already started)
+   */
+  async cancelDeletion(userId) {
+    const deletion = await AccountDeletion.findOneAndUpdate(
+      { userId, status: 'scheduled' },
+      { status: 'cancelled', cancelledAt: new Date() },
+      { new: true }
+    );
+    if (!deletion) return false;
+
+    await User.findByIdAndUpdate(userId, { deletionScheduledFor: null });
+    console.log(`↩️ Account deletion cancelled for user ${userId}`);
+    return true;
+  }
+
+  /**
+   * Run every deletion whose grace period is over, plus any a dead worker left half-done
+   */
+  async processDueDeletions() {
+    let deletion;
+    while ((deletion = await this.claimNext())) {
+      await this.processDeletion(deletion);
+    }
+  }
+
+  // Atomically take one due deletion, so two server instances never process the same account
+  async claimNext() {
+    const now = new Date();
+    return AccountDeletion.findOneAndUpdate(
+      {
+        $or: [
+          { status: 'scheduled', scheduledFor: { $lte: now } },
+          { status: 'failed', attempts: { $lt: MAX_ATTEMPTS }, updatedAt: { $lt: new Date(now.getTime() - RETRY_DELAY_MS) } },
+          { status: 'processing', processingStartedAt: { $lt: new Date(now.getTime() - STALE_PROCESSING_MS) } }
+        ]
+      },
+      { status: 'processing', processingStartedAt: now, $inc: { attempts: 1 } },
+      { new: true, sort: { scheduledFor: 1 } }
+    );
+  }
+
+  /**
+   * Run the cleanup steps that haven't completed yet for a claimed deletion
+   * @param {Object} deletion - AccountDeletion document in 'processing' status
+   */
+  async processDeletion(deletion) {
+    const userId = new mongoose.Types.ObjectId(deletion.userId.toString());
+    console.log(`🗑️ Processing account deletion ${deletion._id} for user ${userId} (attempt ${deletion.attempts})`);
+
+    try {
+      for (const [name, step] of this.steps) {
+        if (deletion.hasCompletedStep(name)) continue;
+
+        const counts = await step.call(this, userId);
+        deletion.completedSteps.push({ name, counts, completedAt: new Date() });
+        deletion.processingStartedAt = new Date();
+        await deletion.save();
+      }
+
+      deletion.status = 'completed';
+      deletion.completedAt = new Date();
+      deletion.processingStartedAt = null;
+      deletion.lastError = null;
+      await deletion.save();
+
+      console.log(`✅ Account ${userId} deleted`);
+    } catch (error) {
+      console.error(`❌ Account deletion ${deletion._id} failed:`, error);
+      deletion.status = 'failed';
+      deletion.processingStartedAt = null;
+      deletion.lastError = error.message;
+      await deletion.save();
+    }
+  }
+
+  disconnectUser(userId) {
+    if (!this.io) return;
+    this.io.in(`user:${userId}`).disconnectSockets(true);
+  }
+
+  // ==================== CLEANUP STEPS ====================
+
+  async deleteSessions(userId) {
+    this.disconnectUser(userId);
+    const sessions = await Session.deleteMany({ user: userId });
+    const lockouts = await AuthLockout.deleteMany({ $or: [{ user: userId }, { scope: 'account', key: userId.toString() }] });
+    const apiTokens = await ApiToken.deleteMany({ user: userId });
+    const loginActivity = await LoginActivity.deleteMany({ user: userId });
+
+    // Access the user gave to third-party apps, and the apps they registered themselves
+    const oauthGrants = await OAuthGrant.deleteMany({ user: userId });
+    await OAuthAuthorizationCode.deleteMany({ user: userId });
+    const clients = await OAuthClient.find({ owner: userId }).select('_id');
+    const clientIds = clients.map(c => c._id);
+    await OAuthGrant.updateMany(
+      { client: { $in: clientIds }, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: 'client_deleted' }
+    );
+    const oauthClients = await OAuthClient.deleteMany({ _id: { $in: clientIds } });
+
+    return {
+      sessions: sessions.deletedCount,
+      lockouts: lockouts.deletedCount,
+      apiTokens: apiTokens.deletedCount,
+      loginActivity: loginActivity.deletedCount,
+      oauthGrants: oauthGrants.deletedCount,
+      oauthClients: oauthClients.deletedCount
+    };
+  }
+
+  // Stripe would otherwise keep charging a deleted account; if Stripe can't be reached the step is retried
+  async cancelSubscriptions(userId) {
+    return { subscriptionsCanceled: await subscriptionService.cancelAllForDeletedUser(userId) };
+  }
+
+  async deletePosts(userId) {
+    const posts = await Post.find({ author: userId }).select('images videos');
+    const postIds = posts.map(p => p._id);
+    const files = removeUploads(posts.flatMap(p => [...(p.images || []), ...(p.videos || [])]));
+    const deleted = await Post.deleteMany({ _id: { $in: postIds } });
+    await Revision.deleteMany({ post: { $in: postIds } });
+
+    // Drafts and scheduled posts/announcements that never went out
+    const unpublished = await ScheduledPost.find({ author: userId }).select('media');
+    const draftFiles = removeUploads(unpublished.flatMap(s => s.media.map(m => m.url)));
+    const drafts = await ScheduledPost.deleteMany({ author: userId });
+
+    // The user's reactions, comments, replies, shares and tags on other people's posts
+    const interactions = await Post.updateMany(
+      {
+        $or: [
+          { 'reactions.user': userId },
+          { 'comments.user': userId },
+          { 'comments.reactions.user': userId },
+          { 'comments.replies.user': userId },
+          { 'comments.replies.reactions.user': userId },
+          { 'comments.replies.replies.user': userId },
+          { 'shares.user': userId },
+          { taggedUsers: userId }
+        ]
+      },
+      {
+        $pull: {
+          reactions: { user: userId },
+          comments: { user: userId },
+          shares: { user: userId },
+          taggedUsers: userId
+        }
+      }
+    );
+    // Nested arrays need a second pass (a path can't be pulled from twice in one update)
+    await Post.updateMany(
+      { 'comments.replies.user': userId },
+      { $pull: { 'comments.$[].replies': { user: userId } } }
+    );
+    await Post.updateMany(
+      { $or: [{ 'comments.reactions.user': userId }, { 'comments.taggedUsers': userId }] },
+      { $pull: { 'comments.$[].reactions': { user: userId }, 'comments.$[].taggedUsers': userId } }
+    );
+    await Post.updateMany(
+      {
+        $or: [
+          { 'comments.replies.reactions.user': userId },
+          { 'comments.replies.replies.user': userId },
+          { 'comments.replies.taggedUsers': userId }
+        ]
+      },
+      {
+        $pull: {
+          'comments.$[].replies.$[].reactions': { user: userId },
+          'comments.$[].replies.$[].replies': { user: userId },
+          'comments.$[].replies.$[].taggedUsers': userId
+        }
+      }
+    );
+
+    // Other users' saved lists
+    if (postIds.length > 0) {
+      await User.updateMany({ savedPosts: { $in: postIds } }, { $pull: { savedPosts: { $in: postIds } } });
+    }
+
+    return { deleted: deleted.deletedCount, drafts: drafts.deletedCount, files: files + draftFiles, postsUpdated: interactions.modifiedCount };
+  }
+
+  async deleteStories(userId) {
+    const stories = await Story.find({ author: userId }).select('mediaUrl');
+    const files = removeUploads(stories.map(s => s.mediaUrl));
+    const deleted = await Story.deleteMany({ author: userId });
+
+    const interactions = await Story.updateMany(
+      { $or: [{ 'viewers.user': userId }, { 'reactions.user': userId }] },
+      { $pull: { viewers: { user: userId }, reactions: { user: userId } } }
+    );
+
+    return { deleted: deleted.deletedCount, files, storiesUpdated: interactions.modifiedCount };
+  }
+
+  async deleteVideos(userId) {
+    const videos = await Video.find({ author: userId }).select('videoUrl thumbnailUrl');
+    const files = removeUploads(videos.flatMap(v => [v.videoUrl, v.thumbnailUrl]));
+    const deleted = await Video.deleteMany({ author: userId });
+
+    // Views are kept as anonymous counts; likes, comments and tags are removed
+    const interactions = await Video.updateMany(
+      {
+        $or: [
+          { 'views.user': userId },
+          { 'likes.user': userId },
+          { 'comments.user': userId },
+          { taggedUsers: userId }
+        ]
+      },
+      {
+        $pull: { likes: { user: userId }, comments: { user: userId }, taggedUsers: userId },
+        $unset: { 'views.$[view].user': 1 }
+      },
+      { arrayFilters: [{ 'view.user': userId }] }
+    );
+
+    return { deleted: deleted.deletedCount, files, videosUpdated: interactions.modifiedCount };
+  }
+
+  async deletePhotos(userId) {
+    const photos = await Photo.find({ owner: userId }).select('imageUrl');
+    const files = removeUploads(photos.map(p => p.imageUrl));
+    const deleted = await Photo.deleteMany({ owner: userId });
+    return { deleted: deleted.deletedCount, files };
+  }
+
+  async deleteMessages(userId) {
+    // Direct conversations go entirely; there's nobody left to talk to
+    const directConversations = await Conversation.find({ isGroup: { $ne: true }, participants: userId }).select('_id');
+    const directIds = directConversations.map(c => c._id);
+
+    const messageFilter = { $or: [{ conversation: { $in: directIds } }, { sender: userId }] };
+    const messages = await Message.find(messageFilter).select('mediaUrl thumbnail');
+    const files = removeUploads(messages.flatMap(m => [m.mediaUrl, m.thumbnail]));
+    const deletedMessages = await Message.deleteMany(messageFilter);
+    const deletedConversations = await Conversation.deleteMany({ _id: { $in: directIds } });
+
+    // Read receipts and reactions on messages that stay
+    await Message.updateMany(
+      { $or: [{ 'readBy.user': userId }, { 'reactions.user': userId }, { deletedBy: userId }] },
+      { $pull: { readBy: { user: userId }, reactions: { user: userId }, deletedBy: userId } }
+    );
+
+    // Leave group conversations; hand admin rights on if the user was the only admin
+    const groups = await Conversation.find({ isGroup: true, participants: userId });
+    for (const group of groups) {
+      group.participants = group.participants.filter(id => !idEquals(id, userId));
+      group.admins = group.admins.filter(id => !idEquals(id, userId));
+      group.archivedBy = group.archivedBy.filter(id => !idEquals(id, userId));
+      group.deletedBy = group.deletedBy.filter(id => !idEquals(id, userId));
+      if (idEquals(group.createdBy, userId)) group.createdBy = undefined;
+      if (group.unreadCount) group.unreadCount.delete(userId.toString());
+      if (group.admins.length === 0 && group.participants.length > 0) {
+        group.admins = [group.participants[0]];
+      }
+      // Groups that drop below the minimum size are kept for the remaining members
+      await group.save({ validateBeforeSave: false });
+    }
+
+    return {
+      messages: deletedMessages.deletedCount,
+      conversations: deletedConversations.deletedCount,
+      groupsLeft: groups.length,
+      files
+    };
+  }
+
+  async cleanUpClubs(userId) {
+    const clubs = await Club.find({
+      $or: [
+        { owner: userId },
+        { 'members.user': userId },
+        { 'joinRequests.user': userId },
+        { 'discussions.author': userId },
+        { 'discussions.likes': userId },
+        { 'discussions.pollOptions.votes': userId },
+        { 'comments.author': userId },
+        { 'comments.likes': userId },
+        { 'files.uploadedBy': userId }
+      ]
+    });
+
+    const roleRank = { owner: 4, admin: 3, moderator: 2, member: 1 };
+    let deleted = 0;
+    let transferred = 0;
+    let files = 0;
+
+    for (const club of clubs) {
+      const remainingMembers = club.members.filter(m => !idEquals(m.user, userId));
+
+      // Owned club with nobody else in it: delete it with its files
+      if (idEquals(club.owner, userId) && remainingMembers.length === 0) {
+        files += removeUploads([
+          club.coverImage,
+          club.avatar,
+          ...club.files.map(f => f.fileUrl),
+          ...club.discussions.flatMap(d => d.media.flatMap(m => [m.url, m.thumbnail]))
+        ]);
+        await Club.deleteOne({ _id: club._id });
+        await Revision.deleteMany({ club: club._id });
+        deleted++;
+        continue;
+      }
+
+      // Owned club with members left: the most senior, longest-standing member takes over
+      if (idEquals(club.owner, userId)) {
+        const successor = [...remainingMembers].sort((a, b) =>
+          (roleRank[b.role] || 0) - (roleRank[a.role] || 0) || a.joinedAt - b.joinedAt
+        )[0];
+        successor.role = 'owner';
+        club.owner = successor.user;
+        transferred++;
+      }
+
+      const removedDiscussionIds = club.discussions
+        .filter(d => idEquals(d.author, userId))
+        .map(d => d._id.toString());
+
+      files += removeUploads([
+        ...club.files.filter(f => idEquals(f.uploadedBy, userId)).map(f => f.fileUrl),
+        ...club.discussions
+          .filter(d => idEquals(d.author, userId))
+          .flatMap(d => d.media.flatMap(m => [m.url, m.thumbnail]))
+      ]);
+
+      club.members = remainingMembers;
+      club.joinRequests = club.joinRequests.filter(r => !idEquals(r.user, userId));
+      club.files = club.files.filter(f => !idEquals(f.uploadedBy, userId));
+      club.discussions = club.discussions.filter(d => !idEquals(d.author, userId));
+      club.comments = club.comments.filter(c =>
+        !idEquals(c.author, userId) && !removedDiscussionIds.includes(c.discussionId.toString())
+      );
+
+      for (const discussion of club.discussions) {
+        discussion.likes = discussion.likes.filter(id => !idEquals(id, userId));
+        discussion.likesCount = discussion.likes.length;
+        discussion.taggedMembers = discussion.taggedMembers.filter(id => !idEquals(id, userId));
+        for (const option of discussion.pollOptions) {
+          option.votes = option.votes.filter(id => !idEquals(id, userId));
+          option.votesCount = option.votes.length;
+        }
+        discussion.commentsCount = club.comments.filter(c =>
+          idEquals(c.discussionId, discussion._id) && !c.isDeleted
+        ).length;
+      }
+      for (const comment of club.comments) {
+        comment.likes = comment.likes.filter(id => !idEquals(id, userId));
+        comment.likesCount = comment.likes.length;
+      }
+
+      // Counts are refreshed by the pre-save hook
+      await club.save({ validateBeforeSave: false });
+    }
+
+    return { clubsUpdated: clubs.length - deleted, clubsDeleted: deleted, ownershipTransferred: transferred, files };
+  }
+
+  async cleanUpEvents(userId) {
+    const events = await Event.find({ organizer: userId }).select('coverImage');
+    const files = removeUploads(events.map(e => e.coverImage));
+    const deleted = await Event.deleteMany({ organizer: userId });
+
+    const updated = await Event.updateMany(
+      {
+        $or: [
+          { 'rsvps.user': userId },
+          { 'invitations.user': userId },
+          { 'checkIns.user': userId },
+          { waitlist: userId }
+        ]
+      },
+      {
+        $pull: {
+          rsvps: { user: userId },
+          invitations: { user: userId },
+          checkIns: { user: userId },
+          waitlist: userId
+        }
+      }
+    );
+
+    return { deleted: deleted.deletedCount, eventsUpdated: updated.modifiedCount, files };
+  }
+
+  async deleteSocialRecords(userId) {
+    const counts = {};
+
+    counts.blocks = (await Block.deleteMany({ $or: [{ blocker: userId }, { blocked: userId }] })).deletedCount;
+    counts.pokes = (await Poke.deleteMany({ $or: [{ sender: userId }, { recipient: userId }] })).deletedCount;
+    counts.profileVisits = (await ProfileVisitor.deleteMany({ $or: [{ profileOwnerId: userId }, { visitorId: userId }] })).deletedCount;
+    counts.notifications = (await Notification.deleteMany({ $or: [{ recipient: userId }, { sender: userId }] })).deletedCount;
+    counts.calls = (await Call.deleteMany({ $or: [{ caller: userId }, { callee: userId }] })).deletedCount;
+    counts.memories = (await Memory.deleteMany({ user: userId })).deletedCount;
+    counts.achievements = (await UserAchievement.deleteMany({ user: userId })).deletedCount;
+    counts.crisisResponses = (await CrisisResponse.deleteMany({ user: userId })).deletedCount;
+    counts.hiddenPosts = (await HiddenPost.deleteMany({ $or: [{ user: userId }, { author: userId }] })).deletedCount;
+    // Earlier versions of the user's comments and club posts elsewhere
+    counts.revisions = (await Revision.deleteMany({ author: userId })).deletedCount;
+    counts.audienceLists = (await AudienceList.deleteMany({ owner: userId })).deletedCount;
+    await AudienceList.updateMany({ members: userId }, { $pull: { members: userId } });
+
+    // Followed hashtags lose a follower; the user's past hashtag use stays counted, without their identity
+    const { followedHashtags = [] } = (await User.findById(userId).select('followedHashtags').lean()) || {};
+    if (followedHashtags.length > 0) {
+      await Hashtag.updateMany({ tag: { $in: followedHashtags }, followersCount: { $gt: 0 } }, { $inc: { followersCount: -1 } });
+    }
+    await HashtagUsage.updateMany({ users: userId }, { $pull: { users: userId } });
+
+    // Data export archives contain everything above, so they go too
+    const exports = await DataExport.find({ user: userId }).select('+filePath');
+    exports.forEach(e => {
+      if (e.filePath && fs.existsSync(e.filePath)) fs.unlinkSync(e.filePath);
+    });
+    counts.dataExports = (await DataExport.deleteMany({ user: userId })).deletedCount;
+    counts.entitlementGrants = (await EntitlementGrant.deleteMany({ user: userId })).deletedCount;
+    // Purchase ledger entries, promo/gift redemptions and the (canceled) subscriptions are kept:
+    // refunds and chargebacks can still arrive for them, and redemptions are the audit trail of promotions
+    counts.storageEntries = (await StorageEntry.deleteMany({ user: userId })).deletedCount;
+    await StorageUsage.deleteMany({ user: userId });
+
+    // Help the user gave on other people's crisis requests stays, without their identity
+    await CrisisResponse.updateMany(
+      { $or: [{ emergencyContactsNotified: userId }, { 'helpers.user': userId }] },
+      { $pull: { emergencyContactsNotified: userId, helpers: { user: userId } } }
+    );
+
+    // Reports the user filed go; reports about the user and moderation history stay for the audit trail
+    counts.reports = (await Report.deleteMany({ reporter: userId })).deletedCount;
+
+    const follows = await User.updateMany(
+      { $or: [{ followers: userId }, { following: userId }] },
+      { $pull: { followers: userId, following: userId } }
+    );
+    counts.followEdges = follows.modifiedCount;
+
+    return counts;
+  }
+
+  // Uploaded sounds may be used in other people's videos, so they stay without an owner
+  async anonymizeMusicTracks(userId) {
+    const updated = await MusicTrack.updateMany({ uploadedBy: userId }, { $unset: { uploadedBy: 1 } });
+    return { tracksAnonymized: updated.modifiedCount };
+  }
+
+  async deleteAccount(userId) {
+    const user = await User.findById(userId).select('avatar feedBannerPhoto');
+    if (!user) return { deleted: 0, files: 0 };
+
+    const files = removeUploads([user.avatar, user.feedBannerPhoto]);
+    const deleted = await User.deleteOne({ _id: userId });
+    return { deleted: deleted.deletedCount, files };
+  }
+}
+
+AccountDeletionService.GRACE_PERIOD_DAYS = GRACE_PERIOD_DAYS;
+
+module.exports = AccountDeletionService;
@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const ApiToken = require('../models/ApiToken');
+const { isValidScope } = require('../config/scopes');
+
+// Recognisable prefix so tokens can be told apart from JWTs (and found by secret scanners)
+const TOKEN_PREFIX = 'ft_pat_';
+
+const DEFAULT_EXPIRY_DAYS = 30;
+const MAX_EXPIRY_DAYS = 365;
+const MAX_TOKENS_PER_USER = 20;
+
+// lastUsedAt is only written when it is older than this, to avoid a write per request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * API Token Service
+ * Personal access tokens for bots and integrations: creation, verification
+ * (used by middleware/auth.js), last-used tracking and revocation.
+ */
+class ApiTokenService {
+
+  isApiToken(token) {
+    return typeof token === 'string' && token.startsWith(TOKEN_PREFIX);
+  }
+
+  /**
+   * Check a requested scope list
+   * @returns {String[]|null} - Unknown scopes, or null if the list is valid
+   */
+  findInvalidScopes(scopes) {
+    const invalid = scopes.filter(scope => !isValidScope(scope));
+    return invalid.length > 0 ? invalid : null;
+  }
+
+  /**
+   * Create a token
+   * @param {String} userId - Owner of the token
+   * @param {Object} params - { name, scopes, expiresInDays, createdByAdmin }
+   * @returns {Object} - { token, apiToken } or { error: 'too_many_tokens' } - token is only available here
+   */
+  async createToken(userId, { name, scopes, expiresInDays = DEFAULT_EXPIRY_DAYS, createdByAdmin = null }) {
+    const activeCount = await ApiToken.countDocuments({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } });
+    if (activeCount >= MAX_TOKENS_PER_USER) return { error: 'too_many_tokens' };
+
+    const days = Math.min(Math.max(parseInt(expiresInDays, 10) || DEFAULT_EXPIRY_DAYS, 1), MAX_EXPIRY_DAYS);
+    const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+
+    const apiToken = await ApiToken.create({
+      user: userId,
+      name,
+      tokenHash: hashToken(token),
+      tokenPrefix: token.slice(0, TOKEN_PREFIX.length + 6),
+      scopes: [...new Set(scopes)],
+      expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000),
+      createdByAdmin
+    });
+
+    console.log(`🔑 API token "${name}" created for user ${userId} with scopes: ${apiToken.scopes.join(', ')}`);
+    return { token, apiToken };
+  }
+
+  /**
+   * Verify a token and record its use
+   * Throws the same error types as jwt.verify so callers can handle both credentials alike.
+   * @param {String} token - Token from the Authorization header
+   * @param {Object} context - { ip }
+   * @returns {Object} - ApiToken document
+   */
+  async verifyToken(token, { ip = null } = {}) {
+    const apiToken = await ApiToken.findOne({ tokenHash: hashToken(token) });
+
+    if (!apiToken || apiToken.revokedAt) {
+      throw new jwt.JsonWebTokenError('Invalid API token');
+    }
+    if (apiToken.expiresAt <= new Date()) {
+      throw new jwt.TokenExpiredError('API token expired', apiToken.expiresAt);
+    }
+
+    if (!apiToken.lastUsedAt || Date.now() - apiToken.lastUsedAt.getTime() > LAST_USED_RESOLUTION_MS || apiToken.lastUsedIp !== ip) {
+      ApiToken.updateOne({ _id: apiToken._id }, { lastUsedAt: new Date(), lastUsedIp: ip })
+        .catch(error => console.error('❌ Failed to record API token use:', error.message));
+    }
+
+    return apiToken;
+  }
+
+  /**
+   * List a user's tokens (active first, then the most recent)
+   */
+  async listTokens(userId) {
+    return ApiToken.find({ user: userId }).sort({ revokedAt: 1, createdAt: -1 });
+  }
+
+  /**
+   * Revoke a token
+   * @param {String} tokenId - ApiToken ID
+   * @param {String} userId - Owner (omit for admin revocation)
+   * @returns {Object|null} - The revoked token, or null if it doesn't exist
+   */
+  async revokeToken(tokenId, userId = null) {
+    const filter = { _id: tokenId, revokedAt: null };
+    if (userId) filter.user = userId;
+
+    return ApiToken.findOneAndUpdate(filter, { revokedAt: new Date() }, { new: true });
+  }
+}
+
+module.exports = new ApiTokenService();
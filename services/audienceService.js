@@ -0,0 +1,152 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const AudienceList = require('../models/AudienceList');
+
+const VISIBILITIES = ['public', 'friends', 'private', 'custom'];
+
+// Limits on custom audience lists
+const MAX_LISTS = 20;
+const MAX_LIST_MEMBERS = 500;
+
+const idOf = (value) => (value && value._id ? value._id : value);
+const toObjectIds = (ids) => [...ids].map(id => new mongoose.Types.ObjectId(id.toString()));
+
+/**
+ * Audience Service
+ * Who can see a post: 'public' is everyone, 'friends' is people the author follows
+ * who follow them back (mutual follows), 'custom' is the members of one of the author's
+ * audience lists and 'private' is the author alone. Blocks are checked separately by
+ * the routes, as before.
+ */
+class AudienceService {
+
+  get visibilities() {
+    return VISIBILITIES;
+  }
+
+  get maxLists() {
+    return MAX_LISTS;
+  }
+
+  get maxListMembers() {
+    return MAX_LIST_MEMBERS;
+  }
+
+  /**
+   * Mutual follows of a user
+   * @returns {Array} - User ID strings
+   */
+  async getFriendIds(userId) {
+    const user = await User.findById(userId).select('following followers').lean();
+    if (!user) return [];
+
+    const followers = new Set((user.followers || []).map(id => id.toString()));
+    return (user.following || []).map(id => id.toString()).filter(id => followers.has(id));
+  }
+
+  /**
+   * What a viewer can see: who counts them as a friend and which lists they are on
+   * Build it once per request and pass it to visibilityFilter / canView.
+   * @returns {Object} - { viewerId, friendIds, audienceIds } (Sets of ID strings)
+   */
+  async getViewerContext(viewerId) {
+    const [friendIds, lists] = await Promise.all([
+      this.getFriendIds(viewerId),
+      AudienceList.find({ members: viewerId }).select('_id').lean()
+    ]);
+
+    return {
+      viewerId: viewerId.toString(),
+      friendIds: new Set(friendIds),
+      audienceIds: new Set(lists.map(list => list._id.toString()))
+    };
+  }
+
+  /**
+   * MongoDB filter for the posts a viewer can see (ObjectIds, so it works in aggregations too)
+   */
+  visibilityFilter(context) {
+    return {
+      $or: [
+        { visibility: 'public' },
+        { author: new mongoose.Types.ObjectId(context.viewerId) },
+        { visibility: 'friends', author: { $in: toObjectIds(context.friendIds) } },
+        { visibility: 'custom', audience: { $in: toObjectIds(context.audienceIds) } }
+      ]
+    };
+  }
+
+  /**
+   * Whether a viewer can see a post (document or plain object; author may be populated)
+   */
+  canView(post, context) {
+    if (!post) return false;
+    const visibility = post.visibility || 'public';
+    if (visibility === 'public') return true;
+
+    const authorId = idOf(post.author).toString();
+    if (authorId === context.viewerId) return true;
+    if (visibility === 'friends') return context.friendIds.has(authorId);
+    if (visibility === 'custom') return !!post.audience && context.audienceIds.has(idOf(post.audience).toString());
+    return false;
+  }
+
+  // canView for a single post, without loading the viewer's context for public posts
+  async canViewPost(post, viewerId) {
+    if (!post) return false;
+    if ((post.visibility || 'public') === 'public') return true;
+    return this.canView(post, await this.getViewerContext(viewerId));
+  }
+
+  /**
+   * Hide reshares whose original post the viewer can't see (its audience may have changed
+   * since it was reshared). Expects originalPost populated with visibility, audience and author.
+   */
+  filterReshares(posts, context) {
+    return posts.filter(post => !post.isReshare || !post.originalPost || this.canView(post.originalPost, context));
+  }
+
+  /**
+   * Check the audience picked for a post
+   * @param {Object} author - User document
+   * @returns {Object} - { visibility, audience } or { error }
+   */
+  async resolveAudience(author, visibility = 'public', audienceId = null) {
+    if (!VISIBILITIES.includes(visibility)) {
+      return { error: `Visibility must be one of: ${VISIBILITIES.join(', ')}` };
+    }
+    if (visibility !== 'custom') {
+      return { visibility, audience: null };
+    }
+
+    if (!audienceId || !mongoose.Types.ObjectId.isValid(audienceId)) {
+      return { error: 'Choose an audience list for this post' };
+    }
+    const list = await AudienceList.findOne({ _id: audienceId, owner: author._id }).select('_id');
+    if (!list) {
+      return { error: 'Audience list not found' };
+    }
+    return { visibility, audience: list._id };
+  }
+
+  /**
+   * The users among candidates who can see a post (for real-time events)
+   * @returns {Array} - User IDs
+   */
+  async filterViewers(post, candidateIds) {
+    const visibility = post.visibility || 'public';
+    if (visibility === 'public') return candidateIds;
+    if (visibility === 'private') return [];
+
+    if (visibility === 'friends') {
+      const friendIds = new Set(await this.getFriendIds(idOf(post.author)));
+      return candidateIds.filter(id => friendIds.has(id.toString()));
+    }
+
+    const list = post.audience ? await AudienceList.findById(idOf(post.audience)).select('members').lean() : null;
+    const members = new Set((list ? list.members : []).map(id => id.toString()));
+    return candidateIds.filter(id => members.has(id.toString()));
+  }
+}
+
+module.exports = new AudienceService();
@@ -0,0 +1,149 @@
+const Message = require('../models/Message');
+
+/**
+ * Conversation Export Service
+ * Builds the JSON and plain-text exports of a conversation. Used by the single
+ * conversation export endpoint and by the personal data export archive.
+ */
+class ConversationExportService {
+
+  /**
+   * Get the messages of a conversation as the user sees them (chronological,
+   * without deleted messages or ones the user deleted for themselves)
+   * @param {String} conversationId - Conversation ID
+   * @param {String} userId - Exporting user
+   */
+  async getMessages(conversationId, userId) {
+    return Message.find({
+      conversation: conversationId,
+      deletedBy: { $ne: userId },
+      isDeleted: false
+    })
+      .populate('sender', 'name email avatar')
+      .populate('replyTo', 'content sender')
+      .populate('reactions.user', 'name')
+      .sort({ createdAt: 1 }); // Chronological order
+  }
+
+  /**
+   * Display name of the conversation from the user's point of view
+   * @param {Object} conversation - Conversation with populated participants
+   */
+  getChatName(conversation, userId) {
+    if (conversation.isGroup) {
+      return conversation.groupName || 'Group Chat';
+    }
+    const other = conversation.participants.find(p => p._id.toString() !== userId.toString());
+    return other ? other.name : 'Deleted user';
+  }
+
+  /**
+   * Base file name for an export of this conversation (no extension)
+   */
+  getFileName(conversation, userId) {
+    const name = this.getChatName(conversation, userId).replace(/[^a-zA-Z0-9]/g, '_');
+    return `FreeTalk_${name}_${new Date().toISOString().split('T')[0]}`;
+  }
+
+  /**
+   * Plain-text export
+   * @param {Object} conversation - Conversation with populated participants
+   * @param {Array} messages - Result of getMessages
+   * @param {String} userId - Exporting user
+   */
+  toText(conversation, messages, userId) {
+    let textContent = `FreeTalk Conversation Export\n`;
+    textContent += `===============================\n\n`;
+    textContent += `Chat with: ${this.getChatName(conversation, userId)}\n`;
+    textContent += `Exported on: ${new Date().toLocaleString()}\n`;
+    textContent += `Total messages: ${messages.length}\n`;
+    textContent += `\n===============================\n\n`;
+
+    messages.forEach(msg => {
+      const timestamp = new Date(msg.createdAt).toLocaleString();
+      const senderName = msg.sender?.name || 'Unknown';
+
+      textContent += `[${timestamp}] ${senderName}:\n`;
+
+      if (msg.replyTo) {
+        const replyToSender = msg.replyTo.sender?.name || 'Unknown';
+        textContent += `  ↳ Replying to ${replyToSender}: "${msg.replyTo.content || '[Media]'}"\n`;
+      }
+
+      if (msg.content) {
+        textContent += `  ${msg.content}${msg.editedAt ? ' (edited)' : ''}\n`;
+      }
+
+      if (msg.type === 'image') {
+        textContent += `  📷 [Image: ${msg.mediaUrl}]\n`;
+      } else if (msg.type === 'video') {
+        textContent += `  🎥 [Video: ${msg.mediaUrl}]\n`;
+      } else if (msg.type === 'document') {
+        textContent += `  📄 [Document: ${msg.fileName || msg.mediaUrl}]\n`;
+      } else if (msg.type === 'gif') {
+        textContent += `  🎬 [GIF: ${msg.mediaUrl}]\n`;
+      }
+
+      if (msg.reactions && msg.reactions.length > 0) {
+        const reactionSummary = msg.reactions.map(r => `${r.emoji}(${r.user?.name || 'Unknown'})`).join(', ');
+        textContent += `  Reactions: ${reactionSummary}\n`;
+      }
+
+      textContent += `\n`;
+    });
+
+    return textContent;
+  }
+
+  /**
+   * JSON export
+   * @param {Object} conversation - Conversation with populated participants
+   * @param {Array} messages - Result of getMessages
+   * @param {Object} user - Exporting user
+   */
+  toJson(conversation, messages, user) {
+    return {
+      exportInfo: {
+        exportedBy: user.name,
+        exportedAt: new Date().toISOString(),
+        conversationId: conversation._id,
+        totalMessages: messages.length
+      },
+      conversation: {
+        isGroup: conversation.isGroup,
+        name: this.getChatName(conversation, user._id),
+        participants: conversation.participants.map(p => ({
+          id: p._id,
+          name: p.name,
+          email: p.email
+        }))
+      },
+      messages: messages.map(msg => ({
+        id: msg._id,
+        sender: msg.sender ? {
+          id: msg.sender._id,
+          name: msg.sender.name,
+          email: msg.sender.email
+        } : null,
+        content: msg.content,
+        type: msg.type,
+        mediaUrl: msg.mediaUrl,
+        fileName: msg.fileName,
+        fileSize: msg.fileSize,
+        replyTo: msg.replyTo ? {
+          id: msg.replyTo._id,
+          content: msg.replyTo.content,
+          sender: msg.replyTo.sender?.name
+        } : null,
+        reactions: msg.reactions,
+        isRead: msg.isRead,
+        editedAt: msg.editedAt,
+        editHistory: (msg.editHistory || []).map(version => ({ content: version.content, editedAt: version.editedAt })),
+        createdAt: msg.createdAt,
+        updatedAt: msg.updatedAt
+      }))
+    };
+  }
+}
+
+module.exports = new ConversationExportService();
@@ -0,0 +1,678 @@
+const path = require('path');
+const fs = require('fs');
+const jwt = require('jsonwebtoken');
+const archiver = require('archiver');
+const User = require('../models/User');
+const DataExport = require('../models/DataExport');
+const Post = require('../models/Post');
+const Story = require('../models/Story');
+const Video = require('../models/Video');
+const Photo = require('../models/Photo');
+const Conversation = require('../models/Conversation');
+const Memory = require('../models/Memory');
+const AudienceList = require('../models/AudienceList');
+const ScheduledPost = require('../models/ScheduledPost');
+const Revision = require('../models/Revision');
+const Event = require('../models/Event');
+const Club = require('../models/Club');
+const Call = require('../models/Call');
+const Purchase = require('../models/Purchase');
+const Redemption = require('../models/Redemption');
+const Notification = require('../models/Notification');
+const { UserAchievement } = require('../models/Achievement');
+const conversationExportService = require('./conversationExportService');
+const emailService = require('./emailService');
+const FCM = require('./fcmService');
+const { uploadDir, resolveUpload } = require('../utils/uploads');
+
+// How long a finished archive (and its download link) stays available
+const EXPORT_TTL_HOURS = 48;
+
+// A build still marked as processing after this long is assumed to belong to a dead worker
+const STALE_PROCESSING_MS = 30 * 60 * 1000;
+const MAX_ATTEMPTS = 3;
+
+// Archives live outside /uploads so they are only reachable through the signed download link
+const exportDir = path.join(__dirname, '..', 'exports');
+const isOwn = (id, userId) => !!id && id.toString() === userId.toString();
+
+const README = `FreeTalk personal data export
+=============================
+
+This archive contains the personal data FreeTalk holds about your account.
+
+profile.json        Your profile, settings, followers, following and followed hashtags
+posts.json          Posts you published
+drafts.json         Drafts and scheduled posts that haven't been published yet
+edit-history.json   Earlier versions of posts, comments and club posts you edited
+audiences.json      Your audience lists (such as "Close friends") and who is on them
+comments.json       Comments and replies you wrote on posts
+reactions.json      Reactions and likes you gave on posts, comments, stories and videos
+messages/           One JSON and one text file per conversation
+stories.json        Stories you posted (only stories that have not expired yet)
+videos.json         Videos you uploaded
+photos.json         Photos in your gallery
+memories.json       Your "On This Day" memories
+achievements.json   Achievements you earned
+events.json         Events you organized or responded to
+clubs.json          Your club memberships and club activity
+calls.json          Your call history
+payments.json       Your premium status, payment history, promo codes, trials and gifts
+media/              Media files you uploaded, named as in the URLs above
+`;
+
+/**
+ * Data Export Service
+ * Builds personal data export archives (ZIP) in the background and hands out
+ * time-limited download links for them.
+ */
+class DataExportService {
+  constructor(io) {
+    this.io = io;
+    this._interval = null;
+    this._running = false;
+  }
+
+  start() {
+    if (!fs.existsSync(exportDir)) {
+      fs.mkdirSync(exportDir, { recursive: true });
+    }
+
+    // Run shortly after startup (picks up builds interrupted by a restart), then every 10 minutes
+    this.runSafely();
+    this._interval = setInterval(() => this.runSafely(), 10 * 60 * 1000);
+    console.log('📦 DataExportService scheduled (every 10 minutes)');
+  }
+
+  stop() {
+    if (this._interval) clearInterval(this._interval);
+  }
+
+  async runSafely() {
+    if (this._running) return;
+    this._running = true;
+    try {
+      await this.processPendingExports();
+      await this.removeExpiredExports();
+    } catch (e) {
+      console.error('DataExportService error:', e);
+    } finally {
+      this._running = false;
+    }
+  }
+
+  /**
+   * Queue an export for a user and start building it right away
+   * @param {Object} user - User document
+   * @returns {Object} - { export, alreadyQueued }
+   */
+  async requestExport(user) {
+    const existing = await DataExport.findOne({ user: user._id, status: { $in: ['pending', 'processing'] } });
+    if (existing) return { export: existing, alreadyQueued: true };
+
+    const dataExport = await DataExport.create({ user: user._id });
+    console.log(`📦 Data export ${dataExport._id} requested by user ${user._id}`);
+
+    // Don't keep the request waiting; the interval picks it up if this run is busy
+    setImmediate(() => this.runSafely());
+
+    return { export: dataExport, alreadyQueued: false };
+  }
+
+  /**
+   * Signed download link for a finished export
+   */
+  buildDownloadLink(dataExport) {
+    const expiresInSeconds = Math.max(1, Math.floor((dataExport.expiresAt.getTime() - Date.now()) / 1000));
+    const token = jwt.sign(
+      { exportId: dataExport._id.toString(), userId: dataExport.user.toString(), type: 'data_export' },
+      process.env.JWT_SECRET,
+      { expiresIn: expiresInSeconds }
+    );
+    const apiUrl = process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+    return `${apiUrl}/api/users/me/export/download?token=${encodeURIComponent(token)}`;
+  }
+
+  /**
+   * Resolve a download token to a downloadable export
+   * @returns {Object|null} - DataExport (with filePath) or null if the token or export is no longer valid
+   */
+  async getDownloadableExport(token) {
+    let decoded;
+    try {
+      decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+      return null;
+    }
+    if (decoded.type !== 'data_export') return null;
+
+    const dataExport = await DataExport.findOne({ _id: decoded.exportId, user: decoded.userId }).select('+filePath');
+    if (!dataExport || !dataExport.isDownloadable() || !fs.existsSync(dataExport.filePath)) return null;
+
+    return dataExport;
+  }
+
+  async processPendingExports() {
+    let dataExport;
+    while ((dataExport = await this.claimNext())) {
+      await this.buildExport(dataExport);
+    }
+  }
+
+  // Atomically take one export to build, so two server instances never build the same one
+  async claimNext() {
+    const now = new Date();
+    return DataExport.findOneAndUpdate(
+      {
+        attempts: { $lt: MAX_ATTEMPTS },
+        $or: [
+          { status: 'pending' },
+          { status: 'processing', processingStartedAt: { $lt: new Date(now.getTime() - STALE_PROCESSING_MS) } }
+        ]
+      },
+      { status: 'processing', processingStartedAt: now, $inc: { attempts: 1 } },
+      { new: true, sort: { createdAt: 1 } }
+    );
+  }
+
+  /**
+   * Build the archive for a claimed export, then notify the user
+   * @param {Object} dataExport - DataExport document in 'processing' status
+   */
+  async buildExport(dataExport) {
+    const filePath = path.join(exportDir, `${dataExport._id}.zip`);
+
+    try {
+      const user = await User.findById(dataExport.user);
+      if (!user) throw new Error('User no longer exists');
+
+      const sections = await this.collectData(user);
+      const counts = await this.writeArchive(filePath, sections);
+
+      dataExport.status = 'ready';
+      dataExport.filePath = filePath;
+      dataExport.fileSize = fs.statSync(filePath).size;
+      dataExport.counts = counts;
+      dataExport.completedAt = new Date();
+      dataExport.expiresAt = new Date(Date.now() + EXPORT_TTL_HOURS * 60 * 60 * 1000);
+      dataExport.processingStartedAt = null;
+      dataExport.error = null;
+      await dataExport.save();
+
+      console.log(`✅ Data export ${dataExport._id} ready (${dataExport.fileSize} bytes)`);
+
+      await this.notifyReady(user, dataExport);
+    } catch (error) {
+      console.error(`❌ Data export ${dataExport._id} failed:`, error);
+      if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+
+      // Left as processing-with-no-owner it would be retried; mark it failed once out of attempts
+      dataExport.status = dataExport.attempts >= MAX_ATTEMPTS ? 'failed' : 'pending';
+      dataExport.processingStartedAt = null;
+      dataExport.error = error.message;
+      await dataExport.save();
+    }
+  }
+
+  /**
+   * Gather everything that goes into the archive
+   * @returns {Object} - { files: [{ name, content }], media: Set of upload URLs, counts }
+   */
+  async collectData(user) {
+    const userId = user._id;
+    const files = [];
+    const media = new Set();
+    const counts = {};
+
+    const addJson = (name, data, count) => {
+      files.push({ name, content: JSON.stringify(data, null, 2) });
+      if (count !== undefined) counts[name.replace(/\.json$/, '')] = count;
+    };
+
+    // Profile
+    const profileUser = await User.findById(userId)
+      .populate('followers', 'name')
+      .populate('following', 'name');
+    const profile = profileUser.getPublicProfile();
+    delete profile.securityAnswer;
+    delete profile.pendingEmailNonce;
+    profile.followers = profileUser.followers.map(f => ({ id: f._id, name: f.name }));
+    profile.following = profileUser.following.map(f => ({ id: f._id, name: f.name }));
+    delete profile.paymentHistory;
+    addJson('profile.json', profile);
+    media.add(user.avatar);
+    media.add(user.feedBannerPhoto);
+
+    // Posts
+    const posts = await Post.find({ author: userId }).sort({ createdAt: 1 }).lean();
+    addJson('posts.json', posts.map(p => ({
+      id: p._id,
+      content: p.content,
+      images: p.images,
+      videos: p.videos,
+      visibility: p.visibility,
+      audience: p.audience,
+      isReshare: p.isReshare,
+      originalPost: p.originalPost,
+      reshareCaption: p.reshareCaption,
+      reactionsCount: (p.reactions || []).length,
+      commentsCount: (p.comments || []).length,
+      createdAt: p.createdAt,
+      updatedAt: p.updatedAt
+    })), posts.length);
+    posts.forEach(p => [...(p.images || []), ...(p.videos || [])].forEach(url => media.add(url)));
+
+    // Drafts and scheduled posts
+    const scheduledPosts = await ScheduledPost.find({ author: userId }).sort({ createdAt: 1 }).lean();
+    addJson('drafts.json', scheduledPosts.map(s => ({
+      id: s._id,
+      club: s.club,
+      status: s.status,
+      content: s.content,
+      media: s.media.map(m => m.url),
+      visibility: s.visibility,
+      scheduledFor: s.scheduledFor,
+      timezone: s.timezone,
+      createdAt: s.createdAt
+    })), scheduledPosts.length);
+    scheduledPosts.forEach(s => s.media.forEach(m => media.add(m.url)));
+
+    // Edit history
+    const revisions = await Revision.find({ author: userId }).sort({ validUntil: 1 }).lean();
+    addJson('edit-history.json', revisions.map(r => ({
+      type: r.targetType,
+      id: r.targetId,
+      post: r.post,
+      club: r.club,
+      version: r.version,
+      content: r.content,
+      media: r.media,
+      shownFrom: r.validFrom,
+      replacedAt: r.validUntil
+    })), revisions.length);
+
+    // Audience lists
+    const audienceLists = await AudienceList.find({ owner: userId }).populate('members', 'name').lean();
+    addJson('audiences.json', audienceLists.map(list => ({
+      id: list._id,
+      name: list.name,
+      members: list.members.map(m => ({ id: m._id, name: m.name })),
+      createdAt: list.createdAt
+    })), audienceLists.length);
+
+    // Comments, replies and reactions on any post
+    const interactedPosts = await Post.find({
+      $or: [
+        { 'reactions.user': userId },
+        { 'comments.user': userId },
+        { 'comments.reactions.user': userId },
+        { 'comments.replies.user': userId },
+        { 'comments.replies.reactions.user': userId },
+        { 'comments.replies.replies.user': userId }
+      ]
+    }).select('reactions comments').lean();
+
+    const comments = [];
+    const reactions = [];
+    for (const post of interactedPosts) {
+      (post.reactions || []).filter(r => isOwn(r.user, userId)).forEach(r => {
+        reactions.push({ on: 'post', post: post._id, type: r.type, createdAt: r.createdAt });
+      });
+      for (const comment of post.comments || []) {
+        if (isOwn(comment.user, userId)) {
+          comments.push({ post: post._id, comment: comment._id, content: comment.content, gif: comment.gif, createdAt: comment.createdAt });
+        }
+        (comment.reactions || []).filter(r => isOwn(r.user, userId)).forEach(r => {
+          reactions.push({ on: 'comment', post: post._id, comment: comment._id, type: r.type, createdAt: r.createdAt });
+        });
+        for (const reply of comment.replies || []) {
+          if (isOwn(reply.user, userId)) {
+            comments.push({ post: post._id, comment: comment._id, reply: reply._id, content: reply.content, createdAt: reply.createdAt });
+          }
+          (reply.reactions || []).filter(r => isOwn(r.user, userId)).forEach(r => {
+            reactions.push({ on: 'reply', post: post._id, comment: comment._id, reply: reply._id, type: r.type, createdAt: r.createdAt });
+          });
+          (reply.replies || []).filter(r => isOwn(r.user, userId)).forEach(nested => {
+            comments.push({ post: post._id, comment: comment._id, reply: reply._id, nestedReply: nested._id, content: nested.content, createdAt: nested.createdAt });
+          });
+        }
+      }
+    }
+
+    // Stories (own and reacted to)
+    const stories = await Story.find({ author: userId }).sort({ createdAt: 1 }).lean();
+    addJson('stories.json', stories.map(s => ({
+      id: s._id,
+      mediaType: s.mediaType,
+      mediaUrl: s.mediaUrl,
+      textContent: s.textContent,
+      caption: s.caption,
+      viewersCount: (s.viewers || []).length,
+      createdAt: s.createdAt,
+      expiresAt: s.expiresAt
+    })), stories.length);
+    stories.forEach(s => media.add(s.mediaUrl));
+
+    const reactedStories = await Story.find({ 'reactions.user': userId }).select('reactions').lean();
+    reactedStories.forEach(story => (story.reactions || []).filter(r => isOwn(r.user, userId)).forEach(r => {
+      reactions.push({ on: 'story', story: story._id, emoji: r.emoji, createdAt: r.createdAt });
+    }));
+
+    // Videos (own, and likes/comments on any video)
+    const videos = await Video.find({ author: userId }).sort({ createdAt: 1 }).lean();
+    addJson('videos.json', videos.map(v => ({
+      id: v._id,
+      title: v.title,
+      description: v.description,
+      videoUrl: v.videoUrl,
+      thumbnailUrl: v.thumbnailUrl,
+      duration: v.duration,
+      visibility: v.visibility,
+      hashtags: v.hashtags,
+      viewsCount: (v.views || []).length,
+      likesCount: (v.likes || []).length,
+      createdAt: v.createdAt
+    })), videos.length);
+    videos.forEach(v => { media.add(v.videoUrl); media.add(v.thumbnailUrl); });
+
+    const interactedVideos = await Video.find({ $or: [{ 'likes.user': userId }, { 'comments.user': userId }] })
+      .select('likes comments').lean();
+    for (const video of interactedVideos) {
+      (video.likes || []).filter(l => isOwn(l.user, userId)).forEach(l => {
+        reactions.push({ on: 'video', video: video._id, type: 'like', createdAt: l.createdAt });
+      });
+      (video.comments || []).filter(c => isOwn(c.user, userId)).forEach(c => {
+        comments.push({ video: video._id, comment: c._id, content: c.text, createdAt: c.createdAt });
+      });
+    }
+
+    addJson('comments.json', comments, comments.length);
+    addJson('reactions.json', reactions, reactions.length);
+
+    // Photos
+    const photos = await Photo.find({ owner: userId }).sort({ createdAt: 1 }).lean();
+    addJson('photos.json', photos.map(p => ({
+      id: p._id,
+      imageUrl: p.imageUrl,
+      caption: p.caption,
+      visibility: p.visibility,
+      tags: p.tags,
+      createdAt: p.createdAt
+    })), photos.length);
+    photos.forEach(p => media.add(p.imageUrl));
+
+    // Messages, one file per conversation (same format as the conversation export)
+    const conversations = await Conversation.find({ participants: userId, deletedBy: { $ne: userId } })
+      .populate('participants', 'name email avatar');
+    let messageCount = 0;
+    for (const conversation of conversations) {
+      const messages = await conversationExportService.getMessages(conversation._id, userId);
+      if (messages.length === 0) continue;
+
+      const baseName = `messages/${conversationExportService.getFileName(conversation, userId)}_${conversation._id}`;
+      files.push({ name: `${baseName}.json`, content: JSON.stringify(conversationExportService.toJson(conversation, messages, user), null, 2) });
+      files.push({ name: `${baseName}.txt`, content: conversationExportService.toText(conversation, messages, userId) });
+
+      messageCount += messages.length;
+      messages.filter(m => isOwn(m.sender?._id, userId)).forEach(m => { media.add(m.mediaUrl); media.add(m.thumbnail); });
+    }
+    counts.conversations = conversations.length;
+    counts.messages = messageCount;
+
+    // Memories
+    const memories = await Memory.find({ user: userId }).sort({ originalDate: 1 }).lean();
+    addJson('memories.json', memories.map(m => ({
+      id: m._id,
+      post: m.post,
+      type: m.type,
+      originalDate: m.originalDate,
+      yearsAgo: m.yearsAgo,
+      collection: m.collection,
+      tags: m.tags,
+      note: m.note,
+      viewed: m.viewed,
+      shared: m.shared
+    })), memories.length);
+
+    // Achievements
+    const achievements = await UserAchievement.find({ user: userId })
+      .populate('achievement', 'key name description tier points')
+      .lean();
+    addJson('achievements.json', achievements.map(a => ({
+      achievement: a.achievement,
+      isCompleted: a.isCompleted,
+      progress: a.progress,
+      earnedAt: a.earnedAt,
+      club: a.clubId
+    })), achievements.length);
+
+    // Events: organized ones in full, others with only this user's own responses
+    const events = await Event.find({
+      $or: [
+        { organizer: userId },
+        { 'rsvps.user': userId },
+        { 'invitations.user': userId },
+        { 'checkIns.user': userId },
+        { waitlist: userId }
+      ]
+    }).sort({ startTime: 1 }).lean();
+    addJson('events.json', events.map(e => ({
+      id: e._id,
+      title: e.title,
+      description: e.description,
+      startTime: e.startTime,
+      endTime: e.endTime,
+      locationName: e.locationName,
+      visibility: e.visibility,
+      role: isOwn(e.organizer, userId) ? 'organizer' : 'attendee',
+      rsvp: (e.rsvps || []).find(r => isOwn(r.user, userId)) || null,
+      invitation: (e.invitations || []).find(i => isOwn(i.user, userId)) || null,
+      checkIn: (e.checkIns || []).find(c => isOwn(c.user, userId)) || null,
+      onWaitlist: (e.waitlist || []).some(id => isOwn(id, userId)),
+      attendeesCount: isOwn(e.organizer, userId) ? e.attendeesCount : undefined
+    })), events.length);
+    events.filter(e => isOwn(e.organizer, userId)).forEach(e => media.add(e.coverImage));
+
+    // Club memberships and activity
+    const clubs = await Club.find({
+      $or: [
+        { 'members.user': userId },
+        { 'joinRequests.user': userId },
+        { 'discussions.author': userId },
+        { 'comments.author': userId },
+        { 'files.uploadedBy': userId }
+      ]
+    }).lean();
+    addJson('clubs.json', clubs.map(club => {
+      const membership = (club.members || []).find(m => isOwn(m.user, userId));
+      const discussions = (club.discussions || []).filter(d => isOwn(d.author, userId) && !d.isDeleted);
+      const clubFiles = (club.files || []).filter(f => isOwn(f.uploadedBy, userId));
+      discussions.forEach(d => (d.media || []).forEach(m => { media.add(m.url); media.add(m.thumbnail); }));
+      clubFiles.forEach(f => media.add(f.fileUrl));
+
+      return {
+        id: club._id,
+        name: club.name,
+        isOwner: isOwn(club.owner, userId),
+        role: membership ? membership.role : null,
+        joinedAt: membership ? membership.joinedAt : null,
+        joinRequest: (club.joinRequests || []).find(r => isOwn(r.user, userId)) || null,
+        discussions: discussions.map(d => ({
+          id: d._id,
+          type: d.type,
+          content: d.content,
+          media: d.media,
+          pollOptions: (d.pollOptions || []).map(o => ({ text: o.text, votesCount: o.votesCount })),
+          createdAt: d.createdAt
+        })),
+        comments: (club.comments || []).filter(c => isOwn(c.author, userId) && !c.isDeleted).map(c => ({
+          id: c._id,
+          discussion: c.discussionId,
+          content: c.content,
+          createdAt: c.createdAt
+        })),
+        pollVotes: (club.discussions || []).flatMap(d => (d.pollOptions || [])
+          .filter(o => (o.votes || []).some(id => isOwn(id, userId)))
+          .map(o => ({ discussion: d._id, option: o.text }))),
+        files: clubFiles.map(f => ({
+          fileName: f.fileName,
+          fileUrl: f.fileUrl,
+          fileType: f.fileType,
+          fileSize: f.fileSize,
+          description: f.description,
+          uploadedAt: f.uploadedAt
+        }))
+      };
+    }), clubs.length);
+
+    // Call history
+    const calls = await Call.find({ $or: [{ caller: userId }, { callee: userId }] })
+      .populate('caller', 'name')
+      .populate('callee', 'name')
+      .sort({ createdAt: 1 })
+      .lean();
+    addJson('calls.json', calls.map(c => ({
+      id: c.callId || c._id,
+      direction: isOwn(c.caller?._id, userId) ? 'outgoing' : 'incoming',
+      with: isOwn(c.caller?._id, userId) ? c.callee?.name : c.caller?.name,
+      callType: c.callType,
+      status: c.status,
+      startTime: c.startTime,
+      endTime: c.endTime,
+      duration: c.duration,
+      createdAt: c.createdAt
+    })), calls.length);
+
+    // Premium status and payment history (the purchase ledger, plus payments from before it)
+    const purchases = await Purchase.find({ user: userId })
+      .select('-user -grant -__v')
+      .sort({ purchasedAt: 1 })
+      .lean();
+    const redemptions = await Redemption.find({ $or: [{ user: userId }, { recipient: userId }] })
+      .populate('user', 'name')
+      .populate('recipient', 'name')
+      .sort({ createdAt: 1 })
+      .lean();
+    addJson('payments.json', {
+      isPremium: user.isPremium,
+      premiumTier: user.premiumTier,
+      premiumFeatures: user.premiumFeatures,
+      premiumPurchaseDate: user.premiumPurchaseDate,
+      premiumExpiresAt: user.premiumExpiresAt,
+      purchases,
+      promotions: redemptions.map(r => ({
+        kind: r.kind,
+        code: r.code,
+        tier: r.tier,
+        durationDays: r.durationDays,
+        amount: r.amount === null ? null : r.amount / 100,
+        discount: r.discountAmount / 100,
+        giftFrom: r.kind === 'gift' && !isOwn(r.user?._id, userId) ? r.user?.name : undefined,
+        giftTo: r.kind === 'gift' && isOwn(r.user?._id, userId) ? r.recipient?.name : undefined,
+        message: r.message,
+        status: r.status,
+        createdAt: r.createdAt
+      })),
+      paymentHistory: user.paymentHistory
+    }, purchases.length + redemptions.length + (user.paymentHistory || []).length);
+
+    media.delete(undefined);
+    media.delete(null);
+
+    return { files, media, counts };
+  }
+
+  /**
+   * Write the archive to disk
+   * @returns {Object} - Section counts plus the number of media files included
+   */
+  async writeArchive(filePath, { files, media, counts }) {
+    await new Promise((resolve, reject) => {
+      const output = fs.createWriteStream(filePath);
+      const archive = archiver('zip', { zlib: { level: 6 } });
+
+      output.on('close', resolve);
+      output.on('error', reject);
+      archive.on('error', reject);
+      archive.on('warning', (error) => console.warn('⚠️ Data export archive warning:', error.message));
+      archive.pipe(output);
+
+      archive.append(README, { name: 'README.txt' });
+      for (const file of files) {
+        archive.append(file.content, { name: file.name });
+      }
+
+      let mediaFiles = 0;
+      for (const url of media) {
+        const localPath = resolveUpload(url);
+        if (!localPath) continue;
+        // Same folders as under /uploads, so club files can't collide with other media
+        archive.file(localPath, { name: `media/${path.relative(uploadDir, localPath).split(path.sep).join('/')}` });
+        mediaFiles++;
+      }
+      counts.mediaFiles = mediaFiles;
+
+      archive.finalize();
+    });
+
+    return counts;
+  }
+
+  // Tell the user the export is ready (in-app, socket, push and email with the download link)
+  async notifyReady(user, dataExport) {
+    const downloadUrl = this.buildDownloadLink(dataExport);
+    const message = `Your data export is ready. The download link works for ${EXPORT_TTL_HOURS} hours.`;
+
+    try {
+      // System notification: there is no other user involved, so the owner is also the sender
+      const notification = await Notification.create({
+        recipient: user._id,
+        sender: user._id,
+        type: 'data_export_ready',
+        message,
+        content: message
+      });
+
+      if (this.io) {
+        this.io.to(`user:${user._id}`).emit('notification', {
+          _id: notification._id,
+          type: 'data_export_ready',
+          message,
+          exportId: dataExport._id,
+          downloadUrl,
+          expiresAt: dataExport.expiresAt,
+          createdAt: notification.createdAt
+        });
+      }
+
+      await FCM.sendNotificationToUser(user._id, 'Data export ready', message, {
+        type: 'data_export_ready',
+        exportId: dataExport._id.toString()
+      });
+    } catch (error) {
+      console.error('❌ Failed to send data export notification:', error);
+    }
+
+    await emailService.sendDataExportReadyEmail(user.email, downloadUrl, user.name, dataExport.expiresAt);
+  }
+
+  // Delete archives whose download window has passed
+  async removeExpiredExports() {
+    const expired = await DataExport.find({ status: 'ready', expiresAt: { $lte: new Date() } }).select('+filePath');
+    for (const dataExport of expired) {
+      if (dataExport.filePath && fs.existsSync(dataExport.filePath)) {
+        fs.unlinkSync(dataExport.filePath);
+      }
+      dataExport.status = 'expired';
+      dataExport.filePath = null;
+      await dataExport.save();
+    }
+    if (expired.length > 0) {
+      console.log(`🧹 Removed ${expired.length} expired data export(s)`);
+    }
+  }
+}
+
+DataExportService.EXPORT_TTL_HOURS = EXPORT_TTL_HOURS;
+
+module.exports = DataExportService;
@@ -375,7 +375,389 @@ This is an automated message, please do not reply to this email.
   }
 };
 
+/**
+ * Send an email with the same 30s timeout used above
+ * Returns { success, messageId } or { success: false, error } - never throws
+ * @param {Object} mailOptions - Nodemailer options (to, subject, text, html)
+ * @param {string} label - What is being sent, for logs
+ */
+const sendAccountEmail = async (mailOptions, label) => {
+  const transporter = createTransporter();
+
+  if (!transporter) {
+    console.warn(`⚠️  Email service not configured. Skipping ${label} email.`);
+    return { success: false, message: 'Email service not configured' };
+  }
+
+  try {
+    const sendMailWithTimeout = Promise.race([
+      transporter.sendMail({
+        from: process.env.EMAIL_FROM || `"FreeTalk" <${process.env.EMAIL_USER}>`,
+        ...mailOptions,
+      }),
+      new Promise((_, reject) => 
+        setTimeout(() => reject(new Error('Email send timeout (30s exceeded)')), 30000)
+      )
+    ]);
+
+    const info = await sendMailWithTimeout;
+    console.log(`✅ ${label} email sent via Brevo:`, info.messageId);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error(`❌ Error sending ${label} email via Brevo:`, error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Shared HTML layout for the account emails (verification, email change)
+ * @param {Object} options
+ * @param {string} options.title - <title> and heading
+ * @param {string[]} options.paragraphs - Body paragraphs (HTML allowed)
+ * @param {string} options.buttonText - Call-to-action label (optional)
+ * @param {string} options.buttonUrl - Call-to-action link (optional)
+ * @param {string} options.notice - Highlighted security notice (optional)
+ */
+const renderAccountEmail = ({ title, paragraphs, buttonText, buttonUrl, notice }) => `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>${title} - FreeTalk</title>
+      <style>
+        body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; line-height: 1.6; color: #333; background-color: #f4f4f4; margin: 0; padding: 0; }
+        .container { max-width: 600px; margin: 30px auto; background: #ffffff; border-radius: 10px; box-shadow: 0 2px 10px rgba(0,0,0,0.1); overflow: hidden; }
+        .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center; }
+        .header h1 { color: #ffffff; margin: 0; font-size: 28px; }
+        .content { padding: 40px 30px; }
+        .content h2 { color: #333; margin-top: 0; }
+        .content p { margin: 15px 0; color: #555; }
+        .button { display: inline-block; padding: 14px 30px; margin: 20px 0; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: #ffffff !important; text-decoration: none; border-radius: 5px; font-weight: bold; }
+        .warning { background-color: #fff3cd; border-left: 4px solid #ffc107; padding: 15px; margin: 20px 0; border-radius: 4px; }
+        .url-fallback { word-break: break-all; background-color: #f8f9fa; padding: 10px; border-radius: 4px; font-size: 12px; margin-top: 15px; }
+        .footer { background-color: #f8f9fa; padding: 20px 30px; text-align: center; font-size: 12px; color: #666; border-top: 1px solid #e9ecef; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h1>🔐 FreeTalk</h1>
+        </div>
+        <div class="content">
+          <h2>${title}</h2>
+          ${paragraphs.map(p => `<p>${p}</p>`).join('\n          ')}
+          ${buttonUrl ? `
+          <div style="text-align: center;">
+            <a href="${buttonUrl}" class="button">${buttonText}</a>
+          </div>
+          <p>If the button doesn't work, copy and paste this link into your browser:</p>
+          <div class="url-fallback">${buttonUrl}</div>` : ''}
+          ${notice ? `<div class="warning"><strong>⚠️ Security Notice:</strong> ${notice}</div>` : ''}
+        </div>
+        <div class="footer">
+          <p>© ${new Date().getFullYear()} FreeTalk. All rights reserved.</p>
+          <p>This is an automated message, please do not reply to this email.</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+
+/**
+ * Send the email address verification link
+ * @param {string} email - Address to verify
+ * @param {string} verifyUrl - Signed verification link
+ * @param {string} userName - User's name for personalization
+ */
+const sendVerificationEmail = async (email, verifyUrl, userName) => {
+  const html = renderAccountEmail({
+    title: 'Verify Your Email',
+    paragraphs: [
+      `Hello ${userName || 'there'},`,
+      'Please confirm that this is your email address so we can keep your FreeTalk account secure.'
+    ],
+    buttonText: 'Verify Email',
+    buttonUrl: verifyUrl,
+    notice: 'This link expires in 24 hours. If you did not create a FreeTalk account, you can ignore this email.'
+  });
+
+  const text = `
+Hello ${userName || 'there'},
+
+Please confirm that this is your email address so we can keep your FreeTalk account secure:
+${verifyUrl}
+
+This link expires in 24 hours. If you did not create a FreeTalk account, you can ignore this email.
+
+© ${new Date().getFullYear()} FreeTalk. All rights reserved.
+  `;
+
+  return sendAccountEmail({
+    to: email,
+    subject: 'Verify Your Email - FreeTalk',
+    text,
+    html,
+  }, 'Email verification');
+};
+
+/**
+ * Send the confirmation link for a requested email change to the NEW address
+ * @param {string} newEmail - Requested new address
+ * @param {string} confirmUrl - Signed confirmation link
+ * @param {string} userName - User's name for personalization
+ */
+const sendEmailChangeConfirmation = async (newEmail, confirmUrl, userName) => {
+  const html = renderAccountEmail({
+    title: 'Confirm Your New Email',
+    paragraphs: [
+      `Hello ${userName || 'there'},`,
+      `You asked to change the email address on your FreeTalk account to <strong>${newEmail}</strong>.`,
+      'Confirm the change with the button below. Your current address stays active until you do.'
+    ],
+    buttonText: 'Confirm New Email',
+    buttonUrl: confirmUrl,
+    notice: 'This link expires in 1 hour. If you did not request this change, ignore this email.'
+  });
+
+  const text = `
+Hello ${userName || 'there'},
+
+You asked to change the email address on your FreeTalk account to ${newEmail}.
+Confirm the change here (your current address stays active until you do):
+${confirmUrl}
+
+This link expires in 1 hour. If you did not request this change, ignore this email.
+
+© ${new Date().getFullYear()} FreeTalk. All rights reserved.
+  `;
+
+  return sendAccountEmail({
+    to: newEmail,
+    subject: 'Confirm Your New Email - FreeTalk',
+    text,
+    html,
+  }, 'Email change confirmation');
+};
+
+/**
+ * Alert the OLD address that the account email was changed
+ * @param {string} oldEmail - Previous address
+ * @param {string} newEmail - New address
+ * @param {string} userName - User's name for personalization
+ */
+const sendEmailChangedAlert = async (oldEmail, newEmail, userName) => {
+  const html = renderAccountEmail({
+    title: 'Your Email Was Changed',
+    paragraphs: [
+      `Hello ${userName || 'there'},`,
+      `The email address on your FreeTalk account was changed from <strong>${oldEmail}</strong> to <strong>${newEmail}</strong>.`,
+      'You will no longer receive account emails at this address.'
+    ],
+    notice: "Didn't make this change? Contact our support team immediately at support@freetalk.site"
+  });
+
+  const text = `
+Hello ${userName || 'there'},
+
+The email address on your FreeTalk account was changed from ${oldEmail} to ${newEmail}.
+You will no longer receive account emails at this address.
+
+⚠️ Didn't make this change? Contact our support team immediately at support@freetalk.site
+
+© ${new Date().getFullYear()} FreeTalk. All rights reserved.
+  `;
+
+  return sendAccountEmail({
+    to: oldEmail,
+    subject: 'Your Email Address Was Changed - FreeTalk',
+    text,
+    html,
+  }, 'Email changed alert');
+};
+
+/**
+ * Send the download link for a finished personal data export
+ * @param {string} email - Account email
+ * @param {string} downloadUrl - Signed, time-limited download link
+ * @param {string} userName - User's name for personalization
+ * @param {Date} expiresAt - When the link (and the archive) expire
+ */
+const sendDataExportReadyEmail = async (email, downloadUrl, userName, expiresAt) => {
+  const expiry = new Date(expiresAt).toUTCString();
+  const html = renderAccountEmail({
+    title: 'Your Data Export Is Ready',
+    paragraphs: [
+      `Hello ${userName || 'there'},`,
+      'The copy of your FreeTalk data you requested is ready to download.'
+    ],
+    buttonText: 'Download My Data',
+    buttonUrl: downloadUrl,
+    notice: `This link works until ${expiry}. If you did not request an export, change your PIN or password and contact support@freetalk.site`
+  });
+
+  const text = `
+Hello ${userName || 'there'},
+
+The copy of your FreeTalk data you requested is ready to download:
+${downloadUrl}
+
+This link works until ${expiry}. If you did not request an export, change your PIN or password and contact support@freetalk.site
+
+© ${new Date().getFullYear()} FreeTalk. All rights reserved.
+  `;
+
+  return sendAccountEmail({
+    to: email,
+    subject: 'Your Data Export Is Ready - FreeTalk',
+    text,
+    html,
+  }, 'Data export ready');
+};
+
+/**
+ * Alert the user about a sign-in from a device their account hasn't used before
+ * @param {string} email - Account email
+ * @param {string} userName - User's name for personalization
+ * @param {Object} details - { device, location, ipAddress, method, time }
+ */
+const sendNewDeviceLoginEmail = async (email, userName, details) => {
+  const time = new Date(details.time).toUTCString();
+  const html = renderAccountEmail({
+    title: 'New Sign-In to Your Account',
+    paragraphs: [
+      `Hello ${userName || 'there'},`,
+      'Your FreeTalk account was just signed in to from a device we haven\'t seen before:',
+      `<strong>Device:</strong> ${details.device}<br><strong>Location:</strong> ${details.location} (approximate)<br><strong>IP address:</strong> ${details.ipAddress || 'Unknown'}<br><strong>Signed in with:</strong> ${details.method}<br><strong>Time:</strong> ${time}`,
+      'If this was you, you can ignore this email.'
+    ],
+    notice: "Wasn't you? Sign out that device from Settings > Security, change your PIN or password and turn on two-factor authentication."
+  });
+
+  const text = `
+Hello ${userName || 'there'},
+
+Your FreeTalk account was just signed in to from a device we haven't seen before:
+
+Device: ${details.device}
+Location: ${details.location} (approximate)
+IP address: ${details.ipAddress || 'Unknown'}
+Signed in with: ${details.method}
+Time: ${time}
+
+If this was you, you can ignore this email.
+
+⚠️ Wasn't you? Sign out that device from Settings > Security, change your PIN or password and turn on two-factor authentication.
+
+© ${new Date().getFullYear()} FreeTalk. All rights reserved.
+  `;
+
+  return sendAccountEmail({
+    to: email,
+    subject: 'New Sign-In to Your Account - FreeTalk',
+    text,
+    html,
+  }, 'New device login');
+};
+
+/**
+ * Dunning notice: a subscription renewal payment failed
+ * @param {string} email - Account email
+ * @param {string} userName - User's name for personalization
+ * @param {Object} details - { tierName, amount, currency, attempt, nextAttemptAt, graceUntil, invoiceUrl }
+ */
+const sendSubscriptionPaymentFailedEmail = async (email, userName, details) => {
+  const amount = `${Number(details.amount).toFixed(2)} ${(details.currency || 'usd').toUpperCase()}`;
+  const retryLine = details.nextAttemptAt
+    ? `We'll try again on ${new Date(details.nextAttemptAt).toDateString()}.`
+    : 'This was our last attempt to collect the payment.';
+  const graceLine = details.graceUntil
+    ? `Your premium features stay on until ${new Date(details.graceUntil).toDateString()}. Update your payment method before then to keep them.`
+    : 'Update your payment method to keep your premium features.';
+
+  const html = renderAccountEmail({
+    title: 'Your Payment Failed',
+    paragraphs: [
+      `Hello ${userName || 'there'},`,
+      `We couldn't collect <strong>${amount}</strong> to renew your ${details.tierName} subscription (attempt ${details.attempt}).`,
+      retryLine,
+      graceLine,
+      'You can update your card any time from Settings > Subscription > Manage billing in the app.'
+    ],
+    buttonText: details.invoiceUrl ? 'Pay Now' : null,
+    buttonUrl: details.invoiceUrl
+  });
+
+  const text = `
+Hello ${userName || 'there'},
+
+We couldn't collect ${amount} to renew your ${details.tierName} subscription (attempt ${details.attempt}).
+${retryLine}
+${graceLine}
+${details.invoiceUrl ? `\nPay now: ${details.invoiceUrl}\n` : ''}
+You can update your card any time from Settings > Subscription > Manage billing in the app.
+
+© ${new Date().getFullYear()} FreeTalk. All rights reserved.
+  `;
+
+  return sendAccountEmail({
+    to: email,
+    subject: 'Action Needed: Your Payment Failed - FreeTalk',
+    text,
+    html,
+  }, 'Subscription payment failed');
+};
+
+/**
+ * Tell the user their subscription has ended
+ * @param {string} email - Account email
+ * @param {string} userName - User's name for personalization
+ * @param {Object} details - { tierName, unpaid, trial }
+ */
+const sendSubscriptionEndedEmail = async (email, userName, details) => {
+  const reason = details.trial
+    ? `Your free trial of ${details.tierName} has ended without being converted to a paid subscription.`
+    : details.unpaid
+      ? `Your ${details.tierName} subscription has ended because we couldn't collect the renewal payment.`
+      : `Your ${details.tierName} subscription has ended.`;
+
+  const html = renderAccountEmail({
+    title: 'Your Subscription Has Ended',
+    paragraphs: [
+      `Hello ${userName || 'there'},`,
+      reason,
+      'Your premium features are no longer active. You can subscribe again any time from the app.',
+      'Thank you for supporting FreeTalk.'
+    ]
+  });
+
+  const text = `
+Hello ${userName || 'there'},
+
+${reason}
+Your premium features are no longer active. You can subscribe again any time from the app.
+
+Thank you for supporting FreeTalk.
+
+© ${new Date().getFullYear()} FreeTalk. All rights reserved.
+  `;
+
+  return sendAccountEmail({
+    to: email,
+    subject: 'Your Subscription Has Ended - FreeTalk',
+    text,
+    html,
+  }, 'Subscription ended');
+};
+
 module.exports = {
   sendPasswordResetEmail,
   sendPasswordResetConfirmation,
+  sendVerificationEmail,
+  sendEmailChangeConfirmation,
+  sendEmailChangedAlert,
+  sendDataExportReadyEmail,
+  sendNewDeviceLoginEmail,
+  sendSubscriptionPaymentFailedEmail,
+  sendSubscriptionEndedEmail,
 };
@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const emailService = require('./emailService');
+
+const VERIFY_TOKEN_TTL = '24h';
+const CHANGE_TOKEN_TTL = '1h';
+
+/**
+ * Email Verification Service
+ * Signed links for proving ownership of the account email, and the two-step
+ * change-of-email flow (confirm the new address, then alert the old one).
+ */
+class EmailVerificationService {
+
+  buildLink(path, token) {
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+    return `${frontendUrl}/${path}?token=${encodeURIComponent(token)}`;
+  }
+
+  /**
+   * Send a verification link for the user's current email
+   * The token is bound to the address, so a link stops working if the email changes.
+   * @param {Object} user - User document
+   * @returns {Object} - Result from emailService ({ success, ... })
+   */
+  async sendVerification(user) {
+    const token = jwt.sign(
+      { userId: user._id.toString(), email: user.email, type: 'email_verify' },
+      process.env.JWT_SECRET,
+      { expiresIn: VERIFY_TOKEN_TTL }
+    );
+
+    return emailService.sendVerificationEmail(user.email, this.buildLink('verify-email', token), user.name);
+  }
+
+  /**
+   * Mark the email in a verification link as verified
+   * @param {String} token - Token from the link
+   * @returns {Object} - { user } or { error } ('invalid_token', 'email_changed')
+   */
+  async verifyEmail(token) {
+    const decoded = this.decode(token, 'email_verify');
+    if (!decoded) return { error: 'invalid_token' };
+
+    const user = await User.findById(decoded.userId);
+    if (!user) return { error: 'invalid_token' };
+    if (user.email !== decoded.email) return { error: 'email_changed' };
+
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save();
+      console.log('✅ Email verified for user:', user.email);
+    }
+
+    return { user };
+  }
+
+  /**
+   * Start an email change: remember the new address and send a confirmation link to it
+   * @param {Object} user - User document
+   * @param {String} newEmail - Requested address (normalized)
+   * @returns {Object} - { success: true } or { error } ('same_email', 'email_taken', 'send_failed')
+   */
+  async requestEmailChange(user, newEmail) {
+    if (newEmail === user.email) return { error: 'same_email' };
+
+    const existing = await User.findByEmail(newEmail);
+    if (existing) return { error: 'email_taken' };
+
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const token = jwt.sign(
+      { userId: user._id.toString(), newEmail, nonce, type: 'email_change' },
+      process.env.JWT_SECRET,
+      { expiresIn: CHANGE_TOKEN_TTL }
+    );
+
+    const result = await emailService.sendEmailChangeConfirmation(newEmail, this.buildLink('confirm-email-change', token), user.name);
+    if (!result.success) return { error: 'send_failed' };
+
+    await User.findByIdAndUpdate(user._id, { pendingEmail: newEmail, pendingEmailNonce: nonce });
+    console.log(`📧 Email change requested for user ${user._id}: ${user.email} -> ${newEmail}`);
+
+    return { success: true };
+  }
+
+  /**
+   * Apply a confirmed email change and alert the previous address
+   * @param {String} token - Token from the confirmation link
+   * @returns {Object} - { user, oldEmail } or { error } ('invalid_token', 'email_taken')
+   */
+  async confirmEmailChange(token) {
+    const decoded = this.decode(token, 'email_change');
+    if (!decoded) return { error: 'invalid_token' };
+
+    const user = await User.findById(decoded.userId).select('+pendingEmail +pendingEmailNonce');
+    if (!user || !user.pendingEmailNonce || user.pendingEmailNonce !== decoded.nonce || user.pendingEmail !== decoded.newEmail) {
+      return { error: 'invalid_token' };
+    }
+
+    // The address may have been registered by someone else since the request
+    const existing = await User.findByEmail(decoded.newEmail);
+    if (existing && existing._id.toString() !== user._id.toString()) {
+      return { error: 'email_taken' };
+    }
+
+    const oldEmail = user.email;
+    user.email = decoded.newEmail;
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    user.pendingEmail = null;
+    user.pendingEmailNonce = undefined;
+    await user.save();
+
+    console.log(`✅ Email changed for user ${user._id}: ${oldEmail} -> ${user.email}`);
+
+    await emailService.sendEmailChangedAlert(oldEmail, user.email, user.name);
+
+    return { user, oldEmail };
+  }
+
+  /**
+   * Cancel a pending email change
+   */
+  async cancelEmailChange(userId) {
+    await User.findByIdAndUpdate(userId, { pendingEmail: null, $unset: { pendingEmailNonce: 1 } });
+  }
+
+  decode(token, type) {
+    try {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      return decoded.type === type ? decoded : null;
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = new EmailVerificationService();
@@ -0,0 +1,217 @@
+const User = require('../models/User');
+const Subscription = require('../models/Subscription');
+const EntitlementGrant = require('../models/EntitlementGrant');
+const { PREMIUM_TIERS, isValidTier } = require('../config/premiumTiers');
+
+const MB = 1024 * 1024;
+const GB = 1024 * MB;
+
+// Largest single file a user may upload (as advertised in the tier highlights)
+const FREE_UPLOAD_LIMIT = 50 * MB;
+const INCREASED_UPLOAD_LIMIT = 5 * GB;
+const PRO_UPLOAD_LIMIT = 50 * GB;
+
+// Total size of everything a user has uploaded (unlimited_storage has no quota)
+const FREE_STORAGE_QUOTA = 1 * GB;
+const INCREASED_STORAGE_QUOTA = 5 * GB;
+
+const tierRank = (tier) => (isValidTier(tier) ? PREMIUM_TIERS[tier].rank : 0);
+
+/**
+ * Entitlement Service
+ * Decides which premium features a user has right now, from every place premium can
+ * come from: the user's premium fields (one-off Stripe payments, kept in sync for
+ * subscriptions), the Stripe Subscription itself, and app store / admin grants.
+ * Anything past its expiry date is ignored.
+ */
+class EntitlementService {
+
+  get freeUploadLimit() {
+    return FREE_UPLOAD_LIMIT;
+  }
+
+  get maxUploadLimit() {
+    return PRO_UPLOAD_LIMIT;
+  }
+
+  // Launch switch: PREMIUM_FEATURES_FREE=true opens every feature to everyone
+  isFreeForAll() {
+    return process.env.PREMIUM_FEATURES_FREE === 'true';
+  }
+
+  /**
+   * Current entitlements of a user
+   * @param {Object} user - User document (premium fields are read from it)
+   * @returns {Object} - { isPremium, tier, features, expiresAt, sources }
+   */
+  async getEntitlements(user, now = new Date()) {
+    const sources = [];
+
+    // Time-boxed purchase recorded on the user (one-off payments, current subscription period).
+    // The tier's current features count too, so older Plus purchases get increased_upload_limit.
+    if (user.isPremium && user.premiumExpiresAt && user.premiumExpiresAt > now && user.premiumFeatures.length > 0) {
+      sources.push({
+        source: 'stripe',
+        tier: user.premiumTier || null,
+        features: [...new Set([...(isValidTier(user.premiumTier) ? PREMIUM_TIERS[user.premiumTier].features : []), ...user.premiumFeatures])],
+        expiresAt: user.premiumExpiresAt
+      });
+    }
+
+    const [subscription, grants] = await Promise.all([
+      Subscription.findCurrentForUser(user._id),
+      EntitlementGrant.findActiveForUser(user._id, now)
+    ]);
+
+    // The subscription covers its grace period even before the user's fields catch up
+    if (subscription && subscription.grantsPremium(now)) {
+      sources.push({
+        source: 'stripe_subscription',
+        tier: subscription.tier,
+        features: [...PREMIUM_TIERS[subscription.tier].features],
+        expiresAt: subscription.premiumUntil()
+      });
+    }
+
+    for (const grant of grants) {
+      sources.push({
+        source: grant.source,
+        tier: grant.tier,
+        features: [...new Set([...(grant.tier ? PREMIUM_TIERS[grant.tier].features : []), ...grant.features])],
+        expiresAt: grant.expiresAt,
+        grantId: grant._id
+      });
+    }
+
+    const tier = sources.reduce((best, source) => (tierRank(source.tier) > tierRank(best) ? source.tier : best), null);
+    const features = [...new Set(sources.flatMap(source => source.features))];
+    // null when at least one source does not expire
+    const expiresAt = sources.length === 0 || sources.some(source => !source.expiresAt)
+      ? null
+      : new Date(Math.max(...sources.map(source => source.expiresAt.getTime())));
+
+    const entitlements = {
+      isPremium: !!tier,
+      tier,
+      features,
+      expiresAt,
+      sources
+    };
+
+    // Premium that ran out since the last check is switched off on the user as well
+    if (user.isPremium && !entitlements.isPremium) {
+      await this.syncUser(user, entitlements);
+    }
+
+    return entitlements;
+  }
+
+  // Entitlements for the authenticated user, worked out once per request
+  async getEntitlementsForRequest(req) {
+    if (!req.entitlements) {
+      req.entitlements = await this.getEntitlements(req.user);
+    }
+    return req.entitlements;
+  }
+
+  hasFeature(entitlements, feature) {
+    return this.isFreeForAll() || entitlements.features.includes(feature);
+  }
+
+  /**
+   * Whether the user browses in ghost mode (Pro): no profile visits or story views are
+   * recorded, video views are anonymous and presence is hidden. The setting is ignored
+   * once the user no longer has the feature.
+   * @param {Object} user - User document
+   * @param {Object} req - Request of that user, to reuse its entitlements (optional)
+   */
+  async isGhostModeActive(user, req = null) {
+    if (!user || !user.settings || !user.settings.ghostMode) return false;
+    const entitlements = req ? await this.getEntitlementsForRequest(req) : await this.getEntitlements(user);
+    return this.hasFeature(entitlements, 'ghost_mode');
+  }
+
+  // Cheapest tier that includes a feature (for upgrade prompts)
+  requiredTierFor(feature) {
+    return Object.keys(PREMIUM_TIERS)
+      .filter(tier => PREMIUM_TIERS[tier].features.includes(feature))
+      .sort((a, b) => tierRank(a) - tierRank(b))[0] || null;
+  }
+
+  getUploadLimit(entitlements) {
+    if (entitlements.tier === 'pro') return PRO_UPLOAD_LIMIT;
+    return this.hasFeature(entitlements, 'increased_upload_limit') ? INCREASED_UPLOAD_LIMIT : FREE_UPLOAD_LIMIT;
+  }
+
+  // Storage quota in bytes, null when unlimited
+  getStorageQuota(entitlements) {
+    if (this.hasFeature(entitlements, 'unlimited_storage')) return null;
+    return this.hasFeature(entitlements, 'increased_upload_limit') ? INCREASED_STORAGE_QUOTA : FREE_STORAGE_QUOTA;
+  }
+
+  /**
+   * Update the user's premium flag and tier to match their entitlements
+   * The flag is what other users see (badges, search); access is always checked with getEntitlements.
+   */
+  async syncUser(user, entitlements = null) {
+    const current = entitlements || await this.getEntitlements(user);
+
+    const update = { isPremium: current.isPremium };
+    if (!current.isPremium) {
+      update.premiumTier = null;
+      update.premiumFeatures = [];
+    } else if (!current.sources.some(source => source.source === 'stripe')) {
+      // premiumTier belongs to the Stripe purchase while there is one
+      update.premiumTier = current.tier;
+    }
+
+    await User.updateOne({ _id: user._id }, { $set: update });
+    Object.assign(user, update);
+    return current;
+  }
+
+  /**
+   * Grant premium outside Stripe
+   * @param {Object} user - User document
+   * @param {Object} grant - { source, tier, features, expiresAt, reference, productId, note, grantedBy }
+   * @returns {Object} - EntitlementGrant
+   */
+  async grant(user, { source, tier = null, features = [], expiresAt = null, reference = null, productId = null, note = null, grantedBy = null }) {
+    const fields = { tier, features, expiresAt, productId, note, grantedBy, revokedAt: null, revokedBy: null };
+
+    // Re-verifying the same store purchase (e.g. a renewal) extends the existing grant.
+    // A reference already granted to another user fails on the unique index.
+    let grant;
+    try {
+      grant = reference
+        ? await EntitlementGrant.findOneAndUpdate(
+          { user: user._id, source, reference },
+          { $set: fields },
+          { upsert: true, new: true, runValidators: true }
+        )
+        : await EntitlementGrant.create({ user: user._id, source, ...fields });
+    } catch (error) {
+      if (error.code === 11000) {
+        const inUse = new Error('This purchase is already linked to another account');
+        inUse.code = 'REFERENCE_IN_USE';
+        throw inUse;
+      }
+      throw error;
+    }
+
+    await this.syncUser(user);
+    return grant;
+  }
+
+  async revoke(grant, revokedBy = null) {
+    grant.revokedAt = new Date();
+    grant.revokedBy = revokedBy;
+    await grant.save();
+
+    const user = await User.findById(grant.user);
+    if (user) await this.syncUser(user);
+    return grant;
+  }
+}
+
+module.exports = new EntitlementService();
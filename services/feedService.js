@@ -0,0 +1,293 @@
+const mongoose = require('mongoose');
+const Post = require('../models/Post');
+const User = require('../models/User');
+const Block = require('../models/Block');
+const HiddenPost = require('../models/HiddenPost');
+const audienceService = require('./audienceService');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Candidate windows and sizes
+const FOLLOWING_WINDOW = 7 * DAY;
+const DISCOVERY_WINDOW = 3 * DAY;
+const HASHTAG_WINDOW = 3 * DAY;
+const AFFINITY_WINDOW = 30 * DAY;
+const FOLLOWING_CANDIDATES = 300;
+const DISCOVERY_CANDIDATES = 60;
+const HASHTAG_CANDIDATES = 60;
+
+// Every DISCOVERY_EVERY-th post is from an account the viewer doesn't follow
+const DISCOVERY_EVERY = 5;
+
+// A ranking is reused for later pages for this long (see rankedAt)
+const RANKING_TTL = 6 * HOUR;
+
+// Freshness halves every FRESHNESS_HALF_LIFE
+const FRESHNESS_HALF_LIFE = 12 * HOUR;
+
+const WEIGHTS = {
+  affinity: 0.6,
+  following: 0.5,
+  hashtag: 0.4,
+  ownPost: 0.3,
+  velocity: 1.0
+};
+
+const MEDIA_BOOST = { video: 1.2, mixed: 1.15, image: 1.1, text: 1.0 };
+
+// Each post hidden from an author halves the score of their other posts
+const HIDDEN_AUTHOR_PENALTY = 0.5;
+
+const sizeOf = (field) => ({ $size: { $ifNull: [field, []] } });
+const recentCount = (field, since) => ({
+  $size: { $filter: { input: { $ifNull: [field, []] }, cond: { $gte: ['$$this.createdAt', since] } } }
+});
+
+const times = (n) => `${n} time${n === 1 ? '' : 's'}`;
+const hoursAgo = (hours) => (hours < 1 ? 'less than an hour ago' : hours < 48 ? `${Math.round(hours)} hours ago` : `${Math.round(hours / 24)} days ago`);
+
+/**
+ * Feed Service
+ * Ranked "For You" home feed. Candidates are recent posts from followed accounts (and the
+ * viewer's own) and with followed hashtags whose audience includes the viewer, plus popular
+ * recent public posts from accounts the viewer doesn't follow. Each is
+ * scored by the viewer's interactions with its author, reaction and comment velocity (the
+ * same reactions x2 + comments x3 engagement as /api/posts/top), freshness and media type;
+ * blocked authors and hidden posts are left out and authors whose posts were hidden rank lower.
+ */
+class FeedService {
+
+  // Aggregation for candidates: only what scoring needs, not the reaction and comment arrays
+  candidatePipeline(match, now, sort, limit) {
+    const dayAgo = new Date(now.getTime() - DAY);
+    return [
+      { $match: match },
+      {
+        $addFields: {
+          reactionCount: sizeOf('$reactions'),
+          commentCount: sizeOf('$comments'),
+          recentReactions: recentCount('$reactions', dayAgo),
+          recentComments: recentCount('$comments', dayAgo)
+        }
+      },
+      {
+        $addFields: {
+          engagementScore: { $add: [{ $multiply: ['$reactionCount', 2] }, { $multiply: ['$commentCount', 3] }] }
+        }
+      },
+      ...(sort.engagementScore ? [{ $match: { engagementScore: { $gt: 0 } } }] : []),
+      { $sort: sort },
+      { $limit: limit },
+      {
+        $project: {
+          author: 1,
+          mediaType: 1,
+          hashtags: 1,
+          createdAt: 1,
+          reactionCount: 1,
+          commentCount: 1,
+          recentReactions: 1,
+          recentComments: 1,
+          engagementScore: 1
+        }
+      }
+    ];
+  }
+
+  /**
+   * How much the viewer interacted with each author recently
+   * @returns {Map} - authorId -> { reactions, comments }
+   */
+  async getInteractions(viewerId, authorIds, now) {
+    if (authorIds.length === 0) return new Map();
+
+    const rows = await Post.aggregate([
+      {
+        $match: {
+          author: { $in: authorIds },
+          createdAt: { $gte: new Date(now.getTime() - AFFINITY_WINDOW) },
+          $or: [{ 'reactions.user': viewerId }, { 'comments.user': viewerId }]
+        }
+      },
+      {
+        $project: {
+          author: 1,
+          reactions: { $size: { $filter: { input: { $ifNull: ['$reactions', []] }, cond: { $eq: ['$$this.user', viewerId] } } } },
+          comments: { $size: { $filter: { input: { $ifNull: ['$comments', []] }, cond: { $eq: ['$$this.user', viewerId] } } } }
+        }
+      },
+      { $group: { _id: '$author', reactions: { $sum: '$reactions' }, comments: { $sum: '$comments' } } }
+    ]);
+
+    return new Map(rows.map(row => [row._id.toString(), { reactions: row.reactions, comments: row.comments }]));
+  }
+
+  // Score one candidate; reasons explain the biggest contributions (debug mode)
+  score(candidate, { now, interactions, hiddenByAuthor, followingIds, followedHashtags, viewerId, authorNames }) {
+    const authorId = candidate.author.toString();
+    const ownPost = authorId === viewerId;
+    const followed = followingIds.has(authorId);
+    const matchedTags = (candidate.hashtags || []).filter(tag => followedHashtags.has(tag));
+    const viaHashtag = !ownPost && !followed && matchedTags.length > 0;
+    const interaction = interactions.get(authorId) || { reactions: 0, comments: 0 };
+    const interactionCount = interaction.reactions + interaction.comments * 2;
+    const ageHours = Math.max(now - candidate.createdAt, 0) / HOUR;
+
+    const affinity = Math.log2(1 + interactionCount);
+    const velocity = candidate.engagementScore / (ageHours + 2);
+    const freshness = Math.pow(0.5, (ageHours * HOUR) / FRESHNESS_HALF_LIFE);
+    const media = MEDIA_BOOST[candidate.mediaType] || 1;
+    const hiddenCount = hiddenByAuthor.get(authorId) || 0;
+    const penalty = Math.pow(HIDDEN_AUTHOR_PENALTY, hiddenCount);
+
+    const base = 1
+      + WEIGHTS.affinity * affinity
+      + WEIGHTS.velocity * Math.log1p(velocity)
+      + (followed ? WEIGHTS.following : 0)
+      + (viaHashtag ? WEIGHTS.hashtag : 0)
+      + (ownPost ? WEIGHTS.ownPost : 0);
+    const score = base * (0.2 + 0.8 * freshness) * media * penalty;
+
+    const reasons = [];
+    const name = authorNames.get(authorId) || 'this author';
+    if (ownPost) reasons.push('Your own post');
+    else if (followed) reasons.push(`You follow ${name}`);
+    else if (viaHashtag) reasons.push(`Because you follow ${matchedTags.map(tag => `#${tag}`).join(', ')}`);
+    else reasons.push('Suggested: popular with people outside the accounts you follow');
+    if (interactionCount > 0) {
+      reasons.push(`You reacted to ${name}'s posts ${times(interaction.reactions)} and commented ${times(interaction.comments)} in the last 30 days`);
+    }
+    if (candidate.recentReactions + candidate.recentComments > 0) {
+      reasons.push(`${candidate.recentReactions} reactions and ${candidate.recentComments} comments in the last 24 hours`);
+    }
+    reasons.push(`Posted ${hoursAgo(ageHours)}`);
+    if (media > 1) reasons.push(`${candidate.mediaType === 'mixed' ? 'Photo and video' : candidate.mediaType.charAt(0).toUpperCase() + candidate.mediaType.slice(1)} post`);
+    if (hiddenCount > 0) reasons.push(`Shown less because you hid ${hiddenCount} post${hiddenCount === 1 ? '' : 's'} from ${name}`);
+
+    return {
+      score: Math.round(score * 1000) / 1000,
+      source: ownPost || followed ? 'following' : viaHashtag ? 'hashtag' : 'discovery',
+      signals: {
+        affinity: Math.round(affinity * 100) / 100,
+        velocity: Math.round(velocity * 100) / 100,
+        freshness: Math.round(freshness * 100) / 100,
+        media,
+        penalty
+      },
+      reasons
+    };
+  }
+
+  // Ranked following (and followed hashtag) posts with a discovery post in every DISCOVERY_EVERY-th slot
+  interleave(following, discovery) {
+    const feed = [];
+    let d = 0;
+    for (const entry of following) {
+      if ((feed.length + 1) % DISCOVERY_EVERY === 0 && d < discovery.length) {
+        feed.push(discovery[d++]);
+      }
+      feed.push(entry);
+    }
+    // Few followed posts: the rest of the feed is discovery
+    return feed.concat(discovery.slice(d));
+  }
+
+  // A ranking time from an earlier page, or now
+  resolveRankedAt(rankedAt, now = new Date()) {
+    const time = rankedAt ? new Date(rankedAt) : null;
+    if (time && !isNaN(time) && time <= now && now - time < RANKING_TTL) return time;
+    return now;
+  }
+
+  /**
+   * Rank the viewer's home feed and return one page of it
+   * Later pages pass back rankedAt so they are cut from the same ranking.
+   * @param {Object} viewer - User document
+   * @param {Object} options - { offset, limit, rankedAt, audience } (audience: viewer context
+   *   from audienceService.getViewerContext, loaded if not given)
+   * @returns {Object} - { entries: [{ postId, score, source, signals, reasons }], total, hasMore, rankedAt }
+   */
+  async getRankedFeed(viewer, { offset = 0, limit = 10, rankedAt = null, audience = null } = {}) {
+    const now = this.resolveRankedAt(rankedAt);
+    const viewerId = viewer._id.toString();
+
+    const [blockedUserIds, currentUser, hidden, viewerAudience] = await Promise.all([
+      Block.getAllBlockRelationships(viewer._id),
+      User.findById(viewer._id).select('following followedHashtags'),
+      HiddenPost.find({ user: viewer._id }).select('post author').lean(),
+      audience || audienceService.getViewerContext(viewer._id)
+    ]);
+
+    const followingIds = (currentUser.following || []).map(id => id.toString());
+    const followedHashtags = currentUser.followedHashtags || [];
+    const hiddenPostIds = hidden.map(h => h.post);
+    const hiddenByAuthor = new Map();
+    hidden.forEach(h => hiddenByAuthor.set(h.author.toString(), (hiddenByAuthor.get(h.author.toString()) || 0) + 1));
+
+    // Aggregations don't cast ids like queries do
+    const toObjectIds = (ids) => ids.map(id => new mongoose.Types.ObjectId(id));
+    const ownAndFollowing = toObjectIds([...followingIds, viewerId]);
+    const blockedIds = toObjectIds(blockedUserIds);
+    const [followingCandidates, hashtagCandidates, discoveryCandidates] = await Promise.all([
+      Post.aggregate(this.candidatePipeline({
+        ...audienceService.visibilityFilter(viewerAudience),
+        author: { $in: ownAndFollowing, $nin: blockedIds },
+        _id: { $nin: hiddenPostIds },
+        createdAt: { $gte: new Date(now.getTime() - FOLLOWING_WINDOW), $lte: now }
+      }, now, { createdAt: -1 }, FOLLOWING_CANDIDATES)),
+      // Posts with a followed hashtag from accounts the viewer doesn't follow
+      followedHashtags.length > 0
+        ? Post.aggregate(this.candidatePipeline({
+          ...audienceService.visibilityFilter(viewerAudience),
+          hashtags: { $in: followedHashtags },
+          author: { $nin: [...ownAndFollowing, ...blockedIds] },
+          _id: { $nin: hiddenPostIds },
+          createdAt: { $gte: new Date(now.getTime() - HASHTAG_WINDOW), $lte: now }
+        }, now, { createdAt: -1 }, HASHTAG_CANDIDATES))
+        : [],
+      Post.aggregate(this.candidatePipeline({
+        visibility: 'public',
+        isReshare: { $ne: true },
+        author: { $nin: [...ownAndFollowing, ...blockedIds] },
+        _id: { $nin: hiddenPostIds },
+        createdAt: { $gte: new Date(now.getTime() - DISCOVERY_WINDOW), $lte: now }
+      }, now, { engagementScore: -1, createdAt: -1 }, DISCOVERY_CANDIDATES))
+    ]);
+
+    // A popular post with a followed hashtag is ranked with the followed posts, not as discovery
+    const hashtagPostIds = new Set(hashtagCandidates.map(c => c._id.toString()));
+    const otherCandidates = discoveryCandidates.filter(c => !hashtagPostIds.has(c._id.toString()));
+
+    const authorIds = [...new Set([...followingCandidates, ...hashtagCandidates, ...otherCandidates].map(c => c.author.toString()))];
+    const otherAuthorIds = toObjectIds(authorIds.filter(id => id !== viewerId));
+    const [interactions, authors] = await Promise.all([
+      this.getInteractions(viewer._id, otherAuthorIds, now),
+      User.find({ _id: { $in: otherAuthorIds } }).select('name').lean()
+    ]);
+
+    const context = {
+      now,
+      interactions,
+      hiddenByAuthor,
+      followingIds: new Set(followingIds),
+      followedHashtags: new Set(followedHashtags),
+      viewerId,
+      authorNames: new Map(authors.map(author => [author._id.toString(), author.name]))
+    };
+    const rank = (candidates) => candidates
+      .map(candidate => ({ postId: candidate._id, ...this.score(candidate, context) }))
+      .sort((a, b) => b.score - a.score);
+
+    const feed = this.interleave(rank([...followingCandidates, ...hashtagCandidates]), rank(otherCandidates));
+
+    return {
+      entries: feed.slice(offset, offset + limit),
+      total: feed.length,
+      hasMore: offset + limit < feed.length,
+      rankedAt: now
+    };
+  }
+}
+
+module.exports = new FeedService();
@@ -0,0 +1,204 @@
+const Hashtag = require('../models/Hashtag');
+const HashtagUsage = require('../models/HashtagUsage');
+const User = require('../models/User');
+const { extractHashtags } = require('../utils/hashtags');
+
+const HOUR = 60 * 60 * 1000;
+
+// Trending windows, in hours
+const WINDOWS = { '1h': 1, '24h': 24, '7d': 7 * 24 };
+
+// A tag needs this much use in the window to trend
+const MIN_TRENDING_USERS = 2;
+const MIN_TRENDING_USES = 3;
+
+const MAX_FOLLOWED = 200;
+
+const USE_FIELDS = { post: 'postUses', comment: 'commentUses', discussion: 'discussionUses' };
+
+const startOfHour = (date) => new Date(Math.floor(date.getTime() / HOUR) * HOUR);
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Hashtag Service
+ * Usage of hashtags in posts, comments and club discussions, trending and following.
+ * Only public content counts toward usage, so trending never reveals what is in
+ * friends-only, custom-audience or private posts or in private clubs. Usage is counted per
+ * hour in HashtagUsage; a tag trends when more distinct people use it per hour than in
+ * the window before.
+ */
+class HashtagService {
+
+  get windows() {
+    return Object.keys(WINDOWS);
+  }
+
+  get maxFollowed() {
+    return MAX_FOLLOWED;
+  }
+
+  // Only public content counts: public posts and comments on them, discussions in public clubs
+  isPublicSource(kind, source) {
+    if (!source) return false;
+    if (kind === 'discussion') return source.type === 'public';
+    return (source.visibility || 'public') === 'public';
+  }
+
+  /**
+   * Count one use of each tag
+   * A failure is logged rather than failing the post or comment it came from.
+   * @param {Array} tags - Lowercase tags (see utils/hashtags.js)
+   * @param {Object} options - { kind: 'post'|'comment'|'discussion', userId, source, at }
+   *   where source is the post (for posts and comments) or the club (for discussions)
+   */
+  async recordUsage(tags, { kind, userId, source, at = new Date() }) {
+    if (!tags || tags.length === 0 || !this.isPublicSource(kind, source)) return;
+
+    try {
+      const bucket = startOfHour(at);
+      await Promise.all([
+        Hashtag.bulkWrite(tags.map(tag => ({
+          updateOne: {
+            filter: { tag },
+            update: {
+              $inc: { [USE_FIELDS[kind]]: 1, totalUses: 1 },
+              $min: { firstUsedAt: at },
+              $max: { lastUsedAt: at }
+            },
+            upsert: true
+          }
+        })), { ordered: false }),
+        HashtagUsage.bulkWrite(tags.map(tag => ({
+          updateOne: {
+            filter: { tag, bucket },
+            update: { $inc: { count: 1 }, $addToSet: { users: userId } },
+            upsert: true
+          }
+        })), { ordered: false })
+      ]);
+    } catch (error) {
+      console.error('Record hashtag usage error:', error);
+    }
+  }
+
+  /**
+   * Count the tags in a new comment or discussion
+   * @param {String} text
+   * @param {Object} options - See recordUsage
+   */
+  async recordText(text, options) {
+    return this.recordUsage(extractHashtags(text), options);
+  }
+
+  /**
+   * Count the tags an edit added (tags that were already there were counted before)
+   * Pass an empty previous text when the content wasn't public before the edit.
+   * @param {String} before - Text before the edit
+   * @param {String} after - Text after the edit
+   * @param {Object} options - See recordUsage
+   */
+  async recordEdit(before, after, options) {
+    const previous = extractHashtags(before);
+    return this.recordUsage(extractHashtags(after).filter(tag => !previous.includes(tag)), options);
+  }
+
+  /**
+   * Tags used by the most people per hour in the window, boosted by how fast that grew
+   * compared with the window before. The current window includes the hour in progress.
+   * @param {Object} options - { window: '1h'|'24h'|'7d', limit }
+   * @returns {Array} - [{ tag, score, uses, users, velocity, growth, previousUses, previousUsers }]
+   */
+  async getTrending({ window = '24h', limit = 20 } = {}) {
+    const hours = WINDOWS[window] || WINDOWS['24h'];
+    const now = new Date();
+    const currentStart = new Date(startOfHour(now).getTime() - (hours - 1) * HOUR);
+    const previousStart = new Date(currentStart.getTime() - hours * HOUR);
+    const elapsedHours = Math.max((now - currentStart) / HOUR, 0.25);
+
+    const rows = await HashtagUsage.aggregate([
+      { $match: { bucket: { $gte: previousStart } } },
+      { $project: { tag: 1, count: 1, users: 1, current: { $gte: ['$bucket', currentStart] } } },
+      {
+        $group: {
+          _id: { tag: '$tag', current: '$current' },
+          uses: { $sum: '$count' },
+          users: { $push: '$users' }
+        }
+      },
+      {
+        $project: {
+          uses: 1,
+          users: { $size: { $reduce: { input: '$users', initialValue: [], in: { $setUnion: ['$$value', '$$this'] } } } }
+        }
+      },
+      {
+        $group: {
+          _id: '$_id.tag',
+          uses: { $sum: { $cond: ['$_id.current', '$uses', 0] } },
+          users: { $sum: { $cond: ['$_id.current', '$users', 0] } },
+          previousUses: { $sum: { $cond: ['$_id.current', 0, '$uses'] } },
+          previousUsers: { $sum: { $cond: ['$_id.current', 0, '$users'] } }
+        }
+      },
+      { $match: { uses: { $gte: MIN_TRENDING_USES }, users: { $gte: MIN_TRENDING_USERS } } },
+      { $sort: { users: -1 } },
+      { $limit: 500 }
+    ]);
+
+    return rows
+      .map(row => {
+        const velocity = row.users / elapsedHours;
+        const growth = (velocity + 1) / (row.previousUsers / hours + 1);
+        return {
+          tag: row._id,
+          score: round(velocity * growth),
+          uses: row.uses,
+          users: row.users,
+          velocity: round(velocity),
+          growth: round(growth),
+          previousUses: row.previousUses,
+          previousUsers: row.previousUsers
+        };
+      })
+      .sort((a, b) => b.score - a.score || b.users - a.users)
+      .slice(0, limit);
+  }
+
+  /**
+   * Follow a hashtag: its posts show up in the user's home feed
+   * @returns {Object} - { followed } (false if already following) or { error }
+   */
+  async follow(userId, tag) {
+    const user = await User.findById(userId).select('followedHashtags');
+    if (user.followedHashtags.includes(tag)) {
+      return { followed: false };
+    }
+    if (user.followedHashtags.length >= MAX_FOLLOWED) {
+      return { error: `You can follow up to ${MAX_FOLLOWED} hashtags` };
+    }
+
+    const result = await User.updateOne(
+      { _id: userId, followedHashtags: { $ne: tag } },
+      { $push: { followedHashtags: tag } }
+    );
+    if (result.modifiedCount === 0) {
+      return { followed: false };
+    }
+
+    await Hashtag.updateOne({ tag }, { $inc: { followersCount: 1 } }, { upsert: true });
+    return { followed: true };
+  }
+
+  /**
+   * @returns {Boolean} - Whether the user was following the tag
+   */
+  async unfollow(userId, tag) {
+    const result = await User.updateOne({ _id: userId }, { $pull: { followedHashtags: tag } });
+    if (result.modifiedCount === 0) return false;
+
+    await Hashtag.updateOne({ tag, followersCount: { $gt: 0 } }, { $inc: { followersCount: -1 } });
+    return true;
+  }
+}
+
+module.exports = new HashtagService();
@@ -0,0 +1,595 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const iap = require('in-app-purchase');
+const Purchase = require('../models/Purchase');
+const StoreNotification = require('../models/StoreNotification');
+const User = require('../models/User');
+const { IAP_PRODUCTS } = require('../config/premiumTiers');
+const purchaseService = require('./purchaseService');
+
+const ANDROID_PACKAGE_NAME = 'com.freetalk.social';
+
+// Apple Root CA - G3, which signs App Store Server Notifications. Extra roots (e.g. the
+// test chain in scripts/fixtures/app-store) can be trusted with APPLE_ROOT_CA_FINGERPRINTS.
+const APPLE_ROOT_CA_G3_FINGERPRINT = '63:34:3A:BF:B8:9A:6A:03:EB:B5:7E:9B:3F:5F:A7:BE:7C:4F:5C:75:6F:30:17:B3:A8:C4:88:C3:65:3E:91:79';
+
+// Google Play subscriptionNotification.notificationType values
+const GOOGLE_SUBSCRIPTION_NOTIFICATIONS = {
+  1: 'SUBSCRIPTION_RECOVERED',
+  2: 'SUBSCRIPTION_RENEWED',
+  3: 'SUBSCRIPTION_CANCELED',
+  4: 'SUBSCRIPTION_PURCHASED',
+  5: 'SUBSCRIPTION_ON_HOLD',
+  6: 'SUBSCRIPTION_IN_GRACE_PERIOD',
+  7: 'SUBSCRIPTION_RESTARTED',
+  8: 'SUBSCRIPTION_PRICE_CHANGE_CONFIRMED',
+  9: 'SUBSCRIPTION_DEFERRED',
+  10: 'SUBSCRIPTION_PAUSED',
+  11: 'SUBSCRIPTION_PAUSE_SCHEDULE_CHANGED',
+  12: 'SUBSCRIPTION_REVOKED',
+  13: 'SUBSCRIPTION_EXPIRED',
+  20: 'SUBSCRIPTION_PENDING_PURCHASE_CANCELED'
+};
+
+const normalizeFingerprint = (fingerprint) => fingerprint.replace(/[^0-9a-f]/gi, '').toUpperCase();
+
+const fromMillis = (millis) => (millis ? new Date(Number(millis)) : null);
+
+// Dates from the in-app-purchase library are epoch milliseconds or date strings
+const toDate = (value) => {
+  if (!value) return null;
+  return Number.isNaN(Number(value)) ? new Date(value) : new Date(Number(value));
+};
+
+// Configure in-app-purchase library
+let googleServiceAccount = null;
+if (process.env.GOOGLE_SERVICE_ACCOUNT_KEY_PATH) {
+  try {
+    googleServiceAccount = require(process.env.GOOGLE_SERVICE_ACCOUNT_KEY_PATH);
+  } catch (error) {
+    console.warn('⚠️  Google Service Account file not found. Google Play IAP verification will be disabled.');
+  }
+}
+
+iap.config({
+  // Apple configuration
+  applePassword: process.env.APPLE_SHARED_SECRET,
+  // Use sandbox for testing, production for live
+  test: process.env.IAP_ENVIRONMENT === 'sandbox' || process.env.NODE_ENV !== 'production',
+  
+  // Google configuration
+  googleServiceAccount: googleServiceAccount,
+  
+  verbose: process.env.NODE_ENV !== 'production'
+});
+
+/**
+ * In-App Purchase Service
+ * Receipt verification for the App Store and Google Play, and the stores' server
+ * notifications (renewals, refunds, revocations, expiry) that keep the purchase
+ * ledger and the grants they created up to date without the app being opened.
+ */
+class IapService {
+
+  get androidPackageName() {
+    return ANDROID_PACKAGE_NAME;
+  }
+
+  /**
+   * Verify Apple App Store receipt
+   * @param {string} receipt - Base64 encoded receipt from iOS
+   * @param {string} productId - Product identifier
+   * @returns {Promise<Object>} Verification result
+   */
+  async verifyAppleReceipt(receipt, productId) {
+    console.log('🍎 Verifying Apple receipt for:', productId);
+    
+    // Check if Apple Shared Secret is configured
+    if (!process.env.APPLE_SHARED_SECRET || process.env.APPLE_SHARED_SECRET === 'YOUR_APPLE_SHARED_SECRET_HERE') {
+      console.error('❌ APPLE_SHARED_SECRET not configured in .env file!');
+      return { 
+        valid: false, 
+        error: 'Server configuration error. Please contact support.' 
+      };
+    }
+
+    try {
+      // Setup and validate receipt
+      await iap.setup();
+      
+      const validationResponse = await iap.validate({
+        receipt: receipt,
+        platform: 'apple'
+      });
+
+      if (!validationResponse || validationResponse.length === 0) {
+        console.error('❌ Empty validation response from Apple');
+        return { valid: false, error: 'Invalid receipt' };
+      }
+
+      // Find the specific purchase for this product
+      const purchase = validationResponse.find(item => item.productId === productId);
+
+      if (!purchase) {
+        console.error('❌ Product not found in receipt:', productId);
+        return { valid: false, error: 'Product not found in receipt' };
+      }
+
+      // Check if purchase is valid and not expired
+      const now = Date.now();
+      let isValid = true;
+      let expiryDate = null;
+
+      // For subscriptions, check expiry
+      if (purchase.expirationDate) {
+        expiryDate = new Date(purchase.expirationDate);
+        isValid = expiryDate > now;
+      }
+
+      if (!isValid) {
+        console.warn('⚠️ Purchase expired:', productId);
+        return { valid: false, error: 'Subscription expired' };
+      }
+
+      console.log('✅ Apple receipt verified successfully:', productId);
+
+      return {
+        valid: true,
+        transactionId: purchase.transactionId,
+        originalTransactionId: purchase.originalTransactionId,
+        expiryDate: expiryDate,
+        productId: purchase.productId,
+        purchaseDate: new Date(purchase.purchaseDate)
+      };
+
+    } catch (error) {
+      console.error('❌ Apple verification error:', error);
+      
+      // If it's a network error to Apple servers, return more specific error
+      if (error.code === 'ECONNREFUSED' || error.code === 'ETIMEDOUT') {
+        return { 
+          valid: false, 
+          error: 'Unable to verify with Apple servers. Please try again.' 
+        };
+      }
+      
+      return { valid: false, error: error.message || 'Verification failed' };
+    }
+  }
+
+  /**
+   * Verify Google Play Store purchase
+   * @param {string} packageName - App package name
+   * @param {string} productId - Product identifier
+   * @param {string} purchaseToken - Purchase token from Google Play
+   * @returns {Promise<Object>} Verification result
+   */
+  async verifyGooglePurchase(packageName, productId, purchaseToken) {
+    console.log('🤖 Verifying Google Play purchase for:', productId);
+    
+    // Check if Google Service Account is configured
+    if (!process.env.GOOGLE_SERVICE_ACCOUNT_KEY_PATH) {
+      console.error('❌ GOOGLE_SERVICE_ACCOUNT_KEY_PATH not configured in .env file!');
+      return { 
+        valid: false, 
+        error: 'Server configuration error. Please contact support.' 
+      };
+    }
+
+    // Validate package name
+    if (packageName !== ANDROID_PACKAGE_NAME) {
+      console.error('❌ Invalid package name:', packageName);
+      return { valid: false, error: 'Invalid package name' };
+    }
+
+    try {
+      // Setup and validate purchase
+      await iap.setup();
+      
+      const validationResponse = await iap.validate({
+        receipt: purchaseToken,
+        platform: 'google',
+        productId: productId,
+        packageName: packageName
+      });
+
+      if (!validationResponse || validationResponse.length === 0) {
+        console.error('❌ Empty validation response from Google');
+        return { valid: false, error: 'Invalid purchase token' };
+      }
+
+      const purchase = validationResponse[0];
+
+      // Check purchase state (0 = purchased, 1 = cancelled)
+      if (purchase.purchaseState === 1) {
+        console.warn('⚠️ Purchase was cancelled:', productId);
+        return { valid: false, error: 'Purchase was cancelled' };
+      }
+
+      // For subscriptions, check if expired
+      if (purchase.expirationDate) {
+        const expiryDate = new Date(purchase.expirationDate);
+        if (expiryDate < Date.now()) {
+          console.warn('⚠️ Subscription expired:', productId);
+          return { valid: false, error: 'Subscription expired' };
+        }
+      }
+
+      console.log('✅ Google Play purchase verified successfully:', productId);
+
+      return {
+        valid: true,
+        orderId: purchase.orderId,
+        purchaseTimeMillis: purchase.purchaseDate,
+        purchasedAt: toDate(purchase.purchaseDate),
+        purchaseState: purchase.purchaseState,
+        productId: purchase.productId,
+        expirationDate: purchase.expirationDate ? new Date(purchase.expirationDate) : null
+      };
+
+    } catch (error) {
+      console.error('❌ Google Play verification error:', error);
+      
+      // Check for specific Google API errors
+      if (error.code === 401) {
+        return { 
+          valid: false, 
+          error: 'Google authentication failed. Check service account configuration.' 
+        };
+      }
+      
+      if (error.code === 404) {
+        return { 
+          valid: false, 
+          error: 'Purchase not found. It may have been refunded or is invalid.' 
+        };
+      }
+      
+      return { valid: false, error: error.message || 'Verification failed' };
+    }
+  }
+
+  // ==================== SERVER NOTIFICATIONS ====================
+
+  trustedAppleRoots() {
+    return [APPLE_ROOT_CA_G3_FINGERPRINT, ...(process.env.APPLE_ROOT_CA_FINGERPRINTS || '').split(',')]
+      .filter(fingerprint => fingerprint.trim())
+      .map(normalizeFingerprint);
+  }
+
+  /**
+   * Decode and verify data signed by the App Store (notifications, transactions, renewal info)
+   * The x5c certificate chain in the JWS header must lead to a trusted Apple root.
+   * @param {string} signedData - JWS (compact serialization)
+   * @returns {Object} - Decoded payload
+   */
+  decodeAppleSignedData(signedData) {
+    try {
+      const header = JSON.parse(Buffer.from(String(signedData).split('.')[0], 'base64url').toString('utf8'));
+      if (header.alg !== 'ES256' || !Array.isArray(header.x5c) || header.x5c.length < 2) {
+        throw new Error('No certificate chain in the signed data');
+      }
+
+      const chain = header.x5c.map(der => new crypto.X509Certificate(Buffer.from(der, 'base64')));
+      const now = new Date();
+      chain.forEach((certificate, index) => {
+        // The root signs itself
+        const issuer = chain[index + 1] || certificate;
+        if (new Date(certificate.validFrom) > now || new Date(certificate.validTo) < now) {
+          throw new Error(`Certificate ${certificate.subject} is not valid now`);
+        }
+        if (!certificate.checkIssued(issuer) || !certificate.verify(issuer.publicKey)) {
+          throw new Error(`Certificate ${certificate.subject} is not signed by its issuer`);
+        }
+      });
+
+      const root = chain[chain.length - 1];
+      if (!this.trustedAppleRoots().includes(normalizeFingerprint(root.fingerprint256))) {
+        throw new Error('Certificate chain does not lead to a trusted Apple root');
+      }
+
+      return jwt.verify(signedData, chain[0].publicKey, { algorithms: ['ES256'] });
+    } catch (error) {
+      const invalid = new Error(`Invalid App Store signature: ${error.message}`);
+      invalid.code = 'INVALID_SIGNATURE';
+      throw invalid;
+    }
+  }
+
+  // Owner of a store subscription: from the ledger, or from a grant made before it existed
+  async findUserForStoreTransaction(store, originalTransactionId) {
+    if (!originalTransactionId) return null;
+
+    const purchase = await Purchase.findLatestForOriginal(store, originalTransactionId);
+    if (purchase) return User.findById(purchase.user);
+
+    const EntitlementGrant = require('../models/EntitlementGrant');
+    const grant = await EntitlementGrant.findOne({ source: 'iap', reference: originalTransactionId });
+    return grant ? User.findById(grant.user) : null;
+  }
+
+  /**
+   * Record a transaction reported by a store notification for the user who owns it
+   * @returns {Object|null} - Purchase, or null when it can't be attributed to a user
+   */
+  async applyStoreTransaction(store, transaction) {
+    const user = await this.findUserForStoreTransaction(store, transaction.originalTransactionId);
+    if (!user) {
+      // The app reports the purchase through /verify-purchase, which links it
+      console.warn(`⚠️  ${store} transaction ${transaction.transactionId} does not belong to a known purchase`);
+      return null;
+    }
+    if (!IAP_PRODUCTS[transaction.productId]) {
+      console.warn(`⚠️  ${store} transaction ${transaction.transactionId} is for unknown product ${transaction.productId}`);
+      return null;
+    }
+
+    try {
+      const { purchase } = await purchaseService.recordStorePurchase(user, { store, ...transaction });
+      return purchase;
+    } catch (error) {
+      if (error.code === 'PURCHASE_REVERSED') {
+        console.warn(`⚠️  ${store} transaction ${transaction.transactionId}: ${error.message}`);
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  appleTransactionFields(transaction) {
+    return {
+      productId: transaction.productId,
+      transactionId: transaction.transactionId,
+      originalTransactionId: transaction.originalTransactionId,
+      purchasedAt: fromMillis(transaction.purchaseDate),
+      expiresAt: fromMillis(transaction.expiresDate),
+      // Prices are in milliunits of the currency
+      amount: typeof transaction.price === 'number' ? transaction.price / 1000 : null,
+      currency: transaction.currency || null,
+      environment: transaction.environment === 'Sandbox' ? 'sandbox' : 'production'
+    };
+  }
+
+  /**
+   * App Store Server Notification (version 2)
+   * @param {string} signedPayload - signedPayload from the request body
+   * @returns {Object} - { type, handled, duplicate }
+   */
+  async handleAppleNotification(signedPayload) {
+    // Without our bundle ID, notifications signed by Apple for any other app would be applied
+    const bundleId = process.env.APPLE_BUNDLE_ID;
+    if (!bundleId) {
+      const error = new Error('APPLE_BUNDLE_ID is not set');
+      error.code = 'NOT_CONFIGURED';
+      throw error;
+    }
+
+    const notification = this.decodeAppleSignedData(signedPayload);
+    const type = notification.subtype
+      ? `${notification.notificationType}.${notification.subtype}`
+      : notification.notificationType;
+
+    if (await StoreNotification.exists({ store: 'app_store', notificationId: notification.notificationUUID })) {
+      return { type, handled: false, duplicate: true };
+    }
+
+    const data = notification.data || {};
+    if (data.bundleId !== bundleId) {
+      console.warn(`⚠️  App Store notification for another app (${data.bundleId || 'no bundle ID'}) ignored`);
+      return { type, handled: false, duplicate: false };
+    }
+
+    const transaction = data.signedTransactionInfo ? this.decodeAppleSignedData(data.signedTransactionInfo) : null;
+    const renewalInfo = data.signedRenewalInfo ? this.decodeAppleSignedData(data.signedRenewalInfo) : null;
+    const fields = transaction ? this.appleTransactionFields(transaction) : null;
+
+    // Refunds may be for a transaction the ledger hasn't seen yet
+    const findPurchase = async () => (await Purchase.findOne({ store: 'app_store', transactionId: fields.transactionId }))
+      || this.applyStoreTransaction('app_store', fields);
+
+    if (notification.notificationType === 'TEST' || !fields) {
+      if (notification.notificationType === 'TEST') console.log('🍎 App Store test notification received');
+      await this.markAppleNotification(notification, type);
+      return { type, handled: notification.notificationType === 'TEST', duplicate: false };
+    }
+
+    let handled = true;
+
+    switch (notification.notificationType) {
+      case 'SUBSCRIBED':
+      case 'DID_RENEW':
+      case 'ONE_TIME_CHARGE':
+      case 'OFFER_REDEEMED':
+      case 'RENEWAL_EXTENDED':
+        await this.applyStoreTransaction('app_store', fields);
+        break;
+
+      case 'DID_FAIL_TO_RENEW':
+        // Premium stays on during Apple's billing grace period while the renewal is retried
+        if (notification.subtype === 'GRACE_PERIOD' && renewalInfo && renewalInfo.gracePeriodExpiresDate) {
+          await purchaseService.extendAccess('app_store', fields.originalTransactionId, fromMillis(renewalInfo.gracePeriodExpiresDate));
+        }
+        break;
+
+      case 'EXPIRED':
+      case 'GRACE_PERIOD_EXPIRED':
+        await purchaseService.endAccess('app_store', fields.originalTransactionId);
+        break;
+
+      case 'REFUND': {
+        const purchase = await findPurchase();
+        if (purchase) {
+          await purchaseService.reverse(purchase, 'refunded', {
+            reason: transaction.revocationReason === 1 ? 'Refunded by Apple (issue with the app)' : 'Refunded by Apple'
+          });
+        }
+        break;
+      }
+
+      case 'REVOKE': {
+        const purchase = await findPurchase();
+        if (purchase) {
+          await purchaseService.reverse(purchase, 'revoked', { reason: 'Family Sharing access revoked' });
+        }
+        break;
+      }
+
+      case 'REFUND_REVERSED': {
+        const purchase = await Purchase.findOne({ store: 'app_store', transactionId: fields.transactionId });
+        if (purchase) await purchaseService.restore(purchase);
+        break;
+      }
+
+      default:
+        handled = false;
+    }
+
+    await this.markAppleNotification(notification, type);
+    return { type, handled, duplicate: false };
+  }
+
+  // Recorded after processing, so a failed attempt is retried by Apple
+  async markAppleNotification(notification, type) {
+    await StoreNotification.create({ store: 'app_store', notificationId: notification.notificationUUID, type })
+      .catch(error => {
+        if (error.code !== 11000) throw error;
+      });
+  }
+
+  // The push endpoint is authenticated with a shared token in its URL
+  // APP_STORE_NOTIFICATIONS_ENABLED=true turns on the App Store endpoint; server.js refuses to start without APPLE_BUNDLE_ID then
+  isAppleNotificationsEnabled() {
+    return process.env.APP_STORE_NOTIFICATIONS_ENABLED === 'true' && !!process.env.APPLE_BUNDLE_ID;
+  }
+
+  isValidGooglePushToken(token) {
+    const expected = process.env.GOOGLE_RTDN_TOKEN;
+    if (!expected || typeof token !== 'string') return false;
+
+    const a = Buffer.from(token);
+    const b = Buffer.from(expected);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+  }
+
+  /**
+   * Google Play subscription changed: ask Google for its current state and record it
+   */
+  async refreshGoogleSubscription(packageName, productId, purchaseToken) {
+    const user = await this.findUserForStoreTransaction('play_store', purchaseToken);
+    if (!user) {
+      console.warn(`⚠️  Google Play subscription ${purchaseToken.slice(0, 12)}… does not belong to a known purchase`);
+      return null;
+    }
+
+    const result = await this.verifyGooglePurchase(packageName, productId, purchaseToken);
+    if (!result.valid) {
+      // Expiry is reported by its own notification
+      if (result.error === 'Subscription expired') return null;
+      // Anything else is retried by Pub/Sub
+      throw new Error(`Google Play subscription could not be verified: ${result.error}`);
+    }
+
+    return this.applyStoreTransaction('play_store', {
+      productId,
+      transactionId: result.orderId,
+      originalTransactionId: purchaseToken,
+      purchasedAt: result.purchasedAt,
+      expiresAt: result.expirationDate
+    });
+  }
+
+  /**
+   * Google Play real-time developer notification (Pub/Sub push)
+   * @param {Object} message - Pub/Sub message ({ data, messageId })
+   * @returns {Object} - { type, handled, duplicate }
+   */
+  async handleGoogleNotification(message) {
+    let notification;
+    try {
+      notification = JSON.parse(Buffer.from(message.data, 'base64').toString('utf8'));
+    } catch (error) {
+      const invalid = new Error('Notification data is not valid JSON');
+      invalid.code = 'INVALID_NOTIFICATION';
+      throw invalid;
+    }
+
+    const notificationId = message.messageId || message.message_id;
+    const subscriptionNotification = notification.subscriptionNotification;
+    const voidedNotification = notification.voidedPurchaseNotification;
+    const type = subscriptionNotification
+      ? GOOGLE_SUBSCRIPTION_NOTIFICATIONS[subscriptionNotification.notificationType] || `SUBSCRIPTION_${subscriptionNotification.notificationType}`
+      : voidedNotification ? 'VOIDED_PURCHASE'
+        : notification.oneTimeProductNotification ? 'ONE_TIME_PRODUCT'
+          : notification.testNotification ? 'TEST' : 'UNKNOWN';
+
+    if (await StoreNotification.exists({ store: 'play_store', notificationId })) {
+      return { type, handled: false, duplicate: true };
+    }
+
+    if (notification.packageName !== ANDROID_PACKAGE_NAME) {
+      console.warn(`⚠️  Google Play notification for another app (${notification.packageName}) ignored`);
+      return { type, handled: false, duplicate: false };
+    }
+
+    let handled = true;
+
+    if (voidedNotification) {
+      // Refunds and chargebacks on Google Play both void the purchase
+      const purchase = (voidedNotification.orderId && await Purchase.findOne({ store: 'play_store', transactionId: voidedNotification.orderId }))
+        || await Purchase.findLatestForOriginal('play_store', voidedNotification.purchaseToken);
+      if (purchase) {
+        await purchaseService.reverse(purchase, 'refunded', {
+          reason: voidedNotification.refundType === 2 ? 'Partially refunded by Google Play' : 'Refunded by Google Play'
+        });
+      } else {
+        console.warn(`⚠️  Voided Google Play order ${voidedNotification.orderId} is not in the ledger`);
+      }
+    } else if (subscriptionNotification) {
+      const { purchaseToken, subscriptionId } = subscriptionNotification;
+
+      switch (type) {
+        case 'SUBSCRIPTION_PURCHASED':
+        case 'SUBSCRIPTION_RENEWED':
+        case 'SUBSCRIPTION_RECOVERED':
+        case 'SUBSCRIPTION_RESTARTED':
+        case 'SUBSCRIPTION_IN_GRACE_PERIOD':
+        case 'SUBSCRIPTION_DEFERRED':
+          await this.refreshGoogleSubscription(notification.packageName, subscriptionId, purchaseToken);
+          break;
+
+        case 'SUBSCRIPTION_ON_HOLD':
+        case 'SUBSCRIPTION_PAUSED':
+        case 'SUBSCRIPTION_EXPIRED':
+          await purchaseService.endAccess('play_store', purchaseToken);
+          break;
+
+        case 'SUBSCRIPTION_REVOKED': {
+          const purchase = await Purchase.findLatestForOriginal('play_store', purchaseToken);
+          if (purchase) await purchaseService.reverse(purchase, 'revoked', { reason: 'Revoked by Google Play' });
+          break;
+        }
+
+        case 'SUBSCRIPTION_CANCELED':
+          // Auto-renew was turned off; premium runs until the end of the paid period
+          break;
+
+        default:
+          handled = false;
+      }
+    } else if (notification.testNotification) {
+      console.log('🤖 Google Play test notification received');
+    } else {
+      handled = false;
+    }
+
+    // Recorded after processing, so a failed attempt is redelivered by Pub/Sub
+    await StoreNotification.create({ store: 'play_store', notificationId, type })
+      .catch(error => {
+        if (error.code !== 11000) throw error;
+      });
+
+    return { type, handled, duplicate: false };
+  }
+}
+
+module.exports = new IapService();
@@ -0,0 +1,293 @@
+const AuthLockout = require('../models/AuthLockout');
+const Notification = require('../models/Notification');
+const FCMService = require('./fcmService');
+
+// Failures allowed before a lockout starts
+const MAX_FAILED_ATTEMPTS = 5;
+
+// Lock durations in minutes; each further lockout in the escalation window uses the next step
+const LOCK_DURATIONS_MINUTES = [1, 5, 15, 60, 240, 1440];
+
+// Lockout escalation resets after this long without failures
+const ESCALATION_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// How many distinct IPs are remembered per record
+const MAX_RECENT_IPS = 20;
+
+// Endpoints that check a second factor (TOTP or backup code). They count against their own
+// record, so a correct PIN (which resets the login counters) can't reset 2FA guesses.
+const TWO_FACTOR_ENDPOINTS = ['2fa-verify', '2fa-backup-codes', '2fa-disable'];
+
+const normalizeIdentifier = (identifier) => (identifier || '').toString().trim().toLowerCase();
+
+// Records an attempt counts against: the identifier that was typed and the account, if any
+const getTargets = (identifier, user, endpoint = null) => {
+  if (TWO_FACTOR_ENDPOINTS.includes(endpoint)) {
+    return [{ scope: 'two_factor', key: user._id.toString() }];
+  }
+
+  const targets = [{ scope: 'identifier', key: normalizeIdentifier(identifier) }];
+  if (user) targets.push({ scope: 'account', key: user._id.toString() });
+  return targets;
+};
+
+/**
+ * Lockout Service
+ * Progressive lockout for credential checks (PIN login, PIN/password reset, PIN recovery).
+ * Complements the IP-based authLimiter: counters are kept per account and per identifier,
+ * so they still trip when an attacker spreads attempts across many IPs.
+ */
+class LockoutService {
+
+  /**
+   * Get the lockout in force for an identifier and/or account, if any
+   * @param {String} identifier - Email that was typed
+   * @param {String} userId - Account the identifier resolved to (optional)
+   * @param {String} endpoint - Route being attempted, for the second-factor record (optional)
+   * @returns {Object|null} - { lockedUntil, retryAfterSeconds } or null if not locked
+   */
+  async getLockout(identifier, userId = null, endpoint = null) {
+    const records = await AuthLockout.find({
+      $or: getTargets(identifier, userId && { _id: userId }, endpoint),
+      lockedUntil: { $gt: new Date() }
+    });
+
+    if (records.length === 0) return null;
+
+    const lockedUntil = new Date(Math.max(...records.map(r => r.lockedUntil.getTime())));
+    return {
+      lockedUntil,
+      retryAfterSeconds: Math.ceil((lockedUntil.getTime() - Date.now()) / 1000)
+    };
+  }
+
+  /**
+   * Reserve a credential attempt before it is verified
+   * The attempt is counted up front with a conditional update, so parallel requests can't
+   * all pass a check made before any of them has failed. Call recordSuccess once the
+   * credential is verified (which clears the count) or recordFailure if it isn't.
+   * @param {Object} params
+   * @param {String} params.identifier - Email that was typed
+   * @param {Object} params.user - Account the identifier resolved to (optional)
+   * @param {String} params.endpoint - Route that was attempted (e.g. 'login')
+   * @param {Object} params.req - Express request (IP and socket.io access)
+   * @returns {Object|null} - The lockout if the attempt is refused, else null
+   */
+  async reserveAttempt({ identifier, user = null, endpoint, req }) {
+    const ip = req.ip || null;
+    const targets = getTargets(identifier, user, endpoint);
+    const reserved = [];
+
+    for (const target of targets) {
+      const record = await this.incrementFailure(target, user, endpoint, ip);
+      if (!record) {
+        // A refused attempt doesn't count, so undo it on the records already reserved
+        await this.releaseTargets(reserved);
+        const lockout = await this.getLockout(identifier, user && user._id, endpoint);
+        return lockout || (await this.lockExhausted(targets, user, req)) || this.briefLockout();
+      }
+      reserved.push(target);
+    }
+
+    return null;
+  }
+
+  /**
+   * Record that a reserved attempt failed verification
+   * @param {Object} params - Same as reserveAttempt
+   * @returns {Object|null} - The lockout if this failure started one, else null
+   */
+  async recordFailure({ identifier, user = null, endpoint, req }) {
+    const targets = getTargets(identifier, user, endpoint);
+    const records = await AuthLockout.find({ $or: targets });
+
+    for (const record of records) {
+      console.log(`🔒 Failed ${endpoint} attempt for ${record.scope} ${record.key} (${record.failedCount}/${MAX_FAILED_ATTEMPTS})`);
+    }
+
+    return this.lockExhausted(targets, user, req);
+  }
+
+  /**
+   * Give back a reserved attempt when no credential ended up being checked
+   */
+  async releaseAttempt(identifier, userId = null, endpoint = null) {
+    await this.releaseTargets(getTargets(identifier, userId && { _id: userId }, endpoint));
+  }
+
+  async releaseTargets(targets) {
+    if (targets.length === 0) return;
+    await AuthLockout.updateMany(
+      { $or: targets, failedCount: { $gt: 0 } },
+      { $inc: { failedCount: -1 } }
+    );
+  }
+
+  // Count an attempt unless the record is locked or out of attempts (returns null if refused)
+  async incrementFailure(target, user, endpoint, ip) {
+    const now = new Date();
+    const existing = await AuthLockout.findOne(target);
+
+    // Start escalation over if the last failure was long ago
+    const resetEscalation = existing && existing.lastFailedAt
+      && now - existing.lastFailedAt > ESCALATION_WINDOW_MS;
+
+    const update = {
+      $inc: { failedCount: 1 },
+      $set: {
+        lastFailedAt: now,
+        lastEndpoint: endpoint,
+        ...(user ? { user: user._id } : {}),
+        ...(resetEscalation ? { lockCount: 0 } : {})
+      }
+    };
+
+    let record;
+    try {
+      // A refused record fails the filter, so the upsert hits the unique { scope, key } index
+      record = await AuthLockout.findOneAndUpdate(
+        {
+          ...target,
+          failedCount: { $lt: MAX_FAILED_ATTEMPTS },
+          $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+        },
+        update,
+        { upsert: true, new: true }
+      );
+    } catch (error) {
+      if (error.code === 11000) return null;
+      throw error;
+    }
+
+    if (ip && !record.recentIps.includes(ip)) {
+      record.recentIps = [ip, ...record.recentIps].slice(0, MAX_RECENT_IPS);
+      await record.save();
+    }
+
+    return record;
+  }
+
+  // Lock the records that have used up their attempts and tell the owner
+  async lockExhausted(targets, user, req) {
+    const records = await AuthLockout.find({
+      $or: targets,
+      failedCount: { $gte: MAX_FAILED_ATTEMPTS }
+    });
+
+    let newLockout = null;
+    for (const record of records) {
+      const lockout = await this.lock(record);
+      if (lockout && (!newLockout || lockout.lockedUntil > newLockout.lockedUntil)) {
+        newLockout = lockout;
+      }
+    }
+
+    if (newLockout && user) {
+      await this.notifyOwner(user, newLockout, req);
+    }
+
+    return newLockout;
+  }
+
+  // Returns null if a parallel request locked the record first
+  async lock(record) {
+    const step = Math.min(record.lockCount, LOCK_DURATIONS_MINUTES.length - 1);
+    const minutes = LOCK_DURATIONS_MINUTES[step];
+
+    const locked = await AuthLockout.findOneAndUpdate(
+      { _id: record._id, failedCount: { $gte: MAX_FAILED_ATTEMPTS } },
+      {
+        $set: {
+          lockedUntil: new Date(Date.now() + minutes * 60 * 1000),
+          lastLockedAt: new Date(),
+          failedCount: 0
+        },
+        $inc: { lockCount: 1 }
+      },
+      { new: true }
+    );
+    if (!locked) return null;
+
+    console.warn(`🔒 ${locked.scope} ${locked.key} locked for ${minutes} minute(s) (lockout #${locked.lockCount})`);
+
+    return {
+      lockedUntil: locked.lockedUntil,
+      retryAfterSeconds: minutes * 60
+    };
+  }
+
+  // Refusal when the record was reset between the refused update and reading it back
+  briefLockout() {
+    const minutes = LOCK_DURATIONS_MINUTES[0];
+    return {
+      lockedUntil: new Date(Date.now() + minutes * 60 * 1000),
+      retryAfterSeconds: minutes * 60
+    };
+  }
+
+  /**
+   * Reset the failure counters after a successful attempt
+   * Lock escalation is kept so an attacker can't reset it with one correct guess on another account.
+   * Pass the endpoint for second-factor checks, which only reset the second-factor record.
+   */
+  async recordSuccess(identifier, userId, endpoint = null) {
+    await AuthLockout.updateMany(
+      { $or: getTargets(identifier, { _id: userId }, endpoint) },
+      { failedCount: 0 }
+    );
+  }
+
+  /**
+   * Clear lockouts (admin action)
+   * @param {Object} filter - Mongo filter selecting the records to clear
+   * @param {String} adminId - Admin clearing the lockouts
+   * @returns {Number} - Number of records cleared
+   */
+  async clearLockouts(filter, adminId) {
+    const result = await AuthLockout.updateMany(filter, {
+      failedCount: 0,
+      lockCount: 0,
+      lockedUntil: null,
+      clearedBy: adminId,
+      clearedAt: new Date()
+    });
+    return result.modifiedCount;
+  }
+
+  // Tell the account owner their account was locked (in-app, socket and push)
+  async notifyOwner(user, lockout, req) {
+    const minutes = Math.ceil(lockout.retryAfterSeconds / 60);
+    const message = `Your account was locked for ${minutes} minute(s) after several failed sign-in attempts. If this wasn't you, consider changing your PIN.`;
+
+    try {
+      // System notification: there is no other user involved, so the owner is also the sender
+      const notification = await Notification.create({
+        recipient: user._id,
+        sender: user._id,
+        type: 'security_alert',
+        message: message.substring(0, 100),
+        content: message
+      });
+
+      const io = req.app && req.app.get('io');
+      if (io) {
+        io.to(`user:${user._id}`).emit('notification', {
+          _id: notification._id,
+          type: 'security_alert',
+          message,
+          lockedUntil: lockout.lockedUntil,
+          createdAt: notification.createdAt
+        });
+      }
+
+      await FCMService.sendNotificationToUser(user._id, 'Account locked', message, {
+        type: 'security_alert',
+        lockedUntil: lockout.lockedUntil.toISOString()
+      });
+    } catch (error) {
+      console.error('❌ Failed to send lockout notification:', error);
+    }
+  }
+}
+
+module.exports = new LockoutService();
@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+const LoginActivity = require('../models/LoginActivity');
+const sessionService = require('./sessionService');
+const emailService = require('./emailService');
+const FCM = require('./fcmService');
+
+// geoip-lite loads its whole database into memory, so only load it on first use
+let geoip = null;
+const getGeoIp = () => {
+  if (!geoip) geoip = require('geoip-lite');
+  return geoip;
+};
+
+/**
+ * Login Activity Service
+ * Records every sign-in attempt with the device, IP and coarse location, and alerts
+ * the user (push + email) the first time their account signs in from a new device.
+ */
+class LoginActivityService {
+
+  /**
+   * Coarse location for an IP address (offline lookup)
+   * @returns {Object|null} - { country, region, city, timezone }, null for private/unknown addresses
+   */
+  lookupLocation(ipAddress) {
+    if (!ipAddress) return null;
+    const ip = ipAddress.startsWith('::ffff:') ? ipAddress.slice(7) : ipAddress;
+
+    try {
+      const geo = getGeoIp().lookup(ip);
+      if (!geo) return null;
+      return {
+        country: geo.country || null,
+        region: geo.region || null,
+        city: geo.city || null,
+        timezone: geo.timezone || null
+      };
+    } catch (error) {
+      console.error('❌ IP location lookup failed:', error.message);
+      return null;
+    }
+  }
+
+  formatLocation(location) {
+    if (!location) return 'Unknown location';
+    return [location.city, location.region, location.country].filter(Boolean).join(', ') || 'Unknown location';
+  }
+
+  // Identify the device: the client's deviceId when it sends one, otherwise its user agent
+  getDeviceKey(deviceInfo) {
+    const source = deviceInfo.deviceId ? `id:${deviceInfo.deviceId}` : `ua:${deviceInfo.userAgent || ''}`;
+    return crypto.createHash('sha256').update(source).digest('hex');
+  }
+
+  /**
+   * Record a sign-in attempt
+   * Never throws: a failure to record must not block the login itself.
+   * @param {Object} req - Express request (for device details)
+   * @param {Object} attempt - { user, email, method, success, failureReason, session }
+   * @returns {Object|null} - The LoginActivity entry
+   */
+  async record(req, { user = null, email = null, method, success, failureReason = null, session = null }) {
+    try {
+      const deviceInfo = sessionService.getDeviceInfo(req);
+      const deviceKey = this.getDeviceKey(deviceInfo);
+
+      // Only compare against earlier successful sign-ins; the very first one (sign-up,
+      // or the first login after this history started) is the baseline, not an alert
+      let isNewDevice = false;
+      if (success && user) {
+        const hasHistory = await LoginActivity.exists({ user: user._id, success: true });
+        isNewDevice = !!hasHistory && !(await LoginActivity.hasSeenDevice(user._id, deviceKey));
+      }
+
+      const activity = await LoginActivity.create({
+        user: user ? user._id : null,
+        email: email || (user && user.email) || null,
+        method,
+        success,
+        failureReason: success ? null : failureReason,
+        ipAddress: deviceInfo.ipAddress,
+        userAgent: deviceInfo.userAgent,
+        deviceName: deviceInfo.deviceName,
+        platform: deviceInfo.platform,
+        deviceKey,
+        location: this.lookupLocation(deviceInfo.ipAddress),
+        isNewDevice,
+        session: session ? session._id : null
+      });
+
+      if (isNewDevice) {
+        this.sendNewDeviceAlert(user, activity)
+          .catch(error => console.error('❌ Failed to send new device alert:', error));
+      }
+
+      return activity;
+    } catch (error) {
+      console.error('❌ Failed to record login activity:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Tell the user their account signed in from a device it hasn't used before
+   */
+  async sendNewDeviceAlert(user, activity) {
+    const device = activity.deviceName || activity.platform || 'a new device';
+    const location = this.formatLocation(activity.location);
+
+    console.log(`🔔 New device sign-in for user ${user._id}: ${device} (${location})`);
+
+    await FCM.sendNotificationToUser(user._id, 'New sign-in to your account', `Signed in on ${device} near ${location}`, {
+      type: 'new_device_login',
+      activityId: activity._id.toString()
+    });
+
+    await emailService.sendNewDeviceLoginEmail(user.email, user.name, {
+      device,
+      location,
+      ipAddress: activity.ipAddress,
+      method: activity.method,
+      time: activity.createdAt
+    });
+  }
+
+  /**
+   * A user's login history, newest first
+   */
+  async getActivity(userId, { page = 1, limit = 20 } = {}) {
+    const skip = (page - 1) * limit;
+
+    const [activity, total] = await Promise.all([
+      LoginActivity.find({ user: userId })
+        .select('-deviceKey -user')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      LoginActivity.countDocuments({ user: userId })
+    ]);
+
+    return { activity, total };
+  }
+}
+
+module.exports = new LoginActivityService();
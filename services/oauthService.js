@@ -0,0 +1,375 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const OAuthClient = require('../models/OAuthClient');
+const OAuthAuthorizationCode = require('../models/OAuthAuthorizationCode');
+const OAuthGrant = require('../models/OAuthGrant');
+const { isValidScope } = require('../config/scopes');
+
+const ACCESS_TOKEN_TTL_SECONDS = 60 * 60;
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const AUTHORIZATION_CODE_TTL_MS = 10 * 60 * 1000;
+
+// Schemes that must never be used as redirect targets
+const FORBIDDEN_REDIRECT_PROTOCOLS = ['javascript:', 'data:', 'file:', 'vbscript:'];
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+const safeEqual = (a, b) => {
+  const bufferA = Buffer.from(a || '');
+  const bufferB = Buffer.from(b || '');
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+/**
+ * OAuth Service
+ * Authorization server for "Sign in with FreeTalk": client registration, the
+ * authorization code + PKCE flow, refresh token rotation and revocation.
+ * Access tokens are JWTs (type 'oauth_access') accepted by middleware/auth.js
+ * with the granted scopes, so the existing routers enforce them like API tokens.
+ */
+class OAuthService {
+
+  /**
+   * Check a redirect URI a client wants to register
+   * https anywhere, http only on loopback (local client apps), or a custom app scheme.
+   */
+  isValidRedirectUri(uri) {
+    let parsed;
+    try {
+      parsed = new URL(uri);
+    } catch (error) {
+      return false;
+    }
+    if (parsed.hash || FORBIDDEN_REDIRECT_PROTOCOLS.includes(parsed.protocol)) return false;
+    if (parsed.protocol === 'http:') {
+      return ['localhost', '127.0.0.1', '[::1]'].includes(parsed.hostname);
+    }
+    return true;
+  }
+
+  /**
+   * Parse a space-separated scope string
+   * @returns {String[]|null} - Scopes, or null if any of them is unknown
+   */
+  parseScope(scope) {
+    const scopes = [...new Set((scope || '').split(' ').filter(Boolean))];
+    if (scopes.length === 0 || scopes.some(s => !isValidScope(s))) return null;
+    return scopes;
+  }
+
+  /**
+   * Register a client
+   * @returns {Object} - { client, clientSecret } - the secret (confidential clients only) is only available here
+   */
+  async registerClient(ownerId, { name, description, websiteUrl, logoUrl, redirectUris, scopes, confidential }) {
+    const clientSecret = confidential ? `ftcs_${crypto.randomBytes(32).toString('base64url')}` : null;
+
+    const client = await OAuthClient.create({
+      clientId: `ftc_${crypto.randomBytes(12).toString('hex')}`,
+      clientSecretHash: clientSecret ? sha256(clientSecret) : null,
+      isConfidential: !!confidential,
+      name,
+      description,
+      websiteUrl,
+      logoUrl,
+      redirectUris,
+      allowedScopes: scopes,
+      owner: ownerId
+    });
+
+    console.log(`🧩 OAuth client "${name}" (${client.clientId}) registered by user ${ownerId}`);
+    return { client, clientSecret };
+  }
+
+  /**
+   * Issue a new secret for a confidential client (the old one stops working)
+   * @returns {String|null} - New secret, or null if the client isn't confidential
+   */
+  async rotateClientSecret(client) {
+    if (!client.isConfidential) return null;
+    const clientSecret = `ftcs_${crypto.randomBytes(32).toString('base64url')}`;
+    await OAuthClient.updateOne({ _id: client._id }, { clientSecretHash: sha256(clientSecret) });
+    return clientSecret;
+  }
+
+  /**
+   * Disable a client and revoke every grant users gave it
+   */
+  async deleteClient(client) {
+    await OAuthClient.updateOne({ _id: client._id }, { disabledAt: new Date() });
+    await OAuthGrant.updateMany(
+      { client: client._id, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: 'client_deleted' }
+    );
+  }
+
+  async findActiveClient(clientId) {
+    if (!clientId || typeof clientId !== 'string') return null;
+    return OAuthClient.findOne({ clientId, disabledAt: null }).select('+clientSecretHash');
+  }
+
+  /**
+   * Authenticate a client at the token/revocation endpoints
+   * Public clients only identify themselves; confidential ones must also send their secret.
+   * @returns {Object|null} - Client, or null if authentication failed
+   */
+  async authenticateClient(clientId, clientSecret) {
+    const client = await this.findActiveClient(clientId);
+    if (!client) return null;
+    if (client.isConfidential && !safeEqual(client.clientSecretHash, sha256(typeof clientSecret === 'string' ? clientSecret : ''))) {
+      return null;
+    }
+    return client;
+  }
+
+  /**
+   * Validate an authorization request
+   * @param {Object} params - client_id, redirect_uri, response_type, scope, code_challenge, code_challenge_method
+   * @returns {Object} - { client, scopes } or { error, errorDescription, redirectable }
+   *   (errors are only redirectable once the client and redirect URI are known to be valid)
+   */
+  async validateAuthorizationRequest(params) {
+    const client = await this.findActiveClient(params.client_id);
+    if (!client) {
+      return { error: 'invalid_client', errorDescription: 'Unknown client', redirectable: false };
+    }
+    if (!params.redirect_uri || !client.hasRedirectUri(params.redirect_uri)) {
+      return { error: 'invalid_request', errorDescription: 'redirect_uri is not registered for this client', redirectable: false };
+    }
+    if (params.response_type !== 'code') {
+      return { error: 'unsupported_response_type', errorDescription: 'Only response_type=code is supported', redirectable: true };
+    }
+
+    const scopes = this.parseScope(params.scope);
+    if (!scopes || scopes.some(s => !client.allowedScopes.includes(s))) {
+      return { error: 'invalid_scope', errorDescription: 'The requested scope is invalid or not allowed for this client', redirectable: true };
+    }
+
+    if (!params.code_challenge || params.code_challenge_method !== 'S256') {
+      return { error: 'invalid_request', errorDescription: 'PKCE with code_challenge_method=S256 is required', redirectable: true };
+    }
+
+    return { client, scopes };
+  }
+
+  /**
+   * Whether the user already granted this client every requested scope (skip the consent screen)
+   */
+  async hasConsent(userId, client, scopes) {
+    const grants = await OAuthGrant.find({
+      user: userId,
+      client: client._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).select('scopes');
+    return grants.some(grant => scopes.every(s => grant.scopes.includes(s)));
+  }
+
+  /**
+   * Issue an authorization code after the user approved the request
+   * @returns {String} - The code
+   */
+  async createAuthorizationCode(userId, client, { redirectUri, scopes, codeChallenge }) {
+    const code = crypto.randomBytes(32).toString('base64url');
+
+    await OAuthAuthorizationCode.create({
+      codeHash: sha256(code),
+      client: client._id,
+      user: userId,
+      redirectUri,
+      scopes,
+      codeChallenge,
+      codeChallengeMethod: 'S256',
+      expiresAt: new Date(Date.now() + AUTHORIZATION_CODE_TTL_MS)
+    });
+
+    return code;
+  }
+
+  /**
+   * Exchange an authorization code for tokens (grant_type=authorization_code)
+   * @returns {Object} - Token response or { error, errorDescription }
+   */
+  async exchangeAuthorizationCode(client, { code, redirectUri, codeVerifier }) {
+    // Form fields can arrive as arrays or objects (code[]=a), which can't be hashed
+    if (!code || !codeVerifier || typeof code !== 'string' || typeof codeVerifier !== 'string') {
+      return { error: 'invalid_request', errorDescription: 'code and code_verifier are required' };
+    }
+
+    // Mark the code used atomically, so it can only be exchanged once
+    const codeHash = sha256(code);
+    const authCode = await OAuthAuthorizationCode.findOneAndUpdate(
+      { codeHash, usedAt: null },
+      { usedAt: new Date() },
+      { new: true }
+    );
+
+    if (!authCode) {
+      // A replayed code means it leaked: revoke whatever was issued from it (RFC 6749 §4.1.2)
+      const replayed = await OAuthAuthorizationCode.findOne({ codeHash });
+      if (replayed && replayed.grant) {
+        console.warn(`🚨 Authorization code replay for client ${client.clientId} - revoking grant ${replayed.grant}`);
+        await OAuthGrant.updateOne({ _id: replayed.grant }, { revokedAt: new Date(), revokedReason: 'code_reuse' });
+      }
+      return { error: 'invalid_grant', errorDescription: 'Invalid or already used authorization code' };
+    }
+
+    if (authCode.expiresAt <= new Date()
+      || authCode.client.toString() !== client._id.toString()
+      || authCode.redirectUri !== redirectUri) {
+      return { error: 'invalid_grant', errorDescription: 'Invalid authorization code' };
+    }
+
+    // PKCE: BASE64URL(SHA256(code_verifier)) must equal the code_challenge from the authorization request
+    const challenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+    if (!safeEqual(challenge, authCode.codeChallenge)) {
+      return { error: 'invalid_grant', errorDescription: 'code_verifier does not match the code challenge' };
+    }
+
+    const refreshSecret = crypto.randomBytes(32).toString('base64url');
+    const grant = await OAuthGrant.create({
+      user: authCode.user,
+      client: client._id,
+      scopes: authCode.scopes,
+      refreshTokenHash: sha256(refreshSecret),
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+    });
+
+    authCode.grant = grant._id;
+    await authCode.save();
+
+    console.log(`🧩 OAuth grant ${grant._id} issued to client ${client.clientId} for user ${authCode.user}`);
+    return this.buildTokenResponse(grant, client, refreshSecret);
+  }
+
+  /**
+   * Rotate a refresh token (grant_type=refresh_token)
+   * Refresh tokens look like `<grantId>.<secret>`; presenting a rotated one revokes the grant.
+   * @returns {Object} - Token response or { error, errorDescription }
+   */
+  async refreshAccessToken(client, refreshToken) {
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      return { error: 'invalid_request', errorDescription: 'refresh_token is required' };
+    }
+
+    const [grantId, secret] = refreshToken.split('.');
+    if (!grantId || !secret || !/^[a-f0-9]{24}$/.test(grantId)) {
+      return { error: 'invalid_grant', errorDescription: 'Invalid refresh token' };
+    }
+
+    const grant = await OAuthGrant.findById(grantId).select('+refreshTokenHash');
+    if (!grant || grant.client.toString() !== client._id.toString() || !grant.isActive()) {
+      return { error: 'invalid_grant', errorDescription: 'Invalid refresh token' };
+    }
+
+    const nextSecret = crypto.randomBytes(32).toString('base64url');
+    const rotated = await OAuthGrant.findOneAndUpdate(
+      { _id: grant._id, refreshTokenHash: sha256(secret), revokedAt: null },
+      {
+        refreshTokenHash: sha256(nextSecret),
+        lastUsedAt: new Date(),
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+        $inc: { rotationCount: 1 }
+      },
+      { new: true }
+    );
+
+    if (!rotated) {
+      console.warn(`🚨 OAuth refresh token reuse detected for grant ${grant._id} - revoking grant`);
+      await OAuthGrant.updateOne({ _id: grant._id }, { revokedAt: new Date(), revokedReason: 'token_reuse' });
+      return { error: 'invalid_grant', errorDescription: 'Invalid refresh token' };
+    }
+
+    return this.buildTokenResponse(rotated, client, nextSecret);
+  }
+
+  buildTokenResponse(grant, client, refreshSecret) {
+    const scope = grant.scopes.join(' ');
+    const accessToken = jwt.sign(
+      { userId: grant.user.toString(), gid: grant._id.toString(), cid: client.clientId, scope, type: 'oauth_access' },
+      process.env.JWT_SECRET,
+      { expiresIn: ACCESS_TOKEN_TTL_SECONDS }
+    );
+
+    return {
+      access_token: accessToken,
+      token_type: 'Bearer',
+      expires_in: ACCESS_TOKEN_TTL_SECONDS,
+      refresh_token: `${grant._id}.${refreshSecret}`,
+      scope
+    };
+  }
+
+  /**
+   * Revoke a refresh or access token presented by a client (RFC 7009)
+   * Either kind revokes the whole grant. Unknown tokens are ignored.
+   */
+  async revokeToken(client, token) {
+    let grantId = null;
+
+    const [prefix, secret] = (token || '').split('.');
+    if (secret && /^[a-f0-9]{24}$/.test(prefix)) {
+      grantId = prefix;
+    } else {
+      try {
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        if (decoded.type === 'oauth_access') grantId = decoded.gid;
+      } catch (error) {
+        return;
+      }
+    }
+
+    if (!grantId) return;
+    await OAuthGrant.updateOne(
+      { _id: grantId, client: client._id, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: 'revoked_by_client' }
+    );
+  }
+
+  /**
+   * Check that a grant is still active (used when verifying OAuth access tokens)
+   */
+  async isGrantActive(grantId) {
+    const grant = await OAuthGrant.exists({
+      _id: grantId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    });
+    return !!grant;
+  }
+
+  /**
+   * Apps the user has authorized, one entry per client with the combined scopes
+   */
+  async listAuthorizedApps(userId) {
+    const grants = await OAuthGrant.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+      .populate('client', 'clientId name description websiteUrl logoUrl')
+      .sort({ lastUsedAt: -1 });
+
+    const apps = new Map();
+    for (const grant of grants) {
+      if (!grant.client) continue;
+      const key = grant.client.clientId;
+      const app = apps.get(key) || { client: grant.client, scopes: new Set(), authorizedAt: grant.createdAt, lastUsedAt: grant.lastUsedAt };
+      grant.scopes.forEach(s => app.scopes.add(s));
+      if (grant.createdAt < app.authorizedAt) app.authorizedAt = grant.createdAt;
+      apps.set(key, app);
+    }
+
+    return [...apps.values()].map(app => ({ ...app, scopes: [...app.scopes] }));
+  }
+
+  /**
+   * Revoke all of a user's grants for a client ("remove app access")
+   * @returns {Number} - Number of grants revoked
+   */
+  async revokeUserGrants(userId, client) {
+    const result = await OAuthGrant.updateMany(
+      { user: userId, client: client._id, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: 'revoked_by_user' }
+    );
+    return result.modifiedCount;
+  }
+}
+
+module.exports = new OAuthService();
@@ -0,0 +1,251 @@
+const fs = require('fs');
+const path = require('path');
+
+const MIN_LENGTH = 12;
+const MAX_LENGTH = 128;
+
+// Lowest score (0-4) a passphrase may have
+const MIN_SCORE = 3;
+
+// Bits of estimated entropy needed for each score above 0
+const SCORE_THRESHOLDS = [25, 35, 45, 60];
+const LEVELS = ['very_weak', 'weak', 'fair', 'strong', 'very_strong'];
+
+// Small list built into the repo, always loaded
+const BUILT_IN_LIST_PATH = path.join(__dirname, '..', 'data', 'common-passwords.txt');
+
+// Full breached list, downloaded at deploy time by scripts/download-breached-passwords.js
+// (not committed). BREACHED_PASSWORDS_FILE points at a list kept somewhere else.
+const BREACHED_LIST_PATH = path.join(__dirname, '..', 'data', 'breached-passwords.txt');
+
+const readList = (listPath) => fs.readFileSync(listPath, 'utf8')
+  .split(/\r?\n/)
+  .map(line => line.trim().toLowerCase())
+  .filter(line => line && !line.startsWith('#'));
+
+// Runs of characters that are easy to guess when they appear in order
+const SEQUENCES = [
+  'abcdefghijklmnopqrstuvwxyz',
+  '01234567890',
+  'qwertyuiop',
+  'asdfghjkl',
+  'zxcvbnm'
+];
+
+// Rough entropy of one word in a passphrase made of words (short words like "is" count less)
+const WORD_ENTROPY_BITS = 11;
+const SHORT_WORD_ENTROPY_BITS = 5;
+
+/**
+ * Passphrase Service
+ * Strength scoring (0-4) and breached/common password checks for passphrase
+ * credentials. Everything runs offline against the built-in list in data/common-passwords.txt
+ * and the downloaded breached list (or BREACHED_PASSWORDS_FILE), so candidates never leave
+ * the server.
+ */
+class PassphraseService {
+
+  constructor() {
+    this.breachedList = null;
+  }
+
+  get minLength() {
+    return MIN_LENGTH;
+  }
+
+  get maxLength() {
+    return MAX_LENGTH;
+  }
+
+  get minScore() {
+    return MIN_SCORE;
+  }
+
+  // Load the breached/common lists on first use
+  getBreachedList() {
+    if (this.breachedList) return this.breachedList;
+
+    this.breachedList = new Set();
+    try {
+      readList(BUILT_IN_LIST_PATH).forEach(entry => this.breachedList.add(entry));
+    } catch (error) {
+      console.error(`❌ Failed to load built-in password list from ${BUILT_IN_LIST_PATH}:`, error.message);
+    }
+
+    const listPath = process.env.BREACHED_PASSWORDS_FILE || BREACHED_LIST_PATH;
+    try {
+      readList(listPath).forEach(entry => this.breachedList.add(entry));
+    } catch (error) {
+      console.warn(`⚠️  Breached password list not loaded from ${listPath} (${error.message}). Only the built-in list is checked; run scripts/download-breached-passwords.js.`);
+    }
+
+    console.log(`🔐 Loaded ${this.breachedList.size} breached/common passwords`);
+    return this.breachedList;
+  }
+
+  /**
+   * Whether a candidate (or an obvious variation of it) is on the breached/common list
+   * Variations: case, spacing/separators, leetspeak and trailing digits or symbols.
+   */
+  isBreached(candidate) {
+    const list = this.getBreachedList();
+    const lower = candidate.toLowerCase().trim();
+    const compact = lower.replace(/[\s\-_.]+/g, '');
+    const unleet = compact
+      .replace(/[@4]/g, 'a')
+      .replace(/3/g, 'e')
+      .replace(/[1!]/g, 'i')
+      .replace(/0/g, 'o')
+      .replace(/[$5]/g, 's')
+      .replace(/7/g, 't');
+    const untrailed = compact.replace(/[\d\W_]+$/, '');
+
+    return [lower, compact, unleet, untrailed].some(variant => variant && list.has(variant));
+  }
+
+  /**
+   * Estimate the strength of a candidate passphrase
+   * @param {String} candidate - Passphrase to score
+   * @param {Object} context - { name, email } of the user, which must not be reused in it
+   * @returns {Object} - { score, level, entropyBits, breached, warnings, suggestions }
+   */
+  score(candidate, { name = null, email = null } = {}) {
+    const warnings = [];
+    const suggestions = [];
+    const value = candidate || '';
+    const lower = value.toLowerCase();
+
+    const breached = value.length > 0 && this.isBreached(value);
+    if (breached) {
+      warnings.push('This passphrase appears in lists of breached or commonly used passwords');
+    }
+
+    let entropyBits = this.estimateEntropy(value);
+
+    // Personal details are the first thing an attacker tries
+    const personalTokens = [
+      ...(name ? name.toLowerCase().split(/\s+/) : []),
+      ...(email ? [email.toLowerCase().split('@')[0]] : [])
+    ].filter(token => token.length >= 3);
+    if (personalTokens.some(token => lower.includes(token))) {
+      entropyBits -= 15;
+      warnings.push('Avoid using your name or email address');
+    }
+
+    if (/(.)\1{2,}/.test(value)) {
+      entropyBits -= 10;
+      warnings.push('Repeated characters like "aaa" are easy to guess');
+    }
+
+    if (this.hasSequence(lower)) {
+      entropyBits -= 10;
+      warnings.push('Sequences like "abcd", "1234" or "qwerty" are easy to guess');
+    }
+
+    entropyBits = Math.max(Math.round(entropyBits), 0);
+
+    let score = SCORE_THRESHOLDS.filter(threshold => entropyBits >= threshold).length;
+    if (breached) score = 0;
+
+    if (value.length < MIN_LENGTH) {
+      suggestions.push(`Use at least ${MIN_LENGTH} characters`);
+    }
+    if (score < MIN_SCORE) {
+      suggestions.push('Use four or more random words, e.g. "orbit maple candle drift"');
+    }
+
+    return {
+      score,
+      level: LEVELS[score],
+      entropyBits,
+      breached,
+      warnings,
+      suggestions
+    };
+  }
+
+  /**
+   * Entropy estimate: random characters from the character classes used, capped at
+   * a per-word estimate when the passphrase is made of separate words
+   */
+  estimateEntropy(value) {
+    if (!value) return 0;
+
+    let pool = 0;
+    if (/[a-z]/.test(value)) pool += 26;
+    if (/[A-Z]/.test(value)) pool += 26;
+    if (/\d/.test(value)) pool += 10;
+    if (/[^a-zA-Z\d\s]/.test(value)) pool += 33;
+    if (/\s/.test(value)) pool += 1;
+
+    // Characters from a small pool contribute less the more they repeat
+    const uniqueChars = new Set(value).size;
+    const effectiveLength = Math.min(value.length, uniqueChars * 2);
+    const charEntropy = effectiveLength * Math.log2(Math.max(pool, 2));
+
+    const words = value.split(/[\s\-_.]+/).filter(Boolean);
+    if (words.length < 2) return charEntropy;
+
+    // Character counting overrates phrases of dictionary words, so they are capped per word
+    const wordEntropy = words.reduce((bits, word) => bits + (word.length >= 3 ? WORD_ENTROPY_BITS : SHORT_WORD_ENTROPY_BITS), 0);
+    return Math.min(charEntropy, wordEntropy + Math.log2(pool));
+  }
+
+  hasSequence(lower) {
+    for (let i = 0; i + 4 <= lower.length; i++) {
+      const chunk = lower.slice(i, i + 4);
+      const reversed = [...chunk].reverse().join('');
+      if (SEQUENCES.some(sequence => sequence.includes(chunk) || sequence.includes(reversed))) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Check a passphrase against the policy
+   * @returns {Object} - { valid, message, strength }
+   */
+  validate(candidate, user = {}) {
+    if (typeof candidate !== 'string' || candidate.length < MIN_LENGTH || candidate.length > MAX_LENGTH) {
+      return {
+        valid: false,
+        message: `Passphrase must be between ${MIN_LENGTH} and ${MAX_LENGTH} characters long`,
+        strength: this.score(typeof candidate === 'string' ? candidate : '', user)
+      };
+    }
+
+    const strength = this.score(candidate, user);
+
+    if (strength.breached) {
+      return { valid: false, message: 'This passphrase has appeared in a data breach or is too common. Please choose another one.', strength };
+    }
+    if (strength.score < MIN_SCORE) {
+      return { valid: false, message: 'This passphrase is too easy to guess. Please choose a stronger one.', strength };
+    }
+
+    return { valid: true, message: null, strength };
+  }
+
+  /**
+   * Summary of the user's current credential for /api/auth/me
+   * A 4-digit PIN has only 10,000 combinations, so PIN users are always nudged to upgrade.
+   */
+  describeCredential(user) {
+    const type = user.credentialType || 'pin';
+    const score = type === 'passphrase' ? (user.credentialScore || 0) : 0;
+    const isSocialAccount = !!(user.appleId || user.googleId || user.facebookId);
+
+    return {
+      type,
+      score,
+      level: LEVELS[score],
+      minimumScore: MIN_SCORE,
+      // Social accounts sign in through their provider, so only nudge them once they use a passphrase
+      upgradeRecommended: type === 'pin' ? !isSocialAccount : score < MIN_SCORE,
+      updatedAt: user.credentialUpdatedAt || null
+    };
+  }
+}
+
+module.exports = new PassphraseService();
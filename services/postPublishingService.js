@@ -0,0 +1,223 @@
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const audienceService = require('./audienceService');
+const { isValidTimeZone, zonedTimeToUtc } = require('../utils/timezone');
+
+const MS_IN_DAY = 24 * 60 * 60 * 1000;
+
+// How far ahead a post can be scheduled
+const MAX_SCHEDULE_DAYS = 365;
+
+// @mentions in post content, e.g. "@John Doe"
+const MENTION_REGEX = /@([A-Za-z]+(?:\s+[A-Za-z]+)*)/g;
+
+/**
+ * Post Publishing Service
+ * What happens when a post or club discussion goes live, shared by the create routes and
+ * the worker that publishes drafts and scheduled items (services/scheduledPostService.js):
+ * resolving tags and @mentions, notifying tagged users and telling followers/club members.
+ */
+class PostPublishingService {
+
+  get maxScheduleDays() {
+    return MAX_SCHEDULE_DAYS;
+  }
+
+  /**
+   * When a post should go live, from the request body
+   * `scheduledFor` is a local time such as "2026-05-01T09:30" in `timezone` (IANA, default
+   * UTC), or an ISO string with an offset; `draft: true` saves without scheduling.
+   * @returns {Object} - { status: 'published' } (publish now), { status: 'draft', timezone },
+   *   { status: 'scheduled', scheduledFor, timezone } or { error }
+   */
+  parseSchedule({ draft, scheduledFor, timezone } = {}) {
+    const timeZone = timezone || 'UTC';
+    if (!isValidTimeZone(timeZone)) {
+      return { error: 'Unknown timezone' };
+    }
+
+    if (draft === true || draft === 'true') {
+      return { status: 'draft', scheduledFor: null, timezone: timeZone };
+    }
+    if (!scheduledFor) {
+      return { status: 'published' };
+    }
+
+    const when = zonedTimeToUtc(String(scheduledFor), timeZone);
+    if (!when) {
+      return { error: 'scheduledFor must be a date and time, such as 2026-05-01T09:30' };
+    }
+    if (when.getTime() <= Date.now()) {
+      return { error: 'Scheduled time must be in the future' };
+    }
+    if (when.getTime() > Date.now() + MAX_SCHEDULE_DAYS * MS_IN_DAY) {
+      return { error: `Posts can be scheduled at most ${MAX_SCHEDULE_DAYS} days ahead` };
+    }
+
+    return { status: 'scheduled', scheduledFor: when, timezone: timeZone };
+  }
+
+  mediaTypeOf(images, videos) {
+    if (images.length > 0 && videos.length > 0) return 'mixed';
+    if (images.length > 0) return 'image';
+    if (videos.length > 0) return 'video';
+    return 'text';
+  }
+
+  /**
+   * Users tagged in a post: @mentions in the content plus the requested tags,
+   * limited to the author's followers
+   * @param {Array} requestedIds - User IDs the author picked
+   * @returns {Array} - User ObjectIds
+   */
+  async resolveTaggedUsers(authorId, content, requestedIds = []) {
+    const author = await User.findById(authorId).select('followers');
+    if (!author) return [];
+
+    const followerIds = author.followers.map(id => id.toString());
+    const taggedUserIds = [];
+    const addTag = (id) => {
+      if (!taggedUserIds.some(existing => existing.toString() === id.toString())) {
+        taggedUserIds.push(id);
+      }
+    };
+
+    const mentions = [...(content || '').matchAll(MENTION_REGEX)].map(match => match[1]);
+    if (mentions.length > 0) {
+      const mentionedUsers = await User.find({
+        name: { $in: mentions },
+        _id: { $in: author.followers }
+      }).select('_id');
+      mentionedUsers.forEach(user => addTag(user._id));
+    }
+
+    const requestedFollowers = (requestedIds || []).filter(id => followerIds.includes(id.toString()));
+    if (requestedFollowers.length > 0) {
+      const validUsers = await User.find({ _id: { $in: requestedFollowers } }).select('_id');
+      validUsers.forEach(user => addTag(user._id));
+
+      if (validUsers.length < requestedIds.length) {
+        console.log('⚠️ Some manually tagged users were filtered out (not followers or not found)');
+      }
+    }
+
+    return taggedUserIds;
+  }
+
+  /**
+   * Tell people about a post that just went live: tag notifications, and a post:created
+   * event to the followers who are in the post's audience
+   * @param {Object} post - Saved Post document
+   * @param {Object} author - User document (name, followers)
+   * @param {Array} taggedUserIds - From resolveTaggedUsers
+   */
+  async notifyNewPost(io, post, author, taggedUserIds) {
+    const taggedOthers = taggedUserIds.filter(id => id.toString() !== author._id.toString());
+
+    const notifications = [];
+    for (const taggedUserId of taggedOthers) {
+      notifications.push(await Notification.create({
+        recipient: taggedUserId,
+        sender: author._id,
+        type: 'tag',
+        post: post._id,
+        message: `${author.name} tagged you in a post`
+      }));
+    }
+    if (notifications.length > 0) {
+      console.log(`🔔 Created tag notifications for ${notifications.length} users`);
+    }
+
+    if (!io) return;
+
+    const followerIds = await audienceService.filterViewers(post, author.followers || []);
+    followerIds.forEach(followerId => {
+      io.to(`user:${followerId}`).emit('post:created', {
+        post: post.toObject(),
+        author: author._id
+      });
+    });
+    console.log(`📡 Emitted post:created to ${followerIds.length} followers`);
+
+    for (const notification of notifications) {
+      await notification.populate('sender', 'name email avatar');
+      await notification.populate('post', 'content images videos');
+      io.to(`user:${notification.recipient}`).emit('notification:new', {
+        notification: notification.toObject()
+      });
+    }
+  }
+
+  /**
+   * Tell club members about a new discussion post, and tagged members that they were tagged
+   * @param {Object} club - Club document
+   * @param {Object} discussion - The discussion subdocument
+   * @param {Object} author - User document (name, avatar)
+   * @param {Array} taggedMembers - User IDs of tagged club members
+   */
+  async notifyNewDiscussion(io, club, discussion, author, taggedMembers = []) {
+    const authorId = author._id.toString();
+    const actionUrl = `/clubs/${club._id}/discussions/${discussion._id}`;
+
+    for (const member of club.members) {
+      if (member.user.toString() === authorId) continue;
+
+      if (io) {
+        io.to(`user:${member.user.toString()}`).emit('club:new-discussion', {
+          clubId: club._id.toString(),
+          clubName: club.name,
+          discussionId: discussion._id.toString(),
+          authorName: author.name,
+          authorAvatar: author.avatar,
+          type: discussion.type,
+          hasMedia: (discussion.media || []).length > 0
+        });
+      }
+
+      try {
+        await Notification.create({
+          recipient: member.user,
+          sender: author._id,
+          type: 'club_new_discussion',
+          content: `${author.name} posted in ${club.name}`,
+          relatedId: club._id,
+          relatedModel: 'Club',
+          actionUrl
+        });
+      } catch (notifError) {
+        console.error('Error creating notification:', notifError);
+      }
+    }
+
+    // Tagged members get a separate notification on top of the general one
+    for (const taggedUserId of taggedMembers) {
+      if (taggedUserId.toString() === authorId) continue;
+
+      if (io) {
+        io.to(`user:${taggedUserId.toString()}`).emit('club:discussion-tag', {
+          clubId: club._id.toString(),
+          clubName: club.name,
+          discussionId: discussion._id.toString(),
+          authorName: author.name,
+          authorAvatar: author.avatar
+        });
+      }
+
+      try {
+        await Notification.create({
+          recipient: taggedUserId,
+          sender: author._id,
+          type: 'club_discussion_tag',
+          content: `${author.name} tagged you in a post in ${club.name}`,
+          relatedId: club._id,
+          relatedModel: 'Club',
+          actionUrl
+        });
+      } catch (notifError) {
+        console.error('Error creating tag notification:', notifError);
+      }
+    }
+  }
+}
+
+module.exports = new PostPublishingService();
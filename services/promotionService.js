@@ -0,0 +1,437 @@
+const User = require('../models/User');
+const PromoCode = require('../models/PromoCode');
+const Redemption = require('../models/Redemption');
+const Notification = require('../models/Notification');
+const { PREMIUM_TIERS, TRIAL_DAYS } = require('../config/premiumTiers');
+const entitlementService = require('./entitlementService');
+const purchaseService = require('./purchaseService');
+const FCM = require('./fcmService');
+
+const MS_IN_DAY = 24 * 60 * 60 * 1000;
+
+// One-off payments and gifts buy 30-day months
+const MONTH_DAYS = 30;
+
+// Stripe's smallest card charge (cents); cheaper discounted prices are rounded up to it
+const MIN_CHARGE = 50;
+
+// Redemptions that used up a promo code
+const USED_STATUSES = ['completed', 'active', 'converted'];
+
+// How long an unpaid one-off checkout holds its promo code use before anyone can release it
+const RESERVATION_TIMEOUT_MS = 60 * 60 * 1000;
+
+/**
+ * Promotion Service
+ * Promo codes on one-off payments and subscriptions, one free trial per user and gift
+ * subscriptions. Every use is recorded as a Redemption so admins can audit it.
+ */
+class PromotionService {
+
+  constructor() {
+    this.stripe = null;
+  }
+
+  getStripe() {
+    if (!this.stripe && process.env.STRIPE_SECRET_KEY) {
+      this.stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+    }
+    return this.stripe;
+  }
+
+  get trialDays() {
+    return TRIAL_DAYS;
+  }
+
+  /**
+   * Look up a promo code the user wants to use for a tier
+   * @returns {Object} - { promo } or { error } with a message for the user
+   */
+  async checkPromoCode(code, user, tier, now = new Date()) {
+    const promo = typeof code === 'string' && code.trim()
+      ? await PromoCode.findOne({ code: code.trim().toUpperCase() })
+      : null;
+
+    if (!promo || !promo.isRedeemable(now)) {
+      return { error: 'This promo code is invalid or has expired' };
+    }
+    if (!promo.appliesToTier(tier)) {
+      return { error: `This promo code can't be used for ${PREMIUM_TIERS[tier].name}` };
+    }
+
+    const used = await Redemption.countDocuments({ promoCode: promo._id, user: user._id, status: { $in: USED_STATUSES } });
+    if (used >= promo.maxRedemptionsPerUser) {
+      return { error: 'You have already used this promo code' };
+    }
+
+    return { promo };
+  }
+
+  /**
+   * Price of a tier with a promo code (cents)
+   * @returns {Object} - { originalAmount, discountAmount, amount, free }
+   */
+  quote(tier, promo = null) {
+    const originalAmount = PREMIUM_TIERS[tier].amount;
+    if (!promo) return { originalAmount, discountAmount: 0, amount: originalAmount, free: false };
+
+    const { discountAmount, amount } = promo.applyTo(originalAmount);
+    if (amount === 0) return { originalAmount, discountAmount, amount: 0, free: true };
+
+    const charged = Math.max(amount, MIN_CHARGE);
+    return { originalAmount, discountAmount: originalAmount - charged, amount: charged, free: false };
+  }
+
+  /**
+   * Reserve a use of a promo code before the payment or subscription is created, so parallel
+   * checkouts can't go past the code's caps. The pending redemption is completed once paid
+   * (completeRedemption) or released if the checkout doesn't go ahead (releaseRedemption).
+   * The caller sets its paymentIntentId / stripeSubscriptionId.
+   * @param {Boolean} oneOff - A one-off payment (a 30-day month) rather than a subscription
+   * @returns {Object} - { redemption } or { error } with a message for the user
+   */
+  async reservePromoCode(user, promo, tier, quote, { oneOff = false } = {}) {
+    await this.releaseAbandonedReservations(promo, user);
+
+    const reserved = await PromoCode.findOneAndUpdate(
+      {
+        _id: promo._id,
+        $or: [{ maxRedemptions: null }, { $expr: { $lt: ['$redemptionCount', '$maxRedemptions'] } }]
+      },
+      { $inc: { redemptionCount: 1 } },
+      { new: true }
+    );
+    if (!reserved) {
+      return { error: 'This promo code has been fully redeemed' };
+    }
+
+    const redemption = await Redemption.create({
+      kind: 'promo_code',
+      user: user._id,
+      promoCode: promo._id,
+      code: promo.code,
+      tier,
+      durationDays: oneOff ? MONTH_DAYS : null,
+      originalAmount: quote.originalAmount,
+      discountAmount: quote.discountAmount,
+      amount: quote.amount
+    });
+
+    // Counted after adding this one, so parallel checkouts by the same user can't both pass
+    const uses = await Redemption.countDocuments({
+      promoCode: promo._id,
+      user: user._id,
+      status: { $in: ['pending', ...USED_STATUSES] }
+    });
+    if (uses > promo.maxRedemptionsPerUser) {
+      await this.releaseRedemption({ _id: redemption._id });
+      return { error: 'You have already used this promo code' };
+    }
+
+    return { redemption };
+  }
+
+  /**
+   * A pending redemption was paid (its use of the promo code was reserved when it started)
+   * @returns {Object|null} - The redemption, or null if it was already completed
+   */
+  async completeRedemption(filter) {
+    return Redemption.findOneAndUpdate(
+      { ...filter, status: 'pending' },
+      { status: 'completed', completedAt: new Date() },
+      { new: true }
+    );
+  }
+
+  /**
+   * A pending redemption won't be paid: its promo code use is given back
+   * @returns {Object|null} - The redemption, or null if it wasn't pending
+   */
+  async releaseRedemption(filter) {
+    const redemption = await Redemption.findOneAndUpdate(
+      { ...filter, kind: 'promo_code', status: 'pending' },
+      { status: 'canceled', endedAt: new Date() },
+      { new: true }
+    );
+    if (redemption) {
+      await PromoCode.updateOne(
+        { _id: redemption.promoCode, redemptionCount: { $gt: 0 } },
+        { $inc: { redemptionCount: -1 } }
+      );
+    }
+    return redemption;
+  }
+
+  // Release one-off checkouts of a code that were abandoned: the user's own earlier ones and
+  // anyone's older than RESERVATION_TIMEOUT_MS. Their payment is canceled first so it can't be
+  // paid afterwards; one that was paid or is processing keeps its reservation.
+  // (Subscriptions release theirs when Stripe expires the incomplete subscription.)
+  async releaseAbandonedReservations(promo, user, now = new Date()) {
+    const abandoned = await Redemption.find({
+      promoCode: promo._id,
+      kind: 'promo_code',
+      status: 'pending',
+      stripeSubscriptionId: null,
+      $or: [
+        { user: user._id, paymentIntentId: { $ne: null } },
+        { createdAt: { $lt: new Date(now.getTime() - RESERVATION_TIMEOUT_MS) } }
+      ]
+    });
+
+    for (const redemption of abandoned) {
+      try {
+        if (redemption.paymentIntentId) {
+          const paymentIntent = await this.getStripe().paymentIntents.retrieve(redemption.paymentIntentId);
+          if (['succeeded', 'processing'].includes(paymentIntent.status)) continue;
+          if (paymentIntent.status !== 'canceled') {
+            await this.getStripe().paymentIntents.cancel(redemption.paymentIntentId);
+          }
+        }
+        await this.releaseRedemption({ _id: redemption._id });
+      } catch (error) {
+        console.error(`❌ Failed to release promo code reservation ${redemption._id}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * A promo code that makes a one-off payment free: no charge, the month is granted directly
+   * @returns {Object} - { redemption, grant } or { error } with a message for the user
+   */
+  async redeemFree(user, promo, tier, quote) {
+    const { redemption, error } = await this.reservePromoCode(user, promo, tier, quote, { oneOff: true });
+    if (error) return { error };
+
+    const grant = await entitlementService.grant(user, {
+      source: 'promo',
+      tier,
+      expiresAt: new Date(Date.now() + MONTH_DAYS * MS_IN_DAY),
+      reference: redemption._id.toString(),
+      note: `Promo code ${promo.code}`
+    });
+
+    redemption.grant = grant._id;
+    await redemption.save();
+    await this.completeRedemption({ _id: redemption._id });
+
+    return { redemption, grant };
+  }
+
+  /**
+   * Stripe coupon behind a promo code, for the first invoice of a subscription
+   * (created on first use; Stripe coupons can't be edited, so admins create a new code instead)
+   */
+  async getStripeCoupon(promo) {
+    if (promo.stripeCouponId) return promo.stripeCouponId;
+
+    const coupon = await this.getStripe().coupons.create({
+      ...(promo.discountType === 'percent'
+        ? { percent_off: Math.min(promo.discountValue, 100) }
+        : { amount_off: promo.discountValue, currency: 'usd' }),
+      duration: 'once',
+      name: promo.code,
+      metadata: { promoCodeId: promo._id.toString() }
+    });
+
+    promo.stripeCouponId = coupon.id;
+    await promo.save();
+    return coupon.id;
+  }
+
+  // Only one free trial per user, whether it converted or lapsed
+  async hasUsedTrial(userId) {
+    return !!(await Redemption.exists({ user: userId, kind: 'trial' }));
+  }
+
+  /**
+   * Reserve the user's free trial before its subscription is created (a unique index allows
+   * one trial per user). The caller activates it once the subscription exists, or releases it.
+   * @returns {Object|null} - The pending trial redemption, or null if the trial was already used
+   */
+  async reserveTrial(user, tier) {
+    try {
+      return await Redemption.create({
+        kind: 'trial',
+        user: user._id,
+        tier,
+        durationDays: TRIAL_DAYS,
+        originalAmount: 0,
+        amount: 0
+      });
+    } catch (error) {
+      if (error.code === 11000) return null;
+      throw error;
+    }
+  }
+
+  async activateTrial(redemption, stripeSubscriptionId) {
+    redemption.stripeSubscriptionId = stripeSubscriptionId;
+    redemption.status = 'active';
+    return redemption.save();
+  }
+
+  // The trial's subscription couldn't be created, so the trial is still unused
+  async releaseTrial(redemption) {
+    await Redemption.deleteOne({ _id: redemption._id, kind: 'trial', status: 'pending' });
+  }
+
+  // A subscription invoice was paid: the promo code on it is used, and a trial converted
+  // once a real invoice follows the $0 one that started it
+  async handleSubscriptionPaid(stripeSubscriptionId, invoice) {
+    await this.completeRedemption({ stripeSubscriptionId, kind: 'promo_code' });
+    if (invoice.billing_reason === 'subscription_create') return;
+
+    await Redemption.updateOne(
+      { stripeSubscriptionId, kind: 'trial', status: 'active' },
+      { status: 'converted', completedAt: new Date() }
+    );
+  }
+
+  /**
+   * A subscription ended: an unpaid promo code is released, a trial that never converted lapsed
+   * @returns {Object|null} - The lapsed trial redemption
+   */
+  async handleSubscriptionEnded(stripeSubscriptionId) {
+    await this.releaseRedemption({ stripeSubscriptionId });
+    return Redemption.findOneAndUpdate(
+      { stripeSubscriptionId, kind: 'trial', status: 'active' },
+      { status: 'lapsed', endedAt: new Date() },
+      { new: true }
+    );
+  }
+
+  /**
+   * Start paying for a gift; the recipient gets it once the payment succeeds
+   * @returns {Object} - { redemption, clientSecret, paymentIntentId }
+   */
+  async createGift(sender, recipient, { tier, months, message = null }) {
+    const amount = PREMIUM_TIERS[tier].amount * months;
+    const customerId = await require('./subscriptionService').getOrCreateCustomer(sender);
+
+    const redemption = new Redemption({
+      kind: 'gift',
+      user: sender._id,
+      recipient: recipient._id,
+      tier,
+      durationDays: months * MONTH_DAYS,
+      originalAmount: amount,
+      amount,
+      message
+    });
+
+    const paymentIntent = await this.getStripe().paymentIntents.create({
+      amount,
+      currency: 'usd',
+      customer: customerId,
+      metadata: {
+        type: 'gift',
+        redemptionId: redemption._id.toString(),
+        userId: sender._id.toString(),
+        recipientId: recipient._id.toString(),
+        tier,
+        months: String(months)
+      },
+      description: `Gift: ${PREMIUM_TIERS[tier].name} for ${months} month${months === 1 ? '' : 's'}`
+    });
+
+    redemption.paymentIntentId = paymentIntent.id;
+    await redemption.save();
+
+    return { redemption, clientSecret: paymentIntent.client_secret, paymentIntentId: paymentIntent.id };
+  }
+
+  /**
+   * A gift's payment succeeded: grant it to the recipient, record the sender's purchase
+   * and tell the recipient. Safe to call again for the same payment.
+   * @returns {Object|null} - The redemption
+   */
+  async deliverGift(paymentIntent, io = null) {
+    const redemption = await Redemption.findOne({ paymentIntentId: paymentIntent.id, kind: 'gift' });
+    if (!redemption || redemption.status !== 'pending') return redemption;
+
+    const [sender, recipient] = await Promise.all([
+      User.findById(redemption.user),
+      User.findById(redemption.recipient)
+    ]);
+    if (!sender || !recipient) {
+      console.warn(`⚠️  Gift ${redemption._id} paid but its sender or recipient no longer exists`);
+      return redemption;
+    }
+
+    const now = new Date();
+    const grant = await entitlementService.grant(recipient, {
+      source: 'gift',
+      tier: redemption.tier,
+      expiresAt: new Date(now.getTime() + redemption.durationDays * MS_IN_DAY),
+      reference: redemption._id.toString(),
+      note: `Gift from ${sender.name}`,
+      grantedBy: sender._id
+    });
+
+    // The sender's payment; a refund or chargeback revokes the recipient's grant
+    await purchaseService.record(sender, {
+      store: 'stripe',
+      type: 'one_time',
+      productId: `gift_${redemption.tier}`,
+      tier: redemption.tier,
+      features: [...PREMIUM_TIERS[redemption.tier].features],
+      transactionId: paymentIntent.id,
+      paymentIntentId: paymentIntent.id,
+      amount: paymentIntent.amount / 100,
+      currency: paymentIntent.currency,
+      purchasedAt: now,
+      expiresAt: grant.expiresAt,
+      grant: grant._id,
+      status: 'completed',
+      environment: paymentIntent.livemode === false ? 'sandbox' : 'production'
+    });
+
+    const delivered = await Redemption.findOneAndUpdate(
+      { _id: redemption._id, status: 'pending' },
+      { status: 'completed', completedAt: now, grant: grant._id },
+      { new: true }
+    );
+    if (!delivered) return Redemption.findById(redemption._id);
+
+    console.log(`🎁 Gift ${delivered._id}: ${delivered.tier} for ${delivered.durationDays} days from ${sender._id} to ${recipient._id}`);
+
+    const tierName = PREMIUM_TIERS[delivered.tier].name;
+    await this.notify(recipient, sender, io, {
+      title: 'You received a gift! 🎁',
+      message: `${sender.name} gave you ${tierName} for ${delivered.durationDays / MONTH_DAYS} month${delivered.durationDays === MONTH_DAYS ? '' : 's'}`
+        + (delivered.message ? `: "${delivered.message}"` : ''),
+      data: { redemptionId: delivered._id.toString(), tier: delivered.tier, expiresAt: grant.expiresAt.toISOString() }
+    });
+
+    return delivered;
+  }
+
+  async notify(recipient, sender, io, { title, message, data = {} }) {
+    try {
+      const notification = await Notification.create({
+        recipient: recipient._id,
+        sender: sender._id,
+        type: 'premium_gift',
+        message,
+        content: message
+      });
+
+      if (io) {
+        io.to(`user:${recipient._id}`).emit('notification', {
+          _id: notification._id,
+          type: 'premium_gift',
+          message,
+          sender: { _id: sender._id, name: sender.name, avatar: sender.avatar },
+          ...data,
+          createdAt: notification.createdAt
+        });
+      }
+
+      await FCM.sendNotificationToUser(recipient._id, title, message, { type: 'premium_gift', ...data });
+    } catch (error) {
+      console.error('❌ Failed to send gift notification:', error);
+    }
+  }
+}
+
+module.exports = new PromotionService();
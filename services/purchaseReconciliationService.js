@@ -0,0 +1,51 @@
+const purchaseService = require('./purchaseService');
+
+/**
+ * Purchase Reconciliation Service
+ * Nightly job that corrects isPremium / premiumTier on users whose premium state has
+ * drifted from their entitlements (missed webhooks or store notifications, expired
+ * grants, manual edits).
+ */
+class PurchaseReconciliationService {
+  constructor(io) {
+    this.io = io;
+    this._timeout = null;
+    this._interval = null;
+    this._running = false;
+  }
+
+  start() {
+    // Every night at 03:00 UTC, when traffic is lowest
+    const now = new Date();
+    const next = new Date(now);
+    next.setUTCHours(3, 0, 0, 0);
+    if (next <= now) next.setUTCDate(next.getUTCDate() + 1);
+
+    this._timeout = setTimeout(() => {
+      this.runSafely();
+      this._interval = setInterval(() => this.runSafely(), 24 * 60 * 60 * 1000);
+    }, next - now);
+
+    console.log(`💳 PurchaseReconciliationService scheduled (nightly, next run ${next.toISOString()})`);
+  }
+
+  stop() {
+    if (this._timeout) clearTimeout(this._timeout);
+    if (this._interval) clearInterval(this._interval);
+  }
+
+  async runSafely() {
+    if (this._running) return;
+    this._running = true;
+    try {
+      const { checked, fixed } = await purchaseService.reconcile();
+      console.log(`💳 Premium reconciliation: ${checked} users checked, ${fixed} fixed`);
+    } catch (e) {
+      console.error('PurchaseReconciliationService error:', e);
+    } finally {
+      this._running = false;
+    }
+  }
+}
+
+module.exports = PurchaseReconciliationService;
@@ -0,0 +1,425 @@
+const User = require('../models/User');
+const Purchase = require('../models/Purchase');
+const Subscription = require('../models/Subscription');
+const EntitlementGrant = require('../models/EntitlementGrant');
+const { PREMIUM_TIERS, IAP_PRODUCTS } = require('../config/premiumTiers');
+const entitlementService = require('./entitlementService');
+
+/**
+ * Purchase Service
+ * The purchase ledger: every Stripe, App Store and Google Play transaction is recorded
+ * in Purchase, whichever route or webhook saw it first. Refunds, chargebacks and store
+ * revocations reverse the purchase and take away the access it paid for; reversed
+ * refunds and won disputes give it back. Also reconciles the users' isPremium flag
+ * with their entitlements (see services/purchaseReconciliationService.js).
+ */
+class PurchaseService {
+
+  constructor() {
+    this.stripe = null;
+  }
+
+  getStripe() {
+    if (!this.stripe && process.env.STRIPE_SECRET_KEY) {
+      this.stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+    }
+    return this.stripe;
+  }
+
+  /**
+   * Record a transaction (repeated calls for the same transaction update it)
+   * @param {Object} user - User document
+   * @param {Object} fields - Purchase fields; store and transactionId are required.
+   *   status is only changed when given, so a repeat can't undo a refund.
+   * @returns {Object} - Purchase
+   */
+  async record(user, { status, ...fields }) {
+    const update = { $set: fields, $setOnInsert: { user: user._id } };
+    if (status) {
+      update.$set.status = status;
+    } else {
+      update.$setOnInsert.status = 'completed';
+    }
+
+    try {
+      return await Purchase.findOneAndUpdate(
+        { store: fields.store, transactionId: fields.transactionId },
+        update,
+        { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+      );
+    } catch (error) {
+      // Two deliveries of the same transaction raced on the upsert
+      if (error.code === 11000) {
+        return Purchase.findOne({ store: fields.store, transactionId: fields.transactionId });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Record an App Store / Google Play transaction and grant what the product unlocks
+   * Renewals share one grant (keyed by the original transaction / purchase token),
+   * which is extended to the latest expiry.
+   * @param {Object} user - User document
+   * @param {Object} transaction - { store, productId, transactionId, originalTransactionId,
+   *   purchasedAt, expiresAt, amount, currency, environment }
+   * @returns {Object} - { purchase, grant }
+   */
+  async recordStorePurchase(user, transaction) {
+    const { store, productId, transactionId, originalTransactionId = null } = transaction;
+    const product = IAP_PRODUCTS[productId];
+    if (!product) {
+      throw new Error(`Unknown store product ${productId}`);
+    }
+
+    const existing = await Purchase.findOne({ store, transactionId });
+    if (existing && existing.user.toString() !== user._id.toString()) {
+      const inUse = new Error('This purchase is already linked to another account');
+      inUse.code = 'REFERENCE_IN_USE';
+      throw inUse;
+    }
+    if (existing && existing.isReversed()) {
+      const reversed = new Error(`This purchase was ${existing.status === 'revoked' ? 'revoked' : 'refunded'}`);
+      reversed.code = 'PURCHASE_REVERSED';
+      throw reversed;
+    }
+
+    // A late notification for an older renewal must not shorten the access
+    let expiresAt = transaction.expiresAt || null;
+    if (expiresAt && originalTransactionId) {
+      const latest = await Purchase.findLatestForOriginal(store, originalTransactionId);
+      if (latest && !latest.isReversed() && latest.expiresAt && latest.expiresAt > expiresAt) {
+        expiresAt = latest.expiresAt;
+      }
+    }
+
+    const grant = await entitlementService.grant(user, {
+      source: 'iap',
+      tier: product.tier || null,
+      features: product.features || [],
+      expiresAt,
+      reference: originalTransactionId || transactionId,
+      productId
+    });
+
+    const purchase = await this.record(user, {
+      store,
+      type: product.type,
+      productId,
+      tier: product.tier || null,
+      features: product.features || [],
+      transactionId,
+      originalTransactionId,
+      amount: transaction.amount ?? null,
+      currency: transaction.currency || null,
+      purchasedAt: transaction.purchasedAt || new Date(),
+      expiresAt: transaction.expiresAt || null,
+      grant: grant._id,
+      environment: transaction.environment || 'production'
+    });
+
+    return { purchase, grant };
+  }
+
+  /**
+   * Refund, chargeback or revocation of a purchase: record it and take the access away
+   * @param {Object} purchase - Purchase document
+   * @param {String} status - refunded | chargeback | revoked
+   * @param {Object} details - { reason, refundedAmount, disputeId, disputeStatus }
+   */
+  async reverse(purchase, status, { reason = null, refundedAmount = null, disputeId = null, disputeStatus = null } = {}) {
+    const wasReversed = purchase.isReversed();
+
+    purchase.status = status;
+    purchase.reversedAt = purchase.reversedAt || new Date();
+    purchase.reversalReason = reason || purchase.reversalReason;
+    purchase.refundedAmount = refundedAmount ?? (status === 'refunded' ? purchase.amount : purchase.refundedAmount);
+    if (disputeId) purchase.disputeId = disputeId;
+    if (disputeStatus) purchase.disputeStatus = disputeStatus;
+    await purchase.save();
+
+    console.log(`💸 Purchase ${purchase.transactionId} (${purchase.store}) ${status}${reason ? `: ${reason}` : ''}`);
+
+    if (!wasReversed) {
+      await this.revokeAccess(purchase);
+    }
+    return purchase;
+  }
+
+  /**
+   * A refund was reversed or a dispute was won: the purchase counts again
+   */
+  async restore(purchase, { disputeStatus = null } = {}) {
+    const wasReversed = purchase.isReversed();
+
+    purchase.status = 'completed';
+    purchase.reversedAt = null;
+    purchase.reversalReason = null;
+    purchase.refundedAmount = null;
+    if (disputeStatus) purchase.disputeStatus = disputeStatus;
+    await purchase.save();
+
+    console.log(`💸 Purchase ${purchase.transactionId} (${purchase.store}) restored`);
+
+    if (wasReversed) {
+      await this.restoreAccess(purchase);
+    }
+    return purchase;
+  }
+
+  // Only the latest transaction of a subscription holds its current access
+  async isLatestTransaction(purchase) {
+    if (!purchase.originalTransactionId) return true;
+    const latest = await Purchase.findLatestForOriginal(purchase.store, purchase.originalTransactionId);
+    return !latest || latest._id.toString() === purchase._id.toString();
+  }
+
+  async revokeAccess(purchase) {
+    if (!(await this.isLatestTransaction(purchase))) return;
+
+    // App store purchases: the grant they created
+    if (purchase.grant) {
+      const grant = await EntitlementGrant.findById(purchase.grant);
+      if (grant && !grant.revokedAt) await entitlementService.revoke(grant);
+      return;
+    }
+
+    if (purchase.store !== 'stripe') return;
+
+    // Stripe subscriptions are cancelled now; the customer.subscription.deleted webhook follows
+    if (purchase.type === 'subscription') {
+      const subscription = await Subscription.findOne({ stripeSubscriptionId: purchase.originalTransactionId });
+      if (!subscription || !subscription.grantsPremium()) return;
+
+      const stripe = this.getStripe();
+      if (!stripe) {
+        console.warn(`⚠️  Stripe not configured; subscription ${subscription.stripeSubscriptionId} was not cancelled`);
+        return;
+      }
+      const canceled = await stripe.subscriptions.cancel(subscription.stripeSubscriptionId);
+      await require('./subscriptionService').syncSubscription(canceled);
+      return;
+    }
+
+    // Stripe one-off payments: the premium period on the user, unless a later payment extended it
+    const user = await User.findById(purchase.user);
+    const now = new Date();
+    if (!user || !purchase.expiresAt || purchase.expiresAt <= now) return;
+    if (!user.premiumExpiresAt || user.premiumExpiresAt > purchase.expiresAt) return;
+
+    user.isPremium = false;
+    user.premiumTier = null;
+    user.premiumFeatures = [];
+    user.premiumExpiresAt = now;
+    await user.save();
+
+    // A subscription or grant may still give premium
+    const subscription = await Subscription.findCurrentForUser(user._id);
+    if (subscription) {
+      await require('./subscriptionService').applyToUser(subscription);
+    } else {
+      await entitlementService.syncUser(user);
+    }
+  }
+
+  async restoreAccess(purchase) {
+    if (!(await this.isLatestTransaction(purchase))) return;
+
+    if (purchase.grant) {
+      const grant = await EntitlementGrant.findById(purchase.grant);
+      if (grant && grant.revokedAt) {
+        grant.revokedAt = null;
+        grant.revokedBy = null;
+        await grant.save();
+
+        const user = await User.findById(grant.user);
+        if (user) await entitlementService.syncUser(user);
+      }
+      return;
+    }
+
+    // A cancelled Stripe subscription can't be resumed; the user subscribes again
+    if (purchase.store !== 'stripe' || purchase.type !== 'one_time') return;
+
+    const user = await User.findById(purchase.user);
+    if (!user || !purchase.expiresAt || purchase.expiresAt <= new Date()) return;
+
+    user.isPremium = true;
+    user.premiumTier = purchase.tier;
+    user.premiumFeatures = [...new Set([...user.premiumFeatures, ...purchase.features])];
+    if (!user.premiumExpiresAt || user.premiumExpiresAt < purchase.expiresAt) {
+      user.premiumExpiresAt = purchase.expiresAt;
+    }
+    await user.save();
+  }
+
+  // Grant behind an App Store / Google Play subscription
+  async findStoreGrant(store, originalTransactionId) {
+    const latest = await Purchase.findLatestForOriginal(store, originalTransactionId);
+    return latest && latest.grant ? EntitlementGrant.findById(latest.grant) : null;
+  }
+
+  async setGrantExpiry(grant, expiresAt) {
+    grant.expiresAt = expiresAt;
+    await grant.save();
+
+    const user = await User.findById(grant.user);
+    if (user) await entitlementService.syncUser(user);
+  }
+
+  // Keep a store subscription's access on until a date (billing grace period)
+  async extendAccess(store, originalTransactionId, until) {
+    const grant = await this.findStoreGrant(store, originalTransactionId);
+    if (!grant || grant.revokedAt || !grant.expiresAt || grant.expiresAt >= until) return;
+    await this.setGrantExpiry(grant, until);
+  }
+
+  // A store subscription expired, was put on hold or paused
+  async endAccess(store, originalTransactionId, at = new Date()) {
+    const grant = await this.findStoreGrant(store, originalTransactionId);
+    if (!grant || grant.revokedAt || (grant.expiresAt && grant.expiresAt <= at)) return;
+    await this.setGrantExpiry(grant, at);
+  }
+
+  /**
+   * Stripe purchase paid with a payment intent: one-off payments are recorded by their
+   * payment intent, subscription invoices are looked up through the invoice payment.
+   */
+  async findStripePurchase(paymentIntentId) {
+    if (!paymentIntentId) return null;
+
+    const purchase = await Purchase.findOne({ store: 'stripe', $or: [{ paymentIntentId }, { transactionId: paymentIntentId }] });
+    if (purchase) return purchase;
+
+    const stripe = this.getStripe();
+    if (!stripe) return null;
+
+    const invoicePayments = await stripe.invoicePayments.list({
+      payment: { type: 'payment_intent', payment_intent: paymentIntentId },
+      limit: 1
+    });
+    const invoicePayment = invoicePayments.data[0];
+    if (!invoicePayment) return null;
+
+    const invoiceId = typeof invoicePayment.invoice === 'string' ? invoicePayment.invoice : invoicePayment.invoice.id;
+    const invoicePurchase = await Purchase.findOne({ store: 'stripe', transactionId: invoiceId });
+    if (invoicePurchase && !invoicePurchase.paymentIntentId) {
+      invoicePurchase.paymentIntentId = paymentIntentId;
+      await invoicePurchase.save();
+    }
+    return invoicePurchase;
+  }
+
+  // charge.refunded: full refunds reverse the purchase, partial ones are only recorded
+  async handleStripeRefund(charge) {
+    const purchase = await this.findStripePurchase(charge.payment_intent);
+    if (!purchase) {
+      console.warn(`⚠️  Refund for unknown Stripe payment ${charge.payment_intent}`);
+      return;
+    }
+
+    const refundedAmount = charge.amount_refunded / 100;
+    const refund = charge.refunds && charge.refunds.data && charge.refunds.data[0];
+    const reason = (refund && refund.reason) || null;
+
+    if (charge.refunded) {
+      await this.reverse(purchase, 'refunded', { reason, refundedAmount });
+    } else {
+      purchase.refundedAmount = refundedAmount;
+      await purchase.save();
+    }
+  }
+
+  // charge.dispute.created / charge.dispute.closed
+  async handleStripeDispute(dispute) {
+    const paymentIntentId = typeof dispute.payment_intent === 'string'
+      ? dispute.payment_intent
+      : dispute.payment_intent && dispute.payment_intent.id;
+    const purchase = await this.findStripePurchase(paymentIntentId);
+    if (!purchase) {
+      console.warn(`⚠️  Dispute ${dispute.id} for unknown Stripe payment ${paymentIntentId}`);
+      return;
+    }
+
+    if (dispute.status === 'won') {
+      await this.restore(purchase, { disputeStatus: dispute.status });
+    } else {
+      await this.reverse(purchase, 'chargeback', {
+        reason: dispute.reason,
+        disputeId: dispute.id,
+        disputeStatus: dispute.status
+      });
+    }
+  }
+
+  // Ledger entries as the payment history shown to users
+  formatPaymentHistory(purchases) {
+    return purchases.map(purchase => ({
+      _id: purchase._id,
+      store: purchase.store,
+      type: purchase.type,
+      amount: purchase.amount,
+      currency: purchase.currency,
+      feature: purchase.tier ? PREMIUM_TIERS[purchase.tier].name : (purchase.features.join(', ') || purchase.productId),
+      transactionId: purchase.transactionId,
+      status: purchase.status,
+      purchasedAt: purchase.purchasedAt,
+      expiresAt: purchase.expiresAt,
+      reversedAt: purchase.reversedAt,
+      refundedAmount: purchase.refundedAmount
+    }));
+  }
+
+  async getPaymentHistory(userId, limit = 50) {
+    const purchases = await Purchase.find({ user: userId }).sort({ purchasedAt: -1 }).limit(limit);
+    return this.formatPaymentHistory(purchases);
+  }
+
+  /**
+   * Fix drift between the users' isPremium / premiumTier and their entitlements
+   * (missed webhooks, expired grants, manual edits). Checks everyone flagged premium
+   * and everyone with an active grant or subscription.
+   * @returns {Object} - { checked, fixed }
+   */
+  async reconcile(now = new Date()) {
+    const [grantUserIds, subscriptionUserIds] = await Promise.all([
+      EntitlementGrant.find({ revokedAt: null, $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] }).distinct('user'),
+      Subscription.find({ status: { $nin: ['canceled', 'incomplete_expired'] } }).distinct('user')
+    ]);
+
+    const users = User.find({
+      $or: [
+        { isPremium: true },
+        { _id: { $in: [...grantUserIds, ...subscriptionUserIds] } }
+      ]
+    }).select('isPremium premiumTier premiumFeatures premiumExpiresAt').cursor();
+
+    let checked = 0;
+    let fixed = 0;
+    for await (const user of users) {
+      checked++;
+      try {
+        const before = { isPremium: user.isPremium, premiumTier: user.premiumTier };
+
+        // getEntitlements already switches off premium that ran out
+        const entitlements = await entitlementService.getEntitlements(user, now);
+        const fromStripeFields = entitlements.sources.some(source => source.source === 'stripe');
+        if (user.isPremium !== entitlements.isPremium
+          || (entitlements.isPremium && !fromStripeFields && user.premiumTier !== entitlements.tier)) {
+          await entitlementService.syncUser(user, entitlements);
+        }
+
+        if (before.isPremium !== user.isPremium || before.premiumTier !== user.premiumTier) {
+          fixed++;
+          console.log(`🔧 Premium drift fixed for user ${user._id}: ${before.isPremium}/${before.premiumTier || '-'} → ${user.isPremium}/${user.premiumTier || '-'}`);
+        }
+      } catch (error) {
+        console.error(`❌ Failed to reconcile user ${user._id}:`, error);
+      }
+    }
+
+    return { checked, fixed };
+  }
+}
+
+module.exports = new PurchaseService();
@@ -0,0 +1,70 @@
+const User = require('../models/User');
+const entitlementService = require('./entitlementService');
+
+// Fields getEntitlements needs, for loading other participants
+const ENTITLEMENT_FIELDS = 'settings isPremium premiumTier premiumFeatures premiumExpiresAt';
+
+/**
+ * Read Receipt Service
+ * Whether read receipts flow between the participants of a conversation. Users can
+ * switch them off everywhere (settings.readReceipts) or per conversation
+ * (Conversation.readReceiptsOffFor); either one needs the read_receipts_control
+ * feature and is ignored without it. Reciprocity: a user who doesn't send read
+ * receipts in a conversation doesn't see anyone else's there either.
+ */
+class ReadReceiptService {
+
+  // Settings alone, without the entitlement lookup
+  wantsReceiptsOff(user, conversation) {
+    const everywhere = !!(user.settings && user.settings.readReceipts === false);
+    const inConversation = (conversation.readReceiptsOffFor || []).some(id => id.toString() === user._id.toString());
+    return everywhere || inConversation;
+  }
+
+  /**
+   * Whether a user neither sends nor sees read receipts in a conversation
+   * @param {Object} user - User document
+   * @param {Object} conversation - Conversation document
+   * @param {Object} req - Request of that user, to reuse its entitlements (optional)
+   */
+  async hidesReceipts(user, conversation, req = null) {
+    if (!this.wantsReceiptsOff(user, conversation)) return false;
+    const entitlements = req ? await entitlementService.getEntitlementsForRequest(req) : await entitlementService.getEntitlements(user);
+    return entitlementService.hasFeature(entitlements, 'read_receipts_control');
+  }
+
+  /**
+   * Participants (other than the reader) that should be told about a read
+   * @returns {Array} - User IDs
+   */
+  async getReceiptRecipients(conversation, readerId) {
+    const otherIds = conversation.participants.filter(id => id.toString() !== readerId.toString());
+    const users = await User.find({ _id: { $in: otherIds } }).select(ENTITLEMENT_FIELDS);
+
+    const recipients = [];
+    for (const user of users) {
+      if (!(await this.hidesReceipts(user, conversation))) {
+        recipients.push(user._id);
+      }
+    }
+    return recipients;
+  }
+
+  /**
+   * Blank out the read state of messages the viewer sent (documents or plain objects)
+   */
+  maskMessages(messages, viewerId) {
+    for (const message of messages) {
+      if (!message) continue;
+      const senderId = message.sender && message.sender._id ? message.sender._id : message.sender;
+      if (senderId && senderId.toString() === viewerId.toString()) {
+        message.isRead = false;
+        message.readAt = null;
+        message.readBy = [];
+      }
+    }
+    return messages;
+  }
+}
+
+module.exports = new ReadReceiptService();
@@ -0,0 +1,139 @@
+const Revision = require('../models/Revision');
+const { diffWords } = require('../utils/diff');
+
+const mediaUrls = (media) => (media || []).map(item => (item && item.url ? item.url : item)).filter(Boolean);
+
+/**
+ * Revision Service
+ * Edit history of posts, comments and club discussions. Each edit saves the version it
+ * replaced as a Revision; the current version lives on the item itself. A version's
+ * validFrom/validUntil let moderators see what an item said when it was reported.
+ */
+class RevisionService {
+
+  /**
+   * Whether an edit changed anything that is kept in the history
+   * @param {Object} before - { content, media }
+   * @param {Object} after - { content, media }
+   */
+  hasChanged(before, after) {
+    return (before.content || '') !== (after.content || '')
+      || mediaUrls(before.media).join('\n') !== mediaUrls(after.media).join('\n');
+  }
+
+  /**
+   * Save the version an edit just replaced
+   * Call after the edit is saved; a failure is logged rather than failing the edit.
+   * @param {String} targetType - 'post', 'comment' or 'club_discussion'
+   * @param {Object} target - { targetId, post, club, author, createdAt } of the edited item
+   * @param {Object} previous - { content, media } before the edit
+   * @param {String} editedBy - User who made the edit
+   */
+  async record(targetType, { targetId, post = null, club = null, author, createdAt }, previous, editedBy) {
+    try {
+      const latest = await Revision.findOne({ targetType, targetId })
+        .sort({ version: -1 })
+        .select('version validUntil');
+
+      return await Revision.create({
+        targetType,
+        targetId,
+        post,
+        club,
+        author,
+        editedBy,
+        version: latest ? latest.version + 1 : 1,
+        content: previous.content || '',
+        media: mediaUrls(previous.media),
+        validFrom: latest ? latest.validUntil : createdAt,
+        validUntil: new Date()
+      });
+    } catch (error) {
+      console.error('Record revision error:', error);
+      return null;
+    }
+  }
+
+  /**
+   * All versions of an item, oldest first, each with a word diff against the one before
+   * @param {Object} current - { content, media, createdAt } of the item as it is now
+   * @returns {Array} - [{ version, content, media, validFrom, validUntil, editedBy, current, diff, mediaAdded, mediaRemoved }]
+   */
+  async getHistory(targetType, targetId, current) {
+    const revisions = await Revision.find({ targetType, targetId })
+      .sort({ version: 1 })
+      .populate('editedBy', 'name avatar')
+      .lean();
+
+    const versions = revisions.map(revision => ({
+      version: revision.version,
+      content: revision.content,
+      media: revision.media,
+      validFrom: revision.validFrom,
+      validUntil: revision.validUntil,
+      editedBy: null,
+      current: false
+    }));
+
+    // Who made an edit is recorded on the version it replaced, so it belongs to the next one
+    revisions.forEach((revision, i) => {
+      const next = versions[i + 1];
+      if (next) next.editedBy = revision.editedBy;
+    });
+
+    const last = revisions[revisions.length - 1];
+    versions.push({
+      version: revisions.length + 1,
+      content: current.content || '',
+      media: mediaUrls(current.media),
+      validFrom: last ? last.validUntil : current.createdAt,
+      validUntil: null,
+      editedBy: last ? last.editedBy : null,
+      current: true
+    });
+
+    return versions.map((version, i) => {
+      const previous = versions[i - 1];
+      return {
+        ...version,
+        diff: previous ? diffWords(previous.content, version.content) : null,
+        mediaAdded: previous ? version.media.filter(url => !previous.media.includes(url)) : [],
+        mediaRemoved: previous ? previous.media.filter(url => !version.media.includes(url)) : []
+      };
+    });
+  }
+
+  /**
+   * What an item said at a point in time
+   * @param {Object} current - { content, media } of the item as it is now
+   * @returns {Object} - { content, media, version, editedSince }
+   */
+  async contentAt(targetType, targetId, at, current) {
+    const [revision, count] = await Promise.all([
+      Revision.findOne({ targetType, targetId, validUntil: { $gt: at } }).sort({ version: 1 }).lean(),
+      Revision.countDocuments({ targetType, targetId })
+    ]);
+
+    if (!revision) {
+      return { content: current.content || '', media: mediaUrls(current.media), version: count + 1, editedSince: false };
+    }
+    return { content: revision.content, media: revision.media, version: revision.version, editedSince: true };
+  }
+
+  /**
+   * The reported post as it was when a report was filed (for moderators)
+   * @param {Object} report - Report with reportedPost populated (content, images, videos)
+   * @returns {Object|null} - See contentAt; null if the report isn't about an existing post
+   */
+  async contentAtReport(report) {
+    const post = report.reportedPost;
+    if (report.reportType !== 'post' || !post || !post._id) return null;
+
+    return this.contentAt('post', post._id, report.createdAt, {
+      content: post.content,
+      media: [...(post.images || []), ...(post.videos || [])]
+    });
+  }
+}
+
+module.exports = new RevisionService();
@@ -0,0 +1,248 @@
+const User = require('../models/User');
+const Post = require('../models/Post');
+const Club = require('../models/Club');
+const ScheduledPost = require('../models/ScheduledPost');
+const Notification = require('../models/Notification');
+const FCM = require('./fcmService');
+const audienceService = require('./audienceService');
+const storageService = require('./storageService');
+const achievementService = require('./achievementService');
+const postPublishingService = require('./postPublishingService');
+const hashtagService = require('./hashtagService');
+
+// A run that hasn't finished publishing an item by then is assumed dead, and the item is retried
+const STALE_PUBLISHING_MS = 10 * 60 * 1000;
+
+class ScheduledPostService {
+  constructor(io) {
+    this.io = io;
+    this._interval = null;
+    this._running = false;
+  }
+
+  start() {
+    // Run shortly after startup (publishes anything that came due while the server was down), then every minute
+    this.runSafely();
+    this._interval = setInterval(() => this.runSafely(), 60 * 1000);
+    console.log('🗓️ ScheduledPostService scheduled (every minute)');
+  }
+
+  stop() {
+    if (this._interval) clearInterval(this._interval);
+  }
+
+  async runSafely() {
+    if (this._running) return;
+    this._running = true;
+    try {
+      await this.publishDuePosts();
+    } catch (e) {
+      console.error('ScheduledPostService error:', e);
+    } finally {
+      this._running = false;
+    }
+  }
+
+  /**
+   * Publish every scheduled item whose time has come, plus any a dead worker left half-done
+   */
+  async publishDuePosts() {
+    let item;
+    while ((item = await this.claimNext())) {
+      await this.publish(item);
+    }
+  }
+
+  // Atomically take one due item, so two server instances never publish the same post
+  async claimNext() {
+    const now = new Date();
+    return ScheduledPost.findOneAndUpdate(
+      {
+        $or: [
+          { status: 'scheduled', scheduledFor: { $lte: now } },
+          { status: 'publishing', publishingStartedAt: { $lt: new Date(now.getTime() - STALE_PUBLISHING_MS) } }
+        ]
+      },
+      { status: 'publishing', publishingStartedAt: now, $inc: { attempts: 1 } },
+      { new: true, sort: { scheduledFor: 1 } }
+    );
+  }
+
+  /**
+   * Take one of the author's drafts or scheduled items to publish it right away
+   * @returns {Object|null} - The claimed item, or null if it isn't theirs or is already being published
+   */
+  async claimForAuthor(itemId, authorId) {
+    return ScheduledPost.findOneAndUpdate(
+      { _id: itemId, author: authorId, status: { $in: ['draft', 'scheduled', 'failed'] } },
+      { status: 'publishing', publishingStartedAt: new Date(), $inc: { attempts: 1 } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Publish a claimed item as a post or club announcement and remove it from the schedule
+   * Failures (the audience list or club is gone, the author can no longer post) are kept
+   * on the item as 'failed' for the author to fix and reschedule.
+   * @param {Object} item - ScheduledPost document in 'publishing' status
+   * @returns {Object} - { post } or { club, discussion }, or { error }
+   */
+  async publish(item) {
+    try {
+      const author = await User.findById(item.author).select('name avatar followers isSuspended deletionScheduledFor');
+      if (!author) {
+        await ScheduledPost.deleteOne({ _id: item._id });
+        await storageService.release('draft', item._id);
+        return { error: 'Author not found' };
+      }
+      if (author.isSuspended) {
+        throw new Error('Your account is suspended');
+      }
+      if (author.deletionScheduledFor) {
+        throw new Error('Your account is scheduled for deletion');
+      }
+
+      const result = item.club
+        ? await this.publishClubAnnouncement(item, author)
+        : await this.publishPost(item, author);
+
+      await ScheduledPost.deleteOne({ _id: item._id });
+
+      if (this.io) {
+        this.io.to(`user:${author._id}`).emit('scheduled:published', {
+          scheduledPostId: item._id.toString(),
+          postId: result.post ? result.post._id.toString() : null,
+          clubId: result.club ? result.club._id.toString() : null,
+          discussionId: result.discussion ? result.discussion._id.toString() : null
+        });
+      }
+
+      console.log(`🗓️ Published scheduled ${item.club ? 'club announcement' : 'post'} ${item._id}`);
+      return result;
+    } catch (error) {
+      console.error(`❌ Publishing scheduled post ${item._id} failed:`, error);
+      item.status = 'failed';
+      item.publishingStartedAt = null;
+      item.lastError = error.message;
+      await item.save();
+      await this.notifyFailed(item);
+      return { error: error.message };
+    }
+  }
+
+  // The post reuses the item's _id; if it already exists, an earlier run published it
+  async publishPost(item, author) {
+    const existing = await Post.findById(item._id);
+    if (existing) return { post: existing };
+
+    const postAudience = await audienceService.resolveAudience(author, item.visibility, item.audience);
+    if (postAudience.error) {
+      throw new Error(postAudience.error);
+    }
+
+    const taggedUserIds = await postPublishingService.resolveTaggedUsers(author._id, item.content, item.taggedUsers);
+    const images = item.media.filter(m => m.type === 'image').map(m => m.url);
+    const videos = item.media.filter(m => m.type === 'video').map(m => m.url);
+
+    const post = await Post.create({
+      _id: item._id,
+      content: item.content,
+      author: author._id,
+      images,
+      videos,
+      mediaType: postPublishingService.mediaTypeOf(images, videos),
+      visibility: postAudience.visibility,
+      audience: postAudience.audience,
+      taggedUsers: taggedUserIds
+    });
+    await storageService.reassign('draft', item._id, 'post');
+    await hashtagService.recordUsage(post.hashtags, { kind: 'post', userId: author._id, source: post });
+
+    await post.populate('author', 'name email avatar isPremium premiumFeatures');
+    await post.populate('taggedUsers', 'name email avatar');
+    await postPublishingService.notifyNewPost(this.io, post, author, taggedUserIds);
+
+    return { post };
+  }
+
+  // The discussion reuses the item's _id; if the club already has it, an earlier run published it
+  async publishClubAnnouncement(item, author) {
+    const club = await Club.findById(item.club);
+    if (!club) {
+      throw new Error('The club no longer exists');
+    }
+
+    const existing = club.discussions.id(item._id);
+    if (existing) return { club, discussion: existing };
+
+    const media = item.media.map(m => ({
+      url: m.url,
+      type: m.type,
+      thumbnail: null,
+      width: null,
+      height: null,
+      duration: null
+    }));
+
+    // Throws if the author left the club or lost posting rights since scheduling
+    const discussion = club.addDiscussion(author._id, item.content, 'announcement', media);
+    discussion._id = item._id;
+
+    const taggedMembers = item.taggedUsers.filter(userId => club.isMember(userId));
+    if (taggedMembers.length > 0) {
+      discussion.taggedMembers = taggedMembers;
+    }
+
+    await club.save();
+    await storageService.reassign('draft', item._id, 'club_file');
+    await hashtagService.recordText(discussion.content, { kind: 'discussion', userId: author._id, source: club });
+
+    try {
+      const isEarlyPost = club.createdAt && (Date.now() - club.createdAt.getTime()) < (60 * 60 * 1000); // Within 1 hour
+      await achievementService.checkAndAwardAchievements(author._id, 'club_post', { clubId: club._id, isEarlyPost });
+    } catch (achievementError) {
+      console.error('⚠️  Achievement check failed:', achievementError.message);
+    }
+
+    await postPublishingService.notifyNewDiscussion(this.io, club, discussion, author, taggedMembers);
+
+    return { club, discussion };
+  }
+
+  // Tell the author a scheduled item couldn't be published (in-app, socket and push)
+  async notifyFailed(item) {
+    if (item.status !== 'failed') return;
+    const message = 'A scheduled post could not be published';
+
+    try {
+      // System notification: there is no other user involved, so the author is also the sender
+      const notification = await Notification.create({
+        recipient: item.author,
+        sender: item.author,
+        type: 'scheduled_post_failed',
+        message,
+        content: `${message}: ${item.lastError}`
+      });
+
+      if (this.io) {
+        this.io.to(`user:${item.author}`).emit('notification', {
+          _id: notification._id,
+          type: 'scheduled_post_failed',
+          message,
+          scheduledPostId: item._id,
+          reason: item.lastError,
+          createdAt: notification.createdAt
+        });
+      }
+
+      await FCM.sendNotificationToUser(item.author, 'Scheduled post not published', item.lastError, {
+        type: 'scheduled_post_failed',
+        scheduledPostId: item._id.toString()
+      });
+    } catch (error) {
+      console.error('❌ Failed to send scheduled post notification:', error);
+    }
+  }
+}
+
+module.exports = ScheduledPostService;
@@ -0,0 +1,206 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+
+const ACCESS_TOKEN_TTL = '15m';
+const REFRESH_TOKEN_TTL = '7d';
+const REFRESH_TOKEN_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+const hashTokenId = (jti) => crypto.createHash('sha256').update(jti).digest('hex');
+
+/**
+ * Session Service
+ * Issues access/refresh token pairs bound to a per-device Session and rotates
+ * refresh tokens on every use. Reusing an already-rotated refresh token revokes
+ * the whole session, since it means the token was copied.
+ */
+class SessionService {
+
+  /**
+   * Sign an access/refresh token pair for a session
+   * @param {String} userId - User ID
+   * @param {String} sessionId - Session ID (sid claim)
+   * @param {String} jti - Refresh token ID stored (hashed) on the session
+   * @returns {Object} - { accessToken, refreshToken }
+   */
+  signTokens(userId, sessionId, jti) {
+    const accessToken = jwt.sign(
+      { userId, sid: sessionId, type: 'access' },
+      process.env.JWT_SECRET,
+      { expiresIn: ACCESS_TOKEN_TTL }
+    );
+
+    const refreshToken = jwt.sign(
+      { userId, sid: sessionId, type: 'refresh' },
+      process.env.JWT_SECRET,
+      { expiresIn: REFRESH_TOKEN_TTL, jwtid: jti }
+    );
+
+    return { accessToken, refreshToken };
+  }
+
+  /**
+   * Read device details from the request that is opening or refreshing a session
+   * Clients may send deviceId, deviceName and platform in the body.
+   */
+  getDeviceInfo(req) {
+    const body = req.body || {};
+    return {
+      deviceId: typeof body.deviceId === 'string' ? body.deviceId.slice(0, 200) : null,
+      deviceName: typeof body.deviceName === 'string' ? body.deviceName.slice(0, 100) : null,
+      platform: typeof body.platform === 'string' ? body.platform.slice(0, 50) : null,
+      userAgent: (req.headers['user-agent'] || '').slice(0, 500) || null,
+      ipAddress: req.ip || null
+    };
+  }
+
+  /**
+   * Create a session for a device and issue its first token pair
+   * Logging in again from the same deviceId replaces that device's previous session.
+   * @param {String} userId - User ID
+   * @param {Object} req - Express request (for device details)
+   * @param {String} method - Login method (pin, password, google, facebook, apple)
+   * @returns {Object} - { accessToken, refreshToken, session }
+   */
+  async createSession(userId, req, method = null) {
+    const deviceInfo = this.getDeviceInfo(req);
+
+    if (deviceInfo.deviceId) {
+      await Session.updateMany(
+        { user: userId, deviceId: deviceInfo.deviceId, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: 'replaced' }
+      );
+    }
+
+    const jti = crypto.randomUUID();
+    const session = await Session.create({
+      user: userId,
+      refreshTokenHash: hashTokenId(jti),
+      ...deviceInfo,
+      method,
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+    });
+
+    const tokens = this.signTokens(userId.toString(), session._id.toString(), jti);
+    return { ...tokens, session };
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair
+   * @param {String} refreshToken - Refresh token presented by the client
+   * @param {Object} req - Express request (for device details)
+   * @returns {Object} - { accessToken, refreshToken, session } or { error } where error is
+   *   'invalid_token', 'session_revoked' or 'token_reuse'
+   */
+  async rotateRefreshToken(refreshToken, req) {
+    let decoded;
+    try {
+      decoded = jwt.verify(refreshToken, process.env.JWT_SECRET);
+    } catch (error) {
+      return { error: 'invalid_token' };
+    }
+
+    // Tokens issued before sessions existed carry no sid: accept the one stored
+    // on the user once and move it into a session
+    if (!decoded.sid) {
+      return this.migrateLegacyToken(decoded, refreshToken, req);
+    }
+
+    if (decoded.type !== 'refresh' || !decoded.jti) {
+      return { error: 'invalid_token' };
+    }
+
+    const session = await Session.findById(decoded.sid).select('+refreshTokenHash');
+    if (!session || session.user.toString() !== decoded.userId) {
+      return { error: 'invalid_token' };
+    }
+
+    if (!session.isActive()) {
+      return { error: 'session_revoked' };
+    }
+
+    const presentedHash = hashTokenId(decoded.jti);
+    const nextJti = crypto.randomUUID();
+    const { ipAddress, userAgent } = this.getDeviceInfo(req);
+
+    // Only rotate if the presented token is still the current one (atomic, so two
+    // concurrent refreshes with the same token cannot both succeed)
+    const rotated = await Session.findOneAndUpdate(
+      { _id: session._id, refreshTokenHash: presentedHash, revokedAt: null },
+      {
+        refreshTokenHash: hashTokenId(nextJti),
+        lastUsedAt: new Date(),
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+        ipAddress,
+        userAgent,
+        $inc: { rotationCount: 1 }
+      },
+      { new: true }
+    );
+
+    if (!rotated) {
+      console.warn(`🚨 Refresh token reuse detected for session ${session._id} (user ${decoded.userId}) - revoking session`);
+      await session.revoke('token_reuse');
+      return { error: 'token_reuse' };
+    }
+
+    const tokens = this.signTokens(decoded.userId, rotated._id.toString(), nextJti);
+    return { ...tokens, session: rotated };
+  }
+
+  /**
+   * Move a pre-session refresh token (stored on User.refreshToken) into a session
+   */
+  async migrateLegacyToken(decoded, refreshToken, req) {
+    const user = await User.findById(decoded.userId).select('+refreshToken');
+    if (!user || !user.refreshToken || user.refreshToken !== refreshToken) {
+      return { error: 'invalid_token' };
+    }
+
+    user.refreshToken = undefined;
+    await user.save();
+
+    return this.createSession(user._id, req, 'legacy');
+  }
+
+  /**
+   * Check that a session is still active (used when verifying access tokens)
+   * @param {String} sessionId - Session ID
+   * @returns {Boolean}
+   */
+  async isSessionActive(sessionId) {
+    const session = await Session.exists({
+      _id: sessionId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    });
+    return !!session;
+  }
+
+  /**
+   * Revoke one of a user's sessions
+   * @returns {Object|null} - The revoked session, or null if it wasn't found/active
+   */
+  async revokeSession(userId, sessionId, reason) {
+    return Session.findOneAndUpdate(
+      { _id: sessionId, user: userId, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: reason },
+      { new: true }
+    );
+  }
+
+  /**
+   * Revoke every active session of a user, optionally keeping one (e.g. the current device)
+   * @returns {Number} - Number of sessions revoked
+   */
+  async revokeAllSessions(userId, reason, exceptSessionId = null) {
+    const filter = { user: userId, revokedAt: null };
+    if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+    const result = await Session.updateMany(filter, { revokedAt: new Date(), revokedReason: reason });
+    return result.modifiedCount;
+  }
+}
+
+module.exports = new SessionService();
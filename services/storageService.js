@@ -0,0 +1,213 @@
+const fs = require('fs');
+const StorageEntry = require('../models/StorageEntry');
+const StorageUsage = require('../models/StorageUsage');
+const entitlementService = require('./entitlementService');
+
+const CONTENT_TYPES = ['post', 'video', 'photo', 'story', 'message', 'club_file', 'music', 'draft'];
+
+/**
+ * Storage Service
+ * Keeps the per-user storage ledger: every file uploaded with a post, video, photo,
+ * story, message, club file/discussion, music track or unpublished draft is recorded
+ * with its size, and removed again when that content is deleted. Quotas come from the user's
+ * entitlements (entitlementService.getStorageQuota) and are checked against a running total
+ * per user (StorageUsage) that uploads reserve their bytes in before they are accepted.
+ */
+class StorageService {
+
+  /**
+   * Bytes used by a user, in total and per content type
+   * @returns {Object} - { usedBytes, breakdown: { post: { bytes, files }, ... } }
+   */
+  async getUsage(userId) {
+    const rows = await StorageEntry.getUsageByType(userId);
+
+    const breakdown = {};
+    for (const type of CONTENT_TYPES) {
+      breakdown[type] = { bytes: 0, files: 0 };
+    }
+    for (const row of rows) {
+      breakdown[row._id] = { bytes: row.bytes, files: row.files };
+    }
+
+    const usedBytes = rows.reduce((sum, row) => sum + row.bytes, 0);
+    return { usedBytes, breakdown };
+  }
+
+  /**
+   * Usage and quota of the authenticated user
+   * @returns {Object} - { usedBytes, quotaBytes, remainingBytes, unlimited, breakdown }
+   */
+  async getStorageForRequest(req) {
+    const [usage, entitlements] = await Promise.all([
+      this.getUsage(req.user._id),
+      entitlementService.getEntitlementsForRequest(req)
+    ]);
+    const quotaBytes = entitlementService.getStorageQuota(entitlements);
+
+    return {
+      usedBytes: usage.usedBytes,
+      quotaBytes,
+      remainingBytes: quotaBytes === null ? null : Math.max(quotaBytes - usage.usedBytes, 0),
+      unlimited: quotaBytes === null,
+      breakdown: usage.breakdown
+    };
+  }
+
+  // Files multer left on the request (single, array or fields)
+  getUploadedFiles(req) {
+    if (req.file) return [req.file];
+    if (Array.isArray(req.files)) return req.files;
+    if (req.files) return Object.values(req.files).flat();
+    return [];
+  }
+
+  // Start the user's running total from the ledger the first time it is needed
+  async ensureUsage(userId) {
+    if (await StorageUsage.exists({ user: userId })) return;
+
+    const { usedBytes } = await this.getUsage(userId);
+    try {
+      await StorageUsage.updateOne({ user: userId }, { $setOnInsert: { usedBytes } }, { upsert: true });
+    } catch (error) {
+      // Started by a parallel upload
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  /**
+   * Reserve storage for uploaded files, atomically against the quota, before they are accepted
+   * The files are marked so record() doesn't count them twice; call releaseUnrecorded for
+   * the ones that end up not being kept.
+   * @param {Number|null} quotaBytes - null when unlimited
+   * @returns {Boolean} - false if the files don't fit in the quota
+   */
+  async reserve(userId, files, quotaBytes) {
+    const bytes = files.reduce((sum, file) => sum + (file.size || 0), 0);
+    await this.ensureUsage(userId);
+
+    const result = await StorageUsage.updateOne(
+      { user: userId, ...(quotaBytes !== null && { usedBytes: { $lte: quotaBytes - bytes } }) },
+      { $inc: { usedBytes: bytes } }
+    );
+    if (result.matchedCount === 0) return false;
+
+    files.forEach(file => { file.storageReserved = true; });
+    return true;
+  }
+
+  // Give back the reservation of files that weren't recorded (failed requests, files not kept)
+  async releaseUnrecorded(userId, files) {
+    const unrecorded = files.filter(file => file.storageReserved && !file.storageRecorded);
+    unrecorded.forEach(file => { file.storageReserved = false; });
+    await this.addUsage(userId, -unrecorded.reduce((sum, file) => sum + (file.size || 0), 0));
+  }
+
+  // Adjust the running total (never below zero)
+  async addUsage(userId, bytes) {
+    if (!bytes) return;
+    await StorageUsage.updateOne({ user: userId }, [
+      { $set: { usedBytes: { $max: [0, { $add: ['$usedBytes', bytes] }] } } }
+    ]);
+  }
+
+  // Delete ledger entries and take their bytes off their users' totals
+  async removeEntries(filter) {
+    const entries = await StorageEntry.find(filter).select('user bytes');
+    const freed = new Map();
+    for (const entry of entries) {
+      // Counted only by the request that actually deleted it
+      const { deletedCount } = await StorageEntry.deleteOne({ _id: entry._id });
+      if (deletedCount === 0) continue;
+      const userId = entry.user.toString();
+      freed.set(userId, (freed.get(userId) || 0) + entry.bytes);
+    }
+    for (const [userId, bytes] of freed) {
+      await this.addUsage(userId, -bytes);
+    }
+  }
+
+  // Remove uploaded files from disk (rejected uploads)
+  discardFiles(files) {
+    for (const file of files) {
+      try {
+        if (file.path && fs.existsSync(file.path)) fs.unlinkSync(file.path);
+      } catch (error) {
+        console.error('Discard upload error:', error);
+      }
+    }
+  }
+
+  /**
+   * Record uploaded files against their uploader
+   * Content is already saved by the time this runs, so failures are logged rather than thrown.
+   * @param {String} userId - Uploader
+   * @param {String} contentType - One of CONTENT_TYPES
+   * @param {String} contentId - Content the files belong to
+   * @param {Array} files - Multer file objects
+   */
+  async record(userId, contentType, contentId, files) {
+    const entries = (files || []).filter(Boolean).map(file => ({
+      user: userId,
+      contentType,
+      contentId,
+      fileName: file.filename,
+      mimeType: file.mimetype || null,
+      bytes: file.size || 0
+    }));
+    if (entries.length === 0) return;
+
+    try {
+      await StorageEntry.insertMany(entries);
+
+      // Files reserved on upload are already in the total; anything else is added now
+      const unreserved = files.filter(file => file && !file.storageReserved);
+      files.filter(Boolean).forEach(file => { file.storageRecorded = true; });
+      await this.addUsage(userId, unreserved.reduce((sum, file) => sum + (file.size || 0), 0));
+    } catch (error) {
+      console.error('Record storage error:', error);
+    }
+  }
+
+  /**
+   * Free the quota used by deleted content
+   * @param {String} contentType - One of CONTENT_TYPES
+   * @param {String|Array} contentIds - One ID or several
+   */
+  async release(contentType, contentIds) {
+    const ids = [].concat(contentIds).filter(Boolean);
+    if (ids.length === 0) return;
+
+    try {
+      await this.removeEntries({ contentType, contentId: { $in: ids } });
+    } catch (error) {
+      console.error('Release storage error:', error);
+    }
+  }
+
+  /**
+   * Move files to another content type when content changes form (a draft being published)
+   * The content keeps its ID, so only the type changes.
+   */
+  async reassign(fromType, contentId, toType) {
+    try {
+      await StorageEntry.updateMany({ contentType: fromType, contentId }, { contentType: toType });
+    } catch (error) {
+      console.error('Reassign storage error:', error);
+    }
+  }
+
+  /**
+   * Free the quota of files no longer attached to edited content
+   * @param {Array} remainingFileNames - Stored file names the content still uses
+   */
+  async releaseRemovedFiles(contentType, contentId, remainingFileNames) {
+    try {
+      await this.removeEntries({ contentType, contentId, fileName: { $nin: remainingFileNames } });
+    } catch (error) {
+      console.error('Release storage error:', error);
+    }
+  }
+}
+
+module.exports = new StorageService();
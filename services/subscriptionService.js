@@ -0,0 +1,659 @@
+const User = require('../models/User');
+const Subscription = require('../models/Subscription');
+const StripeEvent = require('../models/StripeEvent');
+const Notification = require('../models/Notification');
+const { PREMIUM_TIERS, priceIdForTier, tierForPriceId } = require('../config/premiumTiers');
+const emailService = require('./emailService');
+const entitlementService = require('./entitlementService');
+const purchaseService = require('./purchaseService');
+const promotionService = require('./promotionService');
+const FCM = require('./fcmService');
+
+// How long premium stays on after a renewal payment fails, while Stripe retries the card
+const GRACE_PERIOD_DAYS = parseInt(process.env.SUBSCRIPTION_GRACE_PERIOD_DAYS, 10) || 7;
+const MS_IN_DAY = 24 * 60 * 60 * 1000;
+
+const toDate = (seconds) => (seconds ? new Date(seconds * 1000) : null);
+
+// Stripe objects reference others either by ID or expanded
+const idOf = (ref) => (typeof ref === 'string' ? ref : (ref && ref.id) || null);
+
+// Billing period: on the subscription item in current API versions, on the subscription in older ones
+const getPeriod = (stripeSubscription) => {
+  const item = (stripeSubscription.items && stripeSubscription.items.data[0]) || {};
+  return {
+    start: toDate(item.current_period_start || stripeSubscription.current_period_start),
+    end: toDate(item.current_period_end || stripeSubscription.current_period_end)
+  };
+};
+
+const getInvoiceSubscriptionId = (invoice) => idOf(
+  (invoice.parent && invoice.parent.subscription_details && invoice.parent.subscription_details.subscription)
+  || invoice.subscription
+);
+
+/**
+ * Subscription Service
+ * Recurring premium subscriptions on Stripe: creation, tier changes with proration,
+ * cancel-at-period-end, the billing portal, and the webhook handlers that keep
+ * Subscription and the user's premium fields in sync (including the grace period
+ * and dunning notices when a renewal payment fails).
+ */
+class SubscriptionService {
+
+  constructor() {
+    this.stripe = null;
+  }
+
+  getStripe() {
+    if (!this.stripe && process.env.STRIPE_SECRET_KEY) {
+      this.stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+    }
+    return this.stripe;
+  }
+
+  get gracePeriodDays() {
+    return GRACE_PERIOD_DAYS;
+  }
+
+  async getOrCreateCustomer(user) {
+    if (user.stripeCustomerId) return user.stripeCustomerId;
+
+    const customer = await this.getStripe().customers.create({
+      email: user.email,
+      name: user.name,
+      metadata: {
+        userId: user._id.toString()
+      }
+    });
+
+    await User.updateOne({ _id: user._id }, { stripeCustomerId: customer.id });
+    user.stripeCustomerId = customer.id;
+    return customer.id;
+  }
+
+  /**
+   * Start a subscription; the first invoice is paid by confirming the returned client secret.
+   * With a free trial nothing is charged: the client secret is a SetupIntent for saving a
+   * card, and Stripe cancels the subscription at the end of the trial if none was added.
+   * @param {Object} options - { promo: PromoCode for the first invoice, trial: start with a free trial }
+   * @returns {Object} - { subscription, clientSecret } or { error } where error is
+   *   'already_subscribed', 'price_not_configured', 'trial_used' or 'promo_unavailable'
+   *   (with a message for the user)
+   */
+  async createSubscription(user, tier, { promo = null, trial = false } = {}) {
+    const priceId = priceIdForTier(tier);
+    if (!priceId) return { error: 'price_not_configured' };
+
+    const current = await Subscription.findCurrentForUser(user._id);
+    if (current && current.status !== 'incomplete') return { error: 'already_subscribed' };
+
+    const customerId = await this.getOrCreateCustomer(user);
+
+    // An abandoned checkout is replaced rather than left to expire (and its promo code released)
+    if (current) {
+      await this.getStripe().subscriptions.cancel(current.stripeSubscriptionId)
+        .catch(error => console.error('❌ Failed to cancel incomplete subscription:', error.message));
+      await promotionService.handleSubscriptionEnded(current.stripeSubscriptionId);
+    }
+
+    // Promo code use and trial are reserved first so parallel checkouts can't overshoot them
+    let redemption = null;
+    if (promo) {
+      const reservation = await promotionService.reservePromoCode(user, promo, tier, promotionService.quote(tier, promo));
+      if (reservation.error) return { error: 'promo_unavailable', message: reservation.error };
+      redemption = reservation.redemption;
+    }
+    let trialRedemption = null;
+    if (trial) {
+      trialRedemption = await promotionService.reserveTrial(user, tier);
+      if (!trialRedemption) {
+        if (redemption) await promotionService.releaseRedemption({ _id: redemption._id });
+        return { error: 'trial_used' };
+      }
+    }
+
+    let stripeSubscription;
+    try {
+      stripeSubscription = await this.getStripe().subscriptions.create({
+        customer: customerId,
+        items: [{ price: priceId }],
+        payment_behavior: 'default_incomplete',
+        payment_settings: { save_default_payment_method: 'on_subscription' },
+        ...(promo && { discounts: [{ coupon: await promotionService.getStripeCoupon(promo) }] }),
+        ...(trial && {
+          trial_period_days: promotionService.trialDays,
+          trial_settings: { end_behavior: { missing_payment_method: 'cancel' } }
+        }),
+        metadata: {
+          userId: user._id.toString(),
+          tier
+        },
+        expand: ['latest_invoice.confirmation_secret', 'pending_setup_intent']
+      });
+    } catch (error) {
+      if (redemption) await promotionService.releaseRedemption({ _id: redemption._id });
+      if (trialRedemption) await promotionService.releaseTrial(trialRedemption);
+      throw error;
+    }
+
+    if (redemption) {
+      redemption.stripeSubscriptionId = stripeSubscription.id;
+      await redemption.save();
+    }
+    if (trialRedemption) {
+      await promotionService.activateTrial(trialRedemption, stripeSubscription.id);
+    }
+    const subscription = await this.syncSubscription(stripeSubscription);
+
+    const invoice = stripeSubscription.latest_invoice || {};
+    const setupIntent = stripeSubscription.pending_setup_intent;
+    const clientSecret = trial
+      ? (setupIntent && setupIntent.client_secret) || null
+      : (invoice.confirmation_secret && invoice.confirmation_secret.client_secret) || null;
+
+    console.log(`💳 Subscription ${stripeSubscription.id} (${tier}${trial ? ', trial' : ''}${promo ? `, code ${promo.code}` : ''}) created for user ${user._id}`);
+    return { subscription, clientSecret };
+  }
+
+  /**
+   * Preview what switching tier costs right now (prorated for the rest of the period)
+   * @returns {Object} - { amountDue, currency, prorationDate, immediate }
+   */
+  async previewTierChange(subscription, tier) {
+    const prorationDate = Math.floor(Date.now() / 1000);
+    const isUpgrade = PREMIUM_TIERS[tier].rank > PREMIUM_TIERS[subscription.tier].rank;
+
+    const preview = await this.getStripe().invoices.createPreview({
+      customer: subscription.stripeCustomerId,
+      subscription: subscription.stripeSubscriptionId,
+      subscription_details: {
+        items: [{ id: subscription.stripeItemId, price: priceIdForTier(tier) }],
+        proration_date: prorationDate,
+        proration_behavior: isUpgrade ? 'always_invoice' : 'create_prorations'
+      }
+    });
+
+    return {
+      amountDue: preview.amount_due / 100,
+      currency: preview.currency,
+      prorationDate,
+      // Upgrades are charged now; downgrades are credited on the next renewal
+      immediate: isUpgrade
+    };
+  }
+
+  /**
+   * Switch tier with proration
+   * Upgrades invoice the difference immediately and only apply once it is paid;
+   * downgrades take effect now and the unused time is credited on the next invoice.
+   */
+  async changeTier(subscription, tier, prorationDate = null) {
+    const isUpgrade = PREMIUM_TIERS[tier].rank > PREMIUM_TIERS[subscription.tier].rank;
+
+    const params = {
+      items: [{ id: subscription.stripeItemId, price: priceIdForTier(tier) }],
+      proration_behavior: isUpgrade ? 'always_invoice' : 'create_prorations',
+      metadata: { tier }
+    };
+    if (isUpgrade) params.payment_behavior = 'pending_if_incomplete';
+    if (prorationDate) params.proration_date = prorationDate;
+
+    const stripeSubscription = await this.getStripe().subscriptions.update(subscription.stripeSubscriptionId, params);
+
+    console.log(`💳 Subscription ${subscription.stripeSubscriptionId} changed from ${subscription.tier} to ${tier}`);
+    return this.syncSubscription(stripeSubscription);
+  }
+
+  /**
+   * Cancel at the end of the paid period (cancel = true) or undo that (cancel = false)
+   */
+  async setCancelAtPeriodEnd(subscription, cancel) {
+    const stripeSubscription = await this.getStripe().subscriptions.update(subscription.stripeSubscriptionId, {
+      cancel_at_period_end: cancel
+    });
+    return this.syncSubscription(stripeSubscription);
+  }
+
+  /**
+   * End a deleted account's subscriptions right away, so nothing more is charged
+   * The local records stay (marked canceled) next to the purchase ledger; webhooks that
+   * arrive for them afterwards find no user and change nothing else.
+   * @returns {Number} - How many subscriptions were canceled
+   */
+  async cancelAllForDeletedUser(userId) {
+    const subscriptions = await Subscription.find({ user: userId, status: { $nin: ['canceled', 'incomplete_expired'] } });
+    if (subscriptions.length === 0) return 0;
+
+    const stripe = this.getStripe();
+    if (!stripe) {
+      throw new Error('Stripe is not configured, so the account\'s subscriptions cannot be canceled');
+    }
+
+    for (const subscription of subscriptions) {
+      try {
+        await stripe.subscriptions.cancel(subscription.stripeSubscriptionId);
+      } catch (error) {
+        // Already gone on Stripe's side
+        if (error.code !== 'resource_missing') throw error;
+      }
+
+      const now = new Date();
+      subscription.status = 'canceled';
+      subscription.cancelAtPeriodEnd = false;
+      subscription.canceledAt = subscription.canceledAt || now;
+      subscription.endedAt = now;
+      subscription.graceUntil = null;
+      subscription.nextPaymentAttemptAt = null;
+      // Events created before the cancellation must not bring it back
+      subscription.lastEventCreatedAt = now;
+      await subscription.save();
+      await promotionService.handleSubscriptionEnded(subscription.stripeSubscriptionId);
+
+      console.log(`💳 Subscription ${subscription.stripeSubscriptionId} canceled for deleted account ${userId}`);
+    }
+    return subscriptions.length;
+  }
+
+  /**
+   * Stripe-hosted billing portal (payment methods, invoices, cancellation)
+   * @returns {String} - Portal URL
+   */
+  async createPortalSession(user, returnUrl) {
+    const customerId = await this.getOrCreateCustomer(user);
+    const session = await this.getStripe().billingPortal.sessions.create({
+      customer: customerId,
+      return_url: returnUrl
+    });
+    return session.url;
+  }
+
+  // ==================== WEBHOOKS ====================
+
+  /**
+   * Apply a verified Stripe webhook event
+   * @param {Object} event - Event from stripe.webhooks.constructEvent
+   * @param {Object} context - { io } for real-time notifications
+   * @returns {Object} - { handled, duplicate }
+   */
+  async handleEvent(event, { io = null } = {}) {
+    if (await StripeEvent.exists({ eventId: event.id })) {
+      return { handled: false, duplicate: true };
+    }
+
+    const object = event.data.object;
+    const eventCreatedAt = toDate(event.created);
+    let handled = true;
+
+    switch (event.type) {
+      case 'customer.subscription.created':
+      case 'customer.subscription.updated':
+      case 'customer.subscription.paused':
+      case 'customer.subscription.resumed':
+        await this.syncSubscription(object, eventCreatedAt);
+        break;
+
+      case 'customer.subscription.deleted':
+        await this.handleSubscriptionEnded(object, eventCreatedAt, io);
+        break;
+
+      case 'customer.subscription.trial_will_end':
+        await this.handleTrialWillEnd(object, eventCreatedAt, io);
+        break;
+
+      case 'invoice.paid':
+      case 'invoice.payment_succeeded':
+        await this.handleInvoicePaid(object, io);
+        break;
+
+      case 'invoice.payment_failed':
+        await this.handleInvoicePaymentFailed(object, io);
+        break;
+
+      case 'invoice.payment_action_required':
+        await this.handleInvoiceActionRequired(object, io);
+        break;
+
+      // Refunds and chargebacks, of subscription invoices and one-off payments alike
+      case 'charge.refunded':
+        await purchaseService.handleStripeRefund(object);
+        break;
+
+      case 'charge.dispute.created':
+      case 'charge.dispute.closed':
+        await purchaseService.handleStripeDispute(object);
+        break;
+
+      default:
+        handled = false;
+    }
+
+    // Recorded after processing, so a failed attempt is retried by Stripe's redelivery
+    await StripeEvent.create({ eventId: event.id, type: event.type })
+      .catch(error => {
+        if (error.code !== 11000) throw error;
+      });
+
+    return { handled, duplicate: false };
+  }
+
+  async findUserForCustomer(stripeObject) {
+    const userId = stripeObject.metadata && stripeObject.metadata.userId;
+    if (userId) {
+      const user = await User.findById(userId);
+      if (user) return user;
+    }
+    return User.findOne({ stripeCustomerId: idOf(stripeObject.customer) });
+  }
+
+  /**
+   * Mirror a Stripe subscription into Subscription and the user's premium fields
+   * @param {Object} stripeSubscription - Subscription object from the API or a webhook
+   * @param {Date} eventCreatedAt - Event time (webhooks only); older events than the last applied are ignored
+   * @returns {Object|null} - Subscription document
+   */
+  async syncSubscription(stripeSubscription, eventCreatedAt = null) {
+    let subscription = await Subscription.findOne({ stripeSubscriptionId: stripeSubscription.id });
+
+    if (subscription && eventCreatedAt && subscription.lastEventCreatedAt && eventCreatedAt < subscription.lastEventCreatedAt) {
+      console.log(`💳 Ignoring out-of-order event for subscription ${stripeSubscription.id}`);
+      return subscription;
+    }
+
+    if (!subscription) {
+      const user = await this.findUserForCustomer(stripeSubscription);
+      if (!user) {
+        console.warn(`⚠️  No user found for Stripe subscription ${stripeSubscription.id}`);
+        return null;
+      }
+      subscription = new Subscription({
+        user: user._id,
+        stripeCustomerId: idOf(stripeSubscription.customer),
+        stripeSubscriptionId: stripeSubscription.id
+      });
+    }
+
+    const item = stripeSubscription.items && stripeSubscription.items.data[0];
+    const priceId = item && item.price ? idOf(item.price) : null;
+    const period = getPeriod(stripeSubscription);
+
+    subscription.stripeItemId = item ? item.id : subscription.stripeItemId;
+    subscription.stripePriceId = priceId || subscription.stripePriceId;
+    subscription.tier = tierForPriceId(priceId)
+      || (stripeSubscription.metadata && stripeSubscription.metadata.tier)
+      || subscription.tier;
+    subscription.status = stripeSubscription.status;
+    subscription.currentPeriodStart = period.start;
+    subscription.currentPeriodEnd = period.end;
+    subscription.cancelAtPeriodEnd = !!stripeSubscription.cancel_at_period_end;
+    subscription.canceledAt = toDate(stripeSubscription.canceled_at);
+    subscription.endedAt = toDate(stripeSubscription.ended_at);
+    subscription.trialEndsAt = toDate(stripeSubscription.trial_end);
+    subscription.latestInvoiceId = idOf(stripeSubscription.latest_invoice) || subscription.latestInvoiceId;
+    if (eventCreatedAt) subscription.lastEventCreatedAt = eventCreatedAt;
+
+    // The grace period starts with the first failed renewal, whichever event reports it first
+    if (subscription.status === 'past_due' && !subscription.graceUntil) {
+      subscription.graceUntil = new Date(Date.now() + GRACE_PERIOD_DAYS * MS_IN_DAY);
+    }
+    if (['active', 'trialing'].includes(subscription.status)) {
+      subscription.graceUntil = null;
+      subscription.failedPaymentCount = 0;
+      subscription.nextPaymentAttemptAt = null;
+      subscription.lastPaymentError = null;
+    }
+
+    await subscription.save();
+    await this.applyToUser(subscription);
+    return subscription;
+  }
+
+  async handleSubscriptionEnded(stripeSubscription, eventCreatedAt, io) {
+    const subscription = await this.syncSubscription(stripeSubscription, eventCreatedAt);
+    if (!subscription) return;
+
+    const lapsedTrial = await promotionService.handleSubscriptionEnded(subscription.stripeSubscriptionId);
+
+    const user = await User.findById(subscription.user);
+    if (!user) return;
+
+    const tierName = PREMIUM_TIERS[subscription.tier].name;
+    const unpaid = subscription.failedPaymentCount > 0;
+    const trial = !!lapsedTrial;
+    const message = trial
+      ? `Your free trial of ${tierName} has ended. You can subscribe any time to get it back.`
+      : unpaid
+        ? `Your ${tierName} subscription ended because we couldn't collect payment. You can subscribe again any time.`
+        : `Your ${tierName} subscription has ended. You can subscribe again any time.`;
+
+    await this.notify(user, io, {
+      type: 'subscription_ended',
+      title: 'Subscription ended',
+      message,
+      data: { subscriptionId: subscription._id.toString() }
+    });
+    await emailService.sendSubscriptionEndedEmail(user.email, user.name, { tierName, unpaid, trial });
+  }
+
+  // Sent by Stripe three days before a trial ends
+  async handleTrialWillEnd(stripeSubscription, eventCreatedAt, io) {
+    const subscription = await this.syncSubscription(stripeSubscription, eventCreatedAt);
+    if (!subscription || subscription.status !== 'trialing') return;
+
+    const user = await User.findById(subscription.user);
+    if (!user) return;
+
+    const tier = PREMIUM_TIERS[subscription.tier];
+    const endDate = subscription.trialEndsAt ? subscription.trialEndsAt.toDateString() : 'soon';
+    const message = stripeSubscription.default_payment_method
+      ? `Your free trial of ${tier.name} ends ${endDate}. Your subscription then continues at $${(tier.amount / 100).toFixed(2)}/month.`
+      : `Your free trial of ${tier.name} ends ${endDate}. Add a payment method to keep your premium features.`;
+
+    await this.notify(user, io, {
+      type: 'subscription_trial_ending',
+      title: 'Your free trial is ending',
+      message,
+      data: { subscriptionId: subscription._id.toString() }
+    });
+  }
+
+  /**
+   * A subscription invoice was paid: record the payment and end any dunning
+   */
+  async handleInvoicePaid(invoice, io) {
+    const stripeSubscriptionId = getInvoiceSubscriptionId(invoice);
+    if (!stripeSubscriptionId) return;
+
+    const subscription = await Subscription.findOne({ stripeSubscriptionId });
+    if (!subscription) {
+      console.warn(`⚠️  Invoice ${invoice.id} paid for unknown subscription ${stripeSubscriptionId}`);
+      return;
+    }
+
+    const recovered = subscription.failedPaymentCount > 0;
+
+    subscription.failedPaymentCount = 0;
+    subscription.graceUntil = null;
+    subscription.nextPaymentAttemptAt = null;
+    subscription.lastPaymentError = null;
+    subscription.latestInvoiceId = invoice.id;
+    if (subscription.status === 'past_due' || subscription.status === 'incomplete') {
+      subscription.status = 'active';
+    }
+
+    // The paid invoice's line covers the new period (it may arrive before the subscription update)
+    const line = invoice.lines && invoice.lines.data.find(l => l.period && l.period.end);
+    if (line && (!subscription.currentPeriodEnd || toDate(line.period.end) > subscription.currentPeriodEnd)) {
+      subscription.currentPeriodStart = toDate(line.period.start);
+      subscription.currentPeriodEnd = toDate(line.period.end);
+    }
+
+    await subscription.save();
+
+    // invoice.paid and invoice.payment_succeeded both arrive for the same invoice; the ledger keeps one
+    const user = await User.findById(subscription.user);
+    if (user && invoice.amount_paid > 0) {
+      const payment = invoice.payments && invoice.payments.data && invoice.payments.data[0];
+      await purchaseService.record(user, {
+        store: 'stripe',
+        type: 'subscription',
+        productId: subscription.tier,
+        tier: subscription.tier,
+        features: [...PREMIUM_TIERS[subscription.tier].features],
+        transactionId: invoice.id,
+        originalTransactionId: stripeSubscriptionId,
+        paymentIntentId: (payment && payment.payment && idOf(payment.payment.payment_intent)) || null,
+        amount: invoice.amount_paid / 100,
+        currency: invoice.currency,
+        purchasedAt: toDate(invoice.status_transitions && invoice.status_transitions.paid_at) || new Date(),
+        expiresAt: line ? toDate(line.period.end) : subscription.currentPeriodEnd,
+        environment: invoice.livemode === false ? 'sandbox' : 'production'
+      });
+    }
+
+    await promotionService.handleSubscriptionPaid(stripeSubscriptionId, invoice);
+    await this.applyToUser(subscription);
+
+    if (user && recovered) {
+      await this.notify(user, io, {
+        type: 'subscription_payment_recovered',
+        title: 'Payment successful',
+        message: `Thanks! Your payment went through and your ${PREMIUM_TIERS[subscription.tier].name} subscription is active again.`,
+        data: { subscriptionId: subscription._id.toString() }
+      });
+    }
+  }
+
+  /**
+   * A renewal payment failed: start (or continue) the grace period and send a dunning notice
+   */
+  async handleInvoicePaymentFailed(invoice, io) {
+    const stripeSubscriptionId = getInvoiceSubscriptionId(invoice);
+    if (!stripeSubscriptionId) return;
+
+    const subscription = await Subscription.findOne({ stripeSubscriptionId });
+    if (!subscription) return;
+
+    // The first payment failing just leaves the checkout incomplete; there is nothing to dun yet
+    if (invoice.billing_reason === 'subscription_create') return;
+
+    subscription.failedPaymentCount = Math.max(subscription.failedPaymentCount + 1, invoice.attempt_count || 0);
+    subscription.nextPaymentAttemptAt = toDate(invoice.next_payment_attempt);
+    subscription.lastPaymentError = (invoice.last_finalization_error && invoice.last_finalization_error.message)
+      || 'The payment method was declined';
+    subscription.latestInvoiceId = invoice.id;
+    if (!subscription.graceUntil) {
+      subscription.graceUntil = new Date(Date.now() + GRACE_PERIOD_DAYS * MS_IN_DAY);
+    }
+    await subscription.save();
+    await this.applyToUser(subscription);
+
+    const user = await User.findById(subscription.user);
+    if (!user) return;
+
+    const tierName = PREMIUM_TIERS[subscription.tier].name;
+    const finalAttempt = !subscription.nextPaymentAttemptAt;
+    const message = finalAttempt
+      ? `We couldn't renew your ${tierName} subscription and won't retry again. Update your payment method to keep premium.`
+      : `We couldn't renew your ${tierName} subscription. Update your payment method to keep premium after ${subscription.graceUntil.toDateString()}.`;
+
+    console.log(`💳 Renewal payment failed for subscription ${stripeSubscriptionId} (attempt ${subscription.failedPaymentCount})`);
+
+    await this.notify(user, io, {
+      type: 'subscription_payment_failed',
+      title: 'Payment failed',
+      message,
+      data: { subscriptionId: subscription._id.toString(), attempt: String(subscription.failedPaymentCount) }
+    });
+    await emailService.sendSubscriptionPaymentFailedEmail(user.email, user.name, {
+      tierName,
+      amount: invoice.amount_due / 100,
+      currency: invoice.currency,
+      attempt: subscription.failedPaymentCount,
+      nextAttemptAt: subscription.nextPaymentAttemptAt,
+      graceUntil: subscription.graceUntil,
+      invoiceUrl: invoice.hosted_invoice_url || null
+    });
+  }
+
+  /**
+   * The bank asked for authentication (3-D Secure) before charging the renewal
+   */
+  async handleInvoiceActionRequired(invoice, io) {
+    const stripeSubscriptionId = getInvoiceSubscriptionId(invoice);
+    if (!stripeSubscriptionId || invoice.billing_reason === 'subscription_create') return;
+
+    const subscription = await Subscription.findOne({ stripeSubscriptionId });
+    if (!subscription) return;
+
+    const user = await User.findById(subscription.user);
+    if (!user) return;
+
+    await this.notify(user, io, {
+      type: 'subscription_payment_failed',
+      title: 'Confirm your payment',
+      message: `Your bank needs you to confirm the payment for your ${PREMIUM_TIERS[subscription.tier].name} subscription.`,
+      data: { subscriptionId: subscription._id.toString(), invoiceUrl: invoice.hosted_invoice_url || '' }
+    });
+  }
+
+  /**
+   * Set the user's premium fields from a subscription
+   * Premium runs until the end of the paid period, or the end of the grace period while a
+   * renewal is failing. Premium from another source that lasts longer is left alone.
+   */
+  async applyToUser(subscription) {
+    // The account may have been deleted since; its subscription was canceled then
+    const user = await User.findById(subscription.user);
+    if (!user) return;
+
+    if (subscription.grantsPremium()) {
+      user.isPremium = true;
+      user.premiumTier = subscription.tier;
+      user.premiumFeatures = [...PREMIUM_TIERS[subscription.tier].features];
+      user.premiumExpiresAt = subscription.premiumUntil();
+      if (!user.premiumPurchaseDate) user.premiumPurchaseDate = subscription.createdAt;
+    } else if (!user.premiumExpiresAt || user.premiumExpiresAt <= (subscription.premiumUntil() || new Date())) {
+      user.isPremium = false;
+      user.premiumTier = null;
+      user.premiumFeatures = [];
+    } else {
+      return;
+    }
+
+    await user.save();
+
+    // An app store or admin grant may still give premium after the subscription ends
+    if (!user.isPremium) await entitlementService.syncUser(user);
+  }
+
+  // In-app notification, socket event and push for billing events
+  async notify(user, io, { type, title, message, data = {} }) {
+    try {
+      // System notification: there is no other user involved, so the owner is also the sender
+      const notification = await Notification.create({
+        recipient: user._id,
+        sender: user._id,
+        type,
+        message,
+        content: message
+      });
+
+      if (io) {
+        io.to(`user:${user._id}`).emit('notification', {
+          _id: notification._id,
+          type,
+          message,
+          ...data,
+          createdAt: notification.createdAt
+        });
+      }
+
+      await FCM.sendNotificationToUser(user._id, title, message, { type, ...data });
+    } catch (error) {
+      console.error('❌ Failed to send subscription notification:', error);
+    }
+  }
+}
+
+module.exports = new SubscriptionService();
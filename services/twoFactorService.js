@@ -0,0 +1,209 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// RFC 6238 defaults, which is what Google Authenticator, Authy, 1Password etc. expect
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD_SECONDS = 30;
+// Accept the previous and next code too, to allow for clock drift
+const TOTP_WINDOW = 1;
+const SECRET_BYTES = 20;
+
+const BACKUP_CODE_COUNT = 10;
+const CHALLENGE_TOKEN_TTL = '5m';
+const ISSUER = process.env.TOTP_ISSUER || 'FreeTalk';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+const base32Decode = (input) => {
+  const clean = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 secret');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+// HOTP (RFC 4226) for a given counter
+const hotp = (secretBuffer, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', secretBuffer).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24)
+    | (hmac[offset + 1] << 16)
+    | (hmac[offset + 2] << 8)
+    | hmac[offset + 3];
+
+  return (binary % 10 ** TOTP_DIGITS).toString().padStart(TOTP_DIGITS, '0');
+};
+
+// Secrets are stored encrypted (AES-256-GCM) so a database leak doesn't expose them
+const getEncryptionKey = () => crypto
+  .createHash('sha256')
+  .update(process.env.TOTP_ENCRYPTION_KEY || process.env.JWT_SECRET || '')
+  .digest();
+
+/**
+ * Two-Factor Service
+ * TOTP secrets, code verification, single-use backup codes and the short-lived
+ * challenge token handed out between the password/PIN step and the code step of login.
+ */
+class TwoFactorService {
+
+  /**
+   * Generate a new base32 TOTP secret
+   * @returns {String}
+   */
+  generateSecret() {
+    return base32Encode(crypto.randomBytes(SECRET_BYTES));
+  }
+
+  /**
+   * Build the otpauth:// URI that authenticator apps read from a QR code
+   * @param {String} secret - Base32 secret
+   * @param {String} accountName - Usually the user's email
+   */
+  buildOtpauthUrl(secret, accountName) {
+    const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer: ISSUER,
+      algorithm: 'SHA1',
+      digits: String(TOTP_DIGITS),
+      period: String(TOTP_PERIOD_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+  }
+
+  /**
+   * Verify a TOTP code
+   * @param {String} secret - Base32 secret
+   * @param {String} code - Code typed by the user
+   * @param {Number} lastUsedStep - Time step of the last accepted code (codes can't be replayed)
+   * @returns {Number|null} - The matched time step, or null if the code is invalid
+   */
+  verifyCode(secret, code, lastUsedStep = null) {
+    const normalized = (code || '').toString().replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalized)) return null;
+
+    const secretBuffer = base32Decode(secret);
+    const currentStep = Math.floor(Date.now() / 1000 / TOTP_PERIOD_SECONDS);
+
+    for (let offset = -TOTP_WINDOW; offset <= TOTP_WINDOW; offset++) {
+      const step = currentStep + offset;
+      if (lastUsedStep !== null && lastUsedStep !== undefined && step <= lastUsedStep) continue;
+
+      const expected = hotp(secretBuffer, step);
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+        return step;
+      }
+    }
+    return null;
+  }
+
+  encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    const tag = cipher.getAuthTag();
+    return [iv, tag, encrypted].map(part => part.toString('base64')).join(':');
+  }
+
+  decryptSecret(stored) {
+    const [iv, tag, encrypted] = stored.split(':').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  }
+
+  /**
+   * Generate a fresh set of backup codes
+   * @returns {Object} - { codes, hashes } - show codes to the user once, store only hashes
+   */
+  generateBackupCodes() {
+    const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+      const raw = crypto.randomBytes(5).toString('hex');
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+    return { codes, hashes: codes.map(code => this.hashBackupCode(code)) };
+  }
+
+  hashBackupCode(code) {
+    const normalized = (code || '').toString().toLowerCase().replace(/[\s-]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+
+  /**
+   * Find a backup code among the stored hashes
+   * @returns {Number} - Index of the matching hash, or -1
+   */
+  findBackupCode(hashes, code) {
+    const hash = this.hashBackupCode(code);
+    return (hashes || []).indexOf(hash);
+  }
+
+  /**
+   * Issue the challenge token returned by login when 2FA is on
+   * @param {String} userId - User ID
+   * @param {String} method - Login method the first step used (kept for the session)
+   */
+  createChallengeToken(userId, method) {
+    return jwt.sign(
+      { userId: userId.toString(), method, type: '2fa_challenge' },
+      process.env.JWT_SECRET,
+      { expiresIn: CHALLENGE_TOKEN_TTL }
+    );
+  }
+
+  /**
+   * Verify a challenge token
+   * @returns {Object|null} - Decoded payload, or null if invalid/expired
+   */
+  verifyChallengeToken(token) {
+    try {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      return decoded.type === '2fa_challenge' ? decoded : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Whether a user has to have 2FA turned on (forced by an admin, or all admins via env)
+   */
+  isRequiredFor(user) {
+    return !!user.twoFactorRequired || (!!user.isAdmin && process.env.REQUIRE_ADMIN_2FA === 'true');
+  }
+}
+
+module.exports = new TwoFactorService();
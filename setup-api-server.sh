@@ -49,6 +49,11 @@ echo "📦 Installing API dependencies..."
 npm install
 echo ""
 
+# Breached password list for passphrase checks (not in git; the built-in list is used without it)
+echo "🔐 Downloading breached password list..."
+node scripts/download-breached-passwords.js || echo "⚠️  Could not download the breached password list. Run: node scripts/download-breached-passwords.js"
+echo ""
+
 # Check if .env file exists
 if [ ! -f .env ]; then
     echo "⚠️  .env file not found. Creating template..."
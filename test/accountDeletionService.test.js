@@ -0,0 +1,110 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Club = require('../models/Club');
+const Revision = require('../models/Revision');
+const { uploadDir } = require('../utils/uploads');
+const AccountDeletionService = require('../services/accountDeletionService');
+
+const accountDeletionService = new AccountDeletionService(null);
+const clubDir = path.join(uploadDir, 'clubs');
+
+// A file in /uploads/clubs, as routes/clubs.js stores covers and club files
+const createClubUpload = () => {
+  fs.mkdirSync(clubDir, { recursive: true });
+  const filename = `test-${crypto.randomBytes(6).toString('hex')}.jpg`;
+  fs.writeFileSync(path.join(clubDir, filename), 'test');
+  return { url: `/uploads/clubs/${filename}`, filePath: path.join(clubDir, filename) };
+};
+
+const createdFiles = [];
+const upload = () => {
+  const file = createClubUpload();
+  createdFiles.push(file.filePath);
+  return file;
+};
+
+const clubFile = (uploadedBy, fileUrl) => ({
+  uploadedBy,
+  fileName: path.basename(fileUrl),
+  fileUrl,
+  fileType: 'image',
+  fileSize: 4,
+  mimeType: 'image/jpeg'
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  for (const filePath of createdFiles.splice(0)) {
+    if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+  }
+});
+
+test('cleanUpClubs deletes the files of a club the user owned alone', async () => {
+  const userId = new mongoose.Types.ObjectId();
+  const cover = upload();
+  const avatar = upload();
+  const file = upload();
+  const media = upload();
+
+  const club = new Club({
+    name: 'Solo club',
+    description: 'Only the owner is left',
+    owner: userId,
+    coverImage: `https://freetalk.site${cover.url}`,
+    avatar: avatar.url,
+    members: [{ user: userId, role: 'owner' }],
+    files: [clubFile(userId, file.url)],
+    discussions: [{ author: userId, content: 'Photo', media: [{ url: media.url, type: 'image' }] }]
+  });
+
+  mock.method(Club, 'find', async () => [club]);
+  const deleteOne = mock.method(Club, 'deleteOne', async () => ({ deletedCount: 1 }));
+  mock.method(Revision, 'deleteMany', async () => ({ deletedCount: 0 }));
+
+  const result = await accountDeletionService.cleanUpClubs(userId);
+
+  assert.strictEqual(result.clubsDeleted, 1);
+  assert.strictEqual(result.files, 4);
+  assert.strictEqual(deleteOne.mock.callCount(), 1);
+  for (const { filePath } of [cover, avatar, file, media]) {
+    assert.strictEqual(fs.existsSync(filePath), false, `${filePath} should be deleted`);
+  }
+});
+
+test('cleanUpClubs deletes only the user\'s own files from a club that stays', async () => {
+  const userId = new mongoose.Types.ObjectId();
+  const otherId = new mongoose.Types.ObjectId();
+  const ownFile = upload();
+  const ownMedia = upload();
+  const otherFile = upload();
+  const cover = upload();
+
+  const club = new Club({
+    name: 'Shared club',
+    description: 'Someone else stays',
+    owner: otherId,
+    coverImage: cover.url,
+    members: [{ user: otherId, role: 'owner' }, { user: userId, role: 'member' }],
+    files: [clubFile(userId, ownFile.url), clubFile(otherId, otherFile.url)],
+    discussions: [{ author: userId, content: 'Photo', media: [{ url: ownMedia.url, type: 'image' }] }]
+  });
+
+  mock.method(Club, 'find', async () => [club]);
+  mock.method(club, 'save', async () => club);
+
+  const result = await accountDeletionService.cleanUpClubs(userId);
+
+  assert.strictEqual(result.clubsUpdated, 1);
+  assert.strictEqual(result.files, 2);
+  assert.strictEqual(fs.existsSync(ownFile.filePath), false);
+  assert.strictEqual(fs.existsSync(ownMedia.filePath), false);
+  assert.strictEqual(fs.existsSync(otherFile.filePath), true);
+  assert.strictEqual(fs.existsSync(cover.filePath), true);
+  assert.strictEqual(club.files.length, 1);
+});
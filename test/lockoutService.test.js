@@ -0,0 +1,55 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const AuthLockout = require('../models/AuthLockout');
+const lockoutService = require('../services/lockoutService');
+
+const req = { ip: '127.0.0.1', app: { get: () => null } };
+
+afterEach(() => mock.restoreAll());
+
+test('reserveAttempt gives back the identifier attempt when the account refuses it', async () => {
+  const user = { _id: new mongoose.Types.ObjectId() };
+  const lockedUntil = new Date(Date.now() + 60 * 1000);
+
+  mock.method(lockoutService, 'incrementFailure', async (target) => (target.scope === 'identifier' ? { scope: 'identifier' } : null));
+  mock.method(lockoutService, 'getLockout', async () => ({ lockedUntil, retryAfterSeconds: 60 }));
+  const updateMany = mock.method(AuthLockout, 'updateMany', async () => ({ modifiedCount: 1 }));
+
+  const lockout = await lockoutService.reserveAttempt({ identifier: 'User@Example.com', user, endpoint: 'login', req });
+
+  assert.strictEqual(lockout.lockedUntil, lockedUntil);
+  assert.strictEqual(updateMany.mock.callCount(), 1);
+  const [filter, update] = updateMany.mock.calls[0].arguments;
+  assert.deepStrictEqual(filter.$or, [{ scope: 'identifier', key: 'user@example.com' }]);
+  assert.deepStrictEqual(update, { $inc: { failedCount: -1 } });
+});
+
+test('reserveAttempt gives nothing back when the first record refuses the attempt', async () => {
+  const user = { _id: new mongoose.Types.ObjectId() };
+
+  const incrementFailure = mock.method(lockoutService, 'incrementFailure', async () => null);
+  mock.method(lockoutService, 'getLockout', async () => ({ lockedUntil: new Date(), retryAfterSeconds: 60 }));
+  const updateMany = mock.method(AuthLockout, 'updateMany', async () => ({ modifiedCount: 0 }));
+
+  await lockoutService.reserveAttempt({ identifier: 'user@example.com', user, endpoint: 'login', req });
+
+  assert.strictEqual(incrementFailure.mock.callCount(), 1);
+  assert.strictEqual(updateMany.mock.callCount(), 0);
+});
+
+test('second-factor attempts count on their own record, not the login counters', async () => {
+  const user = { _id: new mongoose.Types.ObjectId() };
+
+  const incrementFailure = mock.method(lockoutService, 'incrementFailure', async (target) => target);
+
+  const lockout = await lockoutService.reserveAttempt({ identifier: 'user@example.com', user, endpoint: '2fa-verify', req });
+
+  assert.strictEqual(lockout, null);
+  assert.deepStrictEqual(
+    incrementFailure.mock.calls.map(call => call.arguments[0]),
+    [{ scope: 'two_factor', key: user._id.toString() }]
+  );
+});
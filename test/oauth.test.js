@@ -0,0 +1,254 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const { test, mock, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const express = require('express');
+const mongoose = require('mongoose');
+const OAuthClient = require('../models/OAuthClient');
+const OAuthAuthorizationCode = require('../models/OAuthAuthorizationCode');
+const OAuthGrant = require('../models/OAuthGrant');
+const oauthService = require('../services/oauthService');
+
+/**
+ * Authorization code + PKCE flow through POST /api/oauth/token and /revoke, with this file
+ * playing the local client app. There is no MongoDB in the test run, so the three OAuth
+ * models are backed by in-memory documents that support the queries oauthService makes.
+ */
+
+const isOperatorObject = (value) => value && typeof value === 'object'
+  && !(value instanceof Date) && !(value instanceof mongoose.Types.ObjectId)
+  && Object.keys(value).some(key => key.startsWith('$'));
+
+const matches = (doc, filter) => Object.entries(filter).every(([key, condition]) => {
+  const value = doc.get(key);
+  if (condition === null) return value === null || value === undefined;
+  if (isOperatorObject(condition)) {
+    return Object.entries(condition).every(([op, operand]) => {
+      if (op === '$gt') return value > operand;
+      if (op === '$lt') return value < operand;
+      throw new Error(`Unsupported operator ${op}`);
+    });
+  }
+  return value !== null && value !== undefined && String(value) === String(condition);
+});
+
+const applyUpdate = (doc, update) => {
+  for (const [key, value] of Object.entries(update)) {
+    if (key === '$inc') {
+      Object.entries(value).forEach(([field, by]) => doc.set(field, (doc.get(field) || 0) + by));
+    } else if (key === '$set') {
+      Object.entries(value).forEach(([field, fieldValue]) => doc.set(field, fieldValue));
+    } else {
+      doc.set(key, value);
+    }
+  }
+};
+
+// Thenable stand-in for a mongoose Query (select/populate/sort are no-ops)
+const query = (result) => ({
+  select() { return this; },
+  populate() { return this; },
+  sort() { return this; },
+  lean() { return this; },
+  then(resolve, reject) { return Promise.resolve(result).then(resolve, reject); }
+});
+
+const useMemoryStore = (Model) => {
+  const docs = [];
+  const findOne = (filter) => docs.find(doc => matches(doc, filter)) || null;
+
+  mock.method(Model, 'create', async (data) => {
+    const doc = new Model(data);
+    docs.push(doc);
+    return doc;
+  });
+  mock.method(Model.prototype, 'save', async function() {
+    if (!docs.includes(this)) docs.push(this);
+    return this;
+  });
+  mock.method(Model, 'findOne', (filter) => query(findOne(filter)));
+  mock.method(Model, 'findById', (id) => query(findOne({ _id: id })));
+  mock.method(Model, 'find', (filter) => query(docs.filter(doc => matches(doc, filter))));
+  mock.method(Model, 'exists', async (filter) => (findOne(filter) ? { _id: findOne(filter)._id } : null));
+  mock.method(Model, 'findOneAndUpdate', async (filter, update) => {
+    const doc = findOne(filter);
+    if (doc) applyUpdate(doc, update);
+    return doc;
+  });
+  mock.method(Model, 'updateOne', async (filter, update) => {
+    const doc = findOne(filter);
+    if (doc) applyUpdate(doc, update);
+    return { modifiedCount: doc ? 1 : 0 };
+  });
+  mock.method(Model, 'updateMany', async (filter, update) => {
+    const matching = docs.filter(doc => matches(doc, filter));
+    matching.forEach(doc => applyUpdate(doc, update));
+    return { modifiedCount: matching.length };
+  });
+
+  return docs;
+};
+
+const REDIRECT_URI = 'http://127.0.0.1:5055/callback';
+const userId = new mongoose.Types.ObjectId();
+
+let server;
+let baseUrl;
+let client;
+let grants;
+
+before(async () => {
+  // The service logs every grant and replay; keep the test output to the results
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'warn', () => {});
+
+  useMemoryStore(OAuthClient);
+  useMemoryStore(OAuthAuthorizationCode);
+  grants = useMemoryStore(OAuthGrant);
+
+  const app = express();
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: true }));
+  app.use('/api/oauth', require('../routes/oauth'));
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/oauth`;
+
+  ({ client } = await oauthService.registerClient(new mongoose.Types.ObjectId(), {
+    name: 'Local test app',
+    redirectUris: [REDIRECT_URI],
+    scopes: ['profile:read'],
+    confidential: false
+  }));
+});
+
+after(() => {
+  server.close();
+  mock.restoreAll();
+});
+
+const post = async (path, form) => {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams(form).toString()
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+// What the consent step hands back to the client app, plus the verifier only the app knows
+const authorize = async () => {
+  const codeVerifier = crypto.randomBytes(32).toString('base64url');
+  const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+  const code = await oauthService.createAuthorizationCode(userId, client, {
+    redirectUri: REDIRECT_URI,
+    scopes: ['profile:read'],
+    codeChallenge
+  });
+  return { code, codeVerifier };
+};
+
+const exchange = (code, codeVerifier) => post('/token', {
+  grant_type: 'authorization_code',
+  client_id: client.clientId,
+  redirect_uri: REDIRECT_URI,
+  code,
+  code_verifier: codeVerifier
+});
+
+const refresh = (refreshToken) => post('/token', {
+  grant_type: 'refresh_token',
+  client_id: client.clientId,
+  refresh_token: refreshToken
+});
+
+const grantOf = (refreshToken) => grants.find(g => g._id.toString() === refreshToken.split('.')[0]);
+
+test('a code is exchanged for tokens with the matching PKCE verifier', async () => {
+  const { code, codeVerifier } = await authorize();
+  const { status, body } = await exchange(code, codeVerifier);
+
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.token_type, 'Bearer');
+  assert.strictEqual(body.scope, 'profile:read');
+  assert.ok(body.access_token);
+  assert.ok(await oauthService.isGrantActive(grantOf(body.refresh_token)._id));
+});
+
+test('a wrong PKCE verifier is refused and uses up the code', async () => {
+  const { code, codeVerifier } = await authorize();
+
+  const wrong = await exchange(code, crypto.randomBytes(32).toString('base64url'));
+  assert.strictEqual(wrong.status, 400);
+  assert.strictEqual(wrong.body.error, 'invalid_grant');
+
+  const retry = await exchange(code, codeVerifier);
+  assert.strictEqual(retry.status, 400);
+  assert.strictEqual(retry.body.error, 'invalid_grant');
+});
+
+test('a replayed code is refused and revokes the grant it issued', async () => {
+  const { code, codeVerifier } = await authorize();
+  const first = await exchange(code, codeVerifier);
+  assert.strictEqual(first.status, 200);
+
+  const replay = await exchange(code, codeVerifier);
+  assert.strictEqual(replay.status, 400);
+  assert.strictEqual(replay.body.error, 'invalid_grant');
+  assert.strictEqual(grantOf(first.body.refresh_token).revokedReason, 'code_reuse');
+  assert.strictEqual(await oauthService.isGrantActive(grantOf(first.body.refresh_token)._id), false);
+});
+
+test('refresh tokens rotate, and reusing a rotated one revokes the grant', async () => {
+  const { code, codeVerifier } = await authorize();
+  const issued = await exchange(code, codeVerifier);
+
+  const rotated = await refresh(issued.body.refresh_token);
+  assert.strictEqual(rotated.status, 200);
+  assert.notStrictEqual(rotated.body.refresh_token, issued.body.refresh_token);
+  assert.strictEqual(grantOf(rotated.body.refresh_token).rotationCount, 1);
+
+  const reused = await refresh(issued.body.refresh_token);
+  assert.strictEqual(reused.status, 400);
+  assert.strictEqual(reused.body.error, 'invalid_grant');
+  assert.strictEqual(grantOf(issued.body.refresh_token).revokedReason, 'token_reuse');
+
+  // The latest token dies with the grant
+  const afterRevocation = await refresh(rotated.body.refresh_token);
+  assert.strictEqual(afterRevocation.body.error, 'invalid_grant');
+});
+
+test('revoking a token revokes its grant', async () => {
+  const { code, codeVerifier } = await authorize();
+  const issued = await exchange(code, codeVerifier);
+
+  const revoked = await post('/revoke', { client_id: client.clientId, token: issued.body.access_token });
+  assert.strictEqual(revoked.status, 200);
+  assert.strictEqual(grantOf(issued.body.refresh_token).revokedReason, 'revoked_by_client');
+
+  const refreshed = await refresh(issued.body.refresh_token);
+  assert.strictEqual(refreshed.body.error, 'invalid_grant');
+});
+
+test('non-string code, verifier or refresh token is an invalid_request', async () => {
+  const { code, codeVerifier } = await authorize();
+
+  const arrayCode = await post('/token', {
+    grant_type: 'authorization_code',
+    client_id: client.clientId,
+    redirect_uri: REDIRECT_URI,
+    'code[]': code,
+    code_verifier: codeVerifier
+  });
+  assert.strictEqual(arrayCode.status, 400);
+  assert.strictEqual(arrayCode.body.error, 'invalid_request');
+
+  const arrayRefresh = await post('/token', {
+    grant_type: 'refresh_token',
+    client_id: client.clientId,
+    'refresh_token[]': 'a'
+  });
+  assert.strictEqual(arrayRefresh.status, 400);
+  assert.strictEqual(arrayRefresh.body.error, 'invalid_request');
+});
@@ -0,0 +1,87 @@
+/**
+ * Word-level text diff for showing what an edit changed
+ * Whitespace is kept as its own token, so joining the parts of either side gives back
+ * the original text exactly.
+ */
+
+// Above this many table cells the middle of the texts is shown as replaced wholesale
+const MAX_TABLE_CELLS = 4 * 1000 * 1000;
+
+const tokenize = (text) => (text || '').match(/\s+|[^\s]+/g) || [];
+
+// Append a token, merging it into the previous part when the type matches
+const push = (parts, type, text) => {
+  const last = parts[parts.length - 1];
+  if (last && last.type === type) {
+    last.text += text;
+  } else {
+    parts.push({ type, text });
+  }
+};
+
+/**
+ * @param {String} before - Older text
+ * @param {String} after - Newer text
+ * @returns {Array} - [{ type: 'equal'|'removed'|'added', text }]
+ */
+const diffWords = (before, after) => {
+  const a = tokenize(before);
+  const b = tokenize(after);
+  const parts = [];
+
+  // Common prefix and suffix don't need the table
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  a.slice(0, start).forEach(token => push(parts, 'equal', token));
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const n = midA.length;
+  const m = midB.length;
+
+  if ((n + 1) * (m + 1) > MAX_TABLE_CELLS) {
+    midA.forEach(token => push(parts, 'removed', token));
+    midB.forEach(token => push(parts, 'added', token));
+  } else {
+    // Longest common subsequence lengths of the suffixes midA[i..] and midB[j..]
+    const width = m + 1;
+    const table = new Uint16Array((n + 1) * width);
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        table[i * width + j] = midA[i] === midB[j]
+          ? table[(i + 1) * width + j + 1] + 1
+          : Math.max(table[(i + 1) * width + j], table[i * width + j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+      if (midA[i] === midB[j]) {
+        push(parts, 'equal', midA[i]);
+        i++;
+        j++;
+      } else if (table[(i + 1) * width + j] >= table[i * width + j + 1]) {
+        push(parts, 'removed', midA[i++]);
+      } else {
+        push(parts, 'added', midB[j++]);
+      }
+    }
+    while (i < n) push(parts, 'removed', midA[i++]);
+    while (j < m) push(parts, 'added', midB[j++]);
+  }
+
+  a.slice(endA).forEach(token => push(parts, 'equal', token));
+  return parts;
+};
+
+module.exports = {
+  diffWords
+};
@@ -0,0 +1,40 @@
+/**
+ * Hashtags in free text: "#Tag" anywhere a word can start, letters/digits/underscores
+ * in any script, stored lowercase without the "#". Not inside words or URLs
+ * ("page#section"), and not all digits ("#1").
+ */
+
+const MAX_TAG_LENGTH = 50;
+const MAX_TAGS_PER_TEXT = 30;
+
+const HASHTAG_REGEX = /(?:^|[^\p{L}\p{N}_&#/])#([\p{L}\p{N}_]+)/gu;
+const TAG_REGEX = /^[\p{L}\p{N}_]+$/u;
+
+// A tag from a URL or user input ("#Travel", "travel"), or null if it isn't a valid tag
+const normalizeHashtag = (value) => {
+  if (typeof value !== 'string') return null;
+  const tag = value.trim().replace(/^#/, '').toLowerCase();
+  if (!tag || tag.length > MAX_TAG_LENGTH || !TAG_REGEX.test(tag) || /^\d+$/.test(tag)) return null;
+  return tag;
+};
+
+/**
+ * @param {String} text
+ * @returns {Array} - Distinct lowercase tags in order of first use
+ */
+const extractHashtags = (text) => {
+  if (!text) return [];
+  const tags = [];
+  for (const match of String(text).matchAll(HASHTAG_REGEX)) {
+    const tag = normalizeHashtag(match[1]);
+    if (tag && !tags.includes(tag)) tags.push(tag);
+    if (tags.length >= MAX_TAGS_PER_TEXT) break;
+  }
+  return tags;
+};
+
+module.exports = {
+  MAX_TAG_LENGTH,
+  normalizeHashtag,
+  extractHashtags
+};
@@ -0,0 +1,20 @@
+/**
+ * Response for credential checks refused by lockoutService (routes/auth.js, routes/user.js)
+ */
+
+// Respond when the identifier or account is locked out after repeated failed attempts
+const sendLockoutResponse = (res, lockout) => {
+  const minutes = Math.ceil(lockout.retryAfterSeconds / 60);
+  res.set('Retry-After', String(lockout.retryAfterSeconds));
+  return res.status(429).json({
+    success: false,
+    message: `Too many failed attempts. Please try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`,
+    isLocked: true,
+    lockedUntil: lockout.lockedUntil,
+    retryAfter: lockout.retryAfterSeconds
+  });
+};
+
+module.exports = {
+  sendLockoutResponse
+};
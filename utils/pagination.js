@@ -0,0 +1,171 @@
+const mongoose = require('mongoose');
+
+/**
+ * Cursor pagination for list endpoints
+ *
+ * Lists are read in a fixed sort order that ends with _id, by default
+ * { createdAt: -1, _id: -1 }. A cursor is the opaque position of the last item of a page,
+ * so new items arriving at the top don't shift later pages, and reading deep into a list
+ * uses the index instead of skipping over everything before it.
+ *
+ * - ?cursor=<nextCursor> (or an empty ?cursor= for the first page): cursor mode,
+ *   no total count
+ * - ?page=N (or neither): page mode as before, with total and pages; it also returns a
+ *   nextCursor so clients can switch to cursors after the first page
+ */
+
+const DEFAULT_SORT = { createdAt: -1, _id: -1 };
+
+// Cursor values keep their type through JSON
+const encodeValue = (value) => {
+  if (value instanceof Date) return { $date: value.toISOString() };
+  if (value instanceof mongoose.Types.ObjectId) return { $oid: value.toString() };
+  return value === undefined ? null : value;
+};
+
+const decodeValue = (value) => {
+  if (value === null || typeof value !== 'object') return value;
+  if (typeof value.$date === 'string' && !isNaN(Date.parse(value.$date))) return new Date(value.$date);
+  if (typeof value.$oid === 'string' && mongoose.Types.ObjectId.isValid(value.$oid)) return new mongoose.Types.ObjectId(value.$oid);
+  throw new Error('Invalid cursor value');
+};
+
+const encodeCursor = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    return JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+};
+
+// The cursor after an item; it records the sort so it can't be reused with another one
+const cursorFor = (item, sort) => {
+  const fields = Object.keys(sort);
+  return encodeCursor({ s: fields.join(','), k: fields.map(field => encodeValue(item[field])) });
+};
+
+// Sort values of the item a cursor points at, or null if it isn't a cursor for this sort
+const parseCursor = (cursor, sort) => {
+  const fields = Object.keys(sort);
+  const payload = decodeCursor(cursor);
+  if (!payload || payload.s !== fields.join(',') || !Array.isArray(payload.k) || payload.k.length !== fields.length) {
+    return null;
+  }
+  try {
+    return payload.k.map(decodeValue);
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Read page or cursor parameters from a query string
+ * @param {Object} query - req.query
+ * @param {Object} options - { sort, defaultLimit, maxLimit }
+ * @returns {Object|null} - { mode, page, limit, skip, sort, after }, or null for an invalid cursor
+ */
+const parsePagination = (query, { sort = DEFAULT_SORT, defaultLimit = 20, maxLimit = 100 } = {}) => {
+  const limit = Math.min(Math.max(parseInt(query.limit) || defaultLimit, 1), maxLimit);
+
+  if (query.cursor === undefined) {
+    const page = Math.max(parseInt(query.page) || 1, 1);
+    return { mode: 'page', page, limit, skip: (page - 1) * limit, sort, after: null };
+  }
+
+  const after = query.cursor ? parseCursor(query.cursor, sort) : null;
+  if (query.cursor && !after) return null;
+  return { mode: 'cursor', page: null, limit, skip: 0, sort, after };
+};
+
+/**
+ * Add the cursor position to a MongoDB filter: items strictly after it in the sort order
+ */
+const afterCursor = (filter, pagination) => {
+  if (!pagination.after) return filter;
+
+  const fields = Object.keys(pagination.sort);
+  const after = fields.map((field, i) => {
+    const condition = {};
+    fields.slice(0, i).forEach((previous, j) => { condition[previous] = pagination.after[j]; });
+    condition[field] = { [pagination.sort[field] < 0 ? '$lt' : '$gt']: pagination.after[i] };
+    return condition;
+  });
+
+  return { $and: [filter, { $or: after }] };
+};
+
+/**
+ * Turn the items fetched for a page (limit + 1 of them) into the page and its pagination info
+ * @param {Array} items - Fetched with .sort(pagination.sort).skip(pagination.skip).limit(pagination.limit + 1)
+ * @param {Object} pagination - From parsePagination
+ * @param {Function} count - Total item count, only called in page mode
+ * @returns {Object} - { items, pageInfo }
+ */
+const buildPage = async (items, pagination, count) => {
+  const { mode, page, limit, sort } = pagination;
+  const hasMore = items.length > limit;
+  const pageItems = hasMore ? items.slice(0, limit) : items;
+  const nextCursor = hasMore ? cursorFor(pageItems[pageItems.length - 1], sort) : null;
+
+  if (mode === 'cursor') {
+    return { items: pageItems, pageInfo: { limit, hasMore, nextCursor } };
+  }
+
+  const total = await count();
+  return {
+    items: pageItems,
+    pageInfo: { page, limit, total, pages: Math.ceil(total / limit), hasMore, nextCursor }
+  };
+};
+
+const comparable = (value) => {
+  if (value instanceof Date) return value.getTime();
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  return value === undefined ? null : value;
+};
+
+// Compare two lists of sort values in the sort's order
+const compareKeys = (a, b, sort) => {
+  const directions = Object.values(sort);
+  for (let i = 0; i < directions.length; i++) {
+    const x = comparable(a[i]);
+    const y = comparable(b[i]);
+    if (x === y) continue;
+    if (x === null) return directions[i];
+    if (y === null) return -directions[i];
+    return (x < y ? -1 : 1) * directions[i];
+  }
+  return 0;
+};
+
+/**
+ * Page through an in-memory list (embedded documents) the same way as a query
+ * @returns {Promise<Object>} - { items, pageInfo }
+ */
+const paginateArray = (items, pagination) => {
+  const fields = Object.keys(pagination.sort);
+  const keyOf = (item) => fields.map(field => item[field]);
+
+  const sorted = [...items].sort((a, b) => compareKeys(keyOf(a), keyOf(b), pagination.sort));
+  const remaining = pagination.after
+    ? sorted.filter(item => compareKeys(keyOf(item), pagination.after, pagination.sort) > 0)
+    : sorted;
+
+  return buildPage(
+    remaining.slice(pagination.skip, pagination.skip + pagination.limit + 1),
+    pagination,
+    () => items.length
+  );
+};
+
+module.exports = {
+  DEFAULT_SORT,
+  encodeCursor,
+  decodeCursor,
+  parsePagination,
+  afterCursor,
+  buildPage,
+  paginateArray
+};
@@ -0,0 +1,88 @@
+/**
+ * Wall-clock times in IANA time zones (e.g. "Europe/Berlin"), using the Intl support
+ * built into Node so daylight saving changes are handled without a date library
+ */
+
+const LOCAL_DATE_TIME = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2}))?$/;
+const EXPLICIT_OFFSET = /(Z|[+-]\d{2}:?\d{2})$/i;
+const DATE_PREFIX = /^(\d{4})-(\d{2})-(\d{2})/;
+
+const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Whether a calendar date exists (Date.UTC quietly rolls 2026-02-31 over to March 3)
+const isRealDate = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+};
+
+// Date and time parts of an instant as shown on a clock in the time zone
+const partsIn = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+  return Object.fromEntries(parts.map(part => [part.type, part.value]));
+};
+
+// Milliseconds the time zone is ahead of UTC at an instant
+const offsetAt = (date, timeZone) => {
+  const p = partsIn(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+/**
+ * The instant a clock in the time zone shows a date and time
+ * @param {String} value - "2026-05-01T09:30" (local), or an ISO string with Z or an offset
+ * @param {String} timeZone - IANA time zone, used only for local values
+ * @returns {Date|null} - null if the value can't be read or the date doesn't exist
+ */
+const zonedTimeToUtc = (value, timeZone) => {
+  if (typeof value !== 'string') return null;
+
+  if (EXPLICIT_OFFSET.test(value)) {
+    const datePart = DATE_PREFIX.exec(value);
+    if (datePart && !isRealDate(...datePart.slice(1).map(Number))) return null;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  const match = LOCAL_DATE_TIME.exec(value);
+  if (!match) return null;
+
+  const [year, month, day, hour, minute, second = 0] = match.slice(1).map(part => (part === undefined ? undefined : Number(part)));
+  if (!isRealDate(year, month, day) || hour > 23 || minute > 59 || second > 59) return null;
+  const wall = Date.UTC(year, month - 1, day, hour, minute, second);
+
+  // Second pass picks up a daylight saving change between the guess and the result
+  let utc = wall - offsetAt(new Date(wall), timeZone);
+  utc = wall - offsetAt(new Date(utc), timeZone);
+  return new Date(utc);
+};
+
+// "2026-05-01T09:30" as shown on a clock in the time zone
+const formatInTimeZone = (date, timeZone) => {
+  if (!date) return null;
+  const p = partsIn(date, timeZone);
+  return `${p.year}-${p.month}-${p.day}T${p.hour}:${p.minute}`;
+};
+
+module.exports = {
+  isValidTimeZone,
+  zonedTimeToUtc,
+  formatInTimeZone
+};
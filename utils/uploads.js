@@ -0,0 +1,53 @@
+/**
+ * Files we serve from /uploads, found from the URLs stored on content
+ * (a relative "/uploads/x" path or an absolute URL)
+ */
+
+const path = require('path');
+const fs = require('fs');
+
+const uploadDir = path.join(__dirname, '..', 'uploads');
+
+// Local file behind a /uploads URL, or null if it isn't one or the file is gone.
+// Subdirectories are kept (club files live in /uploads/clubs); anything that would
+// resolve outside the uploads directory (e.g. "../") is refused.
+const resolveUpload = (url) => {
+  if (!url || typeof url !== 'string') return null;
+  const match = url.match(/\/uploads\/([^?#]+)$/);
+  if (!match) return null;
+
+  let relativePath;
+  try {
+    relativePath = decodeURIComponent(match[1]);
+  } catch (error) {
+    return null;
+  }
+
+  const filePath = path.resolve(uploadDir, relativePath);
+  if (!filePath.startsWith(uploadDir + path.sep)) return null;
+  return fs.existsSync(filePath) && fs.statSync(filePath).isFile() ? filePath : null;
+};
+
+// Delete the file behind a /uploads URL; missing files are fine
+const removeUpload = (url) => {
+  const filePath = resolveUpload(url);
+  if (!filePath) return false;
+
+  try {
+    fs.unlinkSync(filePath);
+    return true;
+  } catch (error) {
+    console.error('❌ Failed to delete upload:', filePath, error.message);
+  }
+  return false;
+};
+
+// Delete several uploads, returning how many files were removed
+const removeUploads = (urls) => urls.filter(Boolean).reduce((count, url) => count + (removeUpload(url) ? 1 : 0), 0);
+
+module.exports = {
+  uploadDir,
+  resolveUpload,
+  removeUpload,
+  removeUploads
+};